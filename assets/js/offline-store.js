@@ -0,0 +1,289 @@
+// ============================================
+// OFFLINE STORE
+// IndexedDB storage shared by the page and the service worker
+// ============================================
+
+'use strict';
+
+// Loaded with <script> on the page and importScripts() in sw.js, so it may
+// only use what both have: no window, no DOM, no localStorage.
+const OfflineStore = {
+  DB_NAME: 'zewedjobs',
+
+  // The service worker's database before this module; its queued posts and
+  // settings are moved over the first time the store opens
+  LEGACY_DB_NAME: 'pwa-db',
+
+  // One function per schema version, run in order on upgrade. Never change
+  // one that has shipped; add a new one instead.
+  migrations: [
+    // 1: initial stores
+    db => {
+      db.createObjectStore('savedJobs', { keyPath: 'id' }).createIndex('savedAt', 'savedAt');
+      db.createObjectStore('drafts', { keyPath: 'key' }).createIndex('updatedAt', 'updatedAt');
+
+      const outbox = db.createObjectStore('outbox', { keyPath: 'id' });
+      outbox.createIndex('status', 'status');
+      outbox.createIndex('timestamp', 'timestamp');
+
+      db.createObjectStore('settings', { keyPath: 'key' });
+      db.createObjectStore('responses', { keyPath: 'url' }).createIndex('storedAt', 'storedAt');
+    }
+  ],
+
+  // What each store holds. `fields` are checked on every write; `created` is
+  // set once, `touched` on every write (both in ms since the epoch).
+  types: {
+    // { id, job, employer, note, deadline, reminderAt, remindedAt, editedAt, syncedAt, savedAt }
+    savedJobs: { fields: { id: 'number', job: 'object' }, created: 'savedAt' },
+    // { key, data, updatedAt }, e.g. key "job-12" for a job being edited
+    drafts: { fields: { key: 'string', data: 'object' }, touched: 'updatedAt' },
+    // { id, kind, label, url, method, body, status, timestamp, ... } (see assets/js/outbox.js)
+    outbox: { fields: { id: 'string', url: 'string', status: 'string' }, created: 'timestamp' },
+    // { key, value }
+    settings: { fields: { key: 'string' } },
+    // { url, data, storedAt }; the first thing given up when storage runs out
+    responses: { fields: { url: 'string' }, touched: 'storedAt' }
+  },
+
+  opening: null,
+
+  open() {
+    if (!this.opening) {
+      this.opening = this.openDatabase().catch(error => {
+        this.opening = null;
+        throw error;
+      });
+    }
+    return this.opening;
+  },
+
+  openDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.DB_NAME, this.migrations.length);
+
+      request.onupgradeneeded = event => {
+        for (let version = event.oldVersion; version < this.migrations.length; version++) {
+          this.migrations[version](request.result, request.transaction);
+        }
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+
+        // A newer version in another tab (or the worker) needs to upgrade
+        db.onversionchange = () => {
+          db.close();
+          this.opening = null;
+        };
+        resolve(db);
+      };
+
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => console.warn('[OfflineStore] Upgrade is waiting for other tabs to close');
+    }).then(db => this.importLegacy(db).then(() => db, error => {
+      console.error('[OfflineStore] Could not import old offline data:', error);
+      return db;
+    }));
+  },
+
+  async importLegacy(db) {
+    const legacy = await this.openExisting(this.LEGACY_DB_NAME);
+    if (!legacy) return;
+
+    try {
+      const readAll = name => legacy.objectStoreNames.contains(name)
+        ? this.transact(legacy, [name], 'readonly', tx => tx.objectStore(name).getAll())
+        : [];
+      const [posts, settings] = await Promise.all([readAll('pending_posts'), readAll('settings')]);
+
+      // Puts are keyed, so importing twice (e.g. after a crash) is harmless
+      await this.transact(db, ['outbox', 'settings'], 'readwrite', tx => {
+        posts.forEach(post => tx.objectStore('outbox').put(post));
+        settings.forEach(item => tx.objectStore('settings').put(item));
+      });
+    } finally {
+      legacy.close();
+    }
+
+    // Finishes once pages still on the old version let go of it
+    indexedDB.deleteDatabase(this.LEGACY_DB_NAME);
+  },
+
+  // Open a database only if it already exists
+  openExisting(name) {
+    return new Promise(resolve => {
+      const request = indexedDB.open(name);
+      request.onupgradeneeded = () => request.transaction.abort();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => resolve(null);
+    });
+  },
+
+  // Run `work` in a transaction and settle once it commits. `work` may return
+  // an IDBRequest, whose result is then the result.
+  transact(db, storeNames, mode, work) {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeNames, mode);
+      let value;
+
+      try {
+        value = work(transaction);
+      } catch (error) {
+        transaction.abort();
+        reject(error);
+        return;
+      }
+
+      transaction.oncomplete = () => resolve(value instanceof IDBRequest ? value.result : value);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  },
+
+  async read(storeName, work) {
+    const db = await this.open();
+    return this.transact(db, [storeName], 'readonly', transaction => work(transaction.objectStore(storeName)));
+  },
+
+  // Writes that run out of space drop cached API responses and try once more
+  async write(storeName, work) {
+    const db = await this.open();
+    const attempt = () => this.transact(db, [storeName], 'readwrite', transaction => work(transaction.objectStore(storeName)));
+
+    try {
+      return await attempt();
+    } catch (error) {
+      if (!this.isQuotaError(error)) throw error;
+
+      const evicted = await this.evictResponses(storeName === 'responses' ? 1 : 0.5);
+      if (evicted === 0) throw error;
+      return attempt();
+    }
+  },
+
+  isQuotaError(error) {
+    return error?.name === 'QuotaExceededError' || error?.name === 'NS_ERROR_DOM_QUOTA_REACHED';
+  },
+
+  // Delete the oldest share of cached responses; returns how many went
+  async evictResponses(share) {
+    const db = await this.open();
+    let evicted = 0;
+
+    await this.transact(db, ['responses'], 'readwrite', transaction => {
+      const store = transaction.objectStore('responses');
+      const countRequest = store.count();
+
+      countRequest.onsuccess = () => {
+        const limit = Math.ceil(countRequest.result * share);
+        if (limit === 0) return;
+
+        store.index('storedAt').openCursor().onsuccess = event => {
+          const cursor = event.target.result;
+          if (!cursor || evicted >= limit) return;
+          cursor.delete();
+          evicted++;
+          cursor.continue();
+        };
+      };
+    });
+
+    if (evicted > 0) console.warn(`[OfflineStore] Storage full; removed ${evicted} cached responses`);
+    return evicted;
+  },
+
+  // Check a record against its store's type and add its timestamps
+  prepare(storeName, record) {
+    const type = this.types[storeName];
+
+    Object.entries(type.fields).forEach(([field, kind]) => {
+      const value = record?.[field];
+      const valid = kind === 'object' ? value !== null && typeof value === 'object' : typeof value === kind;
+      if (!valid) {
+        throw new TypeError(`${storeName}: "${field}" must be a ${kind}`);
+      }
+    });
+
+    const now = Date.now();
+    return {
+      ...record,
+      ...(type.created && { [type.created]: record[type.created] ?? now }),
+      ...(type.touched && { [type.touched]: now })
+    };
+  },
+
+  // get/getAll/put/delete/clear/count for one store
+  typedStore(storeName) {
+    return {
+      get: key => this.read(storeName, store => store.get(key)),
+      getAll: (index, query) => this.read(storeName, store => (index ? store.index(index) : store).getAll(query)),
+      count: () => this.read(storeName, store => store.count()),
+      put: record => {
+        const prepared = this.prepare(storeName, record);
+        return this.write(storeName, store => {
+          store.put(prepared);
+          return prepared;
+        });
+      },
+      delete: key => this.write(storeName, store => store.delete(key)),
+      clear: () => this.write(storeName, store => store.clear())
+    };
+  },
+
+  async getSetting(key, fallback = null) {
+    const item = await this.settings.get(key);
+    return item === undefined ? fallback : item.value;
+  },
+
+  setSetting(key, value) {
+    return this.settings.put({ key, value });
+  },
+
+  async getAllSettings() {
+    const items = await this.settings.getAll();
+    return Object.fromEntries(items.map(item => [item.key, item.value]));
+  },
+
+  cacheResponse(url, data) {
+    return this.responses.put({ url, data });
+  },
+
+  // Cached data for a URL, or null when missing or older than maxAge (ms)
+  async getCachedResponse(url, maxAge = Infinity) {
+    const item = await this.responses.get(url);
+    return item && Date.now() - item.storedAt <= maxAge ? item.data : null;
+  },
+
+  pruneResponses(maxAge) {
+    return this.write('responses', store => {
+      store.index('storedAt').openCursor(IDBKeyRange.upperBound(Date.now() - maxAge)).onsuccess = event => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        cursor.delete();
+        cursor.continue();
+      };
+    });
+  },
+
+  // { usage, quota } in bytes, when the browser reports it
+  async estimate() {
+    if (!navigator.storage?.estimate) return null;
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage, quota };
+  },
+
+  // Ask the browser not to clear offline data under storage pressure
+  async persist() {
+    if (!navigator.storage?.persist) return false;
+    return (await navigator.storage.persisted()) || navigator.storage.persist();
+  }
+};
+
+Object.keys(OfflineStore.types).forEach(storeName => {
+  OfflineStore[storeName] = OfflineStore.typedStore(storeName);
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OfflineStore;
+}
@@ -0,0 +1,323 @@
+// ============================================
+// OUTBOX
+// Writes made offline, sent in order once the connection is back
+// ============================================
+
+'use strict';
+
+// Loaded with <script> on the page and importScripts() in sw.js, after
+// offline-store.js. Both sides may send: the service worker when Background
+// Sync fires, the page when the browser has no Background Sync or gave up on
+// it. Items are claimed before sending, so only one of them sends each item.
+//
+// Item: { id, kind, label, url, method, headers, body, uploads, status,
+//         attempts, nextAttemptAt, lockedUntil, error, response, timestamp }
+//
+// status: pending → sending → sent, failed (dead letter: rejected by the
+// server or out of attempts) or conflict (the server's data changed; the
+// person decides). A network or server error puts it back to pending with a
+// later nextAttemptAt. The page removes sent items once it has used the response.
+const Outbox = {
+  SYNC_TAG: 'sync-outbox',
+
+  // Tags registered by earlier versions; still handled so nothing queued
+  // before an update is stranded
+  LEGACY_SYNC_TAGS: ['sync-posts', 'sync-data'],
+
+  MAX_ATTEMPTS: 8,
+  BASE_DELAY: 15 * 1000,
+  MAX_DELAY: 60 * 60 * 1000,
+
+  // A sender that dies mid-request (tab closed, worker stopped) loses its
+  // claim after this long
+  LOCK_MS: 60 * 1000,
+
+  RETRY_STATUSES: [408, 425, 429],
+  CONFLICT_STATUSES: [409, 412],
+
+  flushing: null,
+
+  // Also the Idempotency-Key, so create it before the first attempt and reuse
+  // it when that attempt ends up queued
+  createId(kind) {
+    const random = self.crypto?.randomUUID
+      ? self.crypto.randomUUID()
+      : `${Date.now()}-${Math.random().toString(36).slice(2, 12)}`;
+    return `${kind}-${random}`;
+  },
+
+  /**
+   * Queue a write and ask for it to be sent.
+   *
+   * @param {Object} request
+   * @param {string} [request.id] - from createId(), when a direct attempt already used it
+   * @param {string} request.kind - what the page does with the result, e.g. "application"
+   * @param {string} request.label - shown in the list of pending changes
+   * @param {string} request.url - e.g. "/api/applications"
+   * @param {string} [request.method]
+   * @param {Object} [request.body] - sent as JSON
+   * @param {Array<Object>} [request.uploads] - files to send first: { url, blob, name, type, assign },
+   *   where `assign` maps fields of `body` to paths in the upload's response, e.g. { cvId: 'cv.id' }
+   * @returns {Promise<Object>} the queued item
+   */
+  async enqueue({ id, kind, label, url, method = 'POST', headers = {}, body, uploads = [] }) {
+    const item = await OfflineStore.outbox.put({
+      id: id || this.createId(kind),
+      kind,
+      label,
+      url,
+      method,
+      headers,
+      body,
+      uploads,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: Date.now()
+    });
+
+    // Ask the browser to keep queued work even when storage runs low
+    OfflineStore.persist().catch(() => {});
+    await this.requestSync();
+    return item;
+  },
+
+  // Resolves false without Background Sync; the page then sends the queue itself
+  async requestSync() {
+    const registration = typeof window === 'undefined'
+      ? self.registration
+      : await navigator.serviceWorker?.getRegistration();
+
+    if (!registration?.sync) return false;
+
+    try {
+      await registration.sync.register(this.SYNC_TAG);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  // Oldest first
+  async list() {
+    const items = await OfflineStore.outbox.getAll('timestamp');
+    return items.map(item => this.normalize(item));
+  },
+
+  // Items queued by earlier versions lack the newer fields
+  normalize(item) {
+    return {
+      kind: 'request',
+      label: 'Queued change',
+      attempts: 0,
+      nextAttemptAt: 0,
+      lockedUntil: 0,
+      ...item
+    };
+  },
+
+  isActive(item) {
+    return item.status === 'pending' || item.status === 'sending';
+  },
+
+  // When the next attempt at any queued item is due, or null
+  nextDue(items) {
+    const times = items.filter(item => this.isActive(item))
+      .map(item => item.status === 'sending' ? item.lockedUntil : item.nextAttemptAt);
+    return times.length > 0 ? Math.min(...times) : null;
+  },
+
+  // Change an item in one transaction. `changes` may be a function of the
+  // item returning the changes, or null to leave it alone. Resolves with the
+  // updated item, or null when it is gone (e.g. discarded while sending).
+  async update(id, changes) {
+    const result = await OfflineStore.write('outbox', store => {
+      const result = { item: null };
+      const request = store.get(id);
+
+      request.onsuccess = () => {
+        const item = request.result;
+        const patch = item && (typeof changes === 'function' ? changes(this.normalize(item)) : changes);
+        if (!patch) return;
+
+        result.item = { ...item, ...patch };
+        store.put(result.item);
+      };
+      return result;
+    });
+    return result.item;
+  },
+
+  // Send again as soon as possible, with a fresh set of attempts
+  async retry(id) {
+    const item = await this.update(id, item => item.status === 'sending' ? null : {
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      error: null,
+      notified: false
+    });
+    if (item) await this.requestSync();
+    return item;
+  },
+
+  discard(id) {
+    return OfflineStore.outbox.delete(id);
+  },
+
+  // Mark the oldest due item as being sent by us and return it
+  async claimNext() {
+    const now = Date.now();
+    const result = await OfflineStore.write('outbox', store => {
+      const result = { item: null };
+
+      store.index('timestamp').openCursor().onsuccess = event => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+
+        const item = this.normalize(cursor.value);
+        const due = (item.status === 'pending' && item.nextAttemptAt <= now) ||
+          (item.status === 'sending' && item.lockedUntil <= now);
+
+        if (!due) {
+          cursor.continue();
+          return;
+        }
+
+        result.item = { ...item, status: 'sending', lockedUntil: now + this.LOCK_MS };
+        cursor.update(result.item);
+      };
+      return result;
+    });
+    return result.item;
+  },
+
+  /**
+   * Send everything that is due. Concurrent calls share one run.
+   *
+   * @returns {Promise<Object>} { sent, failed, conflict, retrying, pending, nextAttemptAt }
+   */
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.run().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  },
+
+  async run() {
+    const summary = { sent: 0, failed: 0, conflict: 0, retrying: 0 };
+    let item;
+
+    while ((item = await this.claimNext())) {
+      const sent = await this.send(item);
+      if (!sent) continue;
+      summary[sent.status === 'pending' ? 'retrying' : sent.status]++;
+    }
+
+    const items = await this.list();
+    summary.pending = items.filter(entry => this.isActive(entry)).length;
+    summary.nextAttemptAt = this.nextDue(items);
+    return summary;
+  },
+
+  async send(item) {
+    try {
+      const uploads = item.uploads || [];
+
+      for (const [index, upload] of uploads.entries()) {
+        const uploaded = await this.request(upload.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': upload.type,
+            'X-File-Name': encodeURIComponent(upload.name),
+            'Idempotency-Key': `${item.id}:upload:${index}`
+          },
+          body: upload.blob
+        });
+
+        Object.entries(upload.assign || {}).forEach(([field, path]) => {
+          item.body[field] = path.split('.').reduce((value, key) => value?.[key], uploaded);
+        });
+      }
+
+      // Don't upload the same files again if the request itself is retried
+      if (uploads.length > 0) {
+        await this.update(item.id, { body: item.body, uploads: [] });
+      }
+
+      const response = await this.request(item.url, {
+        method: item.method,
+        headers: { 'Content-Type': 'application/json', ...item.headers, 'Idempotency-Key': item.id },
+        body: item.body === undefined ? undefined : JSON.stringify(item.body)
+      });
+
+      console.log(`[Outbox] Sent ${item.id}`);
+      return this.update(item.id, { status: 'sent', response, error: null, lockedUntil: 0, sentAt: Date.now() });
+    } catch (error) {
+      console.error(`[Outbox] Could not send ${item.id}:`, error);
+      return this.update(item.id, { ...this.outcome(item, error), body: item.body, lockedUntil: 0 });
+    }
+  },
+
+  // What a failed attempt means for the item
+  outcome(item, error) {
+    const attempts = item.attempts + 1;
+    const problem = { message: error.message, status: error.status, details: error.details };
+
+    if (this.isRetryable(error) && attempts < this.MAX_ATTEMPTS) {
+      return {
+        status: 'pending',
+        attempts,
+        error: problem,
+        nextAttemptAt: Date.now() + Math.max(this.backoff(attempts), error.retryAfter || 0)
+      };
+    }
+
+    if (this.CONFLICT_STATUSES.includes(error.status)) {
+      return { status: 'conflict', attempts, error: problem };
+    }
+
+    return { status: 'failed', attempts, error: problem };
+  },
+
+  // No status: the request never got an answer. A conflict that comes with
+  // Retry-After is the same request still running on the server.
+  isRetryable(error) {
+    return error.status === undefined ||
+      error.status >= 500 ||
+      this.RETRY_STATUSES.includes(error.status) ||
+      (this.CONFLICT_STATUSES.includes(error.status) && error.retryAfter !== undefined);
+  },
+
+  // Exponential, with jitter so devices that reconnect together don't retry together
+  backoff(attempts) {
+    const delay = Math.min(this.MAX_DELAY, this.BASE_DELAY * 2 ** (attempts - 1));
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  },
+
+  async request(url, options) {
+    const response = await fetch(url, options);
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const error = new Error(data.error || `Request failed with status ${response.status}`);
+      error.status = response.status;
+      error.details = data.details;
+
+      const retryAfter = response.headers.get('Retry-After');
+      if (retryAfter !== null) {
+        const seconds = Number(retryAfter);
+        error.retryAfter = Number.isNaN(seconds) ? Math.max(0, new Date(retryAfter) - Date.now()) || 0 : seconds * 1000;
+      }
+      throw error;
+    }
+
+    return data;
+  }
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Outbox;
+}
@@ -251,6 +251,11 @@ const StringUtils = {
       .replace(/^-+|-+$/g, '');
   },
 
+  escapeHtml(str) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(str ?? '').replace(/[&<>"']/g, char => entities[char]);
+  },
+
   truncate(str, length, suffix = '...') {
     return str.length > length ? str.substring(0, length) + suffix : str;
   },
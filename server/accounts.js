@@ -0,0 +1,113 @@
+// ============================================
+// ACCOUNTS
+// User accounts and the one-time links emailed to them
+// ============================================
+
+'use strict';
+
+const { HttpError } = require('./errors');
+const { createToken, hashToken } = require('./tokens');
+const { checkPassword } = require('./passwords');
+const { EMAIL_PATTERN } = require('./applications');
+
+// What the signup form's "I am looking for..." choice means
+const INTERESTS = ['job', 'course', 'employer'];
+
+const LINK_TTL = {
+  'verify-email': 48 * 60 * 60 * 1000,
+  'reset-password': 60 * 60 * 1000
+};
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function toPublicUser(user) {
+  return {
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    interest: user.interest,
+    emailVerified: Boolean(user.emailVerifiedAt),
+    createdAt: user.createdAt
+  };
+}
+
+/**
+ * Check a signup form.
+ *
+ * @param {Object} input - { name, email, password, userType }
+ * @returns {{name: string, email: string, interest: string, role: string}}
+ * @throws {HttpError} 400 with per-field details
+ */
+function validateSignup(input) {
+  const errors = {};
+  const account = {
+    name: String(input.name || '').trim(),
+    email: normalizeEmail(input.email),
+    interest: input.userType
+  };
+
+  if (account.name.length < 2) errors.name = 'Enter your full name';
+  if (!EMAIL_PATTERN.test(account.email)) errors.email = 'Enter a valid email address';
+  if (!INTERESTS.includes(account.interest)) errors.userType = 'Tell us what you are looking for';
+
+  const passwordError = checkPassword(input.password);
+  if (passwordError) errors.password = passwordError;
+
+  if (Object.keys(errors).length > 0) {
+    throw HttpError.badRequest('Please check your details', errors);
+  }
+
+  return { ...account, role: account.interest === 'employer' ? 'employer' : 'job_seeker' };
+}
+
+/**
+ * Create a one-time link token (email verification, password reset).
+ * Only the latest token for each purpose works.
+ *
+ * @param {Store} store
+ * @param {Object} user
+ * @param {string} purpose - a key of LINK_TTL
+ * @returns {string} the token to put in the link; only its hash is stored
+ */
+function issueLinkToken(store, user, purpose) {
+  store.list('authTokens', item => item.userId === user.id && item.purpose === purpose)
+    .forEach(item => store.remove('authTokens', item.id));
+
+  const token = createToken(32);
+  store.insert('authTokens', {
+    userId: user.id,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + LINK_TTL[purpose]).toISOString()
+  });
+
+  return token;
+}
+
+// Use up a link token and return its user
+function consumeLinkToken(store, purpose, token) {
+  const tokenHash = hashToken(token);
+  const record = token && store.findOne('authTokens', item =>
+    item.purpose === purpose && item.tokenHash === tokenHash
+  );
+  const user = record && store.get('users', record.userId);
+
+  if (record) store.remove('authTokens', record.id);
+
+  if (!user || new Date(record.expiresAt) <= Date.now()) {
+    throw HttpError.badRequest('This link is invalid or has expired');
+  }
+
+  return user;
+}
+
+module.exports = {
+  normalizeEmail,
+  toPublicUser,
+  validateSignup,
+  issueLinkToken,
+  consumeLinkToken
+};
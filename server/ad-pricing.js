@@ -0,0 +1,88 @@
+// ============================================
+// AD PRICING
+// What advertising costs, from a price list the team can change without a
+// release (data/ad-pricing.json)
+// ============================================
+
+'use strict';
+
+const fs = require('fs');
+
+// Where each placement shows; the rest are run by the team off the site
+const ON_SITE_PLACEMENTS = ['banner-top', 'banner-middle', 'sidebar', 'directory', 'search'];
+
+/**
+ * Read and check the price list. A broken price list stops the server from
+ * starting rather than charging the wrong amount.
+ *
+ * @param {string} file
+ * @returns {Object} { currency, packages, durations, discounts }
+ */
+function loadAdPricing(file) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const problems = [];
+
+  Object.entries(config.packages || {}).forEach(([id, item]) => {
+    if (!item.name) problems.push(`${id} has no name`);
+    if (!item.placement) problems.push(`${id} has no placement`);
+    if (!(Number.isFinite(item.price) && item.price > 0)) problems.push(`${id} needs a price above 0`);
+  });
+  if (Object.keys(config.packages || {}).length === 0) problems.push('there are no packages');
+  if (!Array.isArray(config.durations) || !config.durations.every(weeks => Number.isInteger(weeks) && weeks > 0)) {
+    problems.push('durations must be whole numbers of weeks');
+  }
+  (config.discounts || []).forEach(({ minWeeks, rate }) => {
+    if (!Number.isInteger(minWeeks) || !(rate > 0 && rate < 1)) problems.push(`discount from ${minWeeks} weeks needs a rate between 0 and 1`);
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid ad price list ${file}: ${problems.join('; ')}`);
+  }
+  return { currency: config.currency || 'ETB', discounts: [], ...config };
+}
+
+/**
+ * @param {Object} pricing - from loadAdPricing()
+ * @returns {Object} { packages, durations, has, quote, toPublic }
+ */
+function createPriceEngine(pricing) {
+  // Highest threshold first, so the best discount that applies wins
+  const discounts = [...pricing.discounts].sort((a, b) => b.minWeeks - a.minWeeks);
+
+  return {
+    packages: pricing.packages,
+    durations: pricing.durations,
+
+    has(adPackage) {
+      return Object.hasOwn(pricing.packages, adPackage || '');
+    },
+
+    /**
+     * @param {string} adPackage
+     * @param {number} weeks
+     * @returns {{ adPackage: string, weeks: number, unitPrice: number, subtotal: number, discountRate: number, discount: number, total: number }}
+     */
+    quote(adPackage, weeks) {
+      const unitPrice = pricing.packages[adPackage].price;
+      const subtotal = unitPrice * weeks;
+      const discountRate = discounts.find(item => weeks >= item.minWeeks)?.rate || 0;
+      const total = Math.round(subtotal * (1 - discountRate));
+
+      return { adPackage, weeks, unitPrice, subtotal, discountRate, discount: subtotal - total, total };
+    },
+
+    // What the advertising form shows
+    toPublic() {
+      return {
+        currency: pricing.currency,
+        packages: Object.entries(pricing.packages).map(([id, { name, placement, price }]) => ({
+          id, name, placement, price, onSite: ON_SITE_PLACEMENTS.includes(placement)
+        })),
+        durations: pricing.durations,
+        discounts: discounts.map(({ minWeeks, rate }) => ({ minWeeks, rate }))
+      };
+    }
+  };
+}
+
+module.exports = { ON_SITE_PLACEMENTS, loadAdPricing, createPriceEngine };
@@ -0,0 +1,336 @@
+// ============================================
+// JOB ALERTS
+// Saved searches, the matcher that finds their new jobs, and delivery
+// ============================================
+
+'use strict';
+
+const { HttpError } = require('./errors');
+const { createToken, hashToken } = require('./tokens');
+const { parseJobFilters, matchesFilters } = require('./search/job-filters');
+const { DAY_MS } = require('./time');
+
+// How often each frequency looks for new jobs. Instant alerts go out on
+// every run of the alert runner.
+const FREQUENCIES = {
+  instant: 0,
+  daily: DAY_MS,
+  weekly: 7 * DAY_MS
+};
+
+const MAX_SAVED_SEARCHES = 20;
+const MAX_NAME_LENGTH = 80;
+
+// The most jobs one alert lists; the rest are counted
+const MAX_ALERT_JOBS = 10;
+
+// ============================================
+// SAVED SEARCHES
+// ============================================
+
+/**
+ * Check a saved search. Filters are the search page's, except "posted":
+ * alerts only ever report jobs posted since the last one.
+ *
+ * @param {Object} input - { name, q, filters, frequency, push, email, active }
+ * @param {Object} [current] - the saved search being changed; missing fields keep its values
+ * @returns {Object}
+ * @throws {HttpError} 400 with per-field details
+ */
+function validateSavedSearch(input, current = {}) {
+  const errors = {};
+  const q = String(input.q ?? current.q ?? '').trim().slice(0, 200);
+  const frequency = input.frequency ?? current.frequency ?? 'daily';
+
+  let filters = current.filters || {};
+  if (input.filters !== undefined) {
+    try {
+      const { posted, ...rest } = parseJobFilters(input.filters || {});
+      filters = rest;
+    } catch (error) {
+      errors.filters = Object.values(error.details || {}).join('; ') || error.message;
+    }
+  }
+
+  const name = String(input.name ?? current.name ?? '').trim() ||
+    q || (filters.category || []).join(', ') || 'All jobs';
+
+  if (name.length > MAX_NAME_LENGTH) {
+    errors.name = `Keep the name under ${MAX_NAME_LENGTH} characters`;
+  }
+  if (!Object.hasOwn(FREQUENCIES, frequency)) {
+    errors.frequency = 'Choose instant, daily or weekly';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw HttpError.badRequest('Please check your alert', errors);
+  }
+
+  return {
+    name,
+    q,
+    filters,
+    frequency,
+    push: Boolean(input.push ?? current.push ?? true),
+    // Digest emails, for daily and weekly alerts (see server/digest.js)
+    email: Boolean(input.email ?? current.email ?? false),
+    active: Boolean(input.active ?? current.active ?? true)
+  };
+}
+
+function createSavedSearch(store, userId, input) {
+  if (store.list('savedSearches', item => item.userId === userId).length >= MAX_SAVED_SEARCHES) {
+    throw HttpError.conflict(`You can have up to ${MAX_SAVED_SEARCHES} job alerts`);
+  }
+
+  // Jobs already posted are in the results the user just saw
+  return store.insert('savedSearches', {
+    userId,
+    ...validateSavedSearch(input),
+    checkedAt: new Date().toISOString(),
+    lastAlertAt: null
+  });
+}
+
+// Turning an alert back on doesn't report what was posted while it was off
+function updateSavedSearch(store, search, input) {
+  const fields = validateSavedSearch(input, search);
+  const resumed = fields.active && !search.active;
+
+  return store.update('savedSearches', search.id, {
+    ...fields,
+    ...(resumed && { checkedAt: new Date().toISOString() })
+  });
+}
+
+function toPublicSavedSearch(search) {
+  const { userId, ...fields } = search;
+  return fields;
+}
+
+// ============================================
+// MATCHER
+// ============================================
+
+function isDue(search, now) {
+  return search.active &&
+    now - new Date(search.checkedAt || search.createdAt) >= FREQUENCIES[search.frequency];
+}
+
+/**
+ * Open jobs matching a saved search that were posted in a time window,
+ * best matches first.
+ *
+ * @param {Object} jobSearch - from createJobSearch()
+ * @param {Object} search - saved search
+ * @param {Date} since - exclusive
+ * @param {Date} until - inclusive
+ * @returns {{ jobs: Array<Object>, total: number }}
+ */
+function findNewJobs(jobSearch, search, since, until) {
+  const isNew = job => {
+    const postedAt = new Date(job.postedAt);
+    return postedAt > since && postedAt <= until;
+  };
+
+  const { jobs, total } = jobSearch.search(search.q, {
+    perPage: MAX_ALERT_JOBS,
+    filter: job => isNew(job) && matchesFilters(job, search.filters || {}, { now: until.getTime() })
+  });
+
+  return { jobs, total };
+}
+
+// ============================================
+// DELIVERY
+// ============================================
+
+// The results page for a saved search
+function searchPath(search) {
+  const params = new URLSearchParams();
+  if (search.q) params.set('q', search.q);
+  Object.entries(search.filters || {}).forEach(([name, values]) => params.set(name, values.join(',')));
+  const query = params.toString();
+  return query ? `/jobs?${query}` : '/jobs';
+}
+
+// The page that shows an alert's jobs: the job itself, or the search
+function alertUrl(search, jobs, total) {
+  return total === 1 ? `/job/${jobs[0].id}` : searchPath(search);
+}
+
+/**
+ * Delivers alerts as Web Push notifications to every device the user
+ * subscribed. Each alert is recorded in `alertDeliveries`; the service worker
+ * reports clicks and dismissals back with the delivery's token.
+ *
+ * @param {Store} store
+ * @param {Object} push - from createPushClient()
+ * @param {Object} [options]
+ * @param {Object} [options.logger] - defaults to console
+ * @returns {function(Object): Promise<void>}
+ */
+function createPushChannel(store, push, { logger = console } = {}) {
+  return async ({ search, jobs, total }) => {
+    const subscriptions = store.list('pushSubscriptions', item => item.userId === search.userId);
+    if (!search.push || subscriptions.length === 0) return;
+
+    const token = createToken();
+    const delivery = store.insert('alertDeliveries', {
+      savedSearchId: search.id,
+      userId: search.userId,
+      channel: 'push',
+      jobIds: jobs.map(job => job.id),
+      total,
+      token: hashToken(token),
+      clickedAt: null,
+      action: null,
+      dismissedAt: null
+    });
+
+    const [job] = jobs;
+    const single = total === 1;
+    const url = alertUrl(search, jobs, total);
+    const message = {
+      title: single ? `New job: ${job.title}` : `${total} new jobs for "${search.name}"`,
+      body: single
+        ? `${job.company} · ${job.location}`
+        : jobs.slice(0, 3).map(item => `${item.title} at ${item.company}`).join('\n'),
+      tag: `alert-${search.id}`,
+      actions: single
+        ? [{ action: 'save', title: 'Save' }, { action: 'apply', title: 'Apply' }]
+        : [{ action: 'view', title: 'View jobs' }],
+      data: {
+        url,
+        type: 'job-alert',
+        ...(single && { jobId: job.id }),
+        deliveryId: delivery.id,
+        token
+      }
+    };
+
+    let sent = 0;
+    await Promise.all(subscriptions.map(async subscription => {
+      try {
+        await push.send(subscription, message, { topic: `alert-${search.id}` });
+        sent++;
+      } catch (error) {
+        if (error.gone) {
+          store.remove('pushSubscriptions', subscription.id);
+        } else {
+          logger.error(`[Alerts] Push to subscription ${subscription.id} failed:`, error.message);
+        }
+      }
+    }));
+
+    store.update('alertDeliveries', delivery.id, { sent });
+  };
+}
+
+// Record what the person did with a delivered alert
+const DELIVERY_EVENTS = {
+  click: action => ({ clickedAt: new Date().toISOString(), action: action || null }),
+  dismiss: () => ({ dismissedAt: new Date().toISOString() })
+};
+
+/**
+ * Runs saved searches on a timer and hands the new jobs to each delivery
+ * channel. Jobs going live also trigger a run soon after, so instant alerts
+ * don't wait for the timer.
+ *
+ * @param {Store} store
+ * @param {Object} jobSearch - from createJobSearch()
+ * @param {Object} options
+ * @param {Array<function(Object): Promise<void>>} options.channels - called with
+ *   { search, user, jobs, total } for every alert with new jobs; `user` is
+ *   null for searches without an account (see server/telegram.js)
+ * @param {number} [options.interval] - ms between runs
+ * @param {Object} [options.logger] - defaults to console
+ */
+function createAlertRunner(store, jobSearch, { channels, interval = 60 * 1000, logger = console }) {
+  let timer = null;
+  let soon = null;
+  let running = null;
+
+  // Concurrent calls share one run, so no alert goes out twice
+  function run(now = new Date()) {
+    if (!running) {
+      running = runDue(now).finally(() => {
+        running = null;
+      });
+    }
+    return running;
+  }
+
+  async function runDue(now) {
+    const due = store.list('savedSearches', search => isDue(search, now));
+    let alerts = 0;
+
+    for (const search of due) {
+      // Telegram subscriptions belong to a chat, not an account
+      const user = search.userId ? store.get('users', search.userId) : null;
+      if (search.userId && !user) continue;
+
+      const since = new Date(search.checkedAt || search.createdAt);
+      const { jobs, total } = findNewJobs(jobSearch, search, since, now);
+      store.update('savedSearches', search.id, {
+        checkedAt: now.toISOString(),
+        ...(total > 0 && { lastAlertAt: now.toISOString() })
+      });
+      if (total === 0) continue;
+
+      alerts++;
+      for (const channel of channels) {
+        try {
+          await channel({ search, user, jobs, total });
+        } catch (error) {
+          logger.error(`[Alerts] Could not deliver alert ${search.id}:`, error);
+        }
+      }
+    }
+
+    return { checked: due.length, alerts };
+  }
+
+  function onChange({ collection, item }) {
+    if (collection !== 'jobs' || item.status !== 'open' || soon) return;
+    soon = setTimeout(() => {
+      soon = null;
+      run().catch(error => logger.error('[Alerts] Run failed:', error));
+    }, 2000);
+    soon.unref();
+  }
+
+  return {
+    run,
+
+    start() {
+      if (timer) return;
+      timer = setInterval(() => run().catch(error => logger.error('[Alerts] Run failed:', error)), interval);
+      timer.unref();
+      store.on('change', onChange);
+    },
+
+    stop() {
+      clearInterval(timer);
+      clearTimeout(soon);
+      timer = null;
+      soon = null;
+      store.off('change', onChange);
+    }
+  };
+}
+
+module.exports = {
+  FREQUENCIES,
+  validateSavedSearch,
+  createSavedSearch,
+  updateSavedSearch,
+  toPublicSavedSearch,
+  findNewJobs,
+  searchPath,
+  alertUrl,
+  createPushChannel,
+  createAlertRunner,
+  DELIVERY_EVENTS
+};
@@ -0,0 +1,120 @@
+// ============================================
+// JOB APPLICATIONS
+// Validation, status history and the public view of an application
+// ============================================
+
+'use strict';
+
+const { HttpError } = require('./errors');
+const { normalizePhone } = require('./phones');
+
+// The order an application normally moves through. "rejected" can follow
+// any stage before "hired".
+const APPLICATION_STATUSES = ['submitted', 'viewed', 'shortlisted', 'rejected', 'hired'];
+
+const MAX_COVER_LETTER_LENGTH = 5000;
+const MAX_ANSWER_LENGTH = 2000;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function isAcceptingApplications(job, now = Date.now()) {
+  return job.status === 'open' && (!job.deadline || new Date(job.deadline).getTime() >= now);
+}
+
+function validateApplicant(applicant, errors) {
+  const name = String(applicant?.name || '').trim();
+  const email = String(applicant?.email || '').trim().toLowerCase();
+  const phone = String(applicant?.phone || '').replace(/[\s()-]/g, '');
+
+  if (name.length < 2) errors.name = 'Enter your full name';
+  if (!EMAIL_PATTERN.test(email)) errors.email = 'Enter a valid email address';
+  if (phone && !normalizePhone(phone)) errors.phone = 'Enter an Ethiopian mobile number, e.g. 0911 234 567';
+
+  return { name, email, ...(phone && { phone }) };
+}
+
+// Answers keyed by question id; required questions must be answered and
+// choice questions must use one of the offered options
+function validateAnswers(questions, answers, errors) {
+  const given = answers && typeof answers === 'object' ? answers : {};
+
+  return questions.map(question => {
+    const answer = String(given[question.id] ?? '').trim();
+
+    if (!answer) {
+      if (question.required) errors[`answers.${question.id}`] = 'This question is required';
+    } else if (question.type === 'yesno' && !['yes', 'no'].includes(answer)) {
+      errors[`answers.${question.id}`] = 'Answer yes or no';
+    } else if (question.type === 'choice' && !(question.options || []).includes(answer)) {
+      errors[`answers.${question.id}`] = 'Choose one of the options';
+    } else if (answer.length > MAX_ANSWER_LENGTH) {
+      errors[`answers.${question.id}`] = `Keep answers under ${MAX_ANSWER_LENGTH} characters`;
+    }
+
+    return { questionId: question.id, question: question.question, answer };
+  }).filter(({ answer }) => answer);
+}
+
+/**
+ * Check an application submitted for a job.
+ *
+ * @param {Object} job
+ * @param {Object} input - request body
+ * @returns {{applicant: Object, answers: Array<Object>, coverLetter: string}}
+ * @throws {HttpError} 400 with per-field details
+ */
+function validateApplication(job, input) {
+  const errors = {};
+
+  const applicant = validateApplicant(input.applicant, errors);
+  const answers = validateAnswers(job.screeningQuestions || [], input.answers, errors);
+  const coverLetter = String(input.coverLetter || '').trim();
+
+  if (coverLetter.length > MAX_COVER_LETTER_LENGTH) {
+    errors.coverLetter = `Keep the cover letter under ${MAX_COVER_LETTER_LENGTH} characters`;
+  }
+  if (!input.cvId) {
+    errors.cv = 'Choose or upload a CV';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw HttpError.badRequest('Please check your application', errors);
+  }
+
+  return { applicant, answers, coverLetter };
+}
+
+// Move an application to a new status, keeping a dated history for the
+// applicant's timeline
+function recordStatus(store, application, status, { note } = {}) {
+  if (!APPLICATION_STATUSES.includes(status)) {
+    throw HttpError.badRequest(`Unknown application status: ${status}`);
+  }
+
+  const history = [...(application.history || []), {
+    status,
+    at: new Date().toISOString(),
+    ...(note && { note })
+  }];
+
+  return store.update('applications', application.id, { status, history });
+}
+
+// What the applicant gets back; the access token is only returned on create
+function toPublicApplication(application, job) {
+  const { tokenHash, ...rest } = application;
+
+  return {
+    ...rest,
+    job: job ? { id: job.id, title: job.title, company: job.company, location: job.location } : null
+  };
+}
+
+module.exports = {
+  APPLICATION_STATUSES,
+  EMAIL_PATTERN,
+  isAcceptingApplications,
+  validateApplication,
+  recordStatus,
+  toPublicApplication
+};
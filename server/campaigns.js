@@ -0,0 +1,579 @@
+// ============================================
+// AD CAMPAIGNS
+// Self-serve advertising: a campaign is drafted, reviewed, paid for and
+// scheduled, and its targeting decides where it shows
+// ============================================
+
+'use strict';
+
+const { HttpError } = require('./errors');
+const { createToken, hashToken, tokensMatch, signToken, verifySignedToken } = require('./tokens');
+const { slugify } = require('./locations');
+const { companySlug } = require('./companies');
+const { EMAIL_PATTERN } = require('./applications');
+const { normalizePhone } = require('./phones');
+const { DAY_MS, WEEK_MS } = require('./time');
+
+// Stored statuses; scheduled campaigns show as running or ended by date
+// (see currentStatus)
+const CAMPAIGN_STATUSES = ['draft', 'pending-review', 'approved', 'scheduled', 'running', 'ended', 'rejected'];
+
+const PAYMENT_METHODS = ['telebirr', 'cbe', 'hellocash', 'amole', 'bank-transfer'];
+const TARGET_LOCATIONS = {
+  'addis-ababa': 'Addis Ababa',
+  'all-ethiopia': 'All Ethiopia',
+  remote: 'Remote'
+};
+const MAX_TARGET_CATEGORIES = 3;
+const MAX_START_DAYS = 180;
+const MAX_REASON_LENGTH = 500;
+const MAX_SERVED = 6;
+
+// How long a page has to report the ads it was served
+const IMPRESSION_TOKEN_TTL_MS = 10 * 60 * 1000;
+
+const CONTACT_FIELDS = ['companyName', 'companyEmail', 'companyPhone', 'companyWebsite', 'paymentMethod', 'billingContact', 'billingEmail'];
+const BOOKING_FIELDS = ['adPackage', 'adDuration'];
+const CREATIVE_FIELDS = ['adTitle', 'adDescription', 'adImageUrl', 'adDestinationUrl', 'adCallToAction'];
+const TARGETING_FIELDS = ['targetCategories', 'targetLocations'];
+const EDITABLE_FIELDS = [...CONTACT_FIELDS, ...BOOKING_FIELDS, 'startDate', ...CREATIVE_FIELDS, ...TARGETING_FIELDS];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function text(value, max) {
+  return String(value || '').trim().slice(0, max);
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Start dates are days in Addis Ababa (UTC+3)
+function startOfDay(date) {
+  return new Date(`${date}T00:00:00+03:00`);
+}
+
+function today(now) {
+  return new Date(now.getTime() + 3 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Check the fields of a campaign. Drafts only need the company name and
+ * email, but whatever they do include has to be valid.
+ *
+ * @param {Object} input - request body
+ * @param {Object} options
+ * @param {Object} options.pricing - from createPriceEngine()
+ * @param {string[]} options.categories - category slugs ads can target
+ * @param {boolean} [options.draft=false]
+ * @param {Object} [options.previous] - the stored campaign, whose start date may have passed since
+ * @param {Date} [options.now]
+ * @returns {Object} the fields to store
+ * @throws {HttpError} 400 with per-field details
+ */
+function validateCampaign(input, { pricing, categories, draft = false, previous = null, now = new Date() }) {
+  const errors = {};
+  const campaign = {
+    companyName: text(input.companyName, 120),
+    companyEmail: text(input.companyEmail, 200).toLowerCase(),
+    companyPhone: text(input.companyPhone, 20),
+    companyWebsite: text(input.companyWebsite, 300),
+    paymentMethod: input.paymentMethod || '',
+    billingContact: text(input.billingContact, 120),
+    billingEmail: text(input.billingEmail, 200).toLowerCase(),
+    adPackage: input.adPackage || '',
+    adDuration: Number(input.adDuration) || pricing.durations[0],
+    startDate: text(input.startDate, 10) || null,
+    adTitle: text(input.adTitle, 80),
+    adDescription: text(input.adDescription, 500),
+    adImageUrl: text(input.adImageUrl, 500),
+    adDestinationUrl: text(input.adDestinationUrl, 500),
+    adCallToAction: text(input.adCallToAction, 40),
+    targetCategories: Array.isArray(input.targetCategories) ? [...new Set(input.targetCategories)].filter(item => categories.includes(item)) : [],
+    targetLocations: Array.isArray(input.targetLocations) ? [...new Set(input.targetLocations)].filter(item => Object.hasOwn(TARGET_LOCATIONS, item)) : []
+  };
+  // Drafts may leave a field empty, not fill it in wrongly
+  const check = (field, valid, message) => {
+    if (!valid && !(draft && !campaign[field])) errors[field] = message;
+  };
+
+  if (campaign.companyName.length < 2) errors.companyName = 'Enter your company name';
+  if (!EMAIL_PATTERN.test(campaign.companyEmail)) errors.companyEmail = 'Enter a valid email address';
+  check('companyPhone', Boolean(normalizePhone(campaign.companyPhone, { landline: true })), 'Enter an Ethiopian phone number, e.g. 0911 234 567 or 011 551 2345');
+  if (campaign.companyWebsite && !isHttpUrl(campaign.companyWebsite)) errors.companyWebsite = 'Enter a full web address, starting with https://';
+  check('paymentMethod', PAYMENT_METHODS.includes(campaign.paymentMethod), 'Choose a payment method');
+  if (campaign.billingEmail && !EMAIL_PATTERN.test(campaign.billingEmail)) errors.billingEmail = 'Enter a valid billing email address';
+  check('adPackage', pricing.has(campaign.adPackage), 'Choose an advertising package');
+  if (!pricing.durations.includes(campaign.adDuration)) errors.adDuration = 'Choose how long the ad runs';
+  check('adTitle', Boolean(campaign.adTitle), 'Give your ad a title');
+  check('adDescription', Boolean(campaign.adDescription), 'Describe your ad');
+  if (campaign.adImageUrl && !isHttpUrl(campaign.adImageUrl)) errors.adImageUrl = 'Enter a full image address, starting with https://';
+  check('adDestinationUrl', isHttpUrl(campaign.adDestinationUrl), 'Enter the full address the ad links to');
+  check('adCallToAction', Boolean(campaign.adCallToAction), 'Choose a call to action');
+  if (campaign.targetCategories.length > MAX_TARGET_CATEGORIES) errors.targetCategories = `Choose up to ${MAX_TARGET_CATEGORIES} categories`;
+
+  if (campaign.startDate && campaign.startDate !== previous?.startDate) {
+    const days = (startOfDay(campaign.startDate).getTime() - now.getTime()) / DAY_MS;
+    if (!DATE_PATTERN.test(campaign.startDate) || isNaN(days)) errors.startDate = 'Enter a valid date';
+    else if (campaign.startDate < today(now)) errors.startDate = 'The start date can\'t be in the past';
+    else if (days > MAX_START_DAYS) errors.startDate = `The start date can be at most ${MAX_START_DAYS} days away`;
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw HttpError.badRequest('Please check your campaign', errors);
+  }
+  return campaign;
+}
+
+function editableFields(campaign) {
+  return Object.fromEntries(EDITABLE_FIELDS.map(field => [field, campaign[field]]));
+}
+
+function historyEntry(action, by, extra = {}, now = new Date()) {
+  return { action, at: now.toISOString(), by, ...extra };
+}
+
+function reviewer(admin) {
+  return { userId: admin.id, email: admin.email };
+}
+
+/**
+ * Where a campaign is in its lifecycle. Paid, approved campaigns are stored
+ * as scheduled and run between startsAt and endsAt; a paused campaign
+ * keeps running (its end moves when it resumes).
+ *
+ * @returns {string} one of CAMPAIGN_STATUSES
+ */
+function currentStatus(campaign, now = new Date()) {
+  if (campaign.status !== 'scheduled') return campaign.status;
+  if (now < new Date(campaign.startsAt)) return 'scheduled';
+  if (!campaign.pausedAt && now >= new Date(campaign.endsAt)) return 'ended';
+  return 'running';
+}
+
+function pendingInvoice(store, campaign) {
+  return store.findOne('invoices', invoice =>
+    invoice.kind === 'ad' && invoice.item.campaignId === campaign.id && invoice.status === 'pending'
+  );
+}
+
+function cancelPendingInvoices(store, campaign) {
+  store.list('invoices', invoice =>
+    invoice.kind === 'ad' && invoice.item.campaignId === campaign.id && invoice.status === 'pending'
+  ).forEach(invoice => store.update('invoices', invoice.id, { status: 'cancelled' }));
+}
+
+// Approved and paid: runs for the paid weeks from the start date, or now
+function schedule(campaign, now) {
+  const start = campaign.startDate ? startOfDay(campaign.startDate) : now;
+  const startsAt = new Date(Math.max(start.getTime(), now.getTime()));
+
+  return {
+    status: 'scheduled',
+    startsAt: startsAt.toISOString(),
+    endsAt: new Date(startsAt.getTime() + campaign.paidWeeks * WEEK_MS).toISOString()
+  };
+}
+
+/**
+ * Campaigns are managed with a token instead of a login, so businesses can
+ * advertise without an account. The token is only returned here.
+ *
+ * @returns {{ campaign: Object, token: string }}
+ */
+function createCampaign(store, details, { user = null, now = new Date() } = {}) {
+  const token = createToken();
+  const campaign = store.insert('campaigns', {
+    ...details,
+    userId: user?.id || null,
+    tokenHash: hashToken(token),
+    status: 'draft',
+    paidWeeks: 0,
+    startsAt: null,
+    endsAt: null,
+    pausedAt: null,
+    pendingCreative: null,
+    rejectionReason: null,
+    impressions: 0,
+    clicks: 0,
+    history: [historyEntry('created', user ? { userId: user.id } : null, {}, now)]
+  });
+
+  return { campaign, token };
+}
+
+// Unknown ids and wrong tokens look the same, so campaigns can't be probed.
+// Signed-in advertisers can also open their own campaigns without the token.
+function findCampaign(store, id, token, user = null) {
+  const campaign = store.get('campaigns', id);
+  const owner = Boolean(campaign && user && campaign.userId === user.id);
+
+  if (!campaign || (!owner && !tokensMatch(campaign.tokenHash, hashToken(token || '')))) {
+    throw HttpError.notFound('Campaign not found');
+  }
+  return campaign;
+}
+
+/**
+ * Change a campaign. What can change depends on how far it got:
+ * - draft, rejected: everything (the package and duration until paid)
+ * - pending review: the creative, targeting and start date
+ * - approved, scheduled, running: targeting straight away; a new creative
+ *   waits for review while the approved one keeps showing
+ * - ended: nothing
+ *
+ * @returns {Object} the campaign
+ * @throws {HttpError} 400 with per-field details, 409 for fields that are locked
+ */
+function updateCampaign(store, campaign, input, { pricing, categories, now = new Date() }) {
+  const status = currentStatus(campaign, now);
+  if (status === 'ended') throw HttpError.conflict('This campaign has ended; start a new one instead');
+
+  const open = ['draft', 'rejected'].includes(status);
+  const live = !open && status !== 'pending-review';
+  const allowed = [
+    ...(open ? CONTACT_FIELDS : []),
+    ...(open && campaign.paidWeeks === 0 ? BOOKING_FIELDS : []),
+    ...(status === 'approved' || !live ? ['startDate'] : []),
+    ...CREATIVE_FIELDS,
+    ...TARGETING_FIELDS
+  ];
+
+  const current = { ...editableFields(campaign), ...campaign.pendingCreative };
+  const changes = Object.fromEntries(EDITABLE_FIELDS
+    .filter(field => input[field] !== undefined)
+    .map(field => [field, input[field]]));
+
+  const locked = Object.keys(changes).filter(field =>
+    !allowed.includes(field) && JSON.stringify(changes[field]) !== JSON.stringify(current[field])
+  );
+  if (locked.length > 0) {
+    throw HttpError.conflict('Some details can\'t be changed at this stage', Object.fromEntries(locked.map(field => [
+      field,
+      BOOKING_FIELDS.includes(field) ? 'Extend the campaign to run it for longer' : 'This can\'t be changed at this stage'
+    ])));
+  }
+
+  const fields = validateCampaign({ ...current, ...changes }, { pricing, categories, draft: status === 'draft', previous: campaign, now });
+
+  if (!live) {
+    return store.update('campaigns', campaign.id, { ...fields, pendingCreative: null });
+  }
+
+  const creative = Object.fromEntries(CREATIVE_FIELDS.map(field => [field, fields[field]]));
+  const creativeChanged = CREATIVE_FIELDS.some(field => creative[field] !== campaign[field]);
+
+  return store.update('campaigns', campaign.id, {
+    ...Object.fromEntries(TARGETING_FIELDS.map(field => [field, fields[field]])),
+    startDate: fields.startDate,
+    pendingCreative: creativeChanged ? creative : null,
+    ...(creativeChanged && !campaign.pendingCreative && {
+      history: [...campaign.history, historyEntry('creative-submitted', null, {}, now)]
+    })
+  });
+}
+
+/**
+ * Send a campaign for review. It must be complete; the route raises the
+ * invoice for it.
+ *
+ * @throws {HttpError} 400 when incomplete, 409 unless it is a draft or was rejected
+ */
+function submitCampaign(store, campaign, { pricing, categories, now = new Date() }) {
+  if (!['draft', 'rejected'].includes(campaign.status)) {
+    throw HttpError.conflict('This campaign was already submitted');
+  }
+  validateCampaign(editableFields(campaign), { pricing, categories, previous: campaign, now });
+
+  return store.update('campaigns', campaign.id, {
+    status: 'pending-review',
+    rejectionReason: null,
+    submittedAt: now.toISOString(),
+    history: [...campaign.history, historyEntry('submitted', null, {}, now)]
+  });
+}
+
+/**
+ * Approve a campaign waiting for review, or the new creative of a live one.
+ * A paid campaign is scheduled straight away.
+ *
+ * @throws {HttpError} 409 when there is nothing to review
+ */
+function approveCampaign(store, campaign, admin, now = new Date()) {
+  if (campaign.status === 'pending-review') {
+    return store.update('campaigns', campaign.id, {
+      ...(campaign.paidWeeks > 0 ? schedule(campaign, now) : { status: 'approved' }),
+      approvedAt: now.toISOString(),
+      history: [...campaign.history, historyEntry('approved', reviewer(admin), {}, now)]
+    });
+  }
+  if (campaign.pendingCreative && currentStatus(campaign, now) !== 'ended') {
+    return store.update('campaigns', campaign.id, {
+      ...campaign.pendingCreative,
+      pendingCreative: null,
+      creativeRejectionReason: null,
+      history: [...campaign.history, historyEntry('creative-approved', reviewer(admin), {}, now)]
+    });
+  }
+  throw HttpError.conflict('This campaign has nothing waiting for review');
+}
+
+/**
+ * Turn down a campaign waiting for review (its unpaid invoice is cancelled,
+ * and the advertiser can fix it and submit again), or the new creative of a
+ * live one (the approved creative keeps showing).
+ *
+ * @throws {HttpError} 400 without a reason, 409 when there is nothing to review
+ */
+function rejectCampaign(store, campaign, admin, reason, now = new Date()) {
+  const text = String(reason || '').trim();
+  if (!text || text.length > MAX_REASON_LENGTH) {
+    throw HttpError.badRequest('Tell the advertiser what to change', {
+      reason: `Enter a reason of up to ${MAX_REASON_LENGTH} characters`
+    });
+  }
+
+  if (campaign.status === 'pending-review') {
+    cancelPendingInvoices(store, campaign);
+    return store.update('campaigns', campaign.id, {
+      status: 'rejected',
+      rejectionReason: text,
+      history: [...campaign.history, historyEntry('rejected', reviewer(admin), { reason: text }, now)]
+    });
+  }
+  if (campaign.pendingCreative) {
+    return store.update('campaigns', campaign.id, {
+      pendingCreative: null,
+      creativeRejectionReason: text,
+      history: [...campaign.history, historyEntry('creative-rejected', reviewer(admin), { reason: text }, now)]
+    });
+  }
+  throw HttpError.conflict('This campaign has nothing waiting for review');
+}
+
+/**
+ * Stop showing a running campaign. The paused time is added back to its
+ * end when it resumes, so no paid time is lost.
+ *
+ * @throws {HttpError} 409 unless it is running
+ */
+function pauseCampaign(store, campaign, now = new Date()) {
+  if (currentStatus(campaign, now) !== 'running') throw HttpError.conflict('Only running campaigns can be paused');
+  if (campaign.pausedAt) throw HttpError.conflict('This campaign is already paused');
+
+  return store.update('campaigns', campaign.id, {
+    pausedAt: now.toISOString(),
+    history: [...campaign.history, historyEntry('paused', null, {}, now)]
+  });
+}
+
+function resumeCampaign(store, campaign, now = new Date()) {
+  if (!campaign.pausedAt) throw HttpError.conflict('This campaign isn\'t paused');
+
+  const pausedFor = now.getTime() - new Date(campaign.pausedAt).getTime();
+  return store.update('campaigns', campaign.id, {
+    pausedAt: null,
+    endsAt: new Date(new Date(campaign.endsAt).getTime() + pausedFor).toISOString(),
+    history: [...campaign.history, historyEntry('resumed', null, {}, now)]
+  });
+}
+
+/**
+ * Check a request to run an approved campaign for longer. The route raises
+ * the invoice; the weeks are added when it is paid.
+ *
+ * @returns {number} the weeks to add
+ * @throws {HttpError} 400 for a duration that isn't offered, 409 when it can't be extended now
+ */
+function checkExtension(store, campaign, weeks, { pricing, now = new Date() }) {
+  if (!['approved', 'scheduled', 'running'].includes(currentStatus(campaign, now))) {
+    throw HttpError.conflict('Only approved campaigns that haven\'t ended can be extended');
+  }
+  if (pendingInvoice(store, campaign)) {
+    throw HttpError.conflict('Pay the open invoice for this campaign first');
+  }
+  const value = Number(weeks);
+  if (!pricing.durations.includes(value)) {
+    throw HttpError.badRequest('Choose how long to extend the campaign', { weeks: 'Choose one of the listed durations' });
+  }
+  return value;
+}
+
+/**
+ * What a paid ad invoice buys: its weeks are added to the campaign. An
+ * approved campaign is scheduled; a scheduled or running one runs longer
+ * (from now, if it ended while the invoice was open).
+ *
+ * @param {Store} store
+ * @param {Object} invoice - a paid ad invoice
+ * @param {Date} [now]
+ * @returns {Object} the campaign
+ */
+function addPaidWeeks(store, invoice, now = new Date()) {
+  const campaign = store.get('campaigns', invoice.item.campaignId);
+  if (!campaign) return null;
+
+  const { weeks } = invoice.item;
+  const paid = { ...campaign, paidWeeks: campaign.paidWeeks + weeks };
+  let changes = { paidWeeks: paid.paidWeeks };
+
+  if (campaign.status === 'approved') {
+    changes = { ...changes, ...schedule(paid, now) };
+  } else if (campaign.status === 'scheduled') {
+    const from = Math.max(new Date(campaign.endsAt).getTime(), campaign.pausedAt ? 0 : now.getTime());
+    changes.endsAt = new Date(from + weeks * WEEK_MS).toISOString();
+  }
+
+  return store.update('campaigns', campaign.id, {
+    ...changes,
+    history: [...campaign.history, historyEntry('paid', null, { invoiceId: invoice.id, weeks }, now)]
+  });
+}
+
+/**
+ * Does a campaign target where an ad is about to show? Untargeted campaigns
+ * show everywhere; targeted ones only where the page says what it is about.
+ *
+ * @param {Object} campaign
+ * @param {Object} context
+ * @param {string} [context.category] - category slug, e.g. "technology"
+ * @param {string} [context.location] - city or region value, or "remote"
+ * @returns {boolean}
+ */
+function matchesTargeting(campaign, { category, location } = {}) {
+  const categories = campaign.targetCategories || [];
+  const locations = campaign.targetLocations || [];
+
+  if (categories.length > 0 && !categories.includes(category)) return false;
+  if (locations.length === 0) return true;
+  if (!location) return false;
+
+  return locations.some(target => {
+    if (target === 'all-ethiopia') return location !== 'remote';
+    return target === location;
+  });
+}
+
+/**
+ * The running campaigns for a placement that target this page, least seen
+ * first so every campaign gets its share. Serving doesn't count anything:
+ * the page reports what it showed with recordImpressions().
+ *
+ * @param {Store} store
+ * @param {Object} options
+ * @param {Object} options.pricing - from createPriceEngine()
+ * @param {string} options.placement
+ * @param {string} [options.category]
+ * @param {string} [options.location]
+ * @param {number} [options.limit=1]
+ * @param {Date} [options.now]
+ * @returns {Object[]} ads, see toServedAd()
+ */
+function serveCampaigns(store, { pricing, placement, category, location, limit = 1, now = new Date() }) {
+  const context = { category: category && slugify(category), location: location && slugify(location) };
+
+  return store.list('campaigns', campaign =>
+    currentStatus(campaign, now) === 'running' &&
+    !campaign.pausedAt &&
+    pricing.packages[campaign.adPackage]?.placement === placement &&
+    matchesTargeting(campaign, context)
+  )
+    .sort((a, b) => a.impressions - b.impressions)
+    .slice(0, Math.min(Math.max(Number(limit) || 1, 1), MAX_SERVED))
+    .map(toServedAd);
+}
+
+// Signed with the ids of the ads served, so a page can only count ads it
+// was actually given, and only for a short while
+function createImpressionToken(ads, secret, now = new Date()) {
+  return signToken({
+    purpose: 'ad-impressions',
+    ids: ads.map(ad => ad.id),
+    expiresAt: now.getTime() + IMPRESSION_TOKEN_TTL_MS
+  }, secret);
+}
+
+/**
+ * Counts an impression for each ad a page showed. Only ids the impression
+ * token covers are counted, and not those of campaigns that aren't running;
+ * each id counts once per call.
+ *
+ * @param {Store} store
+ * @param {Array} ids - from the ads serveCampaigns() returned
+ * @param {Object} options
+ * @param {string} options.token - from createImpressionToken(), sent with the ads
+ * @param {string} options.secret
+ * @param {Date} [options.now]
+ * @returns {number} how many were counted
+ */
+function recordImpressions(store, ids, { token, secret, now = new Date() }) {
+  const payload = verifySignedToken(token, secret);
+  const covered = payload?.purpose === 'ad-impressions' && payload.expiresAt > now.getTime() && Array.isArray(payload.ids)
+    ? payload.ids
+    : [];
+
+  const campaigns = [...new Set(Array.isArray(ids) ? ids.slice(0, MAX_SERVED).map(Number) : [])]
+    .filter(id => covered.includes(id))
+    .map(id => store.get('campaigns', id))
+    .filter(campaign => campaign && currentStatus(campaign, now) === 'running' && !campaign.pausedAt);
+
+  campaigns.forEach(campaign => store.update('campaigns', campaign.id, { impressions: campaign.impressions + 1 }));
+  return campaigns.length;
+}
+
+function recordClick(store, campaign) {
+  return store.update('campaigns', campaign.id, { clicks: campaign.clicks + 1 });
+}
+
+// What a page needs to show an ad; clicks go through /api/campaigns/:id/click
+function toServedAd(campaign) {
+  return {
+    id: campaign.id,
+    companyName: campaign.companyName,
+    companySlug: companySlug(campaign.companyName),
+    adTitle: campaign.adTitle,
+    adDescription: campaign.adDescription,
+    adImageUrl: campaign.adImageUrl,
+    adCallToAction: campaign.adCallToAction
+  };
+}
+
+// What the advertiser sees; the token and reviewers stay private
+function toPublicCampaign({ tokenHash, history, ...campaign }, now = new Date()) {
+  return {
+    ...campaign,
+    status: currentStatus(campaign, now),
+    paused: Boolean(campaign.pausedAt),
+    history: history.map(({ by, ...entry }) => entry)
+  };
+}
+
+module.exports = {
+  CAMPAIGN_STATUSES,
+  PAYMENT_METHODS,
+  TARGET_LOCATIONS,
+  MAX_TARGET_CATEGORIES,
+  validateCampaign,
+  currentStatus,
+  pendingInvoice,
+  createCampaign,
+  findCampaign,
+  updateCampaign,
+  submitCampaign,
+  approveCampaign,
+  rejectCampaign,
+  pauseCampaign,
+  resumeCampaign,
+  checkExtension,
+  addPaidWeeks,
+  matchesTargeting,
+  serveCampaigns,
+  createImpressionToken,
+  recordImpressions,
+  recordClick,
+  toPublicCampaign
+};
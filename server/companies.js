@@ -0,0 +1,258 @@
+// ============================================
+// COMPANIES
+// Company pages: one per company name, found at /company/:slug. Pages are
+// made for every company that posts jobs or advertises. Only an admin can
+// give an employer account a company's page: until then the employer edits
+// a separate, unverified page of their own, which an admin verifies.
+// ============================================
+
+'use strict';
+
+const { HttpError } = require('./errors');
+const { slugify, findCity, placeLabel, isKnownLocation } = require('./locations');
+const { toList } = require('./employer-jobs');
+
+const COMPANY_SIZES = ['1-10', '11-50', '51-200', '201-500', '501-1000', '1000+'];
+
+const MAX_DESCRIPTION = 3000;
+const MAX_LOCATIONS = 10;
+const MAX_BENEFITS = 20;
+const MAX_BENEFIT_LENGTH = 100;
+
+const URL_PATTERN = /^https?:\/\/\S+$/i;
+
+// The same as StringUtils.slugify on the page. Names without Latin letters
+// have no slug, and so no page.
+function companySlug(name) {
+  return slugify(name || '') || null;
+}
+
+function findCompany(store, slug) {
+  return slug ? store.findOne('companies', company => company.slug === slug) : null;
+}
+
+// An employer's own page, waiting for an admin to verify it
+function isUnverifiedPage(company) {
+  return Boolean(company.employerId) && !company.verified;
+}
+
+// Jobs are tied to their company by name, like job.company. An unverified
+// page only shows its employer's own jobs.
+function companyJobs(store, company, filter = job => job.status === 'open') {
+  const slug = isUnverifiedPage(company) ? companySlug(company.name) : company.slug;
+  return store.list('jobs', job => filter(job) && companySlug(job.company) === slug &&
+    (!isUnverifiedPage(company) || job.employerId === company.employerId));
+}
+
+function newCompany(slug, name, fields = {}) {
+  return {
+    slug,
+    name: String(name).trim(),
+    logoUrl: '',
+    description: '',
+    industry: '',
+    size: '',
+    website: '',
+    locations: [],
+    benefits: [],
+    employerId: null,
+    verified: false,
+    ...fields
+  };
+}
+
+/**
+ * The company record for a name, made when there isn't one yet. Until an
+ * admin gives the page to an employer, blanks are filled in from `defaults`.
+ * Never gives the page to anyone.
+ *
+ * @param {Store} store
+ * @param {string} name
+ * @param {Object} [defaults] - fields for a new record, e.g. { industry, website }
+ * @returns {?Object} null when the name has no slug
+ */
+function ensureCompany(store, name, defaults = {}) {
+  const slug = companySlug(name);
+  if (!slug) return null;
+
+  const existing = findCompany(store, slug);
+  if (!existing) {
+    return store.insert('companies', newCompany(slug, name, defaults));
+  }
+  if (existing.employerId) return existing;
+
+  const blanks = Object.entries(defaults).filter(([field, value]) => value && !existing[field]);
+  return blanks.length > 0 ? store.update('companies', existing.id, Object.fromEntries(blanks)) : existing;
+}
+
+/**
+ * The page an employer edits: their company's page once an admin has given
+ * it to them, and otherwise an unverified page of their own, made here.
+ *
+ * @param {Store} store
+ * @param {Object} employer
+ * @returns {?Object} null when the company name has no slug
+ */
+function employerCompany(store, employer) {
+  const slug = companySlug(employer.company);
+  if (!slug) return null;
+
+  const own = store.findOne('companies', company => company.employerId === employer.id && company.verified) ||
+    store.findOne('companies', company => company.employerId === employer.id);
+  if (own) return own;
+
+  const ownSlug = findCompany(store, `${slug}-${employer.id}`) ? `${slug}-employer-${employer.id}` : `${slug}-${employer.id}`;
+  return store.insert('companies', newCompany(ownSlug, employer.company, { employerId: employer.id }));
+}
+
+/**
+ * Verify an employer's unverified page: it becomes the page for the
+ * company's name, managed by the employer, with what they wrote on it.
+ *
+ * @param {Store} store
+ * @param {Object} page - an unverified page
+ * @returns {Object} the company's page
+ * @throws {HttpError} 409 when another employer manages the company's page
+ */
+function verifyCompany(store, page) {
+  if (!isUnverifiedPage(page)) {
+    throw HttpError.conflict('This page is not waiting for verification');
+  }
+
+  const slug = companySlug(page.name);
+  const existing = findCompany(store, slug);
+  if (existing && existing.employerId && existing.employerId !== page.employerId) {
+    throw HttpError.conflict('Another employer account manages this company\'s page');
+  }
+
+  const { id, slug: ownSlug, createdAt, updatedAt, ...fields } = page;
+  const written = Object.fromEntries(Object.entries(fields).filter(([, value]) => Array.isArray(value) ? value.length > 0 : value));
+  store.remove('companies', page.id);
+
+  const verified = { ...written, verified: true };
+  return existing
+    ? store.update('companies', existing.id, verified)
+    : store.insert('companies', newCompany(slug, page.name, verified));
+}
+
+/**
+ * Check what an employer may change on their company page. The name is
+ * the employer account's.
+ *
+ * @param {Object} input - { logoUrl, description, industry, size, website, locations, benefits }
+ * @param {Object} options
+ * @param {string[]} options.industries - the job categories
+ * @throws {HttpError} 400 with per-field details
+ */
+function validateCompany(input, { industries }) {
+  const errors = {};
+  const company = {
+    logoUrl: String(input.logoUrl || '').trim(),
+    description: String(input.description || '').trim(),
+    industry: String(input.industry || '').trim(),
+    size: String(input.size || '').trim(),
+    website: String(input.website || '').trim(),
+    locations: [...new Set(toList(input.locations))],
+    benefits: [...new Set(toList(input.benefits))]
+  };
+
+  if (company.logoUrl && !URL_PATTERN.test(company.logoUrl)) errors.logoUrl = 'Enter the full address of your logo, starting with https://';
+  if (company.website && !URL_PATTERN.test(company.website)) errors.website = 'Enter the full address, starting with https://';
+  if (company.description.length > MAX_DESCRIPTION) errors.description = `Keep the description under ${MAX_DESCRIPTION} characters`;
+  if (company.industry && !industries.includes(company.industry)) errors.industry = 'Choose one of the listed industries';
+  if (company.size && !COMPANY_SIZES.includes(company.size)) errors.size = 'Choose a company size';
+
+  if (company.locations.some(value => !isKnownLocation(value))) {
+    errors.locations = 'Choose places from the list';
+  } else if (company.locations.length > MAX_LOCATIONS) {
+    errors.locations = `Choose up to ${MAX_LOCATIONS} places`;
+  }
+
+  if (company.benefits.length > MAX_BENEFITS) {
+    errors.benefits = `List up to ${MAX_BENEFITS} benefits`;
+  } else if (company.benefits.some(benefit => benefit.length > MAX_BENEFIT_LENGTH)) {
+    errors.benefits = `Keep each benefit under ${MAX_BENEFIT_LENGTH} characters`;
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw HttpError.badRequest('Please check your company details', errors);
+  }
+
+  return company;
+}
+
+// Where a company is: the places it lists, or else where its open jobs are
+function companyLocations(company, jobs) {
+  const places = company.locations.length > 0
+    ? company.locations
+    : jobs.map(job => findCity(job.location)?.value).filter(Boolean);
+
+  return [...new Set(places)].map(value => ({ value, label: placeLabel(value) }));
+}
+
+// The managing employer's logo stands in until the page has its own
+function companyLogo(store, company) {
+  return company.logoUrl || (company.employerId && store.get('employers', company.employerId)?.logoUrl) || '';
+}
+
+// A company in the directory
+function toCompanyCard(store, company, jobs = companyJobs(store, company)) {
+  return {
+    slug: company.slug,
+    name: company.name,
+    logoUrl: companyLogo(store, company),
+    industry: company.industry,
+    size: company.size,
+    unverified: isUnverifiedPage(company),
+    locations: companyLocations(company, jobs),
+    openJobs: jobs.length
+  };
+}
+
+// A company's page, with its open jobs, newest first
+function toCompanyPage(store, company) {
+  const jobs = companyJobs(store, company).sort((a, b) => new Date(b.postedAt) - new Date(a.postedAt));
+
+  return {
+    ...toCompanyCard(store, company, jobs),
+    description: company.description,
+    website: company.website,
+    benefits: company.benefits,
+    jobs
+  };
+}
+
+/**
+ * schema.org Organization for a company page
+ *
+ * @param {Object} company
+ * @param {Object} options
+ * @param {string} options.baseUrl - e.g. https://zewedjobs.com
+ */
+function toOrganization(company, { baseUrl }) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'Organization',
+    name: company.name,
+    url: `${baseUrl}/company/${company.slug}`,
+    ...(company.website && { sameAs: company.website }),
+    ...(company.logoUrl && { logo: company.logoUrl }),
+    ...(company.description && { description: company.description })
+  };
+}
+
+module.exports = {
+  COMPANY_SIZES,
+  companySlug,
+  findCompany,
+  isUnverifiedPage,
+  companyJobs,
+  ensureCompany,
+  employerCompany,
+  verifyCompany,
+  validateCompany,
+  companyLocations,
+  toCompanyCard,
+  toCompanyPage,
+  toOrganization
+};
@@ -0,0 +1,597 @@
+// ============================================
+// CV READER
+// Turns an uploaded PDF or Word CV into a resume for the resume builder:
+// contact details, work history, education, skills and languages. It goes
+// by layout and wording, so people check the result before it is saved.
+// ============================================
+
+'use strict';
+
+const { HttpError } = require('./errors');
+const { readZip } = require('./zip');
+const { extractPdfText } = require('./pdf-text');
+const { REGIONS } = require('./locations');
+const { validateResume } = require('./resumes');
+const { INSTITUTIONS, QUALIFICATIONS, DISTINCTIONS, TOOLS, SKILLS, LANGUAGES, normalize, createMatcher } = require('./cv-taxonomy');
+
+const MAX_ENTRIES = 15;
+const MAX_SKILLS = 40;
+
+// Formats that can be read, and the bytes every file of that format starts with
+const CV_FORMATS = {
+  'application/pdf': { extension: 'pdf', signature: Buffer.from('%PDF'), read: extractPdfText },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': {
+    extension: 'docx',
+    signature: Buffer.from([0x50, 0x4B, 0x03, 0x04]),
+    read: extractDocxText
+  }
+};
+
+// Section headings as CVs here write them, after lowercasing and dropping punctuation
+const SECTION_HEADINGS = {
+  summary: ['profile', 'summary', 'professional summary', 'career summary', 'personal profile', 'professional profile',
+    'objective', 'career objective', 'about me', 'አጭር መግለጫ'],
+  experience: ['experience', 'work experience', 'professional experience', 'working experience', 'employment history',
+    'employment', 'work history', 'career history', 'relevant experience', 'የሥራ ልምድ', 'የስራ ልምድ'],
+  education: ['education', 'educational background', 'academic background', 'academic qualification', 'academic qualifications',
+    'educational qualification', 'educational qualifications', 'education and training', 'qualifications', 'ትምህርት',
+    'የትምህርት ዝግጅት', 'የትምህርት ደረጃ'],
+  skills: ['skills', 'key skills', 'technical skills', 'computer skills', 'core competencies', 'competencies',
+    'skills and competencies', 'skills and abilities', 'professional skills', 'areas of expertise', 'expertise', 'ክህሎቶች', 'ክህሎት'],
+  languages: ['languages', 'language', 'language skills', 'language proficiency', 'ቋንቋዎች', 'ቋንቋ'],
+  references: ['references', 'reference', 'referees', 'ዋቢዎች'],
+  // Read for contact details only
+  other: ['personal information', 'personal details', 'personal data', 'contact', 'contact information', 'contact details',
+    'certifications', 'certificates', 'trainings', 'training', 'trainings and certificates', 'awards', 'achievements',
+    'hobbies', 'interests', 'projects', 'volunteer experience', 'volunteering', 'publications', 'declaration', 'activities']
+};
+
+const HEADING_SECTION = new Map();
+Object.entries(SECTION_HEADINGS).forEach(([section, headings]) => {
+  headings.forEach(heading => HEADING_SECTION.set(heading, section));
+});
+
+const BULLET = /^[•●▪■◦○►▶➢➤✓✔‣⁃*–-]\s*/;
+const EMAIL = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/;
+const PHONE = /(?:\+\s?251[\s-]?|\b251[\s-]?|\b0)\(?\d{2,3}\)?(?:[\s-]?\d){6,7}\b/;
+const INTERNATIONAL_PHONE = /\+\d[\d\s-]{8,16}\d/;
+const WEBSITE = /\b(?:https?:\/\/|www\.|linkedin\.com\/|github\.com\/)[^\s,;|]+/i;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_NAME = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const DATE = `(?:${MONTH_NAME},?\\s*\\d{4}|\\d{1,2}[/.-]\\d{4}|\\d{4}[/.-]\\d{1,2}(?!\\d)|(?:19|20)\\d{2})`;
+const OPEN_END = '(?:present|current|now|to date|date|ongoing|till now|እስካሁን)';
+const PERIOD = new RegExp(`(${DATE})\\s*(?:-|–|—|/|to|until|till|up to)\\s*(${DATE}|${OPEN_END})(\\s*E\\.?\\s?C\\.?(?!\\w))?`, 'i');
+const SINGLE_DATE = new RegExp(`(?:^|[\\s(,|])(${DATE})(\\s*E\\.?\\s?C\\.?(?!\\w))?(?=$|[\\s),.|])`, 'i');
+
+// Words that make a part of an entry's heading the employer or the job title
+const ORGANIZATION = /\b(plc|p\.l\.c|s\.c|share company|ltd|limited|inc|llc|bank|insurance|telecom|university|college|school|academy|institute|hospital|clinic|ministry|bureau|agency|authority|office|commission|corporation|enterprise|company|group|trading|industries|factory|ngo|foundation|organi[sz]ation|association|international|consult\w*|solutions|technologies|systems|services|airlines|hotel|federal|regional|city administration|unicef|undp|usaid|who)\b/i;
+const JOB_TITLE = /\b(manager|officer|engineer|developer|programmer|accountant|assistant|intern|specialist|analyst|director|coordinator|consultant|lecturer|teacher|nurse|doctor|pharmacist|technician|cashier|clerk|secretary|supervisor|head|lead|advisor|adviser|expert|auditor|designer|driver|administrator|representative|agent|associate|trainee|volunteer|instructor|researcher|economist|architect|surveyor|operator|controller|executive|president|founder|physician|midwife|receptionist|storekeeper|guard|mechanic|electrician)\b/i;
+const NAME_PREFIX = /^(?:mr|mrs|ms|miss|dr|prof|ato|w\/ro|w\/rt|eng|engr|sr)\.?\s+/i;
+
+const LEVEL_WORDS = [
+  ['native', /\b(native|mother tongue|first language)\b/i],
+  ['fluent', /\b(fluent(ly)?|excellent|proficient|very good|advanced|full professional)\b/i],
+  ['conversational', /\b(good|intermediate|conversational|working)\b/i],
+  ['basic', /\b(basic|beginner|elementary|limited|fair|poor)\b/i]
+];
+
+const CITIES = REGIONS.flatMap(region => region.cities.map(city => city.label)).sort((a, b) => b.length - a.length);
+const CITY = new RegExp(`\\b(${CITIES.join('|')})\\b`, 'i');
+
+// ---- Text ----
+
+function decodeXml(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, number) => String.fromCodePoint(Number(number)))
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * The paragraphs of a Word document, headers first. List paragraphs get a
+ * bullet, as they are numbered by Word rather than written out.
+ *
+ * @param {Buffer} buffer
+ * @returns {string[]}
+ */
+function extractDocxText(buffer) {
+  const zip = readZip(buffer);
+  const parts = [...zip.names.filter(name => /^word\/header\d*\.xml$/.test(name)).sort(), 'word/document.xml'];
+  const lines = [];
+
+  parts.forEach(name => {
+    const data = zip.read(name);
+    if (!data) return;
+
+    // Text boxes are saved twice, for new and old versions of Word
+    const xml = data.toString('utf8').replace(/<mc:Fallback>[\s\S]*?<\/mc:Fallback>/g, '');
+    const pattern = /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:tab\/>|<w:(?:br|cr)\b[^>]*\/>|<w:noBreakHyphen\/>|<w:numPr>|<\/w:p>/g;
+    let line = '';
+    let match;
+
+    while ((match = pattern.exec(xml))) {
+      const tag = match[0];
+      if (match[1] !== undefined) {
+        line += decodeXml(match[1]);
+      } else if (tag === '<w:tab/>') {
+        line += '\t';
+      } else if (tag === '<w:noBreakHyphen/>') {
+        line += '-';
+      } else if (tag === '<w:numPr>') {
+        line = `• ${line}`;
+      } else {
+        lines.push(line);
+        line = '';
+      }
+    }
+    if (line) lines.push(line);
+  });
+
+  return lines;
+}
+
+function toLine(text) {
+  const clean = String(text).replace(/[\u00A0\u2000-\u200B\u202F]/g, ' ').replace(/ {2,}/g, ' ').replace(/ ?\t[\t ]*/g, '\t').trim();
+  const bullet = BULLET.test(clean) && !/^-\d/.test(clean);
+  return { text: (bullet ? clean.replace(BULLET, '') : clean).trim(), bullet };
+}
+
+function titleCase(text) {
+  return text === text.toUpperCase() && /[A-Z]/.test(text)
+    ? text.toLowerCase().replace(/(^|[\s'-])\p{L}/gu, letter => letter.toUpperCase())
+    : text;
+}
+
+const institutions = createMatcher(INSTITUTIONS);
+const qualifications = createMatcher(QUALIFICATIONS);
+const tools = createMatcher(TOOLS, { minLength: 3 });
+const skillNames = createMatcher([...TOOLS, ...SKILLS]);
+const languages = createMatcher(LANGUAGES);
+
+// ---- Sections ----
+
+// { section, rest } when the line is a heading, e.g. "Skills: Excel, Word"
+function sectionHeading(text) {
+  const label = /^([^:]{2,40}):\s*(.*)$/.exec(text);
+  const candidates = [label && [label[1], label[2]], text.length <= 60 && [text, '']].filter(Boolean);
+
+  for (const [heading, rest] of candidates) {
+    const key = normalize(heading.replace(/^(?:\d+|[ivx]+)[.)]\s*/i, ''));
+    if (HEADING_SECTION.has(key)) return { section: HEADING_SECTION.get(key), rest: rest.trim() };
+  }
+  return null;
+}
+
+function splitSections(lines) {
+  const sections = { header: [], summary: [], experience: [], education: [], skills: [], languages: [], references: [], other: [] };
+  let current = 'header';
+
+  lines.forEach(line => {
+    const heading = line.bullet ? null : sectionHeading(line.text);
+    if (heading) {
+      current = heading.section;
+      if (heading.rest) sections[current].push(toLine(heading.rest));
+    } else {
+      sections[current].push(line);
+    }
+  });
+  return sections;
+}
+
+// ---- Dates ----
+
+// "Mar 2019", "03/2019", "2019-03" -> "2019-03"; a bare year is a guess
+function parseDate(text, { end = false, ethiopian = false } = {}) {
+  const value = text.trim().toLowerCase();
+  let year;
+  let month;
+
+  const named = new RegExp(`^(${MONTH_NAME}),?\\s*(\\d{4})$`, 'i').exec(value);
+  const monthFirst = /^(\d{1,2})[/.-](\d{4})$/.exec(value);
+  const yearFirst = /^(\d{4})[/.-](\d{1,2})$/.exec(value);
+  if (named) {
+    month = MONTHS.indexOf(named[1].slice(0, 3)) + 1;
+    year = Number(named[2]);
+  } else if (monthFirst) {
+    month = Number(monthFirst[1]);
+    year = Number(monthFirst[2]);
+  } else if (yearFirst) {
+    year = Number(yearFirst[1]);
+    month = Number(yearFirst[2]);
+  } else if (/^\d{4}$/.test(value)) {
+    year = Number(value);
+  } else {
+    return null;
+  }
+  if (month !== undefined && (month < 1 || month > 12)) return null;
+
+  // Ethiopian calendar years start in September, 7 or 8 years behind
+  if (ethiopian) year += 7;
+  const guessed = month === undefined || ethiopian;
+  return { month: `${year}-${String(month || (end ? 12 : 1)).padStart(2, '0')}`, guessed };
+}
+
+// The dates on a line and the text around them
+function findPeriod(text, { single = false } = {}) {
+  const range = PERIOD.exec(text);
+  if (range) {
+    const ethiopian = Boolean(range[3]);
+    const start = parseDate(range[1], { ethiopian });
+    const open = new RegExp(`^${OPEN_END}$`, 'i').test(range[2].trim());
+    const end = open ? null : parseDate(range[2], { end: true, ethiopian });
+    if (start && (open || end)) {
+      return { start, end, current: open, rest: cleanRest(text.replace(range[0], ' ')) };
+    }
+  }
+
+  const date = single && SINGLE_DATE.exec(text);
+  if (date) {
+    const end = parseDate(date[1], { end: true, ethiopian: Boolean(date[2]) });
+    if (end) return { start: null, end, current: false, rest: cleanRest(text.replace(date[1], ' ').replace(date[2] || '', ' ')) };
+  }
+  return null;
+}
+
+function cleanRest(text) {
+  return text.replace(/\(\s*\)/g, ' ').replace(/^[\s,|:–—-]+|[\s,|:–—(-]+$/g, '').replace(/[ ]{2,}/g, ' ').trim();
+}
+
+// ---- Entries ----
+
+function isHeaderLine(line) {
+  // Sentences are descriptions; "Awash Insurance S.C." is not one
+  return !line.bullet && line.text.length <= 100 && !(/[.;]$/.test(line.text) && line.text.split(/\s+/).length > 4);
+}
+
+/**
+ * Group a section's lines into entries around their dates. Whether the
+ * lines above a date belong to it is decided once per section, from the
+ * first entry: CVs lay out every entry the same way.
+ *
+ * @returns {Array<{ period: Object|null, header: string[], body: Object[] }>}
+ */
+function splitEntries(lines, { single = false } = {}) {
+  const periods = lines.map(line => (line.bullet ? null : findPeriod(line.text, { single })));
+  const dated = periods.map((period, index) => (period ? index : -1)).filter(index => index >= 0);
+  if (dated.length === 0) return [];
+
+  const first = dated[0];
+  const above = periods[first].rest ? 0 : Math.min(2, lines.slice(0, first).filter(isHeaderLine).length);
+
+  const starts = dated.map((index, position) => {
+    let start = index;
+    const floor = position === 0 ? 0 : dated[position - 1] + 1;
+    while (index - start < above && start - 1 >= floor && isHeaderLine(lines[start - 1])) start--;
+    return start;
+  });
+
+  return dated.map((index, position) => {
+    const end = position + 1 < starts.length ? starts[position + 1] : lines.length;
+    const header = lines.slice(starts[position], index).map(line => line.text);
+    if (periods[index].rest) header.push(periods[index].rest);
+
+    let next = index + 1;
+    const wanted = header.reduce((count, text) => count + text.split('\t').length, 0);
+    for (let taken = wanted; taken < 2 && next < end && isHeaderLine(lines[next]) && !periods[next]; taken++) {
+      header.push(lines[next++].text);
+    }
+    return { period: periods[index], header, body: lines.slice(next, end) };
+  });
+}
+
+// Wrapped lines of one bullet or sentence joined back together
+function paragraphs(lines) {
+  const result = [];
+  lines.forEach(line => {
+    const last = result[result.length - 1];
+    if (last !== undefined && !line.bullet && /^[a-z(]/.test(line.text) && !/[.:;]$/.test(last)) {
+      result[result.length - 1] = `${last} ${line.text}`;
+    } else {
+      result.push(line.text);
+    }
+  });
+  return result;
+}
+
+function headerParts(header) {
+  return header
+    .flatMap(text => text.split(/\t|\s+\|\s+|\s+[–—-]\s+|\s+at\s+|,\s+|\s+@\s+/))
+    .map(part => part.trim())
+    .filter(Boolean);
+}
+
+// Job title, employer and place from the parts of an entry's heading
+function describeJob(header) {
+  const parts = headerParts(header);
+  const job = { title: '', company: '', location: '' };
+
+  const places = parts.filter(part => CITY.test(part) && part.replace(CITY, '').replace(/ethiopia/i, '').trim().length < 3);
+  const rest = parts.filter(part => !places.includes(part) && !/^ethiopia$/i.test(part));
+  job.location = places.join(', ');
+
+  const title = rest.find(part => JOB_TITLE.test(part) && !ORGANIZATION.test(part)) || rest.find(part => JOB_TITLE.test(part));
+  const company = rest.find(part => part !== title && ORGANIZATION.test(part));
+  job.title = title || rest.find(part => part !== company) || '';
+  job.company = company || rest.find(part => part !== job.title) || '';
+  return job;
+}
+
+function readExperience(lines, review) {
+  return splitEntries(lines).slice(0, MAX_ENTRIES).map((entry, index) => {
+    const job = describeJob(entry.header);
+    const { start, end, current } = entry.period;
+    if (start?.guessed) review.push(`experience.${index}.startDate`);
+    if (end?.guessed) review.push(`experience.${index}.endDate`);
+
+    return {
+      ...job,
+      startDate: start?.month || '',
+      endDate: end && !current && (!start || end.month >= start.month) ? end.month : '',
+      current,
+      description: paragraphs(entry.body).join('\n')
+    };
+  });
+}
+
+function readGrade(text) {
+  const gpa = /\b(?:c?gpa|cumulative gpa|grade)\s*(?:of)?\s*[:=-]?\s*(\d(?:\.\d{1,2})?(?:\s*\/\s*\d(?:\.\d{1,2})?)?)/i.exec(text);
+  const distinction = DISTINCTIONS.find(name => new RegExp(`\\b${name}\\b`, 'i').test(text));
+  return [gpa && `CGPA ${gpa[1].replace(/\s+/g, '')}`, distinction].filter(Boolean).join(', ');
+}
+
+function describeEducation(lines) {
+  const text = lines.join('\n');
+  const school = institutions.find(text) ||
+    headerParts(lines).find(part => /\b(university|college|institute|school|academy|polytechnic)\b/i.test(part) && !qualifications.find(part)) || '';
+
+  const qualification = qualifications.find(text) || '';
+  let field = '';
+  if (qualification) {
+    const line = lines.find(item => qualifications.find(item) === qualification) || '';
+    const after = /\b(?:in|of)\s+([^,|\t(]+)/i.exec(line.replace(/^.*?\b(?:bachelor|master|doctor)\s+of\s+\w+/i, ''));
+    // Or the part after the degree: "BSc, Computer Science"
+    const parts = headerParts([line]);
+    const next = parts[parts.findIndex(part => qualifications.find(part) === qualification) + 1];
+    field = after ? after[1].trim() : next && !institutions.find(next) && !CITY.test(next) && !readGrade(next) && !/\d/.test(next) ? next : '';
+    if (school && normalize(field).includes(normalize(school))) field = '';
+  }
+
+  return { school, qualification, field: field.replace(/\s+(?:from|at)\s+.*$/i, '').slice(0, 120), grade: readGrade(text).slice(0, 60) };
+}
+
+function readEducation(lines, review) {
+  const dated = splitEntries(lines, { single: true });
+
+  if (dated.length > 0) {
+    return dated.slice(0, MAX_ENTRIES).map((entry, index) => {
+      const { start, end, current } = entry.period;
+      if (start?.guessed) review.push(`education.${index}.startDate`);
+      if (end?.guessed && !current) review.push(`education.${index}.endDate`);
+
+      return {
+        ...describeEducation([...entry.header, ...entry.body.map(line => line.text)]),
+        startDate: start?.month || '',
+        endDate: end && !current && (!start || end.month >= start.month) ? end.month : ''
+      };
+    });
+  }
+
+  // Undated: a new entry starts at a second school or qualification
+  const groups = [];
+  lines.forEach(line => {
+    const current = groups[groups.length - 1];
+    const hasSchool = Boolean(institutions.find(line.text));
+    const hasQualification = Boolean(qualifications.find(line.text));
+    if (!current || (hasSchool && current.school) || (hasQualification && current.qualification)) {
+      groups.push({ lines: [line.text], school: hasSchool, qualification: hasQualification });
+    } else {
+      current.lines.push(line.text);
+      current.school = current.school || hasSchool;
+      current.qualification = current.qualification || hasQualification;
+    }
+  });
+  return groups
+    .filter(group => group.school || group.qualification)
+    .slice(0, MAX_ENTRIES)
+    .map(group => ({ ...describeEducation(group.lines), startDate: '', endDate: '' }));
+}
+
+function readSkills(sections, allLines) {
+  const found = [];
+
+  sections.skills.forEach(line => {
+    const text = line.text.replace(/^[^:]{2,30}:\s*/, '');
+    text.split(/[,;|•·\t]|\s+[–—-]\s+/).map(item => item.trim().replace(/\.$/, '')).filter(Boolean).forEach(item => {
+      if (item.split(/\s+/).length <= 5 && item.length <= 60) {
+        found.push(skillNames.exact(item) || item);
+      } else {
+        found.push(...skillNames.findAll(item));
+      }
+    });
+  });
+
+  // Tools named anywhere, e.g. "Prepared reports in Peachtree"
+  found.push(...tools.findAll(allLines.map(line => line.text).join('\n')));
+
+  const seen = new Set();
+  return found.filter(skill => {
+    const key = skill.toLowerCase();
+    if (seen.has(key) || key.length < 1) return false;
+    seen.add(key);
+    return true;
+  }).slice(0, MAX_SKILLS);
+}
+
+function readLanguages(lines) {
+  const result = [];
+
+  lines.forEach(line => {
+    const items = line.text.split(/[,;|•·]/).map(item => item.trim()).filter(Boolean);
+    items.forEach(item => {
+      const name = languages.find(item) ||
+        (/^[\p{L}\s]{2,30}$/u.test(item.split(/[(:\t-]/)[0].trim()) && !LEVEL_WORDS.some(([, pattern]) => pattern.test(item.split(/[(:\t-]/)[0]))
+          ? titleCase(item.split(/[(:\t-]/)[0].trim())
+          : null);
+      if (!name || result.some(language => language.name === name)) return;
+
+      const level = LEVEL_WORDS.find(([, pattern]) => pattern.test(item))?.[0] || '';
+      result.push({ name, level });
+    });
+  });
+  return result.slice(0, MAX_ENTRIES);
+}
+
+function readReferences(lines) {
+  if (lines.some(line => /upon request|on request/i.test(line.text))) return [];
+
+  const references = [];
+  lines.forEach(({ text }) => {
+    const current = references[references.length - 1];
+    const email = EMAIL.exec(text)?.[0];
+    const phone = findPhone(text);
+    const plain = text.replace(/^\d+[.)]\s*/, '').replace(/^(?:name)\s*:\s*/i, '').trim();
+    const startsNew = !current || NAME_PREFIX.test(plain) || /^\d+[.)]\s/.test(text) ||
+      (!email && !phone && (current.phone || current.email) && looksLikeName(plain));
+
+    if (startsNew) {
+      references.push({ name: plain.replace(/[,;].*$/, '').slice(0, 120), position: '', company: '', phone: phone || '', email: email?.toLowerCase() || '' });
+      return;
+    }
+    if (email || phone) {
+      current.email = current.email || email?.toLowerCase() || '';
+      current.phone = current.phone || phone || '';
+      return;
+    }
+    const job = describeJob([plain]);
+    current.position = current.position || job.title;
+    current.company = current.company || (job.company !== job.title ? job.company : '');
+  });
+  return references.filter(reference => reference.name).slice(0, MAX_ENTRIES);
+}
+
+// ---- Contact details ----
+
+function findPhone(text) {
+  const local = PHONE.exec(text);
+  if (local) {
+    const digits = local[0].replace(/\D/g, '');
+    const national = digits.startsWith('251') ? digits.slice(3) : digits.replace(/^0/, '');
+    if (national.length === 9) return `+251${national}`;
+  }
+  const international = INTERNATIONAL_PHONE.exec(text);
+  return international ? international[0].replace(/[\s-]/g, '').slice(0, 20) : '';
+}
+
+function looksLikeName(text) {
+  const words = text.trim().split(/\s+/);
+  return words.length >= 2 && words.length <= 4 && text.length <= 60 &&
+    words.every(word => /^(\p{Script=Latin}[\p{Script=Latin}'.-]*|\p{Script=Ethiopic}+)$/u.test(word)) &&
+    !/curriculum|vitae|resume|\bcv\b/i.test(text) && !sectionHeading(text) && !JOB_TITLE.test(text) && !ORGANIZATION.test(text);
+}
+
+function readPersonal(sections, allLines) {
+  const text = allLines.map(line => line.text).join('\n');
+  const personal = { fullName: '', fullNameAmharic: '', headline: '', email: '', phone: '', location: '', website: '', summary: '' };
+
+  personal.email = EMAIL.exec(text)?.[0].toLowerCase() || '';
+  personal.phone = findPhone(text);
+
+  const website = allLines.map(line => WEBSITE.exec(line.text)?.[0]).find(url => url && !url.includes('@'));
+  if (website) {
+    const url = /^https?:\/\//i.test(website) ? website : `https://${website}`;
+    try {
+      personal.website = new URL(url).href.replace(/\/$/, '');
+    } catch (error) {
+      // Not an address after all
+    }
+  }
+
+  // "Name: ..." and "Address: ..." labels, wherever they are
+  allLines.forEach(({ text: line }) => {
+    const label = /^(full\s*name|name|address|location|city)\s*[:-]\s*(.+)$/i.exec(line);
+    if (!label) return;
+    if (/name/i.test(label[1]) && !personal.fullName && looksLikeName(label[2])) personal.fullName = titleCase(label[2].trim());
+    if (!/name/i.test(label[1]) && !personal.location) personal.location = CITY.exec(label[2])?.[1] || label[2].trim().slice(0, 120);
+  });
+
+  // The name, and a headline under it, are at the top
+  const top = sections.header.slice(0, 10);
+  const nameIndex = top.findIndex(line => looksLikeName(line.text.replace(NAME_PREFIX, '')) && /\p{Script=Latin}/u.test(line.text));
+  if (!personal.fullName && nameIndex >= 0) personal.fullName = titleCase(top[nameIndex].text.replace(NAME_PREFIX, '').trim());
+
+  const amharic = top.find(line => looksLikeName(line.text) && /^[\p{Script=Ethiopic}\s]+$/u.test(line.text));
+  if (amharic) personal.fullNameAmharic = amharic.text;
+
+  const headline = top.slice(nameIndex + 1).find(line =>
+    line.text.split(/\s+/).length <= 8 && !EMAIL.test(line.text) && !findPhone(line.text) && !WEBSITE.test(line.text) &&
+    !CITY.test(line.text) && line !== amharic && !/curriculum|vitae|resume/i.test(line.text));
+  if (headline && nameIndex >= 0) personal.headline = headline.text.replace(/\t/g, ' | ');
+
+  if (!personal.location) {
+    const place = [...sections.header, ...sections.other].map(line => CITY.exec(line.text)?.[1]).find(Boolean);
+    if (place) personal.location = CITIES.find(city => city.toLowerCase() === place.toLowerCase()) || place;
+  }
+
+  // Without a profile section, long lines at the top are one
+  const summary = sections.summary.length > 0 ? sections.summary : sections.header.filter(line => line.text.length > 100);
+  personal.summary = paragraphs(summary).join('\n').slice(0, 1500);
+
+  return personal;
+}
+
+/**
+ * Read a CV's text into a resume.
+ *
+ * @param {string[]} text - the CV's lines
+ * @returns {{ resume: Object, review: string[] }} review lists fields that are guesses,
+ *   such as a month for a date that only had a year: "experience.0.startDate"
+ */
+function parseCv(text) {
+  const lines = text.map(toLine).filter(line => line.text);
+  const sections = splitSections(lines);
+  const review = [];
+
+  const resume = validateResume({
+    template: 'classic',
+    personal: readPersonal(sections, lines),
+    experience: readExperience(sections.experience, review),
+    education: readEducation(sections.education, review),
+    skills: readSkills(sections, lines),
+    languages: readLanguages(sections.languages),
+    references: readReferences(sections.references)
+  });
+  delete resume.editedAt;
+
+  return { resume, review };
+}
+
+/**
+ * Read an uploaded CV file.
+ *
+ * @param {Buffer} buffer
+ * @param {string} type - its MIME type, one of CV_FORMATS
+ * @returns {{ resume: Object, review: string[] }}
+ * @throws {HttpError} 400 when the file isn't a readable CV
+ */
+function readCv(buffer, type) {
+  const format = CV_FORMATS[type];
+  if (!format) throw HttpError.badRequest('Upload your CV as a PDF or Word (.docx) document');
+  if (!buffer.subarray(0, format.signature.length).equals(format.signature)) {
+    throw HttpError.badRequest(`The file is not a valid ${format.extension.toUpperCase()} document`);
+  }
+
+  let text;
+  try {
+    text = format.read(buffer);
+  } catch (error) {
+    throw HttpError.badRequest('We couldn\'t read this file. Check that it opens on your device, or save it again and upload the new copy.');
+  }
+  if (!text.some(line => line.trim())) {
+    throw HttpError.badRequest('This file has no text we can read. If it is a scan or a photo, fill in the resume builder by hand.');
+  }
+  return parseCv(text);
+}
+
+module.exports = { CV_FORMATS, readCv, parseCv, extractDocxText };
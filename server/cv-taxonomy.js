@@ -0,0 +1,272 @@
+// ============================================
+// CV TAXONOMY
+// Names the CV reader and candidate matching recognize: Ethiopian
+// universities and colleges, degrees as they are written here, skills and
+// languages, and the matcher that finds them in text
+// ============================================
+
+'use strict';
+
+// Each entry is the name to show first, then other ways CVs write it.
+// Matching ignores case, dots and extra spaces, so "A.A.U" is "aau".
+const INSTITUTIONS = [
+  ['Addis Ababa University', 'AAU', 'Addis Abeba University'],
+  ['Addis Ababa Science and Technology University', 'AASTU'],
+  ['Adama Science and Technology University', 'ASTU', 'Adama University'],
+  ['Bahir Dar University', 'BDU', 'Bahirdar University'],
+  ['Jimma University', 'JU'],
+  ['Mekelle University', 'MU', 'Mekele University'],
+  ['Hawassa University', 'HU', 'Awassa University'],
+  ['University of Gondar', 'UoG', 'Gondar University'],
+  ['Haramaya University', 'HrU', 'Alemaya University'],
+  ['Arba Minch University', 'AMU', 'Arbaminch University'],
+  ['Dire Dawa University', 'DDU'],
+  ['Wollo University'],
+  ['Debre Markos University', 'DMU'],
+  ['Debre Berhan University', 'DBU', 'Debre Birhan University'],
+  ['Debre Tabor University'],
+  ['Wolaita Sodo University', 'WSU', 'Wolayta Sodo University'],
+  ['Ambo University'],
+  ['Dilla University'],
+  ['Jigjiga University'],
+  ['Aksum University', 'Axum University'],
+  ['Adigrat University'],
+  ['Samara University', 'Semera University'],
+  ['Madda Walabu University', 'Madawalabu University', 'Medawelabu University'],
+  ['Wollega University', 'Wallaga University'],
+  ['Arsi University'],
+  ['Bule Hora University'],
+  ['Mizan-Tepi University', 'Mizan Tepi University', 'MTU'],
+  ['Woldia University', 'Weldiya University'],
+  ['Wachemo University'],
+  ['Assosa University', 'Asosa University'],
+  ['Gambella University', 'Gambela University'],
+  ['Kotebe University of Education', 'Kotebe Metropolitan University', 'KMU'],
+  ['Ethiopian Civil Service University', 'ECSU'],
+  ['Defence University', 'Defense University'],
+  ['St. Mary\'s University', 'SMU', 'Saint Mary\'s University', 'St Marys University'],
+  ['Unity University', 'Unity University College'],
+  ['Admas University', 'Admas University College'],
+  ['Rift Valley University', 'Rift Valley University College'],
+  ['HiLCoE School of Computer Science and Technology', 'HiLCoE'],
+  ['Micro Link Information Technology College', 'Microlink College'],
+  ['Infolink University College', 'Infolink College'],
+  ['New Generation University College'],
+  ['CPU Business and Information Technology College', 'CPU College'],
+  ['Yardstick International College'],
+  ['Alpha University College', 'Alpha University'],
+  ['Addis Ababa Medical and Business College'],
+  ['St. Paul\'s Hospital Millennium Medical College', 'SPHMMC', 'St Paul Millennium Medical College'],
+  ['Tikur Anbessa Specialized Hospital'],
+  ['Ethiopian Management Institute', 'EMI'],
+  ['Addis Ababa Tegbare-id Polytechnic College', 'Tegbare-id Polytechnic College', 'Tegbareid'],
+  ['General Wingate Polytechnic College', 'General Wingate'],
+  ['Entoto Polytechnic College'],
+  ['Federal TVET Institute', 'Federal Technical and Vocational Education and Training Institute', 'FTVETI']
+];
+
+// Written as shown (first), matched as any of the rest
+const QUALIFICATIONS = [
+  ['PhD', 'Ph.D', 'Doctor of Philosophy', 'Doctorate'],
+  ['MD', 'Doctor of Medicine', 'Doctor of Medicine (MD)'],
+  ['DVM', 'Doctor of Veterinary Medicine'],
+  ['MBA', 'Master of Business Administration', 'EMBA', 'Executive MBA'],
+  ['MPH', 'Master of Public Health'],
+  ['LLM', 'LL.M', 'Master of Laws'],
+  ['MSc', 'M.Sc', 'MS', 'M.S', 'Master of Science'],
+  ['MA', 'M.A', 'Master of Arts'],
+  ['MEd', 'M.Ed', 'Master of Education'],
+  ['LLB', 'LL.B', 'Bachelor of Laws'],
+  ['BPharm', 'B.Pharm', 'Bachelor of Pharmacy'],
+  ['BSc', 'B.Sc', 'BS', 'B.S', 'Bachelor of Science'],
+  ['BA', 'B.A', 'Bachelor of Arts'],
+  ['BEd', 'B.Ed', 'Bachelor of Education'],
+  ['BBA', 'Bachelor of Business Administration'],
+  ['Bachelor\'s Degree', 'Bachelor Degree', 'Bachelors Degree', 'First Degree', 'Degree'],
+  ['Master\'s Degree', 'Masters Degree', 'Master Degree', 'Second Degree'],
+  ['Advanced Diploma'],
+  ['Diploma', 'College Diploma', '10+3', '12+2', '10+2'],
+  ['TVET Level V', 'Level V', 'Level 5'],
+  ['TVET Level IV', 'Level IV', 'Level 4'],
+  ['TVET Level III', 'Level III', 'Level 3'],
+  ['TVET Level II', 'Level II', 'Level 2'],
+  ['TVET Level I', 'Level I', 'Level 1'],
+  ['Certificate', 'Certificate of Competence', 'COC'],
+  ['Ethiopian School Leaving Certificate', 'ESSLCE', 'EHEECE', 'Grade 12', 'Preparatory School', 'High School']
+];
+
+// Ethiopian universities grade with these instead of, or with, a CGPA
+const DISTINCTIONS = ['Very Great Distinction', 'Great Distinction', 'Distinction', 'Very Good', 'Good', 'Satisfactory'];
+
+// Named software and standards: recognized anywhere in a CV, except names
+// of one or two letters like "R", which only count in the skills section
+const TOOLS = [
+  // Office and finance
+  ['Microsoft Excel', 'Excel', 'MS Excel'],
+  ['Microsoft Word', 'MS Word'],
+  ['Microsoft Office', 'MS Office', 'Office 365'],
+  ['PowerPoint', 'MS PowerPoint'],
+  ['Peachtree', 'Peachtree Accounting', 'Sage 50'],
+  ['QuickBooks'],
+  ['IFRS'],
+  ['IPSAS'],
+  ['SAP'],
+  ['Oracle Financials'],
+  ['Odoo'],
+  // Data and research
+  ['SPSS'],
+  ['STATA'],
+  ['R', 'R programming'],
+  ['Power BI', 'PowerBI'],
+  ['Tableau'],
+  ['KoboToolbox', 'Kobo Toolbox', 'Kobo Collect'],
+  ['ODK', 'Open Data Kit'],
+  ['DHIS2', 'DHIS 2'],
+  ['ArcGIS'],
+  ['QGIS'],
+  // Engineering
+  ['AutoCAD', 'Auto CAD'],
+  ['Revit'],
+  ['ArchiCAD'],
+  ['SAP2000'],
+  ['ETABS'],
+  ['MATLAB'],
+  ['SolidWorks'],
+  ['Primavera', 'Primavera P6'],
+  ['Microsoft Project', 'MS Project'],
+  // Software
+  ['JavaScript', 'JS'],
+  ['TypeScript'],
+  ['Node.js', 'NodeJS'],
+  ['React', 'ReactJS', 'React.js'],
+  ['Angular'],
+  ['Vue.js', 'Vue', 'VueJS'],
+  ['HTML'],
+  ['CSS'],
+  ['PHP'],
+  ['Laravel'],
+  ['Python'],
+  ['Django'],
+  ['Java'],
+  ['Spring Boot'],
+  ['Kotlin'],
+  ['Flutter'],
+  ['Dart'],
+  ['C#', 'C Sharp'],
+  ['.NET', 'ASP.NET', 'dotnet'],
+  ['C++'],
+  ['SQL'],
+  ['MySQL'],
+  ['PostgreSQL', 'Postgres'],
+  ['MongoDB'],
+  ['Oracle Database'],
+  ['Git', 'GitHub', 'GitLab'],
+  ['Docker'],
+  ['Linux'],
+  ['AWS', 'Amazon Web Services'],
+  ['CCNA'],
+  ['HMIS'],
+  ['Ethiopian Tax Law', 'Ethiopian tax']
+];
+
+// General skills: only recognized in a CV's skills section, as words like
+// "Sales" are as likely to be part of a job title
+const SKILLS = [
+  ['Payroll'],
+  ['Auditing', 'Internal Audit', 'External Audit'],
+  ['Budgeting'],
+  ['Financial Reporting'],
+  ['Bookkeeping'],
+  ['Data Analysis'],
+  ['Monitoring and Evaluation', 'M&E'],
+  ['Networking'],
+  ['Cybersecurity', 'Information Security'],
+  ['Patient Care'],
+  ['Nursing Care'],
+  ['Clinical Pharmacy'],
+  ['Laboratory Diagnosis', 'Medical Laboratory'],
+  ['First Aid'],
+  ['Customer Service'],
+  ['Sales'],
+  ['Digital Marketing'],
+  ['Social Media Marketing', 'Social Media'],
+  ['Procurement'],
+  ['Supply Chain Management', 'Supply Chain'],
+  ['Logistics'],
+  ['Inventory Management', 'Stock Management'],
+  ['Human Resource Management', 'HRM', 'HR Management'],
+  ['Project Management'],
+  ['Teaching'],
+  ['Report Writing'],
+  ['Proposal Writing', 'Grant Writing'],
+  ['Translation'],
+  ['Driving Licence', 'Driving License', 'Driver\'s License'],
+  ['Teamwork', 'Team work'],
+  ['Communication Skills', 'Communication'],
+  ['Leadership'],
+  ['Problem Solving']
+];
+
+const LANGUAGES = [
+  ['Amharic', 'Amharigna', 'አማርኛ'],
+  ['Afaan Oromo', 'Afan Oromo', 'Oromiffa', 'Oromifa', 'Oromigna', 'Oromo', 'Afaan Oromoo'],
+  ['Tigrinya', 'Tigrigna', 'ትግርኛ'],
+  ['Somali', 'Af-Soomaali'],
+  ['Sidaamu Afoo', 'Sidamigna', 'Sidama'],
+  ['Wolaytta', 'Wolaitta', 'Wolayita'],
+  ['Gurage', 'Guragigna'],
+  ['Afar', 'Qafar af'],
+  ['Hadiyya', 'Hadiyissa'],
+  ['Gamo'],
+  ['Harari'],
+  ['English'],
+  ['Arabic'],
+  ['French'],
+  ['Italian'],
+  ['German'],
+  ['Spanish'],
+  ['Chinese', 'Mandarin'],
+  ['Hindi'],
+  ['Swahili', 'Kiswahili']
+];
+
+// Lowercase words for comparing names: "A.A.U." -> "aau", "B.Sc." -> "bsc"
+function normalize(text) {
+  return String(text).toLowerCase().replace(/&/g, ' and ').replace(/\./g, '').replace(/[^\p{L}\p{N}+#\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Finds taxonomy names in text; each entry is [name, ...aliases]
+function createMatcher(entries, { minLength = 1 } = {}) {
+  const aliases = entries
+    .flatMap(([name, ...others]) => [name, ...others].map(alias => ({ name, key: normalize(alias) })))
+    .filter(alias => alias.key.length >= minLength)
+    .sort((a, b) => b.key.length - a.key.length);
+
+  return {
+    // The longest name in the text
+    find(text) {
+      const value = ` ${normalize(text)} `;
+      const alias = aliases.find(item => value.includes(` ${item.key} `));
+      return alias ? alias.name : null;
+    },
+    // Every name in the text
+    findAll(text) {
+      let value = ` ${normalize(text)} `;
+      const names = [];
+      aliases.forEach(item => {
+        if (value.includes(` ${item.key} `)) {
+          names.push(item.name);
+          value = value.split(` ${item.key} `).join('  ');
+        }
+      });
+      return names;
+    },
+    // The name for text that is exactly one of them
+    exact(text) {
+      const key = normalize(text);
+      return aliases.find(item => item.key === key)?.name || null;
+    }
+  };
+}
+
+module.exports = { INSTITUTIONS, QUALIFICATIONS, DISTINCTIONS, TOOLS, SKILLS, LANGUAGES, normalize, createMatcher };
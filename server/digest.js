@@ -0,0 +1,193 @@
+// ============================================
+// EMAIL DIGEST
+// Daily and weekly job alert emails: templates, unsubscribe links and delivery
+// ============================================
+
+'use strict';
+
+const { signToken, verifySignedToken } = require('./tokens');
+const { searchPath } = require('./alerts');
+const { escapeHtml } = require('./job-posting');
+
+const MAX_DESCRIPTION = 160;
+
+const PERIODS = {
+  daily: 'today',
+  weekly: 'this week'
+};
+
+// ============================================
+// UNSUBSCRIBE TOKENS
+// ============================================
+
+// Signed rather than stored, so links in old emails keep working and the
+// database holds nothing that could be replayed
+function createUnsubscribeToken(search, secret) {
+  return signToken({ purpose: 'alert-email', searchId: search.id, userId: search.userId }, secret);
+}
+
+// The saved search an unsubscribe link is for, or null
+function findUnsubscribeSearch(store, token, secret) {
+  const payload = verifySignedToken(token, secret);
+  if (payload?.purpose !== 'alert-email') return null;
+
+  const search = store.get('savedSearches', payload.searchId);
+  return search && search.userId === payload.userId ? search : null;
+}
+
+// ============================================
+// TEMPLATES
+// ============================================
+
+function summary(text) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > MAX_DESCRIPTION ? `${clean.slice(0, MAX_DESCRIPTION - 1).trimEnd()}…` : clean;
+}
+
+function jobFacts(job) {
+  return [job.company, job.location, job.salary].filter(Boolean).join(' · ');
+}
+
+/**
+ * Text and HTML versions of one saved search's digest.
+ *
+ * @param {Object} digest
+ * @param {Object} digest.user - { name }
+ * @param {Object} digest.search - the saved search
+ * @param {Array<Object>} digest.jobs - the best matches
+ * @param {number} digest.total - all new matches
+ * @param {Object} digest.links - absolute URLs: { job(id), search, manage, unsubscribe }
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+function renderDigest({ user, search, jobs, total, links }) {
+  const period = PERIODS[search.frequency] || 'recently';
+  const count = `${total} new ${total === 1 ? 'job' : 'jobs'}`;
+  const firstName = String(user.name || '').split(' ')[0] || 'there';
+  const more = total - jobs.length;
+
+  const subject = `${count} for "${search.name}" ${period}`;
+
+  const text = [
+    `Hi ${firstName},`,
+    '',
+    `${count} matched your alert "${search.name}" ${period}.`,
+    '',
+    ...jobs.flatMap(job => [
+      job.title,
+      jobFacts(job),
+      links.job(job.id),
+      ''
+    ]),
+    ...(more > 0 ? [`See ${more} more: ${links.search}`, ''] : []),
+    `Manage your alerts: ${links.manage}`,
+    `Stop these emails: ${links.unsubscribe}`
+  ].join('\n');
+
+  const jobRows = jobs.map(job => `
+        <tr>
+          <td style="padding: 16px 0; border-bottom: 1px solid #eee;">
+            <a href="${escapeHtml(links.job(job.id))}" style="font-size: 17px; font-weight: 600; color: #1a1a2e; text-decoration: none;">${escapeHtml(job.title)}</a>
+            <p style="margin: 4px 0; color: #555; font-size: 14px;">${escapeHtml(jobFacts(job))}</p>
+            ${job.description ? `<p style="margin: 4px 0; color: #777; font-size: 13px;">${escapeHtml(summary(job.description))}</p>` : ''}
+          </td>
+        </tr>`).join('');
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(subject)}</title>
+</head>
+<body style="margin: 0; padding: 0; background: #f5f5f5; font-family: Arial, Helvetica, sans-serif;">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background: #f5f5f5;">
+    <tr>
+      <td align="center" style="padding: 24px 12px;">
+        <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width: 600px; background: #ffffff; border-radius: 12px;">
+          <tr>
+            <td style="padding: 24px 28px; background: #ff0042; border-radius: 12px 12px 0 0; color: #ffffff; font-size: 22px; font-weight: 700;">ZewedJobs</td>
+          </tr>
+          <tr>
+            <td style="padding: 24px 28px 0;">
+              <p style="margin: 0 0 8px; font-size: 16px;">Hi ${escapeHtml(firstName)},</p>
+              <p style="margin: 0; font-size: 16px;">${escapeHtml(count)} matched your alert <strong>${escapeHtml(search.name)}</strong> ${escapeHtml(period)}.</p>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 8px 28px;">
+              <table role="presentation" width="100%" cellpadding="0" cellspacing="0">${jobRows}
+              </table>
+            </td>
+          </tr>
+          ${more > 0 ? `<tr>
+            <td style="padding: 8px 28px;">
+              <a href="${escapeHtml(links.search)}" style="display: inline-block; padding: 12px 20px; background: #ff0042; color: #ffffff; border-radius: 8px; text-decoration: none; font-weight: 600;">See ${more} more</a>
+            </td>
+          </tr>` : ''}
+          <tr>
+            <td style="padding: 24px 28px; color: #888; font-size: 12px;">
+              You get this email because you created the job alert "${escapeHtml(search.name)}" on ZewedJobs.<br>
+              <a href="${escapeHtml(links.manage)}" style="color: #888;">Manage your alerts</a> ·
+              <a href="${escapeHtml(links.unsubscribe)}" style="color: #888;">Stop these emails</a>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+`;
+
+  return { subject, text, html };
+}
+
+// ============================================
+// DELIVERY
+// ============================================
+
+/**
+ * Delivers daily and weekly alerts as digest emails to users who confirmed
+ * their address. Instant alerts are push only.
+ *
+ * @param {Store} store
+ * @param {Object} mailer - see server/mailer.js
+ * @param {Object} options
+ * @param {string} options.baseUrl - site origin for links, e.g. "https://zewedjobs.com"
+ * @param {string} options.secret - signs unsubscribe links
+ * @returns {function(Object): Promise<void>}
+ */
+function createEmailChannel(store, mailer, { baseUrl, secret }) {
+  return async ({ search, user, jobs, total }) => {
+    if (!search.email || !PERIODS[search.frequency] || !user.emailVerifiedAt) return;
+
+    const token = createUnsubscribeToken(search, secret);
+    const links = {
+      job: id => `${baseUrl}/job/${id}`,
+      search: `${baseUrl}${searchPath(search)}`,
+      manage: `${baseUrl}/alerts`,
+      unsubscribe: `${baseUrl}/alerts/unsubscribe?token=${token}`
+    };
+
+    await mailer.send({
+      to: user.email,
+      ...renderDigest({ user, search, jobs, total, links }),
+      // One-click unsubscribe from the mail client (RFC 8058)
+      headers: {
+        'List-Unsubscribe': `<${baseUrl}/api/alerts/unsubscribe?token=${token}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      }
+    });
+
+    store.insert('alertDeliveries', {
+      savedSearchId: search.id,
+      userId: search.userId,
+      channel: 'email',
+      jobIds: jobs.map(job => job.id),
+      total,
+      sent: 1
+    });
+  };
+}
+
+module.exports = { createUnsubscribeToken, findUnsubscribeSearch, renderDigest, createEmailChannel };
@@ -0,0 +1,95 @@
+// ============================================
+// EMPLOYER AUTH
+// Identifies the employer behind a request and what they may access
+// ============================================
+
+'use strict';
+
+const { HttpError } = require('./errors');
+const { hashToken, tokensMatch } = require('./tokens');
+const { currentPlan } = require('./plans');
+
+// Employers send the token they got at registration as a bearer token, or
+// are signed in to the user account the employer account belongs to
+function findRequestEmployer(store, req) {
+  const token = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  const tokenHash = token && hashToken(token);
+
+  return (token
+    ? store.findOne('employers', item => tokensMatch(item.tokenHash, tokenHash))
+    : req.user && store.findOne('employers', item => item.userId === req.user.id)) || null;
+}
+
+function requireEmployer(store) {
+  return (req, res, next) => {
+    // Several routers share this check; only the first one does the lookup
+    if (req.employer) return next();
+
+    const employer = findRequestEmployer(store, req);
+    if (!employer) {
+      return next(HttpError.unauthorized('Sign in as an employer to continue'));
+    }
+
+    req.employer = employer;
+    next();
+  };
+}
+
+// For routes that employers and others share, e.g. invoices
+function identifyEmployer(store) {
+  return (req, res, next) => {
+    if (req.employer === undefined) req.employer = findRequestEmployer(store, req);
+    next();
+  };
+}
+
+const ENTITLEMENT_NAMES = {
+  candidateSearch: 'candidate search',
+  candidateMatching: 'candidate matching',
+  analytics: 'analytics'
+};
+
+// Features that come with a plan (see PLANS in server/plans.js); use after requireEmployer
+function requireEntitlement(name) {
+  return (req, res, next) => {
+    const plan = currentPlan(req.employer);
+    if (!plan[name]) {
+      return next(HttpError.forbidden(
+        `Your ${plan.name} plan doesn't include ${ENTITLEMENT_NAMES[name]}. Upgrade to use it.`,
+        { entitlement: name, plan: plan.id }
+      ));
+    }
+    next();
+  };
+}
+
+// Other employers' jobs and applications are reported as missing, not
+// forbidden, so ids can't be probed
+function findEmployerJob(store, employer, id) {
+  const job = store.get('jobs', id);
+
+  if (!job || job.employerId !== employer.id) {
+    throw HttpError.notFound('Job not found');
+  }
+
+  return job;
+}
+
+function findEmployerApplication(store, employer, id) {
+  const application = store.get('applications', id);
+  const job = application && store.get('jobs', application.jobId);
+
+  if (!job || job.employerId !== employer.id) {
+    throw HttpError.notFound('Application not found');
+  }
+
+  return { application, job };
+}
+
+module.exports = {
+  requireEmployer,
+  identifyEmployer,
+  requireEntitlement,
+  findEmployerJob,
+  findEmployerApplication
+};
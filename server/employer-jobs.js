@@ -0,0 +1,205 @@
+// ============================================
+// EMPLOYER JOBS
+// Validation and lifecycle of the jobs employers post
+// ============================================
+
+'use strict';
+
+const { HttpError } = require('./errors');
+const { WORKPLACES } = require('./search/job-filters');
+const { slugify, placeLabel, isKnownLocation } = require('./locations');
+const { DAY_MS } = require('./time');
+
+const DEFAULT_DEADLINE_DAYS = 30;
+const MAX_DEADLINE_DAYS = 90;
+
+const JOB_TYPES = ['Full-time', 'Part-time', 'Contract', 'Internship', 'Temporary', 'Volunteer'];
+const QUESTION_TYPES = ['yesno', 'choice', 'text'];
+const LIST_FIELDS = ['requirements', 'benefits', 'skills'];
+
+// Which statuses a job can move to from each status. Closed jobs stay
+// closed; employers duplicate them to post again.
+const STATUS_TRANSITIONS = {
+  draft: ['open'],
+  open: ['paused', 'closed'],
+  paused: ['open', 'closed'],
+  closed: []
+};
+
+// Fields an employer edits; everything else is derived or managed here
+const EDITABLE_FIELDS = [
+  'title', 'category', 'location', 'workplace', 'type',
+  'experienceMin', 'experienceMax', 'salaryMin', 'salaryMax',
+  'description', 'requirements', 'benefits', 'skills', 'deadline', 'screeningQuestions'
+];
+
+const isBlank = value => value === undefined || value === null || String(value).trim() === '';
+
+function toNumber(value) {
+  return isBlank(value) ? undefined : Number(value);
+}
+
+// An array, or text with one item per line, as trimmed items without blanks
+function toList(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split('\n');
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+function formatBirr(amount) {
+  return amount.toLocaleString('en-US');
+}
+
+// "ETB 35,000 - 45,000", "ETB 50,000+" or "ETB 8,000", like the seed data
+function describeSalary(min, max) {
+  if (min === undefined && max === undefined) return 'Negotiable';
+  if (max === undefined) return `ETB ${formatBirr(min)}+`;
+  if (min === undefined || min === max) return `ETB ${formatBirr(max)}`;
+  return `ETB ${formatBirr(min)} - ${formatBirr(max)}`;
+}
+
+function describeExperience(min = 0, max = min) {
+  if (max <= 1) return 'Entry level';
+  if (min === max) return `${min} years`;
+  return `${min}-${max} years`;
+}
+
+function validateQuestions(questions, errors) {
+  if (!Array.isArray(questions)) return [];
+
+  return questions.map((question, index) => {
+    const text = String(question?.question || '').trim();
+    const type = QUESTION_TYPES.includes(question?.type) ? question.type : 'text';
+    const options = type === 'choice' ? toList(question.options) : undefined;
+
+    if (!text) {
+      errors[`screeningQuestions.${index}`] = 'Write the question or remove it';
+    } else if (type === 'choice' && options.length < 2) {
+      errors[`screeningQuestions.${index}`] = 'Give at least two options';
+    }
+
+    return {
+      id: String(question?.id || `q${index + 1}`).replace(/[^\w-]/g, '').slice(0, 40) || `q${index + 1}`,
+      question: text,
+      type,
+      ...(options && { options }),
+      required: Boolean(question?.required)
+    };
+  });
+}
+
+/**
+ * Check the editable fields of a job. Drafts may leave anything out, but
+ * whatever they do include has to be valid.
+ *
+ * @param {Object} input - request body
+ * @param {Object} options
+ * @param {string[]} options.categories - known category names
+ * @param {boolean} [options.draft=false]
+ * @returns {Object} the cleaned fields, with salary and experience text added
+ * @throws {HttpError} 400 with per-field details
+ */
+function validateJobInput(input, { categories, draft = false }) {
+  const errors = {};
+  const required = (field, message) => {
+    if (!draft && isBlank(input[field])) errors[field] = message;
+  };
+
+  const job = {
+    title: String(input.title || '').trim(),
+    category: String(input.category || '').trim(),
+    location: String(input.location || '').trim(),
+    workplace: input.workplace || 'onsite',
+    type: input.type || 'Full-time',
+    experienceMin: toNumber(input.experienceMin),
+    experienceMax: toNumber(input.experienceMax),
+    salaryMin: toNumber(input.salaryMin),
+    salaryMax: toNumber(input.salaryMax),
+    description: String(input.description || '').trim(),
+    deadline: isBlank(input.deadline) ? undefined : new Date(input.deadline)
+  };
+  LIST_FIELDS.forEach(field => {
+    job[field] = toList(input[field]);
+  });
+  job.screeningQuestions = validateQuestions(input.screeningQuestions, errors);
+
+  required('title', 'Give the job a title');
+  required('category', 'Choose a category');
+  required('location', 'Choose where the job is based');
+  required('description', 'Describe the role');
+
+  if (job.title.length > 120) errors.title = 'Keep the title under 120 characters';
+  if (job.category && !categories.includes(job.category)) errors.category = 'Choose one of the listed categories';
+  if (job.location && !isKnownLocation(slugify(job.location))) errors.location = 'Choose a place from the list';
+  if (!WORKPLACES.some(item => item.value === job.workplace)) errors.workplace = 'Choose on-site, remote or hybrid';
+  if (!JOB_TYPES.includes(job.type)) errors.type = 'Choose an employment type';
+  if (job.description && job.description.length < 50 && !draft) {
+    errors.description = 'Describe the role in at least 50 characters';
+  }
+
+  ['experienceMin', 'experienceMax', 'salaryMin', 'salaryMax'].forEach(field => {
+    if (job[field] !== undefined && !(Number.isInteger(job[field]) && job[field] >= 0)) {
+      errors[field] = 'Enter a whole number';
+    }
+  });
+  if (job.experienceMin > job.experienceMax) errors.experienceMax = 'Must be at least the minimum';
+  if (job.salaryMin > job.salaryMax) errors.salaryMax = 'Must be at least the minimum';
+
+  if (job.deadline !== undefined) {
+    const days = (job.deadline.getTime() - Date.now()) / DAY_MS;
+    if (isNaN(days)) errors.deadline = 'Enter a valid date';
+    else if (days < 0 && !draft) errors.deadline = 'The deadline must be in the future';
+    else if (days > MAX_DEADLINE_DAYS) errors.deadline = `The deadline can be at most ${MAX_DEADLINE_DAYS} days away`;
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw HttpError.badRequest('Please check the job details', errors);
+  }
+
+  return {
+    ...job,
+    // Stored as shown, e.g. "Bahir Dar", whatever the case it was sent in
+    location: job.location && placeLabel(slugify(job.location)),
+    deadline: job.deadline?.toISOString(),
+    salary: describeSalary(job.salaryMin, job.salaryMax),
+    experience: describeExperience(job.experienceMin, job.experienceMax)
+  };
+}
+
+function editableFields(job) {
+  return Object.fromEntries(EDITABLE_FIELDS.map(field => [field, job[field]]));
+}
+
+/**
+ * Fields to set when a job moves to a new status.
+ *
+ * @throws {HttpError} 409 when the move isn't allowed from the current status
+ */
+function transition(job, status, now = new Date()) {
+  if (!(STATUS_TRANSITIONS[job.status] || []).includes(status)) {
+    throw HttpError.conflict(`A ${job.status} job can't be ${status === 'open' ? 'published' : status}`);
+  }
+
+  const patch = { status };
+
+  if (status === 'open' && job.status === 'draft') {
+    patch.postedAt = now.toISOString();
+    if (!job.deadline) {
+      patch.deadline = new Date(now.getTime() + DEFAULT_DEADLINE_DAYS * DAY_MS).toISOString();
+    }
+  }
+  if (status === 'closed') {
+    patch.closedAt = now.toISOString();
+  }
+
+  return patch;
+}
+
+module.exports = {
+  JOB_TYPES,
+  STATUS_TRANSITIONS,
+  EDITABLE_FIELDS,
+  validateJobInput,
+  editableFields,
+  transition,
+  toList
+};
@@ -0,0 +1,51 @@
+// ============================================
+// HTTP ERRORS
+// Errors that carry a status code to the API error handler
+// ============================================
+
+'use strict';
+
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+
+  static badRequest(message, details) {
+    return new HttpError(400, message, details);
+  }
+
+  static unauthorized(message = 'Unauthorized') {
+    return new HttpError(401, message);
+  }
+
+  static forbidden(message = 'Forbidden', details) {
+    return new HttpError(403, message, details);
+  }
+
+  static notFound(message = 'Not found') {
+    return new HttpError(404, message);
+  }
+
+  static conflict(message, details) {
+    return new HttpError(409, message, details);
+  }
+
+  static tooManyRequests(message = 'Too many requests') {
+    return new HttpError(429, message);
+  }
+
+  // An outside service (e.g. a payment provider) failed; the message is shown
+  static badGateway(message = 'Bad gateway') {
+    return new HttpError(502, message);
+  }
+
+  // Something the server needs is not configured
+  static serviceUnavailable(message = 'Service unavailable') {
+    return new HttpError(503, message);
+  }
+}
+
+module.exports = { HttpError };
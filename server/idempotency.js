@@ -0,0 +1,97 @@
+// ============================================
+// IDEMPOTENCY
+// Replays the first response when a client retries a request with the same key
+// ============================================
+
+'use strict';
+
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+
+const KEY_TTL = 24 * 60 * 60 * 1000;
+const MAX_KEY_LENGTH = 200;
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Same key, different request: the client has a bug, not a retry
+function fingerprint(req) {
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.path} ${JSON.stringify(body)}`)
+    .digest('base64url');
+}
+
+function pruneExpired(store) {
+  const now = Date.now();
+  store.list('idempotencyKeys', item => new Date(item.expiresAt) <= now)
+    .forEach(item => store.remove('idempotencyKeys', item.id));
+}
+
+/**
+ * Writes sent with an `Idempotency-Key` header run once. Retries get the
+ * stored response back with `Idempotent-Replayed: true`; a retry that arrives
+ * while the first request is still running gets a 409. Server errors aren't
+ * stored, so those can be retried for real.
+ *
+ * @param {Store} store
+ * @param {Object} [options]
+ * @param {Array<string>} [options.skip] - path prefixes to leave alone, e.g. ones that set cookies
+ */
+function idempotency(store, { skip = [] } = {}) {
+  return (req, res, next) => {
+    const key = req.get('idempotency-key');
+    if (!key || !WRITE_METHODS.includes(req.method) || skip.some(prefix => req.path.startsWith(prefix))) {
+      return next();
+    }
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return next(HttpError.badRequest('Idempotency-Key is too long'));
+    }
+
+    // Keys are scoped to the signed-in user, so nobody can replay someone else's response
+    const userId = req.user ? req.user.id : null;
+    const print = fingerprint(req);
+    const existing = store.findOne('idempotencyKeys', item =>
+      item.key === key && item.userId === userId && new Date(item.expiresAt) > Date.now()
+    );
+
+    if (existing) {
+      if (existing.fingerprint !== print) {
+        return next(HttpError.badRequest('This Idempotency-Key was already used for a different request'));
+      }
+      if (existing.state === 'processing') {
+        res.set('Retry-After', '1');
+        return next(HttpError.conflict('A request with this Idempotency-Key is still being processed'));
+      }
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.statusCode).json(existing.body);
+    }
+
+    pruneExpired(store);
+    const record = store.insert('idempotencyKeys', {
+      key,
+      userId,
+      fingerprint: print,
+      state: 'processing',
+      expiresAt: new Date(Date.now() + KEY_TTL).toISOString()
+    });
+
+    const json = res.json.bind(res);
+    res.json = body => {
+      if (res.statusCode < 500) {
+        store.update('idempotencyKeys', record.id, { state: 'done', statusCode: res.statusCode, body });
+      }
+      return json(body);
+    };
+
+    // Responses that weren't JSON, or failed, can't be replayed; forget the key
+    res.on('finish', () => {
+      if (store.get('idempotencyKeys', record.id)?.state === 'processing') {
+        store.remove('idempotencyKeys', record.id);
+      }
+    });
+
+    next();
+  };
+}
+
+module.exports = { idempotency };
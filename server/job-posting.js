@@ -0,0 +1,121 @@
+// ============================================
+// JOBPOSTING STRUCTURED DATA
+// schema.org JobPosting JSON-LD for job search aggregators
+// ============================================
+
+'use strict';
+
+const { REGIONS, findCity } = require('./locations');
+
+const EMPLOYMENT_TYPES = {
+  'full-time': 'FULL_TIME',
+  'part-time': 'PART_TIME',
+  contract: 'CONTRACTOR',
+  internship: 'INTERN',
+  temporary: 'TEMPORARY',
+  volunteer: 'VOLUNTEER'
+};
+
+function escapeHtml(text) {
+  const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+  return String(text ?? '').replace(/[&<>"']/g, char => entities[char]);
+}
+
+// Aggregators expect the description as simple HTML
+function describe(job) {
+  const list = (heading, items) => (items && items.length > 0)
+    ? `<p><strong>${heading}</strong></p><ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`
+    : '';
+
+  return `<p>${escapeHtml(job.description)}</p>` +
+    list('Requirements', job.requirements) +
+    list('Benefits', job.benefits);
+}
+
+function describeLocation(job) {
+  const city = findCity(job.location);
+  const region = city && REGIONS.find(item => item.value === city.region);
+
+  return {
+    '@type': 'Place',
+    address: {
+      '@type': 'PostalAddress',
+      ...(city && { addressLocality: city.label }),
+      ...(region && region.label !== city.label && { addressRegion: region.label }),
+      addressCountry: 'ET'
+    }
+  };
+}
+
+function describeSalary(job) {
+  if (job.salaryMin === undefined && job.salaryMax === undefined) return undefined;
+
+  return {
+    '@type': 'MonetaryAmount',
+    currency: 'ETB',
+    value: {
+      '@type': 'QuantitativeValue',
+      ...(job.salaryMin !== undefined && { minValue: job.salaryMin }),
+      ...(job.salaryMax !== undefined && { maxValue: job.salaryMax }),
+      unitText: 'MONTH'
+    }
+  };
+}
+
+/**
+ * @param {Object} job - job record from the store
+ * @param {Object} options
+ * @param {string} options.baseUrl - site origin, e.g. "https://zewedjobs.com"
+ * @returns {Object} JSON-LD object
+ */
+function toJobPosting(job, { baseUrl }) {
+  const remote = job.workplace === 'remote';
+  const employmentType = EMPLOYMENT_TYPES[String(job.type || '').toLowerCase()];
+
+  const posting = {
+    '@context': 'https://schema.org/',
+    '@type': 'JobPosting',
+    title: job.title,
+    description: describe(job),
+    identifier: { '@type': 'PropertyValue', name: 'ZewedJobs', value: String(job.id) },
+    url: `${baseUrl}/job/${job.id}`,
+    datePosted: job.postedAt,
+    validThrough: job.deadline,
+    employmentType,
+    hiringOrganization: { '@type': 'Organization', name: job.company },
+    baseSalary: describeSalary(job),
+    skills: (job.skills || []).join(', ') || undefined,
+    directApply: true
+  };
+
+  // Remote jobs are open to applicants anywhere in Ethiopia
+  if (remote) {
+    posting.jobLocationType = 'TELECOMMUTE';
+    posting.applicantLocationRequirements = { '@type': 'Country', name: 'Ethiopia' };
+  } else {
+    posting.jobLocation = describeLocation(job);
+  }
+
+  if (job.experienceMin > 0) {
+    posting.experienceRequirements = {
+      '@type': 'OccupationalExperienceRequirements',
+      monthsOfExperience: job.experienceMin * 12
+    };
+  }
+
+  // Round-trip through JSON to drop optional fields that were left undefined
+  return JSON.parse(JSON.stringify(posting));
+}
+
+// Absolute site origin for links in structured data. PUBLIC_URL wins over the
+// request host so URLs stay canonical behind proxies.
+function siteUrl(req) {
+  return req.app.locals.publicUrl || `${req.protocol}://${req.get('host')}`;
+}
+
+// JSON-LD safe to place inside a <script> element
+function serializeJsonLd(data) {
+  return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+module.exports = { toJobPosting, serializeJsonLd, siteUrl, escapeHtml };
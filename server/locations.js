@@ -0,0 +1,68 @@
+// ============================================
+// ETHIOPIAN LOCATIONS
+// Regional states, chartered cities and their main towns
+// ============================================
+
+'use strict';
+
+const REGION_CITIES = [
+  ['Addis Ababa', ['Addis Ababa']],
+  ['Afar', ['Semera', 'Asaita', 'Awash', 'Logiya']],
+  ['Amhara', ['Bahir Dar', 'Gondar', 'Dessie', 'Debre Markos', 'Debre Birhan', 'Debre Tabor', 'Kombolcha', 'Woldia', 'Lalibela']],
+  ['Benishangul-Gumuz', ['Asosa', 'Gilgel Beles']],
+  ['Central Ethiopia', ['Hosaena', 'Butajira', 'Worabe', 'Welkite']],
+  ['Dire Dawa', ['Dire Dawa']],
+  ['Gambela', ['Gambela']],
+  ['Harari', ['Harar']],
+  ['Oromia', ['Adama', 'Jimma', 'Bishoftu', 'Shashemene', 'Nekemte', 'Ambo', 'Asella', 'Sebeta', 'Burayu', 'Holeta', 'Robe', 'Woliso', 'Metu', 'Negele Borana']],
+  ['Sidama', ['Hawassa', 'Yirgalem', 'Aleta Wendo']],
+  ['Somali', ['Jijiga', 'Gode', 'Degehabur', 'Kebri Dahar']],
+  ['South Ethiopia', ['Arba Minch', 'Wolaita Sodo', 'Dilla', 'Jinka', 'Konso', 'Sawla']],
+  ["South West Ethiopia Peoples'", ['Bonga', 'Mizan Teferi', 'Tepi', 'Tarcha']],
+  ['Tigray', ['Mekelle', 'Adigrat', 'Axum', 'Shire', 'Adwa', 'Humera', 'Alamata']]
+];
+
+// Same rules as StringUtils.slugify on the client
+function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^\w\s-]/g, '')
+    .replace(/[\s_-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+const REGIONS = REGION_CITIES.map(([name, cities]) => ({
+  value: slugify(name),
+  label: name,
+  cities: cities.map(city => ({ value: slugify(city), label: city }))
+}));
+
+const CITIES = new Map();
+REGIONS.forEach(region => {
+  region.cities.forEach(city => CITIES.set(city.value, { ...city, region: region.value }));
+});
+
+// City record for a free-text job location ("Addis Ababa", "adama"), or
+// null for places outside the list such as "Remote"
+function findCity(location) {
+  return CITIES.get(slugify(location || '')) || null;
+}
+
+// Does a job location fall within a city or region filter value? Chartered
+// cities (Addis Ababa, Dire Dawa) are both, with the same value.
+function locationMatches(location, value) {
+  const city = findCity(location);
+  return Boolean(city) && (city.value === value || city.region === value);
+}
+
+// "oromia" -> "Oromia", "adama" -> "Adama"
+function placeLabel(value) {
+  const region = REGIONS.find(item => item.value === value);
+  return region ? region.label : CITIES.get(value)?.label || value;
+}
+
+function isKnownLocation(value) {
+  return CITIES.has(value) || REGIONS.some(region => region.value === value);
+}
+
+module.exports = { REGIONS, slugify, findCity, locationMatches, placeLabel, isKnownLocation };
@@ -0,0 +1,304 @@
+// ============================================
+// CANDIDATE MATCHING
+// Scores how well a job seeker suits a job, on skills, experience, place
+// and way of working, salary, languages and job type, with a reason for
+// each. Used both ways: candidates for a job, and jobs for a job seeker.
+// ============================================
+
+'use strict';
+
+const { TOOLS, SKILLS, LANGUAGES, normalize, createMatcher } = require('./cv-taxonomy');
+const { DEFAULT_PROFILE, profileAccess } = require('./profiles');
+const { locationMatches, findCity } = require('./locations');
+const { isAcceptingApplications } = require('./applications');
+const { stem } = require('./search/stemmer');
+
+// How much each criterion counts. Criteria that don't apply, such as
+// salary on a job that doesn't state one, are left out of the score.
+const CRITERIA = {
+  skills: 40,
+  experience: 20,
+  location: 15,
+  salary: 10,
+  languages: 10,
+  jobType: 5
+};
+
+// Below this, or without a single shared skill, it isn't a match
+const MIN_SCORE = 40;
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+const skillNames = createMatcher([...TOOLS, ...SKILLS]);
+const tools = createMatcher(TOOLS, { minLength: 3 });
+const languageNames = createMatcher(LANGUAGES);
+
+// Every way of writing a taxonomy name, by the name shown
+const ALIASES = new Map([...TOOLS, ...SKILLS].map(([name, ...others]) => [name, [name, ...others]]));
+
+// Words reduced to their stems, so "Statistical analysis" contains "statistics"
+function stemmed(text) {
+  return normalize(text).split(' ').filter(Boolean).map(stem).join(' ');
+}
+
+function containsPhrase(text, phrase) {
+  return phrase.length > 0 && ` ${text} `.includes(` ${phrase} `);
+}
+
+// ---- What each side has ----
+
+// The skills a job asks for: its list, or software named in its requirements
+function requiredSkills(job) {
+  const listed = (job.skills || []).map(skill => skillNames.exact(skill) || skill.trim()).filter(Boolean);
+  const skills = listed.length > 0
+    ? listed
+    : tools.findAll([job.title, ...(job.requirements || []), job.description].join('\n'));
+  return [...new Set(skills)];
+}
+
+function requiredLanguages(job) {
+  return languageNames.findAll([job.title, ...(job.requirements || []), job.description].join('\n'));
+}
+
+// Whole years worked, counting overlapping jobs once
+function yearsOfExperience(resume, now = new Date()) {
+  const month = value => {
+    const match = /^(\d{4})-(\d{2})$/.exec(value || '');
+    return match ? Number(match[1]) * 12 + Number(match[2]) - 1 : null;
+  };
+  const current = now.getFullYear() * 12 + now.getMonth();
+
+  const periods = (resume?.experience || [])
+    .map(item => [month(item.startDate), item.current ? current : month(item.endDate)])
+    .filter(([start, end]) => start !== null && end !== null && end >= start)
+    .sort((a, b) => a[0] - b[0]);
+
+  let months = 0;
+  let reached = -Infinity;
+  periods.forEach(([start, end]) => {
+    const from = Math.max(start, reached);
+    if (end + 1 > from) months += end + 1 - from;
+    reached = Math.max(reached, end + 1);
+  });
+
+  return Math.floor(months / 12);
+}
+
+// The skills and the text a candidate's skills may be found in
+function candidateSkills(resume) {
+  const skills = (resume?.skills || []).map(skill => stemmed(skillNames.exact(skill) || skill));
+  const text = stemmed([
+    resume?.personal.headline,
+    resume?.personal.summary,
+    ...(resume?.experience || []).flatMap(item => [item.title, item.description])
+  ].filter(Boolean).join('\n'));
+
+  return { skills, text };
+}
+
+function hasSkill(candidate, skill) {
+  const keys = (ALIASES.get(skill) || [skill]).map(stemmed);
+
+  return keys.some(key =>
+    candidate.skills.some(have => containsPhrase(have, key)) ||
+    // One or two letters, like "R", are too easily a word of something else
+    (key.length >= 3 && containsPhrase(candidate.text, key)));
+}
+
+// ---- Criteria ----
+// Each returns { score from 0 to 1, text } or null when it doesn't apply
+
+function skillsMatch(job, candidate) {
+  const required = requiredSkills(job);
+  if (required.length === 0) return null;
+
+  const matched = required.filter(skill => hasSkill(candidate, skill));
+  return {
+    score: matched.length / required.length,
+    text: `${matched.length} of ${required.length} required skills`,
+    matched,
+    missing: required.filter(skill => !matched.includes(skill))
+  };
+}
+
+function experienceMatch(job, years) {
+  if (job.experienceMin === undefined && job.experienceMax === undefined) return null;
+
+  const min = job.experienceMin ?? 0;
+  const max = job.experienceMax ?? min;
+  const had = years === 0 ? 'Less than a year' : `${years} ${years === 1 ? 'year' : 'years'}`;
+  const wanted = job.experience || `${min}-${max} years`;
+
+  if (years < min) {
+    // A year short of a two-year minimum is closer than a year short of one
+    return { score: Math.max(0, 1 - (min - years) / Math.max(min, 2)), text: `${had} of experience, ${wanted} wanted` };
+  }
+  if (years > max + 3) {
+    return { score: 0.75, text: `${had} of experience, more than the ${wanted} wanted` };
+  }
+  return { score: 1, text: `${had} of experience, ${wanted} wanted` };
+}
+
+function locationMatch(job, profile) {
+  const { locations, workplaces } = profile;
+  if (locations.length === 0 && workplaces.length === 0) return null;
+
+  const workplace = { onsite: 'On-site', remote: 'Remote', hybrid: 'Hybrid' }[job.workplace] || 'On-site';
+  const suitsWorkplace = workplaces.length === 0 || workplaces.includes(job.workplace || 'onsite');
+
+  if (job.workplace === 'remote') {
+    return suitsWorkplace
+      ? { score: 1, text: 'Remote job' }
+      : { score: 0, text: 'Remote job, on-site work preferred' };
+  }
+
+  const place = findCity(job.location)?.label || job.location;
+  const suitsPlace = locations.length === 0 || locations.some(wanted => locationMatches(job.location, wanted));
+
+  if (suitsPlace && suitsWorkplace) return { score: 1, text: locations.length ? `${place} is a preferred place` : `${workplace} job` };
+  if (suitsPlace) return { score: 0.5, text: `${place} is a preferred place, but ${workplace.toLowerCase()} work isn't` };
+  return { score: 0, text: `${place} is not a preferred place` };
+}
+
+// The expected salary itself stays out of the text; only those allowed to
+// see the profile see the amount
+function salaryMatch(job, profile) {
+  if (profile.desiredSalary === null || (job.salaryMin === undefined && job.salaryMax === undefined)) return null;
+
+  const min = job.salaryMin ?? 0;
+  const max = job.salaryMax ?? Infinity;
+  const desired = profile.desiredSalary;
+
+  if (desired > max) {
+    const over = (desired - max) / max;
+    return { score: Math.max(0, 1 - over * 2), text: `Salary expectation ${Math.max(Math.round(over * 100), 1)}% above the range` };
+  }
+  return { score: 1, text: desired < min ? 'Salary expectation below the range' : 'Salary within range' };
+}
+
+function languagesMatch(job, resume) {
+  const required = requiredLanguages(job);
+  if (required.length === 0) return null;
+
+  const spoken = (resume?.languages || []).map(item => languageNames.exact(item.name) || item.name);
+  const matched = required.filter(language => spoken.includes(language));
+  return {
+    score: matched.length / required.length,
+    text: `${matched.length} of ${required.length} languages asked for`,
+    matched,
+    missing: required.filter(language => !matched.includes(language))
+  };
+}
+
+function jobTypeMatch(job, profile) {
+  if (profile.jobTypes.length === 0 || !job.type) return null;
+
+  return profile.jobTypes.includes(job.type)
+    ? { score: 1, text: `${job.type}, a preferred job type` }
+    : { score: 0, text: `${job.type}, not a preferred job type` };
+}
+
+/**
+ * How well a job seeker suits a job, with the reasons.
+ *
+ * @param {Object} job
+ * @param {Object} candidate - { profile, resume }; the profile may be missing
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {?{ score: number, reasons: Array<{ key: string, text: string, status: string, weight: number }> }}
+ *   null when it isn't a match: no shared skill, or too low a score
+ */
+function scoreMatch(job, { profile, resume }, { now = new Date() } = {}) {
+  const preferences = { ...DEFAULT_PROFILE, ...profile };
+  const results = {
+    skills: skillsMatch(job, candidateSkills(resume)),
+    experience: experienceMatch(job, yearsOfExperience(resume, now)),
+    location: locationMatch(job, preferences),
+    salary: salaryMatch(job, preferences),
+    languages: languagesMatch(job, resume),
+    jobType: jobTypeMatch(job, preferences)
+  };
+  if (!results.skills || results.skills.score === 0) return null;
+
+  const reasons = Object.entries(results)
+    .filter(([, result]) => result)
+    .map(([key, result]) => ({ key, ...result, weight: CRITERIA[key] }));
+
+  const weight = reasons.reduce((sum, reason) => sum + reason.weight, 0);
+  const score = Math.round(reasons.reduce((sum, reason) => sum + reason.score * reason.weight, 0) / weight * 100);
+  if (score < MIN_SCORE) return null;
+
+  return {
+    score,
+    reasons: reasons.map(({ score: part, ...reason }) => ({
+      ...reason,
+      status: part === 1 ? 'met' : part === 0 ? 'unmet' : 'partial'
+    }))
+  };
+}
+
+function pageOf(matches, { page, perPage }) {
+  const size = Math.min(Math.max(parseInt(perPage, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const totalPages = Math.max(Math.ceil(matches.length / size), 1);
+  const current = Math.min(Math.max(parseInt(page, 10) || 1, 1), totalPages);
+
+  return {
+    matches: matches.slice((current - 1) * size, current * size),
+    total: matches.length,
+    page: current,
+    perPage: size,
+    totalPages
+  };
+}
+
+const byScore = (a, b) => b.score - a.score;
+
+/**
+ * Job seekers who suit a job, best first. Only profiles the employer may
+ * see are considered.
+ *
+ * @returns {{ matches: Array<{ profile: Object, resume: Object, score: number, reasons: Array }>, total: number, page: number, perPage: number, totalPages: number }}
+ */
+function matchCandidates(store, job, employer, { page = 1, perPage = DEFAULT_LIMIT } = {}) {
+  const matches = store.list('profiles', profile => profileAccess(profile, { employer }).visible)
+    .map(profile => {
+      const resume = store.findOne('resumes', item => item.userId === profile.userId);
+      const match = resume && scoreMatch(job, { profile, resume });
+      return match && { profile, resume, ...match };
+    })
+    .filter(Boolean)
+    // Open to work first among equal scores
+    .sort((a, b) => byScore(a, b) || Number(b.profile.openToWork) - Number(a.profile.openToWork));
+
+  return pageOf(matches, { page, perPage });
+}
+
+/**
+ * Open jobs that suit a job seeker, best first, then newest.
+ *
+ * @param {Object} candidate - { profile, resume }
+ * @returns {{ matches: Array<{ job: Object, score: number, reasons: Array }>, total: number, page: number, perPage: number, totalPages: number }}
+ */
+function matchJobs(store, candidate, { page = 1, perPage = DEFAULT_LIMIT } = {}) {
+  const now = Date.now();
+  const matches = store.list('jobs', job => isAcceptingApplications(job, now))
+    .map(job => {
+      const match = scoreMatch(job, candidate);
+      return match && { job, ...match };
+    })
+    .filter(Boolean)
+    .sort((a, b) => byScore(a, b) || new Date(b.job.postedAt) - new Date(a.job.postedAt));
+
+  return pageOf(matches, { page, perPage });
+}
+
+module.exports = {
+  CRITERIA,
+  MIN_SCORE,
+  requiredSkills,
+  yearsOfExperience,
+  scoreMatch,
+  matchCandidates,
+  matchJobs
+};
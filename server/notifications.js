@@ -0,0 +1,45 @@
+// ============================================
+// NOTIFICATIONS
+// Messages for people without an account, delivered when their browser checks in
+// ============================================
+
+'use strict';
+
+// Recipients are addressed by what identifies them, e.g. "application:12"
+function recipientFor(type, id) {
+  return `${type}:${id}`;
+}
+
+/**
+ * @param {Store} store
+ * @param {string} recipient - see recipientFor()
+ * @param {Object} message
+ * @param {string} message.type - e.g. "application-status"
+ * @param {string} message.title
+ * @param {string} message.body
+ * @param {string} [message.url] - page to open from the notification
+ * @returns {Object} the stored notification
+ */
+function notify(store, recipient, { type, title, body, url, data }) {
+  return store.insert('notifications', {
+    recipient,
+    type,
+    title,
+    body,
+    ...(url && { url }),
+    ...(data && { data }),
+    deliveredAt: null
+  });
+}
+
+// Hand over everything not yet delivered to these recipients, oldest first.
+// Each notification is delivered once.
+function collectUndelivered(store, recipients) {
+  const wanted = new Set(recipients);
+  const deliveredAt = new Date().toISOString();
+
+  return store.list('notifications', item => wanted.has(item.recipient) && !item.deliveredAt)
+    .map(item => store.update('notifications', item.id, { deliveredAt }));
+}
+
+module.exports = { recipientFor, notify, collectUndelivered };
@@ -0,0 +1,45 @@
+// ============================================
+// PASSWORDS
+// Hashing and checking account passwords
+// ============================================
+
+'use strict';
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const KEY_LENGTH = 64;
+
+// Stored as "scrypt$<salt>$<hash>" so the scheme can change later without
+// breaking existing accounts
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('base64url');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString('base64url')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, expected] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) return false;
+
+  const hash = await scrypt(String(password), salt, KEY_LENGTH);
+  const wanted = Buffer.from(expected, 'base64url');
+  return wanted.length === hash.length && crypto.timingSafeEqual(wanted, hash);
+}
+
+// Returns an error message, or null when the password is acceptable
+function checkPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Use at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (password.length > MAX_PASSWORD_LENGTH) {
+    return `Use at most ${MAX_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+module.exports = { hashPassword, verifyPassword, checkPassword };
@@ -0,0 +1,131 @@
+// ============================================
+// CHECKOUT
+// Hands invoices to payment providers and applies what their webhooks report
+// ============================================
+
+'use strict';
+
+const { HttpError } = require('../errors');
+const { markInvoicePaid } = require('./invoices');
+
+// Amounts are compared in santim, so 2499 and "2499.00" are the same
+const santim = amount => Math.round(Number(amount) * 100);
+
+/**
+ * @param {Store} store
+ * @param {Object} providers - from createProviders()
+ * @param {Object} options
+ * @param {string} options.baseUrl - site origin for provider callbacks
+ * @param {Object} [options.logger] - defaults to console
+ */
+function createCheckout(store, providers, { baseUrl, logger = console }) {
+  function getProvider(id) {
+    const provider = Object.hasOwn(providers, id || '') && providers[id];
+    if (!provider) {
+      throw HttpError.badRequest('This payment method isn\'t available', { provider: 'Choose a payment method' });
+    }
+    return provider;
+  }
+
+  /**
+   * Start paying an invoice. Every attempt is its own payment, so a failed
+   * or abandoned one can be retried, with the same provider or another.
+   *
+   * @param {Object} invoice
+   * @param {Object} options
+   * @param {string} options.provider - provider id
+   * @param {string} [options.phone] - for providers that prompt the customer's phone
+   * @param {string} options.returnPath - where the provider sends the customer back, on this site
+   * @returns {Promise<Object>} the payment, with checkoutUrl or instructions
+   */
+  async function start(invoice, { provider: providerId, phone, returnPath }) {
+    if (invoice.status !== 'pending') {
+      throw HttpError.conflict(invoice.status === 'paid' ? 'This invoice is already paid' : 'This invoice was cancelled');
+    }
+
+    const provider = getProvider(providerId);
+    const payment = store.insert('payments', {
+      invoiceId: invoice.id,
+      provider: provider.id,
+      amount: invoice.amount,
+      currency: invoice.currency,
+      status: 'pending',
+      reference: null,
+      transactionId: null,
+      failureReason: null,
+      completedAt: null,
+      returnPath
+    });
+
+    try {
+      const checkout = await provider.createCheckout({
+        invoice,
+        payment,
+        phone,
+        returnUrl: `${baseUrl}${returnPath}`,
+        notifyUrl: `${baseUrl}/api/payments/webhooks/${provider.id}`
+      });
+      return store.update('payments', payment.id, checkout);
+    } catch (error) {
+      store.update('payments', payment.id, { status: 'failed', failureReason: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Apply a provider's report on a payment. Providers retry notifications,
+   * so a payment that already has an outcome keeps it.
+   *
+   * @param {Object} payment
+   * @param {Object} event - { status, amount, transactionId }
+   * @returns {Object} the payment
+   */
+  function applyEvent(payment, event, now = new Date()) {
+    if (payment.status !== 'pending' || event.status === 'pending') return payment;
+
+    if (event.status === 'succeeded' && santim(event.amount) !== santim(payment.amount)) {
+      logger.error(`[Payments] Payment ${payment.id} reported ETB ${event.amount}, expected ${payment.amount}`);
+      return store.update('payments', payment.id, {
+        status: 'failed',
+        failureReason: 'The amount paid doesn\'t match the invoice',
+        transactionId: event.transactionId,
+        completedAt: now.toISOString()
+      });
+    }
+
+    const updated = store.update('payments', payment.id, {
+      status: event.status,
+      transactionId: event.transactionId,
+      completedAt: now.toISOString(),
+      ...(event.status === 'failed' && { failureReason: 'The payment was declined or cancelled' })
+    });
+
+    if (event.status === 'succeeded') {
+      // A cancelled invoice that still got paid is honoured
+      markInvoicePaid(store, store.get('invoices', payment.invoiceId), updated, now);
+    }
+    return updated;
+  }
+
+  /**
+   * Verify and apply a webhook request.
+   *
+   * @param {string} providerId
+   * @param {Object} request - { headers, rawBody }
+   * @throws {HttpError} 401 for a bad signature, 404 for unknown payments
+   */
+  function handleWebhook(providerId, request) {
+    const provider = Object.hasOwn(providers, providerId) && providers[providerId];
+    if (!provider) throw HttpError.notFound('Unknown payment provider');
+
+    const event = provider.parseWebhook(request);
+    const payment = store.findOne('payments', item => item.provider === provider.id && item.reference === event.reference);
+    if (!payment) throw HttpError.notFound('Payment not found');
+
+    return applyEvent(payment, event);
+  }
+
+  return { start, applyEvent, handleWebhook };
+}
+
+module.exports = { createCheckout };
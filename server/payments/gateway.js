@@ -0,0 +1,132 @@
+// ============================================
+// PAYMENT GATEWAY ADAPTER
+// The merchant checkout flow the Ethiopian mobile money providers share
+// ============================================
+
+'use strict';
+
+const crypto = require('crypto');
+const { HttpError } = require('../errors');
+const { tokensMatch } = require('../tokens');
+const { normalizePhone } = require('../phones');
+
+// Providers name the outcome differently; anything else is still in progress
+const SUCCEEDED = ['success', 'succeeded', 'completed', 'paid', 'processed'];
+const FAILED = ['failed', 'failure', 'cancelled', 'canceled', 'expired', 'declined', 'rejected'];
+
+/**
+ * Every provider adapter has this shape, so checkout and webhooks don't
+ * depend on which provider a payment went through.
+ *
+ * @typedef {Object} PaymentProvider
+ * @property {string} id
+ * @property {string} name
+ * @property {boolean} requiresPhone - the customer approves the payment on their phone
+ * @property {function(Object): Promise<{ reference: string, checkoutUrl: ?string, instructions: ?string }>} createCheckout
+ *   called with { invoice, payment, phone, returnUrl, notifyUrl }
+ * @property {function(Object): { reference: string, status: string, amount: number, transactionId: ?string }} parseWebhook
+ *   called with { headers, rawBody }; status is succeeded, failed or pending
+ */
+
+function sign(body, secret) {
+  return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+function verifySignature(body, signature, secret) {
+  return Boolean(body) && tokensMatch(sign(body, secret), String(signature || '').toLowerCase());
+}
+
+function normalizeStatus(status) {
+  const value = String(status || '').toLowerCase();
+  if (SUCCEEDED.includes(value)) return 'succeeded';
+  if (FAILED.includes(value)) return 'failed';
+  return 'pending';
+}
+
+/**
+ * A provider whose merchant API works like this: we create an order with a
+ * signed server-to-server request; the customer pays on the provider's page
+ * or approves a prompt on their phone; the provider posts the outcome to our
+ * notify URL, signed with the same merchant key (HMAC-SHA256 of the body).
+ *
+ * @param {Object} options
+ * @param {string} options.id
+ * @param {string} options.name
+ * @param {string} options.apiUrl - the provider's merchant API
+ * @param {string} options.merchantId
+ * @param {string} options.secret - merchant key for signing both ways
+ * @param {string} options.signatureHeader - carries the signature both ways
+ * @param {boolean} [options.requiresPhone] - payments are approved on the customer's phone
+ * @param {function} [options.fetch] - defaults to the global fetch
+ * @returns {PaymentProvider}
+ */
+function createGatewayProvider({ id, name, apiUrl, merchantId, secret, signatureHeader, requiresPhone = false, fetch: fetchImpl = fetch }) {
+  return {
+    id,
+    name,
+    requiresPhone,
+
+    async createCheckout({ invoice, payment, phone, returnUrl, notifyUrl }) {
+      const msisdn = normalizePhone(phone);
+      if (requiresPhone && !msisdn) {
+        throw HttpError.badRequest(`Enter the phone number of your ${name} account`, {
+          phone: 'Enter an Ethiopian mobile number, e.g. 0911 234 567'
+        });
+      }
+
+      const order = {
+        merchantId,
+        orderId: `${invoice.number}-${payment.id}`,
+        amount: payment.amount.toFixed(2),
+        currency: payment.currency,
+        subject: invoice.description,
+        ...(msisdn && { msisdn }),
+        returnUrl,
+        notifyUrl,
+        timestamp: new Date().toISOString()
+      };
+      const body = JSON.stringify(order);
+
+      let response;
+      let result;
+      try {
+        response = await fetchImpl(`${apiUrl.replace(/\/$/, '')}/orders`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', [signatureHeader]: sign(body, secret) },
+          body
+        });
+        result = await response.json().catch(() => ({}));
+      } catch (error) {
+        throw HttpError.badGateway(`We couldn't reach ${name}. Please try again or choose another payment method.`);
+      }
+
+      if (!response.ok) {
+        throw HttpError.badGateway(`${name} couldn't start the payment${result.message ? `: ${result.message}` : ''}. Please try again or choose another payment method.`);
+      }
+
+      return {
+        reference: order.orderId,
+        checkoutUrl: result.checkoutUrl || null,
+        instructions: result.checkoutUrl
+          ? null
+          : `Approve the payment of ETB ${order.amount} in the ${name} prompt on your phone.`
+      };
+    },
+
+    parseWebhook({ headers, rawBody }) {
+      if (!verifySignature(rawBody, headers[signatureHeader.toLowerCase()], secret)) {
+        throw HttpError.unauthorized(`Invalid ${name} signature`);
+      }
+
+      const event = JSON.parse(rawBody);
+      return {
+        reference: String(event.orderId || ''),
+        status: normalizeStatus(event.status),
+        amount: Number(event.amount),
+        transactionId: event.transactionId ? String(event.transactionId) : null
+      };
+    }
+  };
+}
+
+module.exports = { createGatewayProvider, sign, verifySignature, normalizeStatus };
@@ -0,0 +1,103 @@
+// ============================================
+// INVOICE PDF
+// The downloadable tax invoice, with the VAT included in the total
+// ============================================
+
+'use strict';
+
+const { createPdf, wrapText } = require('../pdf');
+const { vatBreakdown } = require('./invoices');
+
+const BRAND = '#ff0042';
+const MUTED = '#666666';
+const LEFT = 50;
+const RIGHT = 545;
+
+const STATUS_LABELS = { pending: 'Awaiting payment', paid: 'Paid', cancelled: 'Cancelled' };
+
+// 2499 -> "2,499.00"
+function formatAmount(amount) {
+  return Number(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+const formatDate = value => new Date(value).toISOString().slice(0, 10);
+
+/**
+ * @param {Object} invoice
+ * @param {Object} options
+ * @param {Object} options.seller - { name, address, email, tin }
+ * @param {Object} [options.payment] - the payment that settled it
+ * @returns {Buffer}
+ */
+function renderInvoicePdf(invoice, { seller, payment = null }) {
+  const pdf = createPdf({ title: `Invoice ${invoice.number}` });
+  const vat = invoice.vat || vatBreakdown(invoice.amount);
+  const currency = invoice.currency;
+
+  // Seller and invoice details
+  pdf.text(seller.name, LEFT, 70, { size: 22, bold: true, color: BRAND });
+  pdf.text('TAX INVOICE', RIGHT, 70, { size: 16, bold: true, align: 'right' });
+
+  [seller.address, seller.email, seller.tin && `TIN ${seller.tin}`].filter(Boolean).forEach((line, index) => {
+    pdf.text(line, LEFT, 92 + index * 14, { color: MUTED });
+  });
+
+  [
+    ['Invoice number', invoice.number],
+    ['Date', formatDate(invoice.createdAt)],
+    ['Status', invoice.status === 'paid' ? `Paid ${formatDate(invoice.paidAt)}` : STATUS_LABELS[invoice.status] || invoice.status]
+  ].forEach(([label, value], index) => {
+    pdf.text(label, 400, 92 + index * 14, { color: MUTED });
+    pdf.text(value, RIGHT, 92 + index * 14, { bold: true, align: 'right' });
+  });
+
+  // Customer
+  const { customer } = invoice;
+  pdf.text('Billed to', LEFT, 165, { size: 9, bold: true, color: MUTED });
+  [customer.company, customer.name, customer.email, customer.phone, customer.tin && `TIN ${customer.tin}`]
+    .filter(Boolean)
+    .forEach((line, index) => pdf.text(line, LEFT, 181 + index * 14, { bold: index === 0 }));
+
+  // Line items: prices include VAT, so the line shows the amount before it
+  let top = 270;
+  pdf.rect(LEFT, top - 15, RIGHT - LEFT, 22);
+  pdf.text('Description', LEFT + 10, top, { bold: true });
+  pdf.text('Qty', 400, top, { bold: true, align: 'right' });
+  pdf.text(`Amount (${currency})`, RIGHT - 10, top, { bold: true, align: 'right' });
+
+  top += 25;
+  const lines = wrapText(invoice.description, 320, 10);
+  lines.forEach((line, index) => pdf.text(line, LEFT + 10, top + index * 14));
+  pdf.text('1', 400, top, { align: 'right' });
+  pdf.text(formatAmount(vat.net), RIGHT - 10, top, { align: 'right' });
+  top += lines.length * 14 + 6;
+  pdf.line(LEFT, top, RIGHT, top);
+
+  // Totals
+  top += 20;
+  [
+    ['Subtotal (before VAT)', formatAmount(vat.net)],
+    [`VAT (${Math.round(vat.rate * 100)}%)`, formatAmount(vat.amount)]
+  ].forEach(([label, value]) => {
+    pdf.text(label, 400, top, { color: MUTED, align: 'right' });
+    pdf.text(value, RIGHT - 10, top, { align: 'right' });
+    top += 16;
+  });
+  pdf.line(330, top - 8, RIGHT, top - 8);
+  pdf.text('Total', 400, top + 6, { size: 12, bold: true, align: 'right' });
+  pdf.text(`${currency} ${formatAmount(invoice.amount)}`, RIGHT - 10, top + 6, { size: 12, bold: true, color: BRAND, align: 'right' });
+
+  // Payment
+  top += 50;
+  if (invoice.status === 'paid' && payment) {
+    const reference = payment.transactionId || payment.reference;
+    pdf.text(`Paid on ${formatDate(invoice.paidAt)}${reference ? `, transaction ${reference}` : ''}.`, LEFT, top);
+    top += 16;
+  }
+  pdf.text(`All prices include VAT at ${Math.round(vat.rate * 100)}%. Amounts are in Ethiopian birr.`, LEFT, top, { color: MUTED });
+  pdf.text(`Questions about this invoice? Email ${seller.email}.`, LEFT, top + 14, { color: MUTED });
+
+  return pdf.toBuffer();
+}
+
+module.exports = { renderInvoicePdf };
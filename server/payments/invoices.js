@@ -0,0 +1,185 @@
+// ============================================
+// INVOICES
+// What someone owes for a plan or an ad, and what paying it activates
+// ============================================
+
+'use strict';
+
+const { HttpError } = require('../errors');
+const { createToken, hashToken, tokensMatch } = require('../tokens');
+const { PLANS, BILLING_PERIODS, planPrice } = require('../plans');
+const { activateSubscription, cancelPendingPlanInvoices } = require('../subscriptions');
+const { addPaidWeeks } = require('../campaigns');
+
+const CURRENCY = 'ETB';
+
+// Prices include Ethiopian VAT; invoices show how much of the total it is
+const VAT_RATE = 0.15;
+
+// What each kind of invoice activates once it is paid
+const PURCHASES = {
+  plan: (store, invoice, now) => {
+    activateSubscription(store, invoice, now);
+  },
+  ad: (store, invoice, now) => {
+    addPaidWeeks(store, invoice, now);
+  }
+};
+
+// The VAT included in a total, to the santim
+function vatBreakdown(amount) {
+  const net = Math.round((amount / (1 + VAT_RATE)) * 100) / 100;
+  return { rate: VAT_RATE, net, amount: Math.round((amount - net) * 100) / 100 };
+}
+
+// "ZJ-2026-000042"
+function invoiceNumber(invoice) {
+  return `ZJ-${new Date(invoice.createdAt).getFullYear()}-${String(invoice.id).padStart(6, '0')}`;
+}
+
+/**
+ * Invoices are opened with a token instead of a login, so people who
+ * advertise without an account can pay too. The token is only returned here.
+ *
+ * @returns {{ invoice: Object, token: string }}
+ */
+function createInvoice(store, { kind, item, description, amount, customer, employerId = null, userId = null }) {
+  const token = createToken();
+  const invoice = store.insert('invoices', {
+    kind,
+    item,
+    description,
+    amount,
+    currency: CURRENCY,
+    vat: vatBreakdown(amount),
+    customer,
+    employerId,
+    userId,
+    status: 'pending',
+    tokenHash: hashToken(token),
+    paidAt: null,
+    paymentId: null
+  });
+
+  return { invoice: store.update('invoices', invoice.id, { number: invoiceNumber(invoice) }), token };
+}
+
+/**
+ * An invoice for a plan change priced by quotePlanChange(), or a renewal.
+ * Earlier unpaid plan invoices are cancelled, so only one can be paid.
+ *
+ * @param {Store} store
+ * @param {Object} employer
+ * @param {Object} quote - { change, plan, period, price, credit, amount }
+ * @returns {{ invoice: Object, token: string }}
+ */
+function createPlanInvoice(store, employer, { change, plan: planId, period, price, credit = 0, amount }) {
+  const plan = PLANS[planId];
+  const credited = credit > 0 ? ` (less ETB ${credit.toFixed(2)} unused from your current plan)` : '';
+
+  cancelPendingPlanInvoices(store, employer);
+
+  return createInvoice(store, {
+    kind: 'plan',
+    item: { plan: plan.id, period, change, price, credit },
+    description: `${plan.name} plan, ${BILLING_PERIODS[period].name}${change === 'renewal' ? ' renewal' : ''}${credited}`,
+    amount,
+    customer: { name: employer.name, email: employer.email, company: employer.company },
+    employerId: employer.id,
+    userId: employer.userId || null
+  });
+}
+
+/**
+ * The invoice for an employer's next period, for the plan they switch to
+ * at renewal if they chose a downgrade.
+ *
+ * @returns {{ invoice: Object, token: string }}
+ */
+function createRenewalInvoice(store, employer) {
+  const { plan, period } = employer.subscription.pendingChange || employer.subscription;
+  const price = planPrice(PLANS[plan], period);
+
+  return createPlanInvoice(store, employer, { change: 'renewal', plan, period, price, amount: price });
+}
+
+/**
+ * An invoice for the weeks of a campaign priced by the ad price engine:
+ * the booking when it is submitted, or an extension.
+ *
+ * @param {Store} store
+ * @param {Object} campaign
+ * @param {Object} quote - from the price engine's quote()
+ * @param {Object} options
+ * @param {string} options.packageName
+ * @param {boolean} [options.extension=false]
+ * @returns {{ invoice: Object, token: string }}
+ */
+function createAdInvoice(store, campaign, { adPackage, weeks, discount, total }, { packageName, extension = false }) {
+  const discounted = discount > 0 ? ` (less ETB ${discount.toFixed(2)} long-run discount)` : '';
+
+  return createInvoice(store, {
+    kind: 'ad',
+    item: { campaignId: campaign.id, adPackage, weeks, extension },
+    description: `${packageName} ad${extension ? ' extension' : ''}, ${weeks} ${weeks === 1 ? 'week' : 'weeks'}${discounted}`,
+    amount: total,
+    customer: {
+      name: campaign.billingContact || campaign.companyName,
+      email: campaign.billingEmail || campaign.companyEmail,
+      phone: campaign.companyPhone,
+      company: campaign.companyName
+    },
+    userId: campaign.userId || null
+  });
+}
+
+// Unknown ids and wrong tokens look the same, so invoices can't be probed.
+// Employers and signed-in customers can also open their own invoices
+// without the token, and advertisers with their campaign's token.
+function findInvoice(store, id, token, employer = null, user = null) {
+  const invoice = store.get('invoices', id);
+  const owner = Boolean(invoice && (
+    (employer && invoice.employerId === employer.id) || (user && invoice.userId === user.id)
+  ));
+  const campaign = invoice?.item.campaignId && store.get('campaigns', invoice.item.campaignId);
+  const hashed = hashToken(token || '');
+
+  if (!invoice || (!owner && !tokensMatch(invoice.tokenHash, hashed) && !(campaign && tokensMatch(campaign.tokenHash, hashed)))) {
+    throw HttpError.notFound('Invoice not found');
+  }
+  return invoice;
+}
+
+/**
+ * Mark an invoice paid and activate what it was for. Paying twice (e.g. two
+ * payment attempts that both went through) activates it once.
+ *
+ * @returns {Object} the invoice
+ */
+function markInvoicePaid(store, invoice, payment, now = new Date()) {
+  if (invoice.status === 'paid') return invoice;
+
+  const paid = store.update('invoices', invoice.id, {
+    status: 'paid',
+    paidAt: now.toISOString(),
+    paymentId: payment.id
+  });
+  PURCHASES[invoice.kind](store, paid, now);
+  return paid;
+}
+
+function toPublicInvoice({ tokenHash, userId, ...invoice }) {
+  return invoice;
+}
+
+module.exports = {
+  CURRENCY,
+  VAT_RATE,
+  vatBreakdown,
+  createPlanInvoice,
+  createRenewalInvoice,
+  createAdInvoice,
+  findInvoice,
+  markInvoicePaid,
+  toPublicInvoice
+};
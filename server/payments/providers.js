@@ -0,0 +1,73 @@
+// ============================================
+// PAYMENT PROVIDERS
+// Telebirr, CBE Birr, HelloCash and Amole, and the sandbox for development
+// ============================================
+
+'use strict';
+
+const { createGatewayProvider } = require('./gateway');
+const { createSandboxProvider } = require('./sandbox');
+
+// Ids match the payment methods people choose on the site. Phone payments
+// push an approval prompt to the customer's account instead of a web page.
+const PROVIDERS = {
+  telebirr: { name: 'Telebirr', signatureHeader: 'X-Telebirr-Signature', env: 'TELEBIRR' },
+  cbe: { name: 'CBE Birr', signatureHeader: 'X-CBEBirr-Signature', env: 'CBE_BIRR', requiresPhone: true },
+  hellocash: { name: 'HelloCash', signatureHeader: 'X-HelloCash-Signature', env: 'HELLOCASH', requiresPhone: true },
+  amole: { name: 'Amole', signatureHeader: 'X-Amole-Signature', env: 'AMOLE' }
+};
+
+/**
+ * Merchant settings for each provider from the environment, e.g.
+ * TELEBIRR_API_URL, TELEBIRR_MERCHANT_ID and TELEBIRR_SECRET.
+ *
+ * @param {Object} env - process.env
+ * @returns {Object} provider id -> { apiUrl, merchantId, secret }
+ */
+function providerSettings(env) {
+  return Object.fromEntries(Object.entries(PROVIDERS).map(([id, { env: prefix }]) => [id, {
+    apiUrl: env[`${prefix}_API_URL`],
+    merchantId: env[`${prefix}_MERCHANT_ID`],
+    secret: env[`${prefix}_SECRET`]
+  }]));
+}
+
+/**
+ * The providers that can take payments: those with merchant settings, and
+ * the sandbox when it is on.
+ *
+ * @param {Object} config
+ * @param {boolean} config.sandbox
+ * @param {Object} config.settings - from providerSettings()
+ * @param {Object} options
+ * @param {string} options.secret - signs the sandbox's simulated webhooks
+ * @param {function} [options.fetch]
+ * @returns {Object} provider id -> PaymentProvider
+ */
+function createProviders({ sandbox, settings = {} }, { secret, fetch }) {
+  const providers = {};
+
+  Object.entries(PROVIDERS).forEach(([id, provider]) => {
+    const { apiUrl, merchantId, secret: merchantSecret } = settings[id] || {};
+    if (!apiUrl || !merchantId || !merchantSecret) return;
+
+    providers[id] = createGatewayProvider({
+      id,
+      name: provider.name,
+      apiUrl,
+      merchantId,
+      secret: merchantSecret,
+      signatureHeader: provider.signatureHeader,
+      requiresPhone: Boolean(provider.requiresPhone),
+      ...(fetch && { fetch })
+    });
+  });
+
+  if (sandbox) {
+    providers.sandbox = createSandboxProvider({ secret });
+  }
+
+  return providers;
+}
+
+module.exports = { PROVIDERS, providerSettings, createProviders };
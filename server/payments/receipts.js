@@ -0,0 +1,209 @@
+// ============================================
+// PAYMENT RECEIPTS
+// Proof of a manual transfer (Telebirr or bank), checked by an admin
+// before the invoice counts as paid
+// ============================================
+
+'use strict';
+
+const { HttpError } = require('../errors');
+const { markInvoicePaid } = require('./invoices');
+
+const MAX_RECEIPT_BYTES = 5 * 1024 * 1024;
+
+// Ways to pay by hand; the online providers confirm payments themselves
+const MANUAL_METHODS = {
+  telebirr: 'Telebirr transfer',
+  'bank-transfer': 'Bank transfer'
+};
+
+// Screenshots, or the PDF receipt banks email, and the bytes each starts
+// with (WebP's come after the RIFF header)
+const RECEIPT_TYPES = {
+  'image/png': { extension: 'png', signature: Buffer.from([0x89, 0x50, 0x4E, 0x47]) },
+  'image/jpeg': { extension: 'jpg', signature: Buffer.from([0xFF, 0xD8, 0xFF]) },
+  'image/webp': { extension: 'webp', signature: Buffer.from('WEBP'), offset: 8 },
+  'application/pdf': { extension: 'pdf', signature: Buffer.from('%PDF') }
+};
+
+// Telebirr and bank transaction ids, e.g. "ADQ4H7K2LM" or "FT23123ABC45"
+const REFERENCE_PATTERN = /^[A-Z0-9-]{6,40}$/;
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * Check the details sent with a receipt.
+ *
+ * @param {Object} input - { method, reference }
+ * @returns {{ method: string, reference: string }}
+ * @throws {HttpError} 400 with per-field details
+ */
+function validateReceipt(input) {
+  const errors = {};
+  const method = String(input.method || '');
+  const reference = String(input.reference || '').replace(/\s/g, '').toUpperCase();
+
+  if (!Object.hasOwn(MANUAL_METHODS, method)) errors.method = 'Choose how you paid';
+  if (!REFERENCE_PATTERN.test(reference)) errors.reference = 'Enter the transaction number from your receipt';
+
+  if (Object.keys(errors).length > 0) {
+    throw HttpError.badRequest('Please check your receipt details', errors);
+  }
+  return { method, reference };
+}
+
+/**
+ * Check an uploaded receipt file against its declared type.
+ *
+ * @param {string} type - MIME type
+ * @param {Buffer} body
+ * @returns {Object} the RECEIPT_TYPES entry
+ * @throws {HttpError} 400
+ */
+function checkReceiptFile(type, body) {
+  const format = Object.hasOwn(RECEIPT_TYPES, type || '') && RECEIPT_TYPES[type];
+  const offset = format?.offset || 0;
+
+  if (!format || !Buffer.isBuffer(body)) {
+    throw HttpError.badRequest('Upload a screenshot (PNG, JPEG or WebP) or a PDF receipt', { file: 'Choose a screenshot or PDF' });
+  }
+  if (body.length === 0) {
+    throw HttpError.badRequest('The uploaded file is empty', { file: 'The file is empty' });
+  }
+  if (!body.subarray(offset, offset + format.signature.length).equals(format.signature)) {
+    throw HttpError.badRequest(`The file is not a valid ${format.extension.toUpperCase()} file`, { file: 'This file looks damaged' });
+  }
+  return format;
+}
+
+// Every step is kept on the receipt: who did what, and when
+function historyEntry(action, by, extra = {}, now = new Date()) {
+  return { action, at: now.toISOString(), by, ...extra };
+}
+
+/**
+ * Record a receipt for a pending invoice. One receipt per invoice waits for
+ * review at a time, and a transaction number can't be used twice.
+ *
+ * @param {Store} store
+ * @param {Object} invoice
+ * @param {Object} details - from validateReceipt()
+ * @param {Object} file - { file, name, type, size } of the stored upload
+ * @returns {Object} the receipt
+ * @throws {HttpError} 409
+ */
+function submitReceipt(store, invoice, { method, reference }, file) {
+  if (invoice.status !== 'pending') {
+    throw HttpError.conflict(invoice.status === 'paid' ? 'This invoice is already paid' : 'This invoice was cancelled');
+  }
+  if (store.findOne('receipts', item => item.invoiceId === invoice.id && item.status === 'pending')) {
+    throw HttpError.conflict('A receipt for this invoice is already waiting to be checked');
+  }
+  if (store.findOne('receipts', item => item.reference === reference && item.status !== 'rejected')) {
+    throw HttpError.conflict('This transaction number was already submitted', {
+      reference: 'This transaction number was already submitted'
+    });
+  }
+
+  return store.insert('receipts', {
+    invoiceId: invoice.id,
+    method,
+    reference,
+    amount: invoice.amount,
+    currency: invoice.currency,
+    file,
+    status: 'pending',
+    rejectionReason: null,
+    reviewedAt: null,
+    reviewedBy: null,
+    history: [historyEntry('submitted', { customer: invoice.customer.email || null })]
+  });
+}
+
+function reviewer(admin) {
+  return { userId: admin.id, email: admin.email };
+}
+
+function checkPending(receipt) {
+  if (receipt.status !== 'pending') {
+    throw HttpError.conflict(`This receipt was already ${receipt.status}`);
+  }
+}
+
+/**
+ * Accept a receipt: the transfer is recorded as a payment and the invoice
+ * is paid, which activates the plan or ad.
+ *
+ * @returns {{ receipt: Object, invoice: Object }}
+ * @throws {HttpError} 409 when the receipt was reviewed or the invoice paid another way
+ */
+function approveReceipt(store, receipt, admin, now = new Date()) {
+  checkPending(receipt);
+
+  const invoice = store.get('invoices', receipt.invoiceId);
+  if (invoice.status === 'paid') {
+    throw HttpError.conflict('This invoice was already paid another way; reject the receipt instead');
+  }
+
+  const payment = store.insert('payments', {
+    invoiceId: invoice.id,
+    provider: 'manual',
+    method: receipt.method,
+    amount: receipt.amount,
+    currency: receipt.currency,
+    status: 'succeeded',
+    reference: receipt.reference,
+    transactionId: receipt.reference,
+    failureReason: null,
+    completedAt: now.toISOString(),
+    receiptId: receipt.id
+  });
+
+  const approved = store.update('receipts', receipt.id, {
+    status: 'approved',
+    reviewedAt: now.toISOString(),
+    reviewedBy: reviewer(admin),
+    history: [...receipt.history, historyEntry('approved', reviewer(admin), { paymentId: payment.id }, now)]
+  });
+  return { receipt: approved, invoice: markInvoicePaid(store, invoice, payment, now) };
+}
+
+/**
+ * Turn a receipt down. The customer sees the reason and can send another.
+ *
+ * @throws {HttpError} 400 without a reason, 409 when already reviewed
+ */
+function rejectReceipt(store, receipt, admin, reason, now = new Date()) {
+  checkPending(receipt);
+
+  const text = String(reason || '').trim();
+  if (!text || text.length > MAX_REASON_LENGTH) {
+    throw HttpError.badRequest('Tell the customer why the receipt was rejected', {
+      reason: `Enter a reason of up to ${MAX_REASON_LENGTH} characters`
+    });
+  }
+
+  return store.update('receipts', receipt.id, {
+    status: 'rejected',
+    rejectionReason: text,
+    reviewedAt: now.toISOString(),
+    reviewedBy: reviewer(admin),
+    history: [...receipt.history, historyEntry('rejected', reviewer(admin), { reason: text }, now)]
+  });
+}
+
+// What the customer sees; the stored file and reviewers stay private
+function toPublicReceipt({ file, reviewedBy, history, ...receipt }) {
+  return { ...receipt, fileName: file.name };
+}
+
+module.exports = {
+  MAX_RECEIPT_BYTES,
+  MANUAL_METHODS,
+  RECEIPT_TYPES,
+  validateReceipt,
+  checkReceiptFile,
+  submitReceipt,
+  approveReceipt,
+  rejectReceipt,
+  toPublicReceipt
+};
@@ -0,0 +1,148 @@
+// ============================================
+// RENEWALS
+// Invoices for the next period, reminders before a plan ends, and what
+// happens when it lapses
+// ============================================
+
+'use strict';
+
+const { GRACE_PERIOD_DAYS, getPlan, rollOver, subscriptionStatus } = require('../plans');
+const { expireSubscription } = require('../subscriptions');
+const { createRenewalInvoice } = require('./invoices');
+const { DAY_MS } = require('../time');
+
+// Reminders go out once each, in this order
+const REMINDERS = {
+  '7d': {
+    subject: plan => `Your ZewedJobs ${plan.name} plan renews in 7 days`,
+    text: (plan, end) => `Your ${plan.name} plan runs until ${end}. The invoice for your next period is ready on your billing page.`
+  },
+  '1d': {
+    subject: plan => `Your ZewedJobs ${plan.name} plan ends tomorrow`,
+    text: (plan, end) => `Your ${plan.name} plan runs until ${end}. Pay the renewal invoice on your billing page to keep your jobs live.`
+  },
+  grace: {
+    subject: plan => `Your ZewedJobs ${plan.name} plan has ended`,
+    text: (plan, end, graceEnd) => `Your ${plan.name} plan ended on ${end}. Your jobs stay live until ${graceEnd}; pay the renewal invoice on your billing page before then.`
+  },
+  expired: {
+    subject: () => 'Your live jobs on ZewedJobs are paused',
+    text: plan => `Your ${plan.name} plan wasn't renewed, so your live jobs are paused. Choose a plan on your billing page and they go live again once it is paid.`
+  }
+};
+
+const formatDate = value => new Date(value).toISOString().slice(0, 10);
+
+/**
+ * Checks every subscription: renewal invoices a week before the end,
+ * reminders at 7 days, 1 day and in the grace period, and expiry after it.
+ *
+ * @param {Store} store
+ * @param {Object} options
+ * @param {Object} options.mailer
+ * @param {string} options.baseUrl - for the billing page link
+ * @param {number} [options.interval] - ms between checks
+ * @param {Object} [options.logger] - defaults to console
+ * @returns {{ run: Function, start: Function, stop: Function }}
+ */
+function createRenewalRunner(store, { mailer, baseUrl, interval = 60 * 60 * 1000, logger = console }) {
+  let timer = null;
+  let running = null;
+
+  async function remind(employer, name) {
+    const { subscription } = employer;
+    if (subscription.remindersSent.includes(name)) return employer;
+
+    // Marked first: a reminder that fails to send isn't retried every run
+    const updated = store.update('employers', employer.id, {
+      subscription: { ...subscription, remindersSent: [...subscription.remindersSent, name] }
+    });
+    const plan = getPlan(subscription.plan);
+    const end = new Date(subscription.currentPeriodEnd);
+    const reminder = REMINDERS[name];
+
+    try {
+      await mailer.send({
+        to: employer.email,
+        subject: reminder.subject(plan),
+        text: `Hi ${employer.name},\n\n${reminder.text(plan, formatDate(end), formatDate(end.getTime() + GRACE_PERIOD_DAYS * DAY_MS))}\n\n${baseUrl}/employer/billing\n\nThank you for choosing ZewedJobs.`
+      });
+    } catch (error) {
+      logger.error(`[Renewals] Could not send the ${name} reminder to employer ${employer.id}:`, error.message);
+    }
+    return updated;
+  }
+
+  async function check(employer, now) {
+    // Persist a renewal that started, so its reminders start afresh
+    let subscription = rollOver(employer.subscription, now);
+    if (subscription !== employer.subscription) {
+      employer = store.update('employers', employer.id, { plan: subscription.plan, subscription });
+    }
+    subscription = employer.subscription;
+
+    const status = subscriptionStatus(subscription, now);
+    const daysLeft = (new Date(subscription.currentPeriodEnd).getTime() - now.getTime()) / DAY_MS;
+    const renews = !subscription.cancelAtPeriodEnd && !subscription.upcoming;
+
+    if (status === 'expired') {
+      if (subscription.expiredAt) return;
+      employer = expireSubscription(store, employer, now);
+      if (!subscription.cancelAtPeriodEnd) await remind(employer, 'expired');
+      return;
+    }
+    if (!renews || daysLeft > 7) return;
+
+    const pending = store.findOne('invoices', invoice =>
+      invoice.kind === 'plan' && invoice.employerId === employer.id && invoice.status === 'pending'
+    );
+    if (!pending) createRenewalInvoice(store, employer);
+
+    if (status === 'grace') {
+      await remind(employer, 'grace');
+      return;
+    }
+    employer = await remind(employer, '7d');
+    if (daysLeft <= 1) await remind(employer, '1d');
+  }
+
+  async function runDue(now) {
+    const employers = store.list('employers', employer => Boolean(employer.subscription));
+
+    for (const employer of employers) {
+      try {
+        await check(employer, now);
+      } catch (error) {
+        logger.error(`[Renewals] Could not check employer ${employer.id}:`, error);
+      }
+    }
+    return { checked: employers.length };
+  }
+
+  // Concurrent calls share one run, so nothing is sent twice
+  function run(now = new Date()) {
+    if (!running) {
+      running = runDue(now).finally(() => {
+        running = null;
+      });
+    }
+    return running;
+  }
+
+  return {
+    run,
+
+    start() {
+      if (timer) return;
+      timer = setInterval(() => run().catch(error => logger.error('[Renewals] Run failed:', error)), interval);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = { createRenewalRunner };
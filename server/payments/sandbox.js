@@ -0,0 +1,61 @@
+// ============================================
+// SANDBOX PAYMENT PROVIDER
+// Simulates a provider locally: a checkout page where the payment succeeds
+// or fails, and a signed webhook like a real provider would send
+// ============================================
+
+'use strict';
+
+const { HttpError } = require('../errors');
+const { createToken } = require('../tokens');
+const { sign, verifySignature } = require('./gateway');
+
+const SIGNATURE_HEADER = 'X-Sandbox-Signature';
+const OUTCOMES = { success: 'succeeded', failure: 'failed' };
+
+/**
+ * @param {Object} options
+ * @param {string} options.secret - signs the simulated webhooks
+ * @returns {PaymentProvider} with simulate(payment, outcome)
+ */
+function createSandboxProvider({ secret }) {
+  return {
+    id: 'sandbox',
+    name: 'Sandbox (test payment)',
+    requiresPhone: false,
+
+    // The reference is the checkout session: knowing it lets you complete it
+    async createCheckout() {
+      const reference = `sandbox_${createToken(12)}`;
+      return { reference, checkoutUrl: `/payments/sandbox/${reference}`, instructions: null };
+    },
+
+    parseWebhook({ headers, rawBody }) {
+      if (!verifySignature(rawBody, headers[SIGNATURE_HEADER.toLowerCase()], secret)) {
+        throw HttpError.unauthorized('Invalid sandbox signature');
+      }
+
+      const event = JSON.parse(rawBody);
+      return { reference: event.reference, status: event.status, amount: event.amount, transactionId: event.transactionId };
+    },
+
+    /**
+     * The webhook request the provider would send for a payment.
+     *
+     * @param {Object} payment
+     * @param {string} outcome - success or failure
+     * @returns {{ headers: Object, rawBody: Buffer }}
+     */
+    simulate(payment, outcome) {
+      const rawBody = Buffer.from(JSON.stringify({
+        reference: payment.reference,
+        status: OUTCOMES[outcome] || 'failed',
+        amount: payment.amount,
+        transactionId: `SBX${Date.now()}`
+      }));
+      return { headers: { [SIGNATURE_HEADER.toLowerCase()]: sign(rawBody, secret) }, rawBody };
+    }
+  };
+}
+
+module.exports = { createSandboxProvider, OUTCOMES };
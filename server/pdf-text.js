@@ -0,0 +1,648 @@
+// ============================================
+// PDF TEXT
+// The text of an uploaded PDF, line by line, for reading CVs. Covers what
+// word processors and CV sites save: compressed streams and object
+// streams, simple fonts, and Identity-H fonts with a ToUnicode map.
+// Scanned CVs are images and have no text to read.
+// ============================================
+
+'use strict';
+
+const zlib = require('zlib');
+const { textWidth } = require('./pdf');
+
+// Decompressed streams are capped so a small file can't expand without end
+const MAX_STREAM_BYTES = 20 * 1024 * 1024;
+const MAX_LINES = 3000;
+
+// Windows-1252 characters in 0x80-0x9F, which simple fonts usually use
+const WIN_ANSI = {
+  0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡', 0x88: 'ˆ', 0x89: '‰',
+  0x8A: 'Š', 0x8B: '‹', 0x8C: 'Œ', 0x8E: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•',
+  0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9A: 'š', 0x9B: '›', 0x9C: 'œ', 0x9E: 'ž', 0x9F: 'Ÿ'
+};
+
+// Glyph names seen in /Differences that aren't a single letter or uniXXXX
+const GLYPH_NAMES = {
+  space: ' ', bullet: '•', endash: '–', emdash: '—', quoteright: '’', quoteleft: '‘',
+  quotedblleft: '“', quotedblright: '”', quotesingle: '\'', hyphen: '-', period: '.', comma: ',',
+  colon: ':', semicolon: ';', slash: '/', at: '@', parenleft: '(', parenright: ')', plus: '+',
+  ampersand: '&', fi: 'fi', fl: 'fl', zero: '0', one: '1', two: '2', three: '3', four: '4',
+  five: '5', six: '6', seven: '7', eight: '8', nine: '9'
+};
+
+const DELIMITERS = '()<>[]{}/%';
+const WHITESPACE = '\x00\t\n\x0C\r ';
+
+// ---- Objects ----
+
+/**
+ * Reads PDF syntax: numbers, names, strings, arrays, dictionaries,
+ * references and, in content streams, operators.
+ */
+class Lexer {
+  constructor(source, position = 0) {
+    this.source = source;
+    this.position = position;
+  }
+
+  skipSpace() {
+    const { source } = this;
+    while (this.position < source.length) {
+      const char = source[this.position];
+      if (WHITESPACE.includes(char)) {
+        this.position++;
+      } else if (char === '%') {
+        while (this.position < source.length && source[this.position] !== '\n' && source[this.position] !== '\r') this.position++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  // The next token: { type, value }, or null at the end
+  token() {
+    this.skipSpace();
+    const { source } = this;
+    if (this.position >= source.length) return null;
+
+    const char = source[this.position];
+    if (char === '(') return { type: 'string', value: this.literalString() };
+    if (char === '<' && source[this.position + 1] === '<') {
+      this.position += 2;
+      return { type: '<<' };
+    }
+    if (char === '>' && source[this.position + 1] === '>') {
+      this.position += 2;
+      return { type: '>>' };
+    }
+    if (char === '<') return { type: 'string', value: this.hexString() };
+    if (char === '[' || char === ']' || char === '{' || char === '}') {
+      this.position++;
+      return { type: char };
+    }
+    if (char === '/') {
+      this.position++;
+      return { type: 'name', value: this.word().replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))) };
+    }
+
+    const word = this.word() || source[this.position++];
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) return { type: 'number', value: Number(word) };
+    return { type: 'keyword', value: word };
+  }
+
+  word() {
+    const { source } = this;
+    const start = this.position;
+    while (this.position < source.length && !WHITESPACE.includes(source[this.position]) && !DELIMITERS.includes(source[this.position])) {
+      this.position++;
+    }
+    return source.slice(start, this.position);
+  }
+
+  literalString() {
+    const { source } = this;
+    const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+    let depth = 1;
+    let value = '';
+    this.position++;
+
+    while (this.position < source.length) {
+      const char = source[this.position++];
+      if (char === '\\') {
+        const next = source[this.position++];
+        if (escapes[next]) {
+          value += escapes[next];
+        } else if (/[0-7]/.test(next)) {
+          let octal = next;
+          while (octal.length < 3 && /[0-7]/.test(source[this.position])) octal += source[this.position++];
+          value += String.fromCharCode(parseInt(octal, 8) & 0xFF);
+        } else if (next === '\r') {
+          if (source[this.position] === '\n') this.position++;
+        } else if (next !== '\n') {
+          value += next;
+        }
+      } else if (char === '(') {
+        depth++;
+        value += char;
+      } else if (char === ')') {
+        if (--depth === 0) break;
+        value += char;
+      } else {
+        value += char;
+      }
+    }
+    return value;
+  }
+
+  hexString() {
+    const end = this.source.indexOf('>', this.position);
+    const hex = this.source.slice(this.position + 1, end < 0 ? this.source.length : end).replace(/[^0-9a-fA-F]/g, '');
+    this.position = end < 0 ? this.source.length : end + 1;
+    return Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex').toString('latin1');
+  }
+
+  // One object; "N G R" becomes { ref: N }
+  value(token = this.token()) {
+    if (!token) return null;
+
+    if (token.type === '<<') {
+      const dict = {};
+      for (let key = this.token(); key && key.type !== '>>'; key = this.token()) {
+        if (key.type === 'name') dict[key.value] = this.value();
+      }
+      return dict;
+    }
+    if (token.type === '[') {
+      const array = [];
+      for (let item = this.token(); item && item.type !== ']'; item = this.token()) {
+        array.push(this.value(item));
+      }
+      return array;
+    }
+    if (token.type === 'number' && Number.isInteger(token.value)) {
+      const saved = this.position;
+      const generation = this.token();
+      const keyword = generation?.type === 'number' && this.token();
+      if (keyword?.type === 'keyword' && keyword.value === 'R') return { ref: token.value };
+      this.position = saved;
+    }
+    if (token.type === 'keyword') {
+      if (token.value === 'true' || token.value === 'false') return token.value === 'true';
+      if (token.value === 'null') return null;
+    }
+    return token.type === 'name' ? { name: token.value } : token.value;
+  }
+}
+
+function isName(value, name) {
+  return Boolean(value && value.name === name);
+}
+
+/**
+ * Index every object in the file, including those packed in object
+ * streams. The file is scanned rather than read through its xref table,
+ * which is often wrong in files that were edited or repaired.
+ */
+function readObjects(buffer) {
+  const source = buffer.toString('latin1');
+  const raw = new Map();
+  const pattern = /(\d+)\s+(\d+)\s+obj\b/g;
+  let match;
+
+  while ((match = pattern.exec(source))) {
+    const number = Number(match[1]);
+    const lexer = new Lexer(source, pattern.lastIndex);
+    const value = lexer.value();
+    const object = { value, stream: null };
+
+    lexer.skipSpace();
+    if (source.startsWith('stream', lexer.position)) {
+      let start = lexer.position + 6;
+      if (source[start] === '\r') start++;
+      if (source[start] === '\n') start++;
+      object.streamStart = start;
+      object.streamLength = typeof value?.Length === 'number' ? value.Length : null;
+      object.lengthRef = value?.Length?.ref ?? null;
+    }
+    raw.set(number, object);
+
+    // Skip over the stream so its bytes aren't searched for objects
+    const end = source.indexOf('endobj', object.streamStart ?? lexer.position);
+    pattern.lastIndex = end < 0 ? source.length : end;
+  }
+
+  const objects = new Map();
+  const resolveLength = object => {
+    if (object.streamLength === null && object.lengthRef !== null) {
+      const length = raw.get(object.lengthRef)?.value;
+      if (typeof length === 'number') object.streamLength = length;
+    }
+    let length = object.streamLength;
+    if (length === null || object.streamStart + length > buffer.length ||
+        !/^\s*endstream/.test(source.slice(object.streamStart + length, object.streamStart + length + 20))) {
+      const end = source.indexOf('endstream', object.streamStart);
+      length = (end < 0 ? buffer.length : end) - object.streamStart;
+    }
+    return buffer.subarray(object.streamStart, object.streamStart + length);
+  };
+
+  raw.forEach((object, number) => {
+    objects.set(number, {
+      value: object.value,
+      stream: object.streamStart !== undefined ? resolveLength(object) : null
+    });
+  });
+
+  // Objects packed into object streams (PDF 1.5 and later)
+  objects.forEach(object => {
+    if (!object.stream || !isName(object.value?.Type, 'ObjStm')) return;
+    const data = decodeStream(object, objects);
+    if (!data) return;
+
+    const text = data.toString('latin1');
+    const header = new Lexer(text);
+    const first = object.value.First;
+    for (let index = 0; index < object.value.N; index++) {
+      const number = header.token();
+      const offset = header.token();
+      if (number?.type !== 'number' || offset?.type !== 'number') break;
+      if (!objects.has(number.value)) {
+        objects.set(number.value, { value: new Lexer(text, first + offset.value).value(), stream: null });
+      }
+    }
+  });
+
+  return objects;
+}
+
+function resolve(objects, value) {
+  for (let depth = 0; value && typeof value === 'object' && 'ref' in value && depth < 10; depth++) {
+    value = objects.get(value.ref)?.value;
+  }
+  return value;
+}
+
+// Inflate a stream; anything but Flate (images, mostly) is left alone
+function decodeStream(object, objects) {
+  const filters = [].concat(resolve(objects, object.value?.Filter) || []).map(filter => filter.name);
+  if (filters.length === 0) return object.stream;
+  if (filters.length !== 1 || filters[0] !== 'FlateDecode') return null;
+
+  try {
+    return zlib.inflateSync(object.stream, { maxOutputLength: MAX_STREAM_BYTES });
+  } catch (error) {
+    // Streams cut short by a broken writer still have most of their text
+    try {
+      return zlib.inflateSync(object.stream, { finishFlush: zlib.constants.Z_SYNC_FLUSH, maxOutputLength: MAX_STREAM_BYTES });
+    } catch (retryError) {
+      return null;
+    }
+  }
+}
+
+// ---- Fonts ----
+
+function utf16(bytes) {
+  let text = '';
+  for (let index = 0; index + 1 < bytes.length; index += 2) {
+    text += String.fromCharCode((bytes.charCodeAt(index) << 8) | bytes.charCodeAt(index + 1));
+  }
+  return text;
+}
+
+// Code (as a latin1 string of its bytes) to text, from a ToUnicode CMap
+function parseCMap(data) {
+  const lexer = new Lexer(data.toString('latin1'));
+  const map = new Map();
+  const lengths = new Set();
+  const operands = [];
+
+  for (let token = lexer.token(); token; token = lexer.token()) {
+    if (token.type !== 'keyword') {
+      operands.push(token.type === '[' ? lexer.value(token) : token.value);
+      continue;
+    }
+
+    if (token.value === 'endcodespacerange') {
+      operands.filter((_, index) => index % 2 === 0).forEach(code => lengths.add(code.length));
+    } else if (token.value === 'endbfchar') {
+      for (let index = 0; index + 1 < operands.length; index += 2) {
+        map.set(operands[index], utf16(operands[index + 1]));
+        lengths.add(operands[index].length);
+      }
+    } else if (token.value === 'endbfrange') {
+      for (let index = 0; index + 2 < operands.length; index += 3) {
+        const [low, high, target] = operands.slice(index, index + 3);
+        const width = low.length;
+        const start = parseInt(Buffer.from(low, 'latin1').toString('hex') || '0', 16);
+        const end = Math.min(parseInt(Buffer.from(high, 'latin1').toString('hex') || '0', 16), start + 0xFFFF);
+        lengths.add(width);
+
+        for (let code = start; code <= end; code++) {
+          const key = Buffer.from(code.toString(16).padStart(width * 2, '0'), 'hex').toString('latin1');
+          if (Array.isArray(target)) {
+            if (typeof target[code - start] === 'string') map.set(key, utf16(target[code - start]));
+          } else if (typeof target === 'string') {
+            // The last byte counts up through the range
+            const text = utf16(target);
+            map.set(key, text.slice(0, -1) + String.fromCharCode(text.charCodeAt(text.length - 1) + code - start));
+          }
+        }
+      }
+    }
+    operands.length = 0;
+  }
+
+  return { map, lengths: [...lengths].sort((a, b) => a - b) };
+}
+
+// Differences arrays rename codes to glyphs: [32 /space 65 /A /B ...]
+function parseDifferences(differences) {
+  const map = new Map();
+  let code = 0;
+  (differences || []).forEach(item => {
+    if (typeof item === 'number') {
+      code = item;
+    } else if (item?.name) {
+      const name = item.name;
+      const unicode = /^uni([0-9A-F]{4})$/.exec(name);
+      const text = unicode ? String.fromCharCode(parseInt(unicode[1], 16)) : GLYPH_NAMES[name] || (name.length === 1 ? name : null);
+      if (text) map.set(String.fromCharCode(code), text);
+      code++;
+    }
+  });
+  return map;
+}
+
+/**
+ * What the page needs from a font: how to turn the bytes of a string into
+ * text, and how wide each code is, so words drawn separately can be told apart.
+ */
+function loadPdfFont(objects, ref) {
+  const dict = resolve(objects, ref) || {};
+  const composite = isName(dict.Subtype, 'Type0');
+  const toUnicodeObject = dict.ToUnicode?.ref !== undefined ? objects.get(dict.ToUnicode.ref) : null;
+  const toUnicode = toUnicodeObject?.stream ? decodeStream(toUnicodeObject, objects) : null;
+  const cmap = toUnicode ? parseCMap(toUnicode) : null;
+
+  const widths = new Map();
+  let defaultWidth = composite ? 1000 : 500;
+  if (composite) {
+    const descendant = resolve(objects, [].concat(resolve(objects, dict.DescendantFonts) || [])[0]) || {};
+    if (typeof descendant.DW === 'number') defaultWidth = descendant.DW;
+    const list = resolve(objects, descendant.W) || [];
+    for (let index = 0; index < list.length;) {
+      const first = list[index];
+      const next = resolve(objects, list[index + 1]);
+      if (Array.isArray(next)) {
+        next.forEach((width, offset) => widths.set(first + offset, width));
+        index += 2;
+      } else {
+        for (let code = first; code <= Math.min(next, first + 0xFFFF); code++) widths.set(code, list[index + 2]);
+        index += 3;
+      }
+    }
+  } else {
+    const first = dict.FirstChar || 0;
+    (resolve(objects, dict.Widths) || []).forEach((width, offset) => widths.set(first + offset, resolve(objects, width)));
+  }
+  // The standard fonts may come without widths; Helvetica's are known
+  const baseFont = dict.BaseFont?.name || '';
+  const standardWidth = !composite && widths.size === 0 && /Helvetica|Arial/.test(baseFont)
+    ? text => textWidth(text, 1000, /Bold/.test(baseFont))
+    : null;
+
+  const encoding = resolve(objects, dict.Encoding);
+  const differences = parseDifferences(encoding?.Differences);
+  const codeLengths = cmap?.lengths.length ? cmap.lengths : [composite ? 2 : 1];
+
+  // [{ text, width }] for each code in the string, width in text space units
+  function decode(bytes) {
+    const glyphs = [];
+    for (let index = 0; index < bytes.length;) {
+      let length = codeLengths.find(size => cmap?.map.has(bytes.substr(index, size))) || codeLengths[0];
+      length = Math.min(length, bytes.length - index);
+      const code = bytes.substr(index, length);
+      const number = parseInt(Buffer.from(code, 'latin1').toString('hex') || '0', 16);
+      let text = cmap?.map.get(code);
+
+      if (text === undefined) {
+        if (composite) {
+          text = '';
+        } else {
+          text = differences.get(code) ?? (WIN_ANSI[number] || code);
+        }
+      }
+      glyphs.push({ text, width: (widths.get(number) ?? (standardWidth ? standardWidth(text) : defaultWidth)) / 1000 });
+      index += length;
+    }
+    return glyphs;
+  }
+
+  return { decode };
+}
+
+// ---- Pages ----
+
+function multiply(a, b) {
+  return [
+    a[0] * b[0] + a[1] * b[2], a[0] * b[1] + a[1] * b[3],
+    a[2] * b[0] + a[3] * b[2], a[2] * b[1] + a[3] * b[3],
+    a[4] * b[0] + a[5] * b[2] + b[4], a[4] * b[1] + a[5] * b[3] + b[5]
+  ];
+}
+
+// Pages in reading order, each with the resources it inherits
+function findPages(objects) {
+  const pages = [];
+  const seen = new Set();
+  const catalog = [...objects.values()].find(object => isName(object.value?.Type, 'Catalog'));
+
+  function walk(ref, inherited) {
+    const node = resolve(objects, ref);
+    if (!node || typeof node !== 'object' || seen.has(node)) return;
+    seen.add(node);
+
+    const resources = resolve(objects, node.Resources) || inherited;
+    if (Array.isArray(node.Kids)) {
+      resolve(objects, node.Kids).forEach(kid => walk(kid, resources));
+    } else if (isName(node.Type, 'Page') || node.Contents) {
+      pages.push({ page: node, resources });
+    }
+  }
+
+  if (catalog) walk(catalog.value.Pages, null);
+  if (pages.length === 0) {
+    // No usable page tree: every page object, in file order
+    [...objects.entries()].sort(([a], [b]) => a - b).forEach(([, object]) => {
+      if (isName(object.value?.Type, 'Page')) pages.push({ page: object.value, resources: resolve(objects, object.value.Resources) });
+    });
+  }
+  return pages;
+}
+
+// /Contents is one stream or an array of them, which may itself be a reference
+function contentOf(objects, contents) {
+  const list = contents?.ref !== undefined && !objects.get(contents.ref)?.stream ? objects.get(contents.ref)?.value : contents;
+
+  return [].concat(list || [])
+    .map(ref => (ref?.ref !== undefined ? objects.get(ref.ref) : null))
+    .filter(object => object?.stream)
+    .map(object => decodeStream(object, objects))
+    .filter(Boolean)
+    .map(data => data.toString('latin1'))
+    .join('\n');
+}
+
+/**
+ * Run a page's drawing operators and collect the text they draw, in the
+ * order it is drawn, with where each piece starts and ends.
+ */
+function drawText(objects, content, resources, fonts, items, matrix = [1, 0, 0, 1, 0, 0], depth = 0) {
+  const lexer = new Lexer(content);
+  const stack = [];
+  const operands = [];
+  let state = { ctm: matrix, font: null, size: 10, charSpacing: 0, wordSpacing: 0, scale: 1, leading: 0 };
+  let textMatrix = [1, 0, 0, 1, 0, 0];
+  let lineMatrix = [1, 0, 0, 1, 0, 0];
+
+  const fontResources = resolve(objects, resources?.Font) || {};
+  const xObjects = resolve(objects, resources?.XObject) || {};
+
+  function font(name) {
+    const ref = fontResources[name];
+    const key = ref?.ref ?? `${depth}:${name}`;
+    if (!fonts.has(key)) fonts.set(key, loadPdfFont(objects, ref));
+    return fonts.get(key);
+  }
+
+  function moveLine(x, y) {
+    lineMatrix = multiply([1, 0, 0, 1, x, y], lineMatrix);
+    textMatrix = lineMatrix;
+  }
+
+  function show(bytes) {
+    if (!state.font) return;
+    const start = multiply(textMatrix, state.ctm);
+    let text = '';
+    let advance = 0;
+
+    state.font.decode(bytes).forEach(glyph => {
+      text += glyph.text;
+      const spacing = state.charSpacing + (glyph.text === ' ' ? state.wordSpacing : 0);
+      advance += (glyph.width * state.size + spacing) * state.scale;
+    });
+    textMatrix = multiply([1, 0, 0, 1, advance, 0], textMatrix);
+
+    const end = multiply(textMatrix, state.ctm);
+    const size = Math.abs(state.size * Math.hypot(start[2], start[3])) || state.size;
+    if (text) items.push({ text, x: start[4], y: start[5], endX: end[4], size });
+  }
+
+  for (let token = lexer.token(); token; token = lexer.token()) {
+    if (token.type !== 'keyword') {
+      operands.push(token.type === '[' || token.type === '<<' ? lexer.value(token) : token.value);
+      continue;
+    }
+
+    const op = token.value;
+    const args = operands.splice(0);
+    switch (op) {
+      case 'q': stack.push(state); state = { ...state }; break;
+      case 'Q': state = stack.pop() || state; break;
+      case 'cm': if (args.length === 6) state.ctm = multiply(args, state.ctm); break;
+      case 'BT': textMatrix = lineMatrix = [1, 0, 0, 1, 0, 0]; break;
+      case 'Tf': state.font = font(args[0]); state.size = args[1] || state.size; break;
+      case 'Tc': state.charSpacing = args[0] || 0; break;
+      case 'Tw': state.wordSpacing = args[0] || 0; break;
+      case 'Tz': state.scale = (args[0] ?? 100) / 100; break;
+      case 'TL': state.leading = args[0] || 0; break;
+      case 'Td': moveLine(args[0] || 0, args[1] || 0); break;
+      case 'TD': state.leading = -(args[1] || 0); moveLine(args[0] || 0, args[1] || 0); break;
+      case 'Tm': if (args.length === 6) textMatrix = lineMatrix = args; break;
+      case 'T*': moveLine(0, -state.leading); break;
+      case 'Tj': show(String(args[0] ?? '')); break;
+      case '\'': moveLine(0, -state.leading); show(String(args[0] ?? '')); break;
+      case '"':
+        state.wordSpacing = args[0] || 0;
+        state.charSpacing = args[1] || 0;
+        moveLine(0, -state.leading);
+        show(String(args[2] ?? ''));
+        break;
+      case 'TJ':
+        (Array.isArray(args[0]) ? args[0] : []).forEach(part => {
+          if (typeof part === 'string') {
+            show(part);
+          } else if (typeof part === 'number') {
+            // Kerning, in thousandths of the font size; a wide gap is a space
+            const gap = -part / 1000 * state.size * state.scale;
+            if (gap > state.size * 0.2) items.push({ text: ' ', x: 0, y: multiply(textMatrix, state.ctm)[5], endX: 0, size: state.size, space: true });
+            textMatrix = multiply([1, 0, 0, 1, gap, 0], textMatrix);
+          }
+        });
+        break;
+      case 'Do': {
+        const object = xObjects[args[0]]?.ref !== undefined ? objects.get(xObjects[args[0]].ref) : null;
+        if (object?.stream && isName(object.value?.Subtype, 'Form') && depth < 5) {
+          const form = decodeStream(object, objects);
+          const formMatrix = Array.isArray(object.value.Matrix) ? object.value.Matrix : [1, 0, 0, 1, 0, 0];
+          if (form) {
+            drawText(objects, form.toString('latin1'), resolve(objects, object.value.Resources) || resources, fonts, items,
+              multiply(formMatrix, state.ctm), depth + 1);
+          }
+        }
+        break;
+      }
+      case 'BI': {
+        // Inline image data isn't PDF syntax; skip to its end
+        const end = content.indexOf('EI', content.indexOf('ID', lexer.position));
+        lexer.position = end < 0 ? content.length : end + 2;
+        break;
+      }
+      default:
+        break;
+    }
+  }
+}
+
+// Pieces on the same baseline make one line; a wide gap between them
+// becomes a tab, as in "Accountant<tab>2019 - 2021"
+function toLines(items) {
+  const lines = [];
+  let line = null;
+
+  items.forEach(item => {
+    if (item.space) {
+      if (line && !line.text.endsWith(' ')) line.text += ' ';
+      return;
+    }
+
+    const sameLine = line && Math.abs(item.y - line.y) < Math.max(item.size, line.size) * 0.5 && item.x >= line.endX - line.size;
+    if (!sameLine) {
+      if (line) lines.push(line.text);
+      line = { text: item.text, y: item.y, endX: item.endX, size: item.size };
+      return;
+    }
+
+    const gap = item.x - line.endX;
+    if (gap > line.size * 2) {
+      line.text += '\t';
+    } else if (gap > line.size * 0.15 && !line.text.endsWith(' ') && !item.text.startsWith(' ')) {
+      line.text += ' ';
+    }
+    line.text += item.text;
+    line.endX = item.endX;
+  });
+  if (line) lines.push(line.text);
+
+  return lines
+    .map(text => text.replace(/[\x00-\x08\x0B-\x1F]/g, '').replace(/ {2,}/g, ' ').trim())
+    .filter(Boolean);
+}
+
+/**
+ * @param {Buffer} buffer - a PDF file
+ * @returns {string[]} its lines of text, in reading order; empty for scans
+ * @throws {Error} when the file can't be read as a PDF
+ */
+function extractPdfText(buffer) {
+  if (buffer.subarray(0, 1024).toString('latin1').indexOf('%PDF') < 0) throw new Error('Not a PDF file');
+
+  // Named in the trailer, or in the xref stream's dictionary
+  if (/\/Encrypt\s*(\d+\s+\d+\s+R|<<)/.test(buffer.toString('latin1'))) throw new Error('Encrypted PDFs are not supported');
+
+  const objects = readObjects(buffer);
+
+  const fonts = new Map();
+  const lines = [];
+  for (const { page, resources } of findPages(objects)) {
+    const items = [];
+    drawText(objects, contentOf(objects, page.Contents), resources, fonts, items);
+    lines.push(...toLines(items));
+    if (lines.length >= MAX_LINES) break;
+  }
+  return lines.slice(0, MAX_LINES);
+}
+
+module.exports = { extractPdfText };
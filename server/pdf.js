@@ -0,0 +1,348 @@
+// ============================================
+// PDF WRITER
+// Just enough PDF for generated documents like invoices and resumes: pages
+// of text in the standard Helvetica fonts, lines and filled boxes. Text
+// Helvetica can't show, such as Ge'ez script, can use an embedded TrueType
+// font (loadFont), like the bundled Noto Sans Ethiopic.
+// ============================================
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// A4 in points
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+// Advance widths (1/1000 em) of the printable ASCII characters, from the
+// Helvetica and Helvetica-Bold font metrics, for measuring and aligning text
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+
+const FONTS = { regular: 'F1', bold: 'F2', embedded: 'F3' };
+
+// Noto Sans Ethiopic, under the SIL Open Font License (fonts/OFL.txt)
+const ETHIOPIC_FONT_FILE = path.join(__dirname, 'fonts', 'NotoSansEthiopic-Regular.ttf');
+
+// The standard fonts only cover Latin-1 (WinAnsi); anything else is shown
+// with the embedded font when it has the character, and as "?" otherwise
+const LATIN1 = /[\x20-\x7E\xA0-\xFF]/;
+
+function toLatin1(text) {
+  return String(text ?? '').replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+}
+
+/**
+ * Read a TrueType font (.ttf) to embed in PDFs. Only what's needed to map
+ * characters to glyphs and measure them is parsed; the file is embedded
+ * whole.
+ *
+ * @param {string} file
+ * @returns {Object} { name, data, unitsPerEm, ascent, descent, bbox, glyph(codePoint), advance(glyph) }
+ * @throws {Error} when the file isn't a TrueType font with a Unicode cmap
+ */
+function loadFont(file) {
+  const data = fs.readFileSync(file);
+  const tables = {};
+  for (let index = 0; index < data.readUInt16BE(4); index++) {
+    const entry = 12 + index * 16;
+    tables[data.toString('latin1', entry, entry + 4)] = data.readUInt32BE(entry + 8);
+  }
+  if (!['head', 'hhea', 'hmtx', 'cmap'].every(table => table in tables)) {
+    throw new Error(`${file} is not a TrueType font`);
+  }
+
+  const { head, hhea, hmtx, cmap } = tables;
+  const unitsPerEm = data.readUInt16BE(head + 18);
+  const metrics = data.readUInt16BE(hhea + 34);
+  const scale = value => Math.round((value * 1000) / unitsPerEm);
+
+  // Windows Unicode subtables: format 12 covers every plane, format 4 the BMP
+  const subtables = [];
+  for (let index = 0; index < data.readUInt16BE(cmap + 2); index++) {
+    const entry = cmap + 4 + index * 8;
+    const offset = cmap + data.readUInt32BE(entry + 4);
+    subtables.push({ platform: data.readUInt16BE(entry), encoding: data.readUInt16BE(entry + 2), format: data.readUInt16BE(offset), offset });
+  }
+  const subtable = subtables.find(item => item.platform === 3 && item.encoding === 10 && item.format === 12) ||
+    subtables.find(item => item.platform === 3 && item.encoding === 1 && item.format === 4) ||
+    subtables.find(item => item.platform === 0 && [4, 12].includes(item.format));
+  if (!subtable) throw new Error(`${file} has no Unicode character map`);
+
+  function lookup(code) {
+    const { format, offset } = subtable;
+
+    if (format === 12) {
+      for (let index = 0; index < data.readUInt32BE(offset + 12); index++) {
+        const group = offset + 16 + index * 12;
+        const start = data.readUInt32BE(group);
+        if (code >= start && code <= data.readUInt32BE(group + 4)) return data.readUInt32BE(group + 8) + code - start;
+      }
+      return 0;
+    }
+
+    const segments = data.readUInt16BE(offset + 6) / 2;
+    for (let index = 0; index < segments; index++) {
+      const end = data.readUInt16BE(offset + 14 + index * 2);
+      if (end < code) continue;
+
+      const start = data.readUInt16BE(offset + 16 + segments * 2 + index * 2);
+      if (start > code) return 0;
+      const delta = data.readUInt16BE(offset + 16 + segments * 4 + index * 2);
+      const rangeAt = offset + 16 + segments * 6 + index * 2;
+      const range = data.readUInt16BE(rangeAt);
+      if (range === 0) return (code + delta) & 0xFFFF;
+
+      const glyph = data.readUInt16BE(rangeAt + range + (code - start) * 2);
+      return glyph === 0 ? 0 : (glyph + delta) & 0xFFFF;
+    }
+    return 0;
+  }
+
+  const glyphs = new Map();
+
+  return {
+    name: path.basename(file, path.extname(file)).replace(/[^A-Za-z0-9-]/g, '') || 'Embedded',
+    data,
+    unitsPerEm,
+    ascent: scale(data.readInt16BE(hhea + 4)),
+    descent: scale(data.readInt16BE(hhea + 6)),
+    bbox: [36, 38, 40, 42].map(at => scale(data.readInt16BE(head + at))),
+
+    // 0 when the font doesn't have the character
+    glyph(codePoint) {
+      if (!glyphs.has(codePoint)) glyphs.set(codePoint, lookup(codePoint));
+      return glyphs.get(codePoint);
+    },
+
+    // Advance width in 1/1000 em
+    advance(glyph) {
+      return scale(data.readUInt16BE(hmtx + 4 * Math.min(glyph, metrics - 1)));
+    }
+  };
+}
+
+// Split text into runs for Helvetica and for the embedded font
+function textRuns(text, font) {
+  const runs = [];
+
+  for (const char of String(text ?? '')) {
+    const embedded = Boolean(font) && !LATIN1.test(char) && font.glyph(char.codePointAt(0)) > 0;
+    const last = runs[runs.length - 1];
+    if (last && last.embedded === embedded) {
+      last.text += char;
+    } else {
+      runs.push({ text: char, embedded });
+    }
+  }
+  return runs;
+}
+
+function escapeString(text) {
+  return toLatin1(text).replace(/[\\()]/g, '\\$&');
+}
+
+// "#ff0042" -> "1 0 0.259"
+function rgb(hex) {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [value >> 16, (value >> 8) & 0xFF, value & 0xFF].map(part => Number((part / 255).toFixed(3))).join(' ');
+}
+
+const num = value => Number(value.toFixed(2));
+
+/**
+ * Width of a line of text in points.
+ *
+ * @param {string} text
+ * @param {number} size - font size
+ * @param {boolean} [bold]
+ * @param {Object} [font] - embedded font from loadFont()
+ * @returns {number}
+ */
+function textWidth(text, size, bold = false, font = null) {
+  const widths = WIDTHS[bold ? 'bold' : 'regular'];
+  const units = textRuns(text, font).reduce((sum, run) => sum + [...(run.embedded ? run.text : toLatin1(run.text))].reduce((total, char) => {
+    if (run.embedded) return total + font.advance(font.glyph(char.codePointAt(0)));
+    const code = char.charCodeAt(0);
+    return total + (code >= 32 && code <= 126 ? widths[code - 32] : 556);
+  }, 0), 0);
+  return (units * size) / 1000;
+}
+
+/**
+ * Split text into lines that fit a width.
+ *
+ * @returns {string[]}
+ */
+function wrapText(text, width, size, bold = false, font = null) {
+  const lines = [];
+  let line = '';
+
+  String(text ?? '').split(/\s+/).filter(Boolean).forEach(word => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && textWidth(candidate, size, bold, font) > width) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+}
+
+// The embedded font's objects: the Type0 font, its CID font and
+// descriptor, the font file, and a ToUnicode map so the text can be copied
+// and searched
+function embeddedFontObjects(font, used, firstId) {
+  const [type0, cidFont, descriptor, file, toUnicode] = [0, 1, 2, 3, 4].map(offset => firstId + offset);
+  const glyphs = [...used.keys()].sort((a, b) => a - b);
+  const hex = value => value.toString(16).toUpperCase().padStart(4, '0');
+  const utf16 = text => Buffer.from(text, 'utf16le').swap16().toString('hex').toUpperCase();
+
+  const mappings = [];
+  for (let index = 0; index < glyphs.length; index += 100) {
+    const chunk = glyphs.slice(index, index + 100);
+    mappings.push(`${chunk.length} beginbfchar\n${chunk.map(glyph => `<${hex(glyph)}> <${utf16(used.get(glyph))}>`).join('\n')}\nendbfchar`);
+  }
+  const cmap = [
+    '/CIDInit /ProcSet findresource begin 12 dict begin begincmap',
+    '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+    '/CMapName /Adobe-Identity-UCS def /CMapType 2 def',
+    '1 begincodespacerange <0000> <FFFF> endcodespacerange',
+    ...mappings,
+    'endcmap CMapName currentdict /CMap defineresource pop end end'
+  ].join('\n');
+  const compressed = zlib.deflateSync(font.data);
+
+  return {
+    [type0]: `<< /Type /Font /Subtype /Type0 /BaseFont /${font.name} /Encoding /Identity-H /DescendantFonts [${cidFont} 0 R] /ToUnicode ${toUnicode} 0 R >>`,
+    [cidFont]: `<< /Type /Font /Subtype /CIDFontType2 /BaseFont /${font.name} ` +
+      '/CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> ' +
+      `/FontDescriptor ${descriptor} 0 R /CIDToGIDMap /Identity /W [${glyphs.map(glyph => `${glyph} [${font.advance(glyph)}]`).join(' ')}] >>`,
+    [descriptor]: `<< /Type /FontDescriptor /FontName /${font.name} /Flags 32 /FontBBox [${font.bbox.join(' ')}] /ItalicAngle 0 ` +
+      `/Ascent ${font.ascent} /Descent ${font.descent} /CapHeight ${font.ascent} /StemV 80 /FontFile2 ${file} 0 R >>`,
+    [file]: `<< /Length ${compressed.length} /Length1 ${font.data.length} /Filter /FlateDecode >>\nstream\n${compressed.toString('latin1')}\nendstream`,
+    [toUnicode]: `<< /Length ${Buffer.byteLength(cmap, 'latin1')} >>\nstream\n${cmap}\nendstream`
+  };
+}
+
+/**
+ * A document drawn top-down: y is measured from the top of the page, as
+ * on screen, and converted to PDF's bottom-up coordinates here.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.title] - shown by PDF viewers
+ * @param {Object} [options.font] - from loadFont(), for text Helvetica can't show
+ * @returns {Object} { width, height, font, text, line, rect, addPage, toBuffer }
+ */
+function createPdf({ title = '', font = null } = {}) {
+  const pages = [[]];
+  const current = () => pages[pages.length - 1];
+  const y = top => num(PAGE_HEIGHT - top);
+  // Glyph -> the character it shows, for the embedded font's widths and ToUnicode map
+  const used = new Map();
+
+  function showRun(run, size, bold) {
+    if (!run.embedded) return `/${FONTS[bold ? 'bold' : 'regular']} ${size} Tf (${escapeString(run.text)}) Tj`;
+
+    const glyphs = [...run.text].map(char => {
+      const glyph = font.glyph(char.codePointAt(0));
+      used.set(glyph, char);
+      return glyph.toString(16).padStart(4, '0');
+    });
+    return `/${FONTS.embedded} ${size} Tf <${glyphs.join('')}> Tj`;
+  }
+
+  return {
+    width: PAGE_WIDTH,
+    height: PAGE_HEIGHT,
+    // For measuring text the same way it's drawn (textWidth, wrapText)
+    font,
+
+    /**
+     * @param {string} text
+     * @param {number} x
+     * @param {number} top - baseline, from the top of the page
+     * @param {Object} [style] - { size, bold, color, align: left | right | center }
+     */
+    text(text, x, top, { size = 10, bold = false, color = '#2c2c2c', align = 'left' } = {}) {
+      const width = textWidth(text, size, bold, font);
+      const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+      const runs = textRuns(text, font).map(run => showRun(run, size, bold));
+      current().push(`BT ${rgb(color)} rg ${num(left)} ${y(top)} Td ${runs.join(' ')} ET`);
+    },
+
+    line(x1, top1, x2, top2, { width = 0.5, color = '#dddddd' } = {}) {
+      current().push(`${width} w ${rgb(color)} RG ${num(x1)} ${y(top1)} m ${num(x2)} ${y(top2)} l S`);
+    },
+
+    rect(x, top, width, height, { fill = '#f5f6fa' } = {}) {
+      current().push(`${rgb(fill)} rg ${num(x)} ${y(top + height)} ${num(width)} ${num(height)} re f`);
+    },
+
+    addPage() {
+      pages.push([]);
+    },
+
+    /** @returns {Buffer} */
+    toBuffer() {
+      // 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and its content
+      // per page, then the embedded font if any text used it
+      const objects = [];
+      const pageIds = pages.map((content, index) => 6 + index * 2);
+      const fontId = 6 + pages.length * 2;
+      const fonts = `/F1 3 0 R /F2 4 0 R${used.size > 0 ? ` /F3 ${fontId} 0 R` : ''}`;
+
+      objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+      objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+      objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+      objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+      objects[5] = `<< /Title (${escapeString(title)}) /Producer (ZewedJobs) >>`;
+
+      pages.forEach((content, index) => {
+        const stream = content.join('\n');
+        objects[pageIds[index]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          `/Resources << /Font << ${fonts} >> >> /Contents ${pageIds[index] + 1} 0 R >>`;
+        objects[pageIds[index] + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+      });
+      if (used.size > 0) Object.assign(objects, embeddedFontObjects(font, used, fontId));
+
+      let output = '%PDF-1.4\n';
+      const offsets = [];
+      for (let id = 1; id < objects.length; id++) {
+        offsets[id] = Buffer.byteLength(output, 'latin1');
+        output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+      }
+
+      const xref = Buffer.byteLength(output, 'latin1');
+      output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+      for (let id = 1; id < objects.length; id++) {
+        output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+      }
+      output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+      return Buffer.from(output, 'latin1');
+    }
+  };
+}
+
+module.exports = { ETHIOPIC_FONT_FILE, createPdf, loadFont, textWidth, wrapText };
@@ -0,0 +1,26 @@
+// ============================================
+// PHONE NUMBERS
+// Ethiopian phone numbers as people type them: 0911 23 45 67, +251-911...
+// ============================================
+
+'use strict';
+
+// After 0 or 251: 9 digits, starting 9 or 7 for mobiles and 1-5 (the area
+// code) for landlines
+const MOBILE_PATTERN = /^(?:\+?251|0)([79]\d{8})$/;
+const PHONE_PATTERN = /^(?:\+?251|0)([1-579]\d{8})$/;
+
+/**
+ * "0911 23 45 67" -> "251911234567"
+ *
+ * @param {string} value
+ * @param {Object} [options]
+ * @param {boolean} [options.landline=false] - also accept landline numbers
+ * @returns {?string} the number in international form, or null when it isn't one
+ */
+function normalizePhone(value, { landline = false } = {}) {
+  const match = (landline ? PHONE_PATTERN : MOBILE_PATTERN).exec(String(value || '').replace(/[\s()-]/g, ''));
+  return match ? `251${match[1]}` : null;
+}
+
+module.exports = { normalizePhone };
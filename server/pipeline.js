@@ -0,0 +1,177 @@
+// ============================================
+// APPLICANT PIPELINE
+// Hiring stages per job and moving candidates through them
+// ============================================
+
+'use strict';
+
+const { HttpError } = require('./errors');
+const { APPLICATION_STATUSES, recordStatus } = require('./applications');
+const { recipientFor, notify } = require('./notifications');
+const { slugify } = require('./locations');
+
+const MAX_STAGES = 10;
+const MAX_NOTE_LENGTH = 2000;
+
+// Each stage tells the applicant one of the application statuses, so
+// employers can split "shortlisted" into screening, interview, etc.
+// without exposing their internal process.
+const DEFAULT_STAGES = [
+  { id: 'new', name: 'New', status: 'submitted' },
+  { id: 'reviewed', name: 'Reviewed', status: 'viewed' },
+  { id: 'shortlisted', name: 'Shortlisted', status: 'shortlisted' },
+  { id: 'interview', name: 'Interview', status: 'shortlisted' },
+  { id: 'hired', name: 'Hired', status: 'hired' },
+  { id: 'rejected', name: 'Rejected', status: 'rejected' }
+];
+
+const STATUS_MESSAGES = {
+  viewed: (job) => ({
+    title: 'Your application was viewed',
+    body: `${job.company} has looked at your application for ${job.title}.`
+  }),
+  shortlisted: (job) => ({
+    title: 'You have been shortlisted',
+    body: `${job.company} shortlisted you for ${job.title}.`
+  }),
+  rejected: (job) => ({
+    title: 'Update on your application',
+    body: `${job.company} has decided not to move forward with your application for ${job.title}.`
+  }),
+  hired: (job) => ({
+    title: 'Congratulations!',
+    body: `${job.company} wants to hire you as ${job.title}.`
+  })
+};
+
+function getStages(job) {
+  return job.pipelineStages || DEFAULT_STAGES;
+}
+
+// Applications from before a job's stages changed fall back to the first
+// stage matching their status
+function stageOf(application, stages) {
+  if (stages.some(stage => stage.id === application.stage)) return application.stage;
+  return (stages.find(stage => stage.status === application.status) || stages[0]).id;
+}
+
+/**
+ * Check a job's new list of stages.
+ *
+ * @param {Array<Object>} input - [{ id?, name, status }]
+ * @param {Array<Object>} applications - the job's applications
+ * @param {Array<Object>} currentStages
+ * @returns {Array<Object>}
+ * @throws {HttpError} 400 for invalid stages, 409 when a removed stage still has candidates
+ */
+function validateStages(input, applications, currentStages) {
+  if (!Array.isArray(input) || input.length < 2 || input.length > MAX_STAGES) {
+    throw HttpError.badRequest(`A pipeline needs between 2 and ${MAX_STAGES} stages`);
+  }
+
+  const errors = {};
+  const ids = new Set();
+
+  const stages = input.map((stage, index) => {
+    const name = String(stage?.name || '').trim().slice(0, 40);
+    const status = stage?.status;
+    let id = String(stage?.id || '') || slugify(name) || `stage-${index + 1}`;
+    while (ids.has(id)) id = `${id}-${index + 1}`;
+    ids.add(id);
+
+    if (!name) errors[`stages.${index}.name`] = 'Name the stage';
+    if (!APPLICATION_STATUSES.includes(status)) errors[`stages.${index}.status`] = 'Choose what the applicant sees';
+
+    return { id, name, status };
+  });
+
+  if (Object.keys(errors).length > 0) {
+    throw HttpError.badRequest('Please check the stages', errors);
+  }
+
+  const occupied = currentStages.find(stage =>
+    !ids.has(stage.id) && applications.some(application => stageOf(application, currentStages) === stage.id)
+  );
+  if (occupied) {
+    throw HttpError.conflict(`Move the candidates out of "${occupied.name}" before removing it`);
+  }
+
+  return stages;
+}
+
+// Record a new status and tell the applicant about it
+function changeStatus(store, application, job, status) {
+  if (application.status === status) return application;
+
+  const updated = recordStatus(store, application, status);
+  const message = STATUS_MESSAGES[status];
+
+  if (message) {
+    notify(store, recipientFor('application', application.id), {
+      type: 'application-status',
+      ...message(job),
+      url: '/applications',
+      data: { applicationId: application.id, status }
+    });
+  }
+
+  return updated;
+}
+
+function moveToStage(store, application, job, stageId) {
+  const stage = getStages(job).find(item => item.id === stageId);
+
+  if (!stage) {
+    throw HttpError.badRequest('Unknown pipeline stage');
+  }
+
+  store.update('applications', application.id, { stage: stage.id });
+  return changeStatus(store, application, job, stage.status);
+}
+
+// Opening an application for the first time tells the applicant it was seen.
+// Unless the employer already placed it, the candidate then shows up in the
+// first stage for viewed applications (see stageOf).
+function markViewed(store, application, job) {
+  if (application.status !== 'submitted') return application;
+  return changeStatus(store, application, job, 'viewed');
+}
+
+function addNote(store, application, author, text) {
+  const note = String(text || '').trim();
+
+  if (!note) throw HttpError.badRequest('Write a note first');
+  if (note.length > MAX_NOTE_LENGTH) {
+    throw HttpError.badRequest(`Keep notes under ${MAX_NOTE_LENGTH} characters`);
+  }
+
+  const notes = [...(application.notes || []), {
+    id: (application.notes || []).reduce((max, item) => Math.max(max, item.id), 0) + 1,
+    text: note,
+    author,
+    at: new Date().toISOString()
+  }];
+
+  return store.update('applications', application.id, { notes });
+}
+
+function setRating(store, application, rating) {
+  const value = Number(rating);
+
+  if (!Number.isInteger(value) || value < 0 || value > 5) {
+    throw HttpError.badRequest('Rate candidates from 0 to 5 stars');
+  }
+
+  return store.update('applications', application.id, { rating: value });
+}
+
+module.exports = {
+  DEFAULT_STAGES,
+  getStages,
+  stageOf,
+  validateStages,
+  moveToStage,
+  markViewed,
+  addNote,
+  setRating
+};
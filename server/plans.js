@@ -0,0 +1,167 @@
+// ============================================
+// PLANS
+// Pricing plans, what each one entitles an employer to, and which plan an
+// employer's subscription currently gives them
+// ============================================
+
+'use strict';
+
+const { DAY_MS } = require('./time');
+
+// Entitlements:
+// - jobPostings: postings live (open or paused) at once; null means unlimited
+// - featuredJobs: live postings that can be featured on the home page
+// - candidateSearch: searching job seekers' profiles
+// - candidateMatching, analytics: the matching and analytics APIs
+// Annual billing costs ten months.
+const PLANS = {
+  'job-seeker': {
+    id: 'job-seeker',
+    name: 'Job Seeker',
+    rank: 0,
+    priceMonthly: 0,
+    priceAnnual: 0,
+    jobPostings: 0,
+    featuredJobs: 0,
+    candidateSearch: false,
+    candidateMatching: false,
+    analytics: false
+  },
+  business: {
+    id: 'business',
+    name: 'Business',
+    rank: 1,
+    priceMonthly: 2499,
+    priceAnnual: 24990,
+    jobPostings: 20,
+    featuredJobs: 3,
+    candidateSearch: true,
+    candidateMatching: true,
+    analytics: true
+  },
+  enterprise: {
+    id: 'enterprise',
+    name: 'Enterprise',
+    rank: 2,
+    priceMonthly: 7999,
+    priceAnnual: 79990,
+    jobPostings: null,
+    featuredJobs: null,
+    candidateSearch: true,
+    candidateMatching: true,
+    analytics: true
+  }
+};
+
+const BILLING_PERIODS = {
+  monthly: { id: 'monthly', name: '1 month', months: 1 },
+  annual: { id: 'annual', name: '1 year', months: 12 }
+};
+
+const DEFAULT_PLAN = 'business';
+
+// What an employer has until a paid plan's invoice is paid, and after it lapses
+const FREE_PLAN = 'job-seeker';
+
+// Days a lapsed subscription keeps its plan while the renewal is paid
+const GRACE_PERIOD_DAYS = 7;
+
+// Statuses that take up a posting slot. Drafts and closed jobs are free.
+const ACTIVE_JOB_STATUSES = ['open', 'paused'];
+
+function getPlan(id) {
+  return Object.hasOwn(PLANS, id || '') ? PLANS[id] : PLANS[DEFAULT_PLAN];
+}
+
+function planPrice(plan, period) {
+  return period === 'annual' ? plan.priceAnnual : plan.priceMonthly;
+}
+
+/**
+ * The subscription as it stands at `now`: a renewal paid in advance takes
+ * over once its period starts.
+ *
+ * @param {Object} subscription
+ * @param {Date} [now]
+ * @returns {Object}
+ */
+function rollOver(subscription, now = new Date()) {
+  const { upcoming } = subscription;
+  if (!upcoming || new Date(upcoming.start) > now) return subscription;
+
+  return {
+    ...subscription,
+    plan: upcoming.plan,
+    period: upcoming.period,
+    price: upcoming.price,
+    currentPeriodStart: upcoming.start,
+    currentPeriodEnd: upcoming.end,
+    upcoming: null,
+    remindersSent: []
+  };
+}
+
+/**
+ * Where a subscription stands: active until its period ends, then in grace
+ * for GRACE_PERIOD_DAYS unless it was cancelled, then expired.
+ *
+ * @param {Object} subscription
+ * @param {Date} [now]
+ * @returns {string} active, grace or expired
+ */
+function subscriptionStatus(subscription, now = new Date()) {
+  const end = new Date(rollOver(subscription, now).currentPeriodEnd).getTime();
+
+  if (now.getTime() < end) return 'active';
+  if (!subscription.cancelAtPeriodEnd && now.getTime() < end + GRACE_PERIOD_DAYS * DAY_MS) return 'grace';
+  return 'expired';
+}
+
+/**
+ * The plan an employer can use right now. Accounts from before
+ * subscriptions keep the plan they were given.
+ *
+ * @param {Object} employer
+ * @param {Date} [now]
+ * @returns {Object} a PLANS entry
+ */
+function currentPlan(employer, now = new Date()) {
+  const { subscription } = employer;
+
+  if (!subscription) return getPlan(employer.plan);
+  return subscriptionStatus(subscription, now) === 'expired' ? PLANS[FREE_PLAN] : getPlan(rollOver(subscription, now).plan);
+}
+
+/**
+ * @param {Store} store
+ * @param {Object} employer
+ * @returns {{plan: string, limit: ?number, used: number, remaining: ?number}}
+ */
+function postingQuota(store, employer) {
+  const plan = currentPlan(employer);
+  const used = store.list('jobs', job =>
+    job.employerId === employer.id && ACTIVE_JOB_STATUSES.includes(job.status)
+  ).length;
+
+  return {
+    plan: plan.id,
+    limit: plan.jobPostings,
+    used,
+    remaining: plan.jobPostings === null ? null : Math.max(plan.jobPostings - used, 0)
+  };
+}
+
+module.exports = {
+  PLANS,
+  BILLING_PERIODS,
+  DEFAULT_PLAN,
+  FREE_PLAN,
+  GRACE_PERIOD_DAYS,
+  ACTIVE_JOB_STATUSES,
+  getPlan,
+  planPrice,
+  rollOver,
+  subscriptionStatus,
+  currentPlan,
+  postingQuota
+};
@@ -0,0 +1,239 @@
+// ============================================
+// JOB SEEKER PROFILES
+// What a job seeker shows employers: their resume's headline, skills,
+// experience and education, the work they are looking for, and who may
+// see it
+// ============================================
+
+'use strict';
+
+const { HttpError } = require('./errors');
+const { JOB_TYPES, toList } = require('./employer-jobs');
+const { WORKPLACES } = require('./search/job-filters');
+const { findCity, placeLabel, isKnownLocation } = require('./locations');
+const { currentPlan } = require('./plans');
+
+// Who sees a profile besides the job seeker. Public profiles are also
+// found by employers searching.
+const VISIBILITIES = {
+  public: 'Anyone with the link',
+  employers: 'Employers on a paid plan',
+  hidden: 'Only you'
+};
+
+const MAX_LOCATIONS = 5;
+const MAX_SALARY = 10000000;
+const MIN_SKILLS = 3;
+
+// How many skills a search result lists
+const CARD_SKILLS = 8;
+
+// What a complete profile has. Weights add up to 100; `source` says where
+// the job seeker fills it in.
+const COMPLETENESS = [
+  { key: 'headline', weight: 10, source: 'resume', label: 'Add a headline to your resume', done: ({ resume }) => Boolean(resume?.personal.headline) },
+  { key: 'summary', weight: 10, source: 'resume', label: 'Write a short profile about yourself', done: ({ resume }) => Boolean(resume?.personal.summary) },
+  { key: 'skills', weight: 15, source: 'resume', label: `List at least ${MIN_SKILLS} skills`, done: ({ resume }) => (resume?.skills.length || 0) >= MIN_SKILLS },
+  { key: 'experience', weight: 20, source: 'resume', label: 'Add your work experience', done: ({ resume }) => (resume?.experience.length || 0) > 0 },
+  { key: 'education', weight: 15, source: 'resume', label: 'Add your education', done: ({ resume }) => (resume?.education.length || 0) > 0 },
+  { key: 'desiredSalary', weight: 10, source: 'profile', label: 'Set the salary you are looking for', done: ({ profile }) => profile.desiredSalary !== null },
+  { key: 'locations', weight: 10, source: 'profile', label: 'Choose where you want to work', done: ({ profile }) => profile.locations.length > 0 },
+  { key: 'jobTypes', weight: 10, source: 'profile', label: 'Choose the kinds of jobs you want', done: ({ profile }) => profile.jobTypes.length > 0 }
+];
+
+// A job seeker's profile before they change anything: nobody else sees it
+const DEFAULT_PROFILE = {
+  openToWork: false,
+  visibility: 'hidden',
+  desiredSalary: null,
+  locations: [],
+  workplaces: [],
+  jobTypes: []
+};
+
+/**
+ * Check profile settings. Fields left out keep their current values.
+ *
+ * @param {Object} input - { openToWork, visibility, desiredSalary, locations, workplaces, jobTypes, editedAt }
+ * @param {Object} [current]
+ * @returns {Object}
+ * @throws {HttpError} 400 with per-field details
+ */
+function validateProfile(input, current = DEFAULT_PROFILE) {
+  const errors = {};
+
+  const visibility = input.visibility ?? current.visibility;
+  if (!Object.hasOwn(VISIBILITIES, visibility)) errors.visibility = 'Choose public, employers only or hidden';
+
+  let desiredSalary = input.desiredSalary === undefined ? current.desiredSalary : input.desiredSalary;
+  if (desiredSalary === '' || desiredSalary === null) {
+    desiredSalary = null;
+  } else {
+    desiredSalary = Number(desiredSalary);
+    if (!Number.isInteger(desiredSalary) || desiredSalary < 0 || desiredSalary > MAX_SALARY) {
+      errors.desiredSalary = 'Enter a monthly amount in birr, in whole numbers';
+    }
+  }
+
+  const locations = [...new Set(input.locations === undefined ? current.locations : toList(input.locations))];
+  if (locations.some(value => !isKnownLocation(value))) {
+    errors.locations = 'Choose places from the list';
+  } else if (locations.length > MAX_LOCATIONS) {
+    errors.locations = `Choose up to ${MAX_LOCATIONS} places`;
+  }
+
+  const workplaces = [...new Set(input.workplaces === undefined ? current.workplaces : toList(input.workplaces))];
+  if (workplaces.some(value => !WORKPLACES.some(item => item.value === value))) errors.workplaces = 'Choose on-site, remote or hybrid';
+
+  const jobTypes = [...new Set(input.jobTypes === undefined ? current.jobTypes : toList(input.jobTypes))];
+  if (jobTypes.some(type => !JOB_TYPES.includes(type))) errors.jobTypes = 'Choose job types from the list';
+
+  if (Object.keys(errors).length > 0) {
+    throw HttpError.badRequest('Please check your profile', errors);
+  }
+
+  // A device whose clock runs ahead can't make its edits win forever
+  const editedAt = new Date(input.editedAt);
+
+  return {
+    openToWork: Boolean(input.openToWork ?? current.openToWork),
+    visibility,
+    desiredSalary,
+    locations,
+    workplaces,
+    jobTypes,
+    editedAt: isNaN(editedAt.getTime()) || editedAt > Date.now() ? new Date().toISOString() : editedAt.toISOString()
+  };
+}
+
+function findProfile(store, userId) {
+  return store.findOne('profiles', item => item.userId === userId);
+}
+
+/**
+ * Keep a user's profile settings. Like resumes, they can be changed
+ * offline and sent later, so the most recent edit wins.
+ *
+ * @returns {{ profile: Object, applied: boolean }}
+ */
+function saveProfile(store, userId, input) {
+  const existing = findProfile(store, userId);
+  // Profiles saved before a setting existed have its default
+  const fields = validateProfile(input, { ...DEFAULT_PROFILE, ...existing });
+
+  if (!existing) {
+    return { profile: store.insert('profiles', { userId, ...fields }), applied: true };
+  }
+  if (new Date(existing.editedAt) > new Date(fields.editedAt)) {
+    return { profile: existing, applied: false };
+  }
+  return { profile: store.update('profiles', existing.id, fields), applied: true };
+}
+
+/**
+ * How complete a profile is, and what would make it more so.
+ *
+ * @param {Object} profile
+ * @param {?Object} resume - the user's saved resume
+ * @returns {{ percent: number, missing: Array<{ key: string, label: string, source: string }> }}
+ */
+function profileCompleteness(profile, resume) {
+  const state = { profile: { ...DEFAULT_PROFILE, ...profile }, resume };
+  const done = COMPLETENESS.filter(item => item.done(state));
+
+  return {
+    percent: done.reduce((sum, item) => sum + item.weight, 0),
+    missing: COMPLETENESS.filter(item => !done.includes(item)).map(({ key, label, source }) => ({ key, label, source }))
+  };
+}
+
+// Does a candidate who wants to work in `wanted` suit a job in `place`?
+// Either can be a city or a region: Adama suits Oromia, and Oromia suits Adama.
+function placesOverlap(wanted, place) {
+  return wanted === place || findCity(wanted)?.region === place || findCity(place)?.region === wanted;
+}
+
+/**
+ * Whether someone other than the job seeker may see a profile, and how
+ * much of it. Employers who may search profiles also see contact details
+ * and the desired salary; references are never shown.
+ *
+ * @param {Object} profile
+ * @param {Object} viewer - { user, employer }, either may be null
+ * @returns {{ visible: boolean, full: boolean }}
+ */
+function profileAccess(profile, { user = null, employer = null } = {}) {
+  const own = Boolean(user) && user.id === profile.userId;
+  const searching = Boolean(employer) && Boolean(currentPlan(employer).candidateSearch);
+
+  return {
+    visible: own || profile.visibility === 'public' || (profile.visibility === 'employers' && searching),
+    full: own || (searching && profile.visibility !== 'hidden')
+  };
+}
+
+/**
+ * A profile as others see it.
+ *
+ * @param {Object} profile
+ * @param {?Object} resume
+ * @param {Object} user - the job seeker
+ * @param {Object} [options]
+ * @param {boolean} [options.full] - include contact details and the desired salary
+ */
+function toProfileView(profile, resume, user, { full = false } = {}) {
+  const personal = resume?.personal || {};
+
+  return {
+    id: profile.id,
+    name: personal.fullName || user.name,
+    fullNameAmharic: personal.fullNameAmharic || '',
+    headline: personal.headline || '',
+    location: personal.location || '',
+    summary: personal.summary || '',
+    skills: resume?.skills || [],
+    experience: resume?.experience || [],
+    education: resume?.education || [],
+    languages: resume?.languages || [],
+    openToWork: profile.openToWork,
+    locations: profile.locations.map(value => ({ value, label: placeLabel(value) })),
+    workplaces: profile.workplaces || [],
+    jobTypes: profile.jobTypes,
+    updatedAt: [profile.editedAt, resume?.editedAt].filter(Boolean).sort().pop(),
+    ...(full && {
+      desiredSalary: profile.desiredSalary,
+      email: personal.email || user.email,
+      phone: personal.phone || ''
+    })
+  };
+}
+
+// A search result: enough to decide whether to open the profile
+function toCandidateCard(profile, resume, user) {
+  const { summary, languages, experience, education, ...view } = toProfileView(profile, resume, user);
+  const [latest] = experience;
+
+  return {
+    ...view,
+    skills: view.skills.slice(0, CARD_SKILLS),
+    latestJob: latest ? { title: latest.title, company: latest.company, current: latest.current } : null
+  };
+}
+
+function toOwnProfile({ userId, ...profile }) {
+  return profile;
+}
+
+module.exports = {
+  VISIBILITIES,
+  DEFAULT_PROFILE,
+  validateProfile,
+  findProfile,
+  saveProfile,
+  profileCompleteness,
+  placesOverlap,
+  profileAccess,
+  toProfileView,
+  toCandidateCard,
+  toOwnProfile
+};
@@ -0,0 +1,180 @@
+// ============================================
+// RESUME DOCX
+// A resume from the builder as a Word document, so it can be edited
+// further; laid out like the PDF
+// ============================================
+
+'use strict';
+
+const { createZip } = require('./zip');
+const { heading, formatPeriod, languageLevel, hasEthiopic } = require('./resumes');
+
+const ACCENTS = { classic: '2C2C2C', modern: 'FF0042', bilingual: '078930' };
+const MUTED = '666666';
+
+// A4 with 2 cm margins, in twentieths of a point; dates sit at the right margin
+const PAGE = { width: 11906, height: 16838, margin: 1134 };
+const TEXT_WIDTH = PAGE.width - 2 * PAGE.margin;
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// size is in points
+function run(text, { bold = false, size = 10.5, color = null } = {}) {
+  const props = [bold && '<w:b/>', color && `<w:color w:val="${color}"/>`, `<w:sz w:val="${size * 2}"/>`].filter(Boolean).join('');
+  return `<w:r><w:rPr>${props}</w:rPr><w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+}
+
+function paragraph(runs, { align = 'left', after = 60, border = null, tab = false } = {}) {
+  const props = [
+    border && `<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="${border}"/></w:pBdr>`,
+    tab && `<w:tabs><w:tab w:val="right" w:pos="${TEXT_WIDTH}"/></w:tabs>`,
+    `<w:spacing w:after="${after}"/>`,
+    align !== 'left' && `<w:jc w:val="${align === 'center' ? 'center' : 'right'}"/>`
+  ].filter(Boolean).join('');
+  return `<w:p><w:pPr>${props}</w:pPr>${runs.join('')}</w:p>`;
+}
+
+function documentXml(resume) {
+  const { personal, template } = resume;
+  const accent = ACCENTS[template];
+  const align = template === 'modern' ? 'left' : 'center';
+  const body = [];
+
+  const section = key => body.push(paragraph([run(heading(template, key).toUpperCase(), { bold: true, size: 11, color: accent })], { after: 120, border: accent }));
+  const lines = (value, style = {}) => String(value).split('\n').filter(line => line.trim())
+    .forEach(line => body.push(paragraph([run(line.trim(), style)])));
+  const entryHeader = (title, period, detail) => {
+    const runs = [run(title, { bold: true })];
+    if (period) runs.push('<w:r><w:tab/></w:r>', run(period, { size: 9, color: MUTED }));
+    body.push(paragraph(runs, { after: 20, tab: Boolean(period) }));
+    if (detail) lines(detail, { size: 9.5, color: MUTED });
+  };
+
+  body.push(paragraph([run(personal.fullName, { bold: true, size: 22, color: template === 'modern' ? accent : null })], { align, after: 40 }));
+  if (template === 'bilingual' && personal.fullNameAmharic) {
+    body.push(paragraph([run(personal.fullNameAmharic, { size: 15 })], { align, after: 40 }));
+  }
+  if (personal.headline) body.push(paragraph([run(personal.headline, { size: 12, color: MUTED })], { align, after: 40 }));
+  const contact = [personal.email, personal.phone, personal.location, personal.website].filter(Boolean).join('  |  ');
+  if (contact) body.push(paragraph([run(contact, { size: 9.5, color: MUTED })], { align, after: 200 }));
+
+  if (personal.summary) {
+    section('summary');
+    lines(personal.summary);
+  }
+
+  if (resume.experience.length > 0) {
+    section('experience');
+    resume.experience.forEach(item => {
+      entryHeader(item.title, formatPeriod(item, template), [item.company, item.location].filter(Boolean).join(', '));
+      if (item.description) lines(item.description);
+    });
+  }
+
+  if (resume.education.length > 0) {
+    section('education');
+    resume.education.forEach(item => {
+      const title = [item.qualification, item.field].filter(Boolean).join(', ') || item.school;
+      entryHeader(title, formatPeriod(item, template), [title === item.school ? '' : item.school, item.grade].filter(Boolean).join(' · '));
+    });
+  }
+
+  if (resume.skills.length > 0) {
+    section('skills');
+    lines(resume.skills.join('  ·  '));
+  }
+
+  if (resume.languages.length > 0) {
+    section('languages');
+    lines(resume.languages.map(item => [item.name, languageLevel(item.level, template)].filter(Boolean).join(' - ')).join('  ·  '));
+  }
+
+  if (resume.references.length > 0) {
+    section('references');
+    resume.references.forEach(item => {
+      entryHeader(item.name, '', [item.position, item.company].filter(Boolean).join(', '));
+      const reach = [item.phone, item.email].filter(Boolean).join('  |  ');
+      if (reach) lines(reach, { size: 9.5, color: MUTED });
+    });
+  }
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>' +
+    body.join('') +
+    `<w:sectPr><w:pgSz w:w="${PAGE.width}" w:h="${PAGE.height}"/>` +
+    `<w:pgMar w:top="${PAGE.margin}" w:right="${PAGE.margin}" w:bottom="${PAGE.margin}" w:left="${PAGE.margin}" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr>` +
+    '</w:body></w:document>';
+}
+
+// Ebrima has both Latin and Ge'ez letters and comes with Windows
+function stylesXml(resume) {
+  const font = hasEthiopic(resume) ? 'Ebrima' : 'Calibri';
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:docDefaults>' +
+    `<w:rPrDefault><w:rPr><w:rFonts w:ascii="${font}" w:hAnsi="${font}" w:eastAsia="${font}" w:cs="${font}"/>` +
+    '<w:color w:val="2C2C2C"/><w:sz w:val="21"/></w:rPr></w:rPrDefault>' +
+    '<w:pPrDefault><w:pPr><w:spacing w:after="60" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault>' +
+    '</w:docDefaults></w:styles>';
+}
+
+/**
+ * @param {Object} resume - from validateResume(..., { complete: true })
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Buffer}
+ */
+function renderResumeDocx(resume, { now = new Date() } = {}) {
+  const contentType = 'application/vnd.openxmlformats-officedocument.wordprocessingml';
+  const relationship = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        `<Override PartName="/word/document.xml" ContentType="${contentType}.document.main+xml"/>` +
+        `<Override PartName="/word/styles.xml" ContentType="${contentType}.styles+xml"/>` +
+        '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        `<Relationship Id="rId1" Type="${relationship}/officeDocument" Target="word/document.xml"/>` +
+        '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'docProps/core.xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ' +
+        'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+        `<dc:title>${escapeXml(`${resume.personal.fullName} - Resume`)}</dc:title>` +
+        `<dc:creator>${escapeXml(resume.personal.fullName)}</dc:creator>` +
+        `<dcterms:created xsi:type="dcterms:W3CDTF">${now.toISOString().replace(/\.\d+Z$/, 'Z')}</dcterms:created>` +
+        '</cp:coreProperties>'
+    },
+    {
+      name: 'word/_rels/document.xml.rels',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        `<Relationship Id="rId1" Type="${relationship}/styles" Target="styles.xml"/>` +
+        '</Relationships>'
+    },
+    { name: 'word/document.xml', data: documentXml(resume) },
+    { name: 'word/styles.xml', data: stylesXml(resume) }
+  ], { date: now });
+}
+
+module.exports = { renderResumeDocx };
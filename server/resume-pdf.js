@@ -0,0 +1,139 @@
+// ============================================
+// RESUME PDF
+// A resume from the builder as a PDF, in one of its templates
+// ============================================
+
+'use strict';
+
+const { createPdf, textWidth, wrapText } = require('./pdf');
+const { heading, formatPeriod, languageLevel } = require('./resumes');
+
+const LEFT = 50;
+const RIGHT = 545;
+const TOP = 60;
+const BOTTOM = 790;
+const TEXT = '#2c2c2c';
+const MUTED = '#666666';
+
+const STYLES = {
+  classic: { align: 'center', accent: TEXT, band: false },
+  modern: { align: 'left', accent: '#ff0042', band: true },
+  bilingual: { align: 'center', accent: '#078930', band: false }
+};
+
+/**
+ * @param {Object} resume - from validateResume(..., { complete: true })
+ * @param {Object} [options]
+ * @param {Object} [options.font] - from loadFont(), for Ge'ez script
+ * @returns {Buffer}
+ */
+function renderResumePdf(resume, { font = null } = {}) {
+  const { personal, template } = resume;
+  const style = STYLES[template];
+  const pdf = createPdf({ title: `${personal.fullName} - Resume`, font });
+  const center = (LEFT + RIGHT) / 2;
+  let top = TOP;
+
+  // Start a new page when what comes next doesn't fit
+  function room(height) {
+    if (top + height <= BOTTOM) return;
+    pdf.addPage();
+    top = TOP;
+  }
+
+  function paragraph(value, { size = 10, color = TEXT, indent = 0, gap = 14 } = {}) {
+    String(value).split('\n').filter(line => line.trim()).forEach(line => {
+      wrapText(line, RIGHT - LEFT - indent, size, false, font).forEach(wrapped => {
+        room(gap);
+        pdf.text(wrapped, LEFT + indent, top, { size, color });
+        top += gap;
+      });
+    });
+  }
+
+  function section(key) {
+    room(50);
+    top += 12;
+    pdf.text(heading(template, key).toUpperCase(), LEFT, top, { size: 11, bold: true, color: style.accent });
+    pdf.line(LEFT, top + 5, RIGHT, top + 5, { color: style.accent, width: 0.75 });
+    top += 22;
+  }
+
+  // A bold line with the dates on the right, then a muted one under it
+  function entryHeader(title, period, detail) {
+    room(40);
+    const periodWidth = period ? textWidth(period, 9, false, font) + 15 : 0;
+    pdf.text(wrapText(title, RIGHT - LEFT - periodWidth, 10.5, true, font)[0] || '', LEFT, top, { size: 10.5, bold: true });
+    if (period) pdf.text(period, RIGHT, top, { size: 9, color: MUTED, align: 'right' });
+    top += 14;
+    if (detail) paragraph(detail, { size: 9.5, color: MUTED, gap: 13 });
+  }
+
+  // Name and contact details
+  if (style.band) pdf.rect(0, 0, pdf.width, 8, { fill: style.accent });
+  const x = style.align === 'center' ? center : LEFT;
+  pdf.text(personal.fullName, x, top, { size: 22, bold: true, color: style.band ? style.accent : TEXT, align: style.align });
+  top += 22;
+  if (template === 'bilingual' && personal.fullNameAmharic) {
+    pdf.text(personal.fullNameAmharic, x, top, { size: 15, align: style.align });
+    top += 20;
+  }
+  if (personal.headline) {
+    pdf.text(personal.headline, x, top, { size: 12, color: MUTED, align: style.align });
+    top += 18;
+  }
+  const contact = [personal.email, personal.phone, personal.location, personal.website].filter(Boolean).join('  |  ');
+  wrapText(contact, RIGHT - LEFT, 9.5, false, font).forEach(line => {
+    pdf.text(line, x, top, { size: 9.5, color: MUTED, align: style.align });
+    top += 13;
+  });
+  top += 4;
+
+  if (personal.summary) {
+    section('summary');
+    paragraph(personal.summary);
+  }
+
+  if (resume.experience.length > 0) {
+    section('experience');
+    resume.experience.forEach(item => {
+      entryHeader(item.title, formatPeriod(item, template), [item.company, item.location].filter(Boolean).join(', '));
+      if (item.description) paragraph(item.description, { indent: 10 });
+      top += 6;
+    });
+  }
+
+  if (resume.education.length > 0) {
+    section('education');
+    resume.education.forEach(item => {
+      const title = [item.qualification, item.field].filter(Boolean).join(', ') || item.school;
+      const detail = [title === item.school ? '' : item.school, item.grade].filter(Boolean).join(' · ');
+      entryHeader(title, formatPeriod(item, template), detail);
+      top += 6;
+    });
+  }
+
+  if (resume.skills.length > 0) {
+    section('skills');
+    paragraph(resume.skills.join('  ·  '));
+  }
+
+  if (resume.languages.length > 0) {
+    section('languages');
+    paragraph(resume.languages.map(item => [item.name, languageLevel(item.level, template)].filter(Boolean).join(' - ')).join('  ·  '));
+  }
+
+  if (resume.references.length > 0) {
+    section('references');
+    resume.references.forEach(item => {
+      entryHeader(item.name, '', [item.position, item.company].filter(Boolean).join(', '));
+      const reach = [item.phone, item.email].filter(Boolean).join('  |  ');
+      if (reach) paragraph(reach, { size: 9.5, color: MUTED, gap: 13 });
+      top += 6;
+    });
+  }
+
+  return pdf.toBuffer();
+}
+
+module.exports = { renderResumePdf };
@@ -0,0 +1,236 @@
+// ============================================
+// RESUMES
+// A job seeker's resume from the resume builder: what it holds, its
+// templates, and the copy kept with their account
+// ============================================
+
+'use strict';
+
+const { HttpError } = require('./errors');
+const { EMAIL_PATTERN } = require('./applications');
+
+// The client has the same templates and headings for its live preview
+const TEMPLATES = {
+  classic: { name: 'Classic', languages: ['en'] },
+  modern: { name: 'Modern', languages: ['en'] },
+  bilingual: { name: 'Bilingual (English / አማርኛ)', languages: ['en', 'am'] }
+};
+
+const HEADINGS = {
+  en: {
+    summary: 'Profile',
+    experience: 'Experience',
+    education: 'Education',
+    skills: 'Skills',
+    languages: 'Languages',
+    references: 'References',
+    present: 'Present'
+  },
+  am: {
+    summary: 'አጭር መግለጫ',
+    experience: 'የሥራ ልምድ',
+    education: 'ትምህርት',
+    skills: 'ክህሎቶች',
+    languages: 'ቋንቋዎች',
+    references: 'ዋቢዎች',
+    present: 'እስካሁን'
+  }
+};
+
+const LANGUAGE_LEVELS = {
+  basic: { en: 'Basic', am: 'መሠረታዊ' },
+  conversational: { en: 'Conversational', am: 'መግባባት የሚያስችል' },
+  fluent: { en: 'Fluent', am: 'አቀላጥፎ' },
+  native: { en: 'Native', am: 'የአፍ መፍቻ' }
+};
+
+// Each section's fields: a maximum length, or a kind that is checked
+const SECTIONS = {
+  experience: { title: 120, company: 120, location: 120, startDate: 'month', endDate: 'month', current: 'boolean', description: 2000 },
+  education: { school: 160, qualification: 120, field: 120, startDate: 'month', endDate: 'month', grade: 60 },
+  languages: { name: 60, level: 'level' },
+  references: { name: 120, position: 120, company: 120, phone: 20, email: 'email' }
+};
+
+// What an entry needs before the resume can be exported
+const REQUIRED = {
+  experience: { title: 'Enter the job title', company: 'Enter the employer' },
+  education: { school: 'Enter the school or university' },
+  languages: { name: 'Enter the language' },
+  references: { name: 'Enter the reference\'s name' }
+};
+
+const MAX_ENTRIES = 15;
+const MAX_SKILLS = 40;
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Ethiopic syllables, extended and supplement blocks
+const ETHIOPIC = /[\u1200-\u139F\u2D80-\u2DDF\uAB00-\uAB2F]/;
+
+function text(value, max) {
+  return String(value || '').trim().slice(0, max);
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+function validateEntry(section, input, prefix, errors) {
+  const entry = {};
+
+  Object.entries(SECTIONS[section]).forEach(([field, kind]) => {
+    const key = `${prefix}.${field}`;
+
+    if (kind === 'boolean') {
+      entry[field] = Boolean(input[field]);
+    } else if (kind === 'month') {
+      entry[field] = text(input[field], 7);
+      if (entry[field] && !MONTH_PATTERN.test(entry[field])) errors[key] = 'Enter a month, e.g. 2024-09';
+    } else if (kind === 'level') {
+      entry[field] = Object.hasOwn(LANGUAGE_LEVELS, input[field]) ? input[field] : '';
+    } else if (kind === 'email') {
+      entry[field] = text(input[field], 200).toLowerCase();
+      if (entry[field] && !EMAIL_PATTERN.test(entry[field])) errors[key] = 'Enter a valid email address';
+    } else {
+      entry[field] = text(input[field], kind);
+    }
+  });
+
+  // Months compare as strings
+  if (entry.current) entry.endDate = '';
+  if (entry.startDate && entry.endDate && entry.endDate < entry.startDate && !errors[`${prefix}.endDate`]) {
+    errors[`${prefix}.endDate`] = 'The end can\'t be before the start';
+  }
+  return entry;
+}
+
+/**
+ * Check a resume sent by the builder. Saved resumes are drafts and may be
+ * incomplete; an exported one needs a name and the basics of every entry.
+ *
+ * @param {Object} input - { template, personal, experience, education, skills, languages, references, editedAt }
+ * @param {Object} [options]
+ * @param {boolean} [options.complete=false]
+ * @returns {Object}
+ * @throws {HttpError} 400 with per-field details, e.g. "experience.0.title"
+ */
+function validateResume(input, { complete = false } = {}) {
+  const errors = {};
+  const personal = input.personal || {};
+
+  const resume = {
+    template: Object.hasOwn(TEMPLATES, input.template) ? input.template : 'classic',
+    personal: {
+      fullName: text(personal.fullName, 120),
+      fullNameAmharic: text(personal.fullNameAmharic, 120),
+      headline: text(personal.headline, 120),
+      email: text(personal.email, 200).toLowerCase(),
+      phone: text(personal.phone, 20),
+      location: text(personal.location, 120),
+      website: text(personal.website, 300),
+      summary: text(personal.summary, 1500)
+    },
+    skills: (Array.isArray(input.skills) ? input.skills : [])
+      .map(skill => text(skill, 60))
+      .filter((skill, index, all) => skill && all.indexOf(skill) === index)
+  };
+
+  if (complete && !resume.personal.fullName) errors['personal.fullName'] = 'Enter your full name';
+  if (resume.personal.email && !EMAIL_PATTERN.test(resume.personal.email)) errors['personal.email'] = 'Enter a valid email address';
+  if (resume.personal.website && !isHttpUrl(resume.personal.website)) errors['personal.website'] = 'Enter a full web address, starting with https://';
+  if (resume.skills.length > MAX_SKILLS) errors.skills = `List up to ${MAX_SKILLS} skills`;
+
+  Object.keys(SECTIONS).forEach(section => {
+    const entries = Array.isArray(input[section]) ? input[section] : [];
+    if (entries.length > MAX_ENTRIES) errors[section] = `Add up to ${MAX_ENTRIES} entries`;
+
+    resume[section] = entries.slice(0, MAX_ENTRIES).map((item, index) => {
+      const entry = validateEntry(section, item || {}, `${section}.${index}`, errors);
+      if (complete) {
+        Object.entries(REQUIRED[section]).forEach(([field, message]) => {
+          if (!entry[field]) errors[`${section}.${index}.${field}`] = message;
+        });
+      }
+      return entry;
+    });
+  });
+
+  // A device whose clock runs ahead can't make its edits win forever
+  const editedAt = new Date(input.editedAt);
+  resume.editedAt = isNaN(editedAt.getTime()) || editedAt > Date.now() ? new Date().toISOString() : editedAt.toISOString();
+
+  if (Object.keys(errors).length > 0) {
+    throw HttpError.badRequest('Please check your resume', errors);
+  }
+  return resume;
+}
+
+/**
+ * Keep a user's resume. It is edited offline on several devices, so the
+ * most recent edit wins, whichever order they arrive in.
+ *
+ * @returns {{ resume: Object, applied: boolean }}
+ */
+function saveResume(store, userId, fields) {
+  const existing = store.findOne('resumes', item => item.userId === userId);
+
+  if (!existing) {
+    return { resume: store.insert('resumes', { userId, ...fields }), applied: true };
+  }
+  if (new Date(existing.editedAt) > new Date(fields.editedAt)) {
+    return { resume: existing, applied: false };
+  }
+  return { resume: store.update('resumes', existing.id, fields), applied: true };
+}
+
+// Section headings in the template's languages: "Experience / የሥራ ልምድ"
+function heading(template, key) {
+  return TEMPLATES[template].languages.map(language => HEADINGS[language][key]).join(' / ');
+}
+
+// "2019-03" -> "Mar 2019"; an open end is "Present"
+function formatPeriod(entry, template) {
+  const month = value => {
+    const [year, number] = value.split('-').map(Number);
+    return `${['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'][number - 1]} ${year}`;
+  };
+  const end = entry.current ? heading(template, 'present') : entry.endDate && month(entry.endDate);
+
+  return [entry.startDate && month(entry.startDate), end].filter(Boolean).join(' - ');
+}
+
+function languageLevel(level, template) {
+  if (!level) return '';
+  return TEMPLATES[template].languages.map(language => LANGUAGE_LEVELS[level][language]).join(' / ');
+}
+
+/**
+ * Whether a resume shows Ge'ez script, which needs a font that has it.
+ *
+ * @param {Object} resume
+ * @returns {boolean}
+ */
+function hasEthiopic(resume) {
+  return TEMPLATES[resume.template].languages.includes('am') || ETHIOPIC.test(JSON.stringify(resume));
+}
+
+function toPublicResume({ id, userId, ...resume }) {
+  return resume;
+}
+
+module.exports = {
+  TEMPLATES,
+  LANGUAGE_LEVELS,
+  validateResume,
+  saveResume,
+  heading,
+  formatPeriod,
+  languageLevel,
+  hasEthiopic,
+  toPublicResume
+};
@@ -0,0 +1,155 @@
+// ============================================
+// JOB ALERTS API
+// Saved searches, the devices that get their push notifications, and what
+// people did with them
+// ============================================
+
+'use strict';
+
+const express = require('express');
+const { HttpError } = require('../errors');
+const { requireUser } = require('../sessions');
+const { hashToken, tokensMatch } = require('../tokens');
+const { parseSubscription } = require('../web-push');
+const { findUnsubscribeSearch } = require('../digest');
+const {
+  createSavedSearch,
+  updateSavedSearch,
+  toPublicSavedSearch,
+  DELIVERY_EVENTS
+} = require('../alerts');
+
+/**
+ * @param {Store} store
+ * @param {Object} options
+ * @param {Object} options.push - from createPushClient()
+ * @param {string} options.secret - checks the signed unsubscribe links in digest emails
+ */
+function createAlertsRouter(store, { push, secret }) {
+  const router = express.Router();
+
+  function findSavedSearch(req) {
+    const search = store.get('savedSearches', req.params.id);
+
+    if (!search || search.userId !== req.user.id) {
+      throw HttpError.notFound('Job alert not found');
+    }
+    return search;
+  }
+
+  // Private to the user; the service worker must not cache them
+  router.use(['/saved-searches', '/push/subscriptions'], requireUser, (req, res, next) => {
+    res.set('Cache-Control', 'no-store');
+    next();
+  });
+
+  // GET /api/push/public-key
+  // The VAPID key browsers need to subscribe
+  router.get('/push/public-key', (req, res) => {
+    res.json({ publicKey: push.publicKey });
+  });
+
+  // POST /api/push/subscriptions
+  // { endpoint, keys: { p256dh, auth } }, as PushSubscription.toJSON() gives it
+  router.post('/push/subscriptions', (req, res) => {
+    const subscription = parseSubscription(req.body);
+
+    if (!subscription) {
+      throw HttpError.badRequest('This browser sent a push subscription we can\'t use');
+    }
+
+    // A device belongs to whoever signed in on it last
+    const existing = store.findOne('pushSubscriptions', item => item.endpoint === subscription.endpoint);
+    const fields = {
+      ...subscription,
+      userId: req.user.id,
+      userAgent: String(req.get('user-agent') || '').slice(0, 200)
+    };
+    const saved = existing
+      ? store.update('pushSubscriptions', existing.id, fields)
+      : store.insert('pushSubscriptions', fields);
+
+    res.status(existing ? 200 : 201).json({ subscription: { id: saved.id, endpoint: saved.endpoint } });
+  });
+
+  // DELETE /api/push/subscriptions
+  // { endpoint }; unknown endpoints are not an error, so retries are safe
+  router.delete('/push/subscriptions', (req, res) => {
+    const endpoint = String(req.body?.endpoint || '');
+    const existing = store.findOne('pushSubscriptions', item =>
+      item.endpoint === endpoint && item.userId === req.user.id
+    );
+
+    if (existing) store.remove('pushSubscriptions', existing.id);
+    res.status(204).end();
+  });
+
+  // GET /api/saved-searches
+  router.get('/saved-searches', (req, res) => {
+    const savedSearches = store.list('savedSearches', item => item.userId === req.user.id)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(toPublicSavedSearch);
+
+    res.json({
+      savedSearches,
+      pushDevices: store.list('pushSubscriptions', item => item.userId === req.user.id).length
+    });
+  });
+
+  // POST /api/saved-searches
+  // { name?, q, filters, frequency, push, email }
+  router.post('/saved-searches', (req, res) => {
+    const search = createSavedSearch(store, req.user.id, req.body || {});
+    res.status(201).json({ savedSearch: toPublicSavedSearch(search) });
+  });
+
+  // PATCH /api/saved-searches/:id
+  // { name?, q?, filters?, frequency?, push?, email?, active? }
+  router.patch('/saved-searches/:id', (req, res) => {
+    const search = updateSavedSearch(store, findSavedSearch(req), req.body || {});
+    res.json({ savedSearch: toPublicSavedSearch(search) });
+  });
+
+  // DELETE /api/saved-searches/:id
+  router.delete('/saved-searches/:id', (req, res) => {
+    store.remove('savedSearches', findSavedSearch(req).id);
+    res.status(204).end();
+  });
+
+  // POST /api/alerts/deliveries/:id/events
+  // { token, type: "click" | "dismiss", action? }
+  // Sent by the service worker, which may have no session, so the token
+  // from the push message identifies the delivery
+  router.post('/alerts/deliveries/:id/events', (req, res) => {
+    const { token, type, action } = req.body || {};
+    const delivery = store.get('alertDeliveries', req.params.id);
+
+    if (!delivery || !tokensMatch(delivery.token, hashToken(token))) {
+      throw HttpError.notFound('Alert not found');
+    }
+    if (!Object.hasOwn(DELIVERY_EVENTS, type)) {
+      throw HttpError.badRequest('Unknown alert event');
+    }
+
+    store.update('alertDeliveries', delivery.id, DELIVERY_EVENTS[type](String(action || '').slice(0, 20)));
+    res.status(204).end();
+  });
+
+  // POST /api/alerts/unsubscribe?token=...
+  // The link in digest emails, and mail clients' one-click unsubscribe
+  // (RFC 8058), which posts a form body and no session. Doing it twice is fine.
+  router.post('/alerts/unsubscribe', (req, res) => {
+    const search = findUnsubscribeSearch(store, req.query.token || req.body?.token, secret);
+
+    if (!search) {
+      throw HttpError.notFound('This unsubscribe link is not valid. Manage your alerts from your account instead.');
+    }
+
+    store.update('savedSearches', search.id, { email: false });
+    res.json({ savedSearch: { name: search.name } });
+  });
+
+  return router;
+}
+
+module.exports = createAlertsRouter;
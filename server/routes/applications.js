@@ -0,0 +1,110 @@
+// ============================================
+// APPLICATIONS API
+// Job applications and the applicant's view of their status
+// ============================================
+
+'use strict';
+
+const express = require('express');
+const { HttpError } = require('../errors');
+const { createToken, hashToken, tokensMatch } = require('../tokens');
+const {
+  isAcceptingApplications,
+  validateApplication,
+  toPublicApplication
+} = require('../applications');
+const { recipientFor, collectUndelivered } = require('../notifications');
+
+const MAX_NOTIFICATION_CHECKS = 50;
+
+function createApplicationsRouter(store) {
+  const router = express.Router();
+
+  // POST /api/applications
+  // { jobId, applicant: { name, email, phone }, cvId, cvToken, answers: { [questionId]: answer }, coverLetter }
+  router.post('/applications', (req, res) => {
+    const input = req.body || {};
+    const job = store.get('jobs', input.jobId);
+
+    if (!job) {
+      throw HttpError.notFound('Job not found');
+    }
+    if (!isAcceptingApplications(job)) {
+      throw HttpError.conflict('This job is no longer accepting applications');
+    }
+
+    const { applicant, answers, coverLetter } = validateApplication(job, input);
+
+    const cv = store.get('cvs', input.cvId);
+    if (!cv || !tokensMatch(cv.tokenHash, hashToken(input.cvToken))) {
+      throw HttpError.badRequest('Please check your application', { cv: 'Upload your CV again' });
+    }
+
+    const duplicate = store.findOne('applications', item =>
+      item.jobId === job.id && item.applicant.email === applicant.email
+    );
+    if (duplicate) {
+      throw HttpError.conflict('You have already applied for this job', { applicationId: duplicate.id });
+    }
+
+    const token = createToken();
+    const submittedAt = new Date().toISOString();
+    const application = store.insert('applications', {
+      jobId: job.id,
+      applicant,
+      cv: { id: cv.id, name: cv.name, type: cv.type, size: cv.size },
+      answers,
+      coverLetter,
+      status: 'submitted',
+      history: [{ status: 'submitted', at: submittedAt }],
+      tokenHash: hashToken(token)
+    });
+
+    // The token lets the applicant follow their application without an
+    // account. Only its hash is stored, so this is the one time it is sent.
+    res.status(201).json({
+      application: { ...toPublicApplication(application, job), token }
+    });
+  });
+
+  // GET /api/applications/:id
+  // The token goes in the X-Application-Token header, never the URL, so it
+  // stays out of logs, history and caches
+  router.get('/applications/:id', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+
+    const application = store.get('applications', req.params.id);
+    const token = req.get('x-application-token');
+
+    if (!application || !tokensMatch(application.tokenHash, hashToken(token))) {
+      throw HttpError.notFound('Application not found');
+    }
+
+    res.json({ application: toPublicApplication(application, store.get('jobs', application.jobId)) });
+  });
+
+  // POST /api/applications/notifications
+  // { applications: [{ id, token }] } - status updates not yet delivered to
+  // this applicant. A POST so the tokens stay out of URLs and caches.
+  router.post('/applications/notifications', (req, res) => {
+    const requested = Array.isArray(req.body?.applications)
+      ? req.body.applications.slice(0, MAX_NOTIFICATION_CHECKS)
+      : [];
+
+    const recipients = requested
+      .filter(({ id, token } = {}) => {
+        const application = store.get('applications', id);
+        return application && tokensMatch(application.tokenHash, hashToken(token));
+      })
+      .map(({ id }) => recipientFor('application', Number(id)));
+
+    const notifications = collectUndelivered(store, recipients)
+      .map(({ recipient, deliveredAt, ...notification }) => notification);
+
+    res.json({ notifications });
+  });
+
+  return router;
+}
+
+module.exports = createApplicationsRouter;
@@ -0,0 +1,232 @@
+// ============================================
+// AUTH API
+// Signing up, signing in and recovering accounts
+// ============================================
+
+'use strict';
+
+const express = require('express');
+const { HttpError } = require('../errors');
+const { hashPassword, verifyPassword, checkPassword } = require('../passwords');
+const { startSession, endSession, endAllSessions, requireUser, isAdmin } = require('../sessions');
+const {
+  normalizeEmail,
+  toPublicUser,
+  validateSignup,
+  issueLinkToken,
+  consumeLinkToken
+} = require('../accounts');
+
+// Failed sign-ins allowed per email address before it is locked for a while
+const MAX_LOGIN_FAILURES = 5;
+const LOGIN_LOCK_MS = 15 * 60 * 1000;
+
+/**
+ * @param {Store} store
+ * @param {Object} options
+ * @param {Object} options.mailer - see server/mailer.js
+ * @param {string[]} [options.adminEmails] - see requireAdmin()
+ * @param {string} [options.baseUrl] - the site's public address, for links in
+ *   emails; without it no verification or reset emails are sent
+ */
+function createAuthRouter(store, { mailer, adminEmails = [], baseUrl = null }) {
+  const router = express.Router();
+  const loginFailures = new Map();
+
+  // The page shows admin tools from this flag; the admin API checks for itself
+  const publicUser = user => ({ ...toPublicUser(user), admin: isAdmin(user, adminEmails) });
+
+  // Account responses are per user; the service worker must not cache them
+  router.use(['/auth', '/me'], (req, res, next) => {
+    res.set('Cache-Control', 'no-store');
+    next();
+  });
+
+  // Never from the request's Host header, which anyone can set to their own
+  // site and so receive the tokens
+  function accountLink(user, purpose) {
+    if (!baseUrl) {
+      throw HttpError.serviceUnavailable('Account emails are not set up on this server yet');
+    }
+    return `${baseUrl}/${purpose}?token=${issueLinkToken(store, user, purpose)}`;
+  }
+
+  function sendVerificationEmail(user) {
+    const link = accountLink(user, 'verify-email');
+
+    return mailer.send({
+      to: user.email,
+      subject: 'Confirm your ZewedJobs email address',
+      text: `Hi ${user.name},\n\nConfirm your email address to finish setting up your account:\n${link}\n\nThe link works for 48 hours.`
+    });
+  }
+
+  function checkLoginLock(email) {
+    const entry = loginFailures.get(email);
+    if (!entry) return;
+
+    if (Date.now() - entry.since > LOGIN_LOCK_MS) {
+      loginFailures.delete(email);
+    } else if (entry.count >= MAX_LOGIN_FAILURES) {
+      throw HttpError.tooManyRequests('Too many failed attempts. Try again in 15 minutes or reset your password.');
+    }
+  }
+
+  function recordLoginFailure(email) {
+    const entry = loginFailures.get(email) || { count: 0, since: Date.now() };
+    entry.count += 1;
+    loginFailures.set(email, entry);
+  }
+
+  // GET /api/me
+  router.get('/me', requireUser, (req, res) => {
+    res.json({ user: publicUser(req.user) });
+  });
+
+  // POST /api/auth/signup
+  // { name, email, password, userType, remember? }
+  router.post('/auth/signup', async (req, res, next) => {
+    try {
+      const input = req.body || {};
+      const account = validateSignup(input);
+      const taken = () => store.findOne('users', item => item.email === account.email);
+      const conflict = () => HttpError.conflict('An account with this email already exists', { email: 'This email is already registered. Sign in instead.' });
+
+      if (taken()) throw conflict();
+      const passwordHash = await hashPassword(input.password);
+
+      // Checked again with no await before the insert: another signup for the
+      // same address may have finished while the password was hashing
+      if (taken()) throw conflict();
+      const user = store.insert('users', { ...account, passwordHash, emailVerifiedAt: null });
+
+      startSession(store, req, res, user, { remember: input.remember });
+      // The account works without it; they can ask again once emails are set up
+      if (baseUrl) {
+        await sendVerificationEmail(user);
+      } else {
+        console.warn('[Auth] No verification email sent: PUBLIC_URL is not set');
+      }
+
+      res.status(201).json({ user: publicUser(user) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // POST /api/auth/login
+  // { email, password, remember? }
+  router.post('/auth/login', async (req, res, next) => {
+    try {
+      const email = normalizeEmail(req.body?.email);
+      checkLoginLock(email);
+
+      const user = store.findOne('users', item => item.email === email);
+      const valid = user && await verifyPassword(req.body?.password, user.passwordHash);
+
+      if (!valid) {
+        recordLoginFailure(email);
+        throw HttpError.unauthorized('Incorrect email or password');
+      }
+
+      loginFailures.delete(email);
+      if (req.session) endSession(store, req, res);
+      startSession(store, req, res, user, { remember: req.body?.remember });
+
+      res.json({ user: publicUser(user) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // POST /api/auth/logout
+  router.post('/auth/logout', (req, res) => {
+    endSession(store, req, res);
+    res.status(204).end();
+  });
+
+  // POST /api/auth/verify-email
+  // { token }
+  router.post('/auth/verify-email', (req, res) => {
+    const user = consumeLinkToken(store, 'verify-email', req.body?.token);
+
+    if (!user.emailVerifiedAt) {
+      store.update('users', user.id, { emailVerifiedAt: new Date().toISOString() });
+    }
+
+    res.json({ user: publicUser(user) });
+  });
+
+  // POST /api/auth/verify-email/resend
+  router.post('/auth/verify-email/resend', requireUser, async (req, res, next) => {
+    try {
+      if (req.user.emailVerifiedAt) {
+        throw HttpError.conflict('Your email address is already confirmed');
+      }
+
+      await sendVerificationEmail(req.user);
+      res.status(202).json({ sent: true });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // POST /api/auth/forgot-password
+  // { email }
+  // Answers the same whether or not the account exists, so it can't be used
+  // to find out who has one
+  router.post('/auth/forgot-password', async (req, res, next) => {
+    try {
+      if (!baseUrl) {
+        throw HttpError.serviceUnavailable('Password reset emails are not set up on this server yet');
+      }
+
+      const email = normalizeEmail(req.body?.email);
+      const user = store.findOne('users', item => item.email === email);
+
+      if (user) {
+        const link = accountLink(user, 'reset-password');
+        await mailer.send({
+          to: user.email,
+          subject: 'Reset your ZewedJobs password',
+          text: `Hi ${user.name},\n\nChoose a new password here:\n${link}\n\nThe link works for one hour. If you didn't ask for this, you can ignore this email.`
+        });
+      }
+
+      res.status(202).json({ sent: true });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // POST /api/auth/reset-password
+  // { token, password, remember? }
+  router.post('/auth/reset-password', async (req, res, next) => {
+    try {
+      const passwordError = checkPassword(req.body?.password);
+      if (passwordError) {
+        throw HttpError.badRequest('Please choose another password', { password: passwordError });
+      }
+
+      const user = consumeLinkToken(store, 'reset-password', req.body?.token);
+
+      // Following the emailed link also proves the address
+      store.update('users', user.id, {
+        passwordHash: await hashPassword(req.body.password),
+        emailVerifiedAt: user.emailVerifiedAt || new Date().toISOString()
+      });
+      loginFailures.delete(user.email);
+
+      endAllSessions(store, user.id);
+      startSession(store, req, res, user, { remember: req.body?.remember });
+
+      res.json({ user: publicUser(user) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAuthRouter;
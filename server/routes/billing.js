@@ -0,0 +1,94 @@
+// ============================================
+// BILLING API
+// An employer's subscription: changing plan or billing period, cancelling,
+// and their invoices
+// ============================================
+
+'use strict';
+
+const express = require('express');
+const { PLANS, BILLING_PERIODS, currentPlan, postingQuota } = require('../plans');
+const {
+  quotePlanChange,
+  scheduleDowngrade,
+  cancelSubscription,
+  toPublicSubscription
+} = require('../subscriptions');
+const { requireEmployer } = require('../employer-auth');
+const { createPlanInvoice, toPublicInvoice } = require('../payments/invoices');
+
+function createBillingRouter(store) {
+  const router = express.Router();
+
+  router.use(['/employer/subscription', '/employer/invoices'], requireEmployer(store), (req, res, next) => {
+    res.set('Cache-Control', 'no-store');
+    next();
+  });
+
+  function pendingPlanInvoice(employer) {
+    const invoice = store.findOne('invoices', item =>
+      item.kind === 'plan' && item.employerId === employer.id && item.status === 'pending'
+    );
+    return invoice ? toPublicInvoice(invoice) : null;
+  }
+
+  // GET /api/employer/subscription
+  // With what the current plan includes and the plans to choose from
+  router.get('/employer/subscription', (req, res) => {
+    res.json({
+      subscription: toPublicSubscription(req.employer),
+      plan: currentPlan(req.employer),
+      quota: postingQuota(store, req.employer),
+      pendingInvoice: pendingPlanInvoice(req.employer),
+      plans: Object.values(PLANS).filter(plan => plan.priceMonthly > 0),
+      periods: Object.values(BILLING_PERIODS)
+    });
+  });
+
+  // GET /api/employer/subscription/quote?plan=enterprise&period=annual
+  // What the change would cost now, with credit for the unused current period
+  router.get('/employer/subscription/quote', (req, res) => {
+    res.json({ quote: quotePlanChange(req.employer, req.query.plan, req.query.period) });
+  });
+
+  // POST /api/employer/subscription
+  // { plan, period }. Downgrades are scheduled for the renewal; anything else
+  // returns the invoice that starts it
+  router.post('/employer/subscription', (req, res) => {
+    const quote = quotePlanChange(req.employer, req.body?.plan, req.body?.period);
+
+    if (quote.change === 'downgrade') {
+      const employer = scheduleDowngrade(store, req.employer, quote);
+      return res.json({ quote, subscription: toPublicSubscription(employer) });
+    }
+
+    const { invoice, token } = createPlanInvoice(store, req.employer, quote);
+    res.status(201).json({
+      quote,
+      subscription: toPublicSubscription(req.employer),
+      invoice: toPublicInvoice(invoice),
+      token
+    });
+  });
+
+  // DELETE /api/employer/subscription
+  // Stops renewal; the plan runs to the end of the period
+  router.delete('/employer/subscription', (req, res) => {
+    const employer = cancelSubscription(store, req.employer);
+    res.json({ subscription: toPublicSubscription(employer) });
+  });
+
+  // GET /api/employer/invoices
+  // Newest first
+  router.get('/employer/invoices', (req, res) => {
+    const invoices = store.list('invoices', invoice => invoice.employerId === req.employer.id)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(toPublicInvoice);
+
+    res.json({ invoices });
+  });
+
+  return router;
+}
+
+module.exports = createBillingRouter;
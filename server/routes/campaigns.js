@@ -0,0 +1,337 @@
+// ============================================
+// AD CAMPAIGNS API
+// Pricing, the advertiser's campaign manager, the admin review queue, and
+// the ads pages show
+// ============================================
+
+'use strict';
+
+const express = require('express');
+const { HttpError } = require('../errors');
+const { slugify } = require('../locations');
+const { requireUser, requireAdmin } = require('../sessions');
+const { createAdInvoice, toPublicInvoice } = require('../payments/invoices');
+const { companySlug, findCompany } = require('../companies');
+const {
+  TARGET_LOCATIONS,
+  MAX_TARGET_CATEGORIES,
+  validateCampaign,
+  currentStatus,
+  pendingInvoice,
+  createCampaign,
+  findCampaign,
+  updateCampaign,
+  submitCampaign,
+  approveCampaign,
+  rejectCampaign,
+  pauseCampaign,
+  resumeCampaign,
+  checkExtension,
+  serveCampaigns,
+  createImpressionToken,
+  recordImpressions,
+  recordClick,
+  toPublicCampaign
+} = require('../campaigns');
+
+const REVIEW_STATUSES = ['pending-review', 'approved', 'scheduled', 'running', 'ended', 'rejected'];
+
+/**
+ * @param {Store} store
+ * @param {Object} options
+ * @param {Object} options.pricing - from createPriceEngine()
+ * @param {string[]} options.adminEmails - see requireAdmin()
+ * @param {Object} options.mailer - sends the campaign link and review results
+ * @param {string} options.baseUrl - for links in emails
+ * @param {string} options.secret - signs the impression tokens served with ads
+ * @param {Object} [options.logger] - defaults to console
+ */
+function createCampaignsRouter(store, { pricing, adminEmails, mailer, baseUrl, secret, logger = console }) {
+  const router = express.Router();
+  const admin = requireAdmin(adminEmails);
+
+  // GET /api/campaigns/pricing
+  // Packages with their weekly price, durations, discounts and what ads can
+  // target. The same for everyone, so the service worker keeps it for the
+  // form offline.
+  router.get('/campaigns/pricing', (req, res) => {
+    res.json({
+      ...pricing.toPublic(),
+      targeting: {
+        categories: store.list('categories').map(({ name, icon }) => ({ value: slugify(name), label: name, icon })),
+        locations: Object.entries(TARGET_LOCATIONS).map(([value, label]) => ({ value, label })),
+        maxCategories: MAX_TARGET_CATEGORIES
+      }
+    });
+  });
+
+  router.use(['/campaigns', '/admin/campaigns'], (req, res, next) => {
+    res.set('Cache-Control', 'no-store');
+    next();
+  });
+
+  const categorySlugs = () => store.list('categories').map(category => slugify(category.name));
+  const options = () => ({ pricing, categories: categorySlugs() });
+
+  // The campaign's token, or the account it belongs to
+  const campaignFor = req => findCampaign(store, req.params.id, req.query.token || req.body?.token, req.user);
+
+  function quoteFor(adPackage, weeks) {
+    const errors = {};
+    if (!pricing.has(adPackage)) errors.adPackage = 'Choose an advertising package';
+    if (!pricing.durations.includes(weeks)) errors.adDuration = 'Choose how long the ad runs';
+
+    if (Object.keys(errors).length > 0) {
+      throw HttpError.badRequest('Choose a package and how long the ad runs', errors);
+    }
+    return pricing.quote(adPackage, weeks);
+  }
+
+  function invoiceFor(campaign, weeks, extension = false) {
+    const quote = pricing.quote(campaign.adPackage, weeks);
+    return createAdInvoice(store, campaign, quote, { packageName: pricing.packages[campaign.adPackage].name, extension });
+  }
+
+  // Sent for review, with the invoice for the booked weeks unless they are
+  // paid or already invoiced
+  function submit(campaign) {
+    const submitted = submitCampaign(store, campaign, options());
+    if (submitted.paidWeeks > 0 || pendingInvoice(store, submitted)) {
+      return { campaign: submitted, invoice: null, invoiceToken: null };
+    }
+
+    const { invoice, token } = invoiceFor(submitted, submitted.adDuration);
+    return { campaign: submitted, invoice, invoiceToken: token };
+  }
+
+  function withInvoices(campaign) {
+    const invoices = store.list('invoices', invoice => invoice.kind === 'ad' && invoice.item.campaignId === campaign.id)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(toPublicInvoice);
+
+    return { ...toPublicCampaign(campaign), invoices, placement: pricing.packages[campaign.adPackage]?.placement || null };
+  }
+
+  // Email failures are only logged; the campaign is saved either way
+  async function notify(campaign, subject, body) {
+    try {
+      await mailer.send({
+        to: campaign.companyEmail,
+        subject,
+        text: `Hi ${campaign.companyName},\n\n${body}\n\nThank you for advertising with ZewedJobs.`
+      });
+    } catch (error) {
+      logger.error(`[Campaigns] Could not email campaign ${campaign.id}:`, error.message);
+    }
+  }
+
+  // POST /api/campaigns/quote
+  // { adPackage, weeks }. The same price the invoice will have.
+  router.post('/campaigns/quote', (req, res) => {
+    res.json({ quote: quoteFor(req.body?.adPackage, Number(req.body?.weeks)) });
+  });
+
+  // POST /api/campaigns
+  // Fields of the advertising form; { submit: true } sends it for review with
+  // its invoice, otherwise it is saved as a draft. The token manages the
+  // campaign and is only returned (and emailed) here.
+  router.post('/campaigns', async (req, res, next) => {
+    try {
+      const input = req.body || {};
+      const send = Boolean(input.submit);
+      const details = validateCampaign(input, { ...options(), draft: !send });
+      const created = createCampaign(store, details, { user: req.user });
+      const { campaign, invoice, invoiceToken } = send
+        ? submit(created.campaign)
+        : { campaign: created.campaign, invoice: null, invoiceToken: null };
+
+      await notify(
+        campaign,
+        send ? `Your ad "${campaign.adTitle}" is waiting for review` : 'Your ZewedJobs ad campaign draft',
+        `${send ? 'Thanks for your campaign. Our team reviews it within a working day, and it starts once it is approved and paid.' : 'Your campaign is saved as a draft.'}\n\nManage it, see how it performs and pay its invoices here:\n${baseUrl}/campaigns/${campaign.id}?token=${created.token}`
+      );
+
+      res.status(201).json({
+        campaign: withInvoices(campaign),
+        token: created.token,
+        invoice: invoice && toPublicInvoice(invoice),
+        invoiceToken
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // GET /api/campaigns
+  // The signed-in advertiser's campaigns, newest first
+  router.get('/campaigns', requireUser, (req, res) => {
+    const campaigns = store.list('campaigns', campaign => campaign.userId === req.user.id)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(withInvoices);
+
+    res.json({ campaigns });
+  });
+
+  // GET /api/campaigns/serve?placement=directory&category=technology&location=addis-ababa&limit=3
+  // Running ads for a placement that target the page. Read-only, so a
+  // prefetch or a cached copy doesn't count as a view; the page posts
+  // what it showed to /api/campaigns/impressions with `impressionToken`.
+  router.get('/campaigns/serve', (req, res) => {
+    const ads = serveCampaigns(store, {
+      pricing,
+      placement: String(req.query.placement || ''),
+      category: req.query.category ? String(req.query.category) : undefined,
+      location: req.query.location ? String(req.query.location) : undefined,
+      limit: req.query.limit
+    });
+
+    res.json({ ads, impressionToken: ads.length > 0 ? createImpressionToken(ads, secret) : null });
+  });
+
+  // POST /api/campaigns/impressions { ids: [1, 2], token }
+  // The ads a page showed, sent as a beacon once they're on screen. Only
+  // ads the token from /api/campaigns/serve covers are counted.
+  router.post('/campaigns/impressions', (req, res) => {
+    res.json({ recorded: recordImpressions(store, req.body?.ids, { token: req.body?.token, secret }) });
+  });
+
+  // GET /api/campaigns/:id/click?to=company
+  // Counts the click and sends the visitor on to the advertiser, or with
+  // to=company to the advertiser's company page on the site
+  router.get('/campaigns/:id/click', (req, res) => {
+    const campaign = store.get('campaigns', req.params.id);
+    if (!campaign || currentStatus(campaign) !== 'running') {
+      throw HttpError.notFound('This ad is no longer running');
+    }
+
+    recordClick(store, campaign);
+    const company = req.query.to === 'company' && findCompany(store, companySlug(campaign.companyName));
+    res.redirect(302, company ? `/company/${company.slug}` : campaign.adDestinationUrl);
+  });
+
+  // GET /api/campaigns/:id?token=...
+  // With its invoices, newest first
+  router.get('/campaigns/:id', (req, res) => {
+    res.json({ campaign: withInvoices(campaignFor(req)) });
+  });
+
+  // PUT /api/campaigns/:id?token=...
+  // Editable fields (see updateCampaign). A new creative for an approved
+  // campaign waits for review.
+  router.put('/campaigns/:id', (req, res) => {
+    const campaign = updateCampaign(store, campaignFor(req), req.body || {}, options());
+    res.json({ campaign: withInvoices(campaign) });
+  });
+
+  // POST /api/campaigns/:id/submit?token=...
+  // Sends a draft, or a rejected campaign that was fixed, for review
+  router.post('/campaigns/:id/submit', (req, res) => {
+    const { campaign, invoice, invoiceToken } = submit(campaignFor(req));
+
+    res.json({
+      campaign: withInvoices(campaign),
+      invoice: invoice && toPublicInvoice(invoice),
+      invoiceToken
+    });
+  });
+
+  // POST /api/campaigns/:id/pause?token=...
+  router.post('/campaigns/:id/pause', (req, res) => {
+    res.json({ campaign: withInvoices(pauseCampaign(store, campaignFor(req))) });
+  });
+
+  // POST /api/campaigns/:id/resume?token=...
+  router.post('/campaigns/:id/resume', (req, res) => {
+    res.json({ campaign: withInvoices(resumeCampaign(store, campaignFor(req))) });
+  });
+
+  // POST /api/campaigns/:id/extend?token=...
+  // { weeks }. Returns the invoice; the weeks are added once it is paid.
+  router.post('/campaigns/:id/extend', (req, res) => {
+    const campaign = campaignFor(req);
+    const weeks = checkExtension(store, campaign, req.body?.weeks, { pricing });
+    const { invoice, token } = invoiceFor(campaign, weeks, true);
+
+    res.status(201).json({
+      campaign: withInvoices(campaign),
+      invoice: toPublicInvoice(invoice),
+      invoiceToken: token
+    });
+  });
+
+  // GET /api/admin/campaigns?status=pending-review
+  // The review queue (with new creatives of live campaigns) oldest first;
+  // other statuses newest first
+  router.get('/admin/campaigns', admin, (req, res) => {
+    const status = REVIEW_STATUSES.includes(req.query.status) ? req.query.status : 'pending-review';
+    const inQueue = campaign => campaign.status === 'pending-review' ||
+      (campaign.pendingCreative && currentStatus(campaign) !== 'ended');
+    const order = status === 'pending-review' ? 1 : -1;
+
+    const campaigns = store.list('campaigns', campaign =>
+      status === 'pending-review' ? inQueue(campaign) : currentStatus(campaign) === status
+    )
+      .sort((a, b) => order * (new Date(a.submittedAt || a.createdAt) - new Date(b.submittedAt || b.createdAt)))
+      .map(withInvoices);
+
+    res.json({
+      campaigns,
+      counts: Object.fromEntries(REVIEW_STATUSES.map(value => [
+        value,
+        store.list('campaigns', campaign => value === 'pending-review' ? inQueue(campaign) : currentStatus(campaign) === value).length
+      ]))
+    });
+  });
+
+  // POST /api/admin/campaigns/:id/approve
+  router.post('/admin/campaigns/:id/approve', admin, async (req, res, next) => {
+    try {
+      const campaign = store.get('campaigns', req.params.id);
+      if (!campaign) throw HttpError.notFound('Campaign not found');
+
+      const creative = campaign.status !== 'pending-review';
+      const approved = approveCampaign(store, campaign, req.user);
+      const when = approved.status === 'scheduled'
+        ? `It runs from ${approved.startsAt.slice(0, 10)} to ${approved.endsAt.slice(0, 10)}.`
+        : 'It starts once its invoice is paid.';
+
+      await notify(
+        approved,
+        creative ? `Your new ad for "${approved.adTitle}" is live` : `Your ad "${approved.adTitle}" was approved`,
+        creative ? 'We approved the changes to your ad, and it now shows with them.' : `We approved your campaign. ${when}`
+      );
+      res.json({ campaign: withInvoices(approved) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // POST /api/admin/campaigns/:id/reject
+  // { reason }, which the advertiser is shown
+  router.post('/admin/campaigns/:id/reject', admin, async (req, res, next) => {
+    try {
+      const campaign = store.get('campaigns', req.params.id);
+      if (!campaign) throw HttpError.notFound('Campaign not found');
+
+      const creative = campaign.status !== 'pending-review';
+      const rejected = rejectCampaign(store, campaign, req.user, req.body?.reason);
+      const reason = creative ? rejected.creativeRejectionReason : rejected.rejectionReason;
+      const nextStep = creative
+        ? 'Your ad keeps showing as it was approved.'
+        : 'You can change the campaign and send it for review again.';
+
+      await notify(
+        rejected,
+        creative ? `We couldn't approve the changes to "${campaign.adTitle}"` : `We couldn't approve your ad "${campaign.adTitle}"`,
+        `${reason}\n\n${nextStep} Use the link we sent when you created the campaign.`
+      );
+      res.json({ campaign: withInvoices(rejected) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createCampaignsRouter;
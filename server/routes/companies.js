@@ -0,0 +1,152 @@
+// ============================================
+// COMPANIES API
+// The employer directory, company pages, the employer's own page, and
+// verifying employers' pages
+// ============================================
+
+'use strict';
+
+const express = require('express');
+const { HttpError } = require('../errors');
+const { siteUrl } = require('../job-posting');
+const { REGIONS, isKnownLocation } = require('../locations');
+const { requireEmployer } = require('../employer-auth');
+const { requireAdmin } = require('../sessions');
+const {
+  COMPANY_SIZES,
+  companySlug,
+  findCompany,
+  isUnverifiedPage,
+  employerCompany,
+  verifyCompany,
+  validateCompany,
+  toCompanyCard,
+  toCompanyPage,
+  toOrganization
+} = require('../companies');
+
+/**
+ * @param {Store} store
+ * @param {Object} options
+ * @param {Object} options.companySearch - from createCompanySearch()
+ * @param {string[]} options.adminEmails - see requireAdmin()
+ */
+function createCompaniesRouter(store, { companySearch, adminEmails }) {
+  const router = express.Router();
+  const admin = requireAdmin(adminEmails);
+
+  router.use(['/employer/company', '/admin/companies'], (req, res, next) => {
+    res.set('Cache-Control', 'no-store');
+    next();
+  });
+
+  const industries = () => store.list('categories').map(category => category.name);
+
+  // GET /api/companies?q=&industry=&location=&page=
+  router.get('/companies', (req, res) => {
+    const industry = String(req.query.industry || '');
+    const location = String(req.query.location || '');
+    const errors = {};
+    if (industry && !industries().includes(industry)) errors.industry = 'Choose an industry from the list';
+    if (location && !isKnownLocation(location)) errors.location = 'Choose a place from the list';
+    if (Object.keys(errors).length > 0) {
+      throw HttpError.badRequest('Please check the filters', errors);
+    }
+
+    const { companies, ...page } = companySearch.search(req.query.q, { industry, location, page: req.query.page, perPage: req.query.perPage });
+    res.json({
+      ...page,
+      companies: companies.map(({ company, jobs }) => toCompanyCard(store, company, jobs)),
+      industries: industries(),
+      regions: REGIONS
+    });
+  });
+
+  // GET /api/companies/:slug
+  router.get('/companies/:slug', (req, res) => {
+    const company = findCompany(store, req.params.slug);
+    if (!company) {
+      throw HttpError.notFound('Company not found');
+    }
+
+    res.json({
+      company: toCompanyPage(store, company),
+      // Nobody has vouched for an unverified page, so it isn't offered as the company
+      structuredData: isUnverifiedPage(company) ? null : toOrganization(company, { baseUrl: siteUrl(req) })
+    });
+  });
+
+  // The employer's company page, or their unverified page of their own
+  function ownCompany(employer) {
+    const company = employerCompany(store, employer);
+    if (!company) {
+      throw HttpError.badRequest('Your company name needs Latin letters to have a company page');
+    }
+    return company;
+  }
+
+  function ownCompanyResponse(company) {
+    return {
+      // What the page lists exactly as saved, for editing
+      company: { ...toCompanyPage(store, company), logoUrl: company.logoUrl, locations: company.locations },
+      sizes: COMPANY_SIZES,
+      industries: industries(),
+      regions: REGIONS
+    };
+  }
+
+  // GET /api/employer/company
+  router.get('/employer/company', requireEmployer(store), (req, res) => {
+    res.json(ownCompanyResponse(ownCompany(req.employer)));
+  });
+
+  // PUT /api/employer/company
+  // { logoUrl, description, industry, size, website, locations, benefits }
+  router.put('/employer/company', requireEmployer(store), (req, res) => {
+    const company = ownCompany(req.employer);
+    const fields = validateCompany(req.body || {}, { industries: industries() });
+    res.json(ownCompanyResponse(store.update('companies', company.id, fields)));
+  });
+
+  // GET /api/admin/companies
+  // Employers' unverified pages, oldest first, with who wrote them and
+  // whether the company's page already has a manager
+  router.get('/admin/companies', admin, (req, res) => {
+    const pages = store.list('companies', isUnverifiedPage)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .map(company => {
+        const employer = store.get('employers', company.employerId);
+        const existing = findCompany(store, companySlug(company.name));
+        return {
+          ...toCompanyPage(store, company),
+          employer: employer && { id: employer.id, name: employer.name, email: employer.email, plan: employer.plan },
+          managed: Boolean(existing?.employerId)
+        };
+      });
+
+    res.json({ companies: pages });
+  });
+
+  // POST /api/admin/companies/:slug/verify
+  // The page becomes the company's page, managed by its employer
+  router.post('/admin/companies/:slug/verify', admin, (req, res) => {
+    const page = findCompany(store, req.params.slug);
+    if (!page) throw HttpError.notFound('Company not found');
+
+    res.json({ company: toCompanyPage(store, verifyCompany(store, page)) });
+  });
+
+  // DELETE /api/admin/companies/:slug
+  // Turn down an unverified page; the employer starts again from a blank one
+  router.delete('/admin/companies/:slug', admin, (req, res) => {
+    const page = findCompany(store, req.params.slug);
+    if (!page || !isUnverifiedPage(page)) throw HttpError.notFound('Company not found');
+
+    store.remove('companies', page.id);
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = createCompaniesRouter;
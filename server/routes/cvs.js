@@ -0,0 +1,83 @@
+// ============================================
+// CV UPLOADS API
+// Stores uploaded CV files for use in job applications
+// ============================================
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { HttpError } = require('../errors');
+const { createToken, hashToken } = require('../tokens');
+
+const MAX_CV_BYTES = 5 * 1024 * 1024;
+
+// Accepted formats and the bytes every file of that format starts with, so
+// a renamed executable can't pass as a CV
+const CV_TYPES = {
+  'application/pdf': { extension: 'pdf', signature: Buffer.from('%PDF') },
+  'application/msword': { extension: 'doc', signature: Buffer.from([0xD0, 0xCF, 0x11, 0xE0]) },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': {
+    extension: 'docx',
+    signature: Buffer.from([0x50, 0x4B, 0x03, 0x04])
+  }
+};
+
+function toPublicCv({ tokenHash, file, ...cv }) {
+  return cv;
+}
+
+function createCvsRouter(store, { uploadDir }) {
+  const router = express.Router();
+  const cvDir = path.join(uploadDir, 'cvs');
+
+  // POST /api/cvs
+  // Body: the raw file. Content-Type: its MIME type. X-File-Name: URI-encoded name.
+  router.post('/cvs', express.raw({ type: Object.keys(CV_TYPES), limit: MAX_CV_BYTES }), (req, res, next) => {
+    const type = req.get('content-type')?.split(';')[0].trim();
+    const format = CV_TYPES[type];
+
+    if (!format || !Buffer.isBuffer(req.body)) {
+      throw HttpError.badRequest('Upload your CV as a PDF or Word document');
+    }
+    if (req.body.length === 0) {
+      throw HttpError.badRequest('The uploaded file is empty');
+    }
+    if (!req.body.subarray(0, format.signature.length).equals(format.signature)) {
+      throw HttpError.badRequest(`The file is not a valid ${format.extension.toUpperCase()} document`);
+    }
+
+    let name;
+    try {
+      name = decodeURIComponent(req.get('x-file-name') || '');
+    } catch (error) {
+      name = '';
+    }
+    name = path.basename(name).slice(0, 200) || `cv.${format.extension}`;
+
+    const file = `${createToken(16)}.${format.extension}`;
+    const token = createToken();
+
+    fs.mkdirSync(cvDir, { recursive: true });
+    fs.writeFile(path.join(cvDir, file), req.body, error => {
+      if (error) return next(error);
+
+      const cv = store.insert('cvs', {
+        name,
+        type,
+        size: req.body.length,
+        file,
+        tokenHash: hashToken(token)
+      });
+
+      // The token is the applicant's proof of ownership when applying with
+      // this CV. Only its hash is stored, so it is only ever returned here.
+      res.status(201).json({ cv: { ...toPublicCv(cv), token } });
+    });
+  });
+
+  return router;
+}
+
+module.exports = createCvsRouter;
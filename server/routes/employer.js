@@ -0,0 +1,307 @@
+// ============================================
+// EMPLOYER API
+// Employer accounts and the jobs they post and manage
+// ============================================
+
+'use strict';
+
+const express = require('express');
+const { HttpError } = require('../errors');
+const { createToken, hashToken } = require('../tokens');
+const { PLANS, BILLING_PERIODS, DEFAULT_PLAN, FREE_PLAN, currentPlan, postingQuota } = require('../plans');
+const { quotePlanChange, toPublicSubscription } = require('../subscriptions');
+const { validateJobInput, editableFields, transition } = require('../employer-jobs');
+const { requireEmployer, requireEntitlement, findEmployerJob } = require('../employer-auth');
+const { createPlanInvoice, toPublicInvoice } = require('../payments/invoices');
+const { EMAIL_PATTERN } = require('../applications');
+const { WEEK_MS } = require('../time');
+
+// Weeks of applications the analytics chart covers
+const ANALYTICS_WEEKS = 12;
+
+function toPublicEmployer(employer) {
+  const { tokenHash, ...rest } = employer;
+  return { ...rest, subscription: toPublicSubscription(employer) };
+}
+
+function validateEmployer(input) {
+  const errors = {};
+  const employer = {
+    name: String(input.name || '').trim(),
+    email: String(input.email || '').trim().toLowerCase(),
+    company: String(input.company || '').trim(),
+    logoUrl: String(input.logoUrl || '').trim(),
+    plan: input.plan || DEFAULT_PLAN,
+    period: input.period || 'monthly'
+  };
+
+  if (employer.name.length < 2) errors.name = 'Enter your full name';
+  if (!EMAIL_PATTERN.test(employer.email)) errors.email = 'Enter a valid email address';
+  if (employer.company.length < 2) errors.company = 'Enter your company name';
+  if (employer.logoUrl && !/^https?:\/\/\S+$/i.test(employer.logoUrl)) errors.logoUrl = 'Enter the full address of your logo, starting with https://';
+  if (!Object.hasOwn(PLANS, employer.plan)) errors.plan = 'Choose a plan';
+  if (!Object.hasOwn(BILLING_PERIODS, employer.period)) errors.period = 'Choose monthly or annual billing';
+
+  if (Object.keys(errors).length > 0) {
+    throw HttpError.badRequest('Please check your details', errors);
+  }
+
+  return employer;
+}
+
+function createEmployerRouter(store) {
+  const router = express.Router();
+
+  const categoryNames = () => store.list('categories').map(category => category.name);
+  const categoryIcon = name => store.findOne('categories', category => category.name === name)?.icon || '💼';
+
+  const findOwnJob = req => findEmployerJob(store, req.employer, req.params.id);
+
+  function withApplicationCount(job) {
+    const applications = store.list('applications', item => item.jobId === job.id).length;
+    return { ...job, applications };
+  }
+
+  // Publishing a draft takes a posting slot; resuming a paused job doesn't,
+  // unless it was paused because the plan lapsed and there is no room now
+  function checkQuota(employer, job, status) {
+    if (status !== 'open') return;
+
+    const quota = postingQuota(store, employer);
+    if (job.status === 'paused' && job.pausedForBilling && quota.limit !== null && quota.used > quota.limit) {
+      throw HttpError.forbidden('This job was paused when your plan ended. Renew or upgrade your plan to resume it.', { quota });
+    }
+    if (job.status === 'draft' && quota.remaining === 0) {
+      throw HttpError.forbidden(
+        quota.limit === 0
+          ? 'Your plan does not include job postings. Upgrade to publish jobs.'
+          : `Your plan allows ${quota.limit} live job postings. Close a job or upgrade to publish more.`,
+        { quota }
+      );
+    }
+  }
+
+  // Move a job to a new status, checking it is complete before it goes live
+  function changeStatus(employer, job, status) {
+    checkQuota(employer, job, status);
+
+    if (status === 'open') {
+      validateJobInput(editableFields(job), { categories: categoryNames() });
+    }
+
+    return store.update('jobs', job.id, { ...transition(job, status), ...(job.pausedForBilling && { pausedForBilling: false }) });
+  }
+
+  // POST /api/employers
+  // { name, email, company, logoUrl, plan, period }
+  // A paid plan starts once its invoice, returned with the account, is paid
+  router.post('/employers', (req, res) => {
+    const { period, ...details } = validateEmployer(req.body || {});
+
+    if (store.findOne('employers', item => item.email === details.email)) {
+      throw HttpError.conflict('An employer account with this email already exists');
+    }
+    if (req.user && store.findOne('employers', item => item.userId === req.user.id)) {
+      throw HttpError.conflict('Your account already has an employer account');
+    }
+
+    // Signed-in users get the employer account linked, so signing in opens the dashboard
+    const paid = PLANS[details.plan].priceMonthly > 0;
+    const token = createToken();
+    const employer = store.insert('employers', {
+      ...details,
+      plan: paid ? FREE_PLAN : details.plan,
+      ...(req.user && { userId: req.user.id }),
+      tokenHash: hashToken(token)
+    });
+    const billing = paid && createPlanInvoice(store, employer, quotePlanChange(employer, details.plan, period));
+
+    // The token is only ever returned here; the dashboard keeps it
+    res.status(201).json({
+      employer: toPublicEmployer(employer),
+      token,
+      quota: postingQuota(store, employer),
+      ...(billing && { invoice: toPublicInvoice(billing.invoice), invoiceToken: billing.token })
+    });
+  });
+
+  // The dashboard's data is the employer's own; the service worker must not cache it
+  router.use('/employer', requireEmployer(store), (req, res, next) => {
+    res.set('Cache-Control', 'no-store');
+    next();
+  });
+
+  // GET /api/employer
+  router.get('/employer', (req, res) => {
+    res.json({
+      employer: toPublicEmployer(req.employer),
+      quota: postingQuota(store, req.employer)
+    });
+  });
+
+  // GET /api/employer/jobs
+  router.get('/employer/jobs', (req, res) => {
+    const jobs = store.list('jobs', job => job.employerId === req.employer.id)
+      .sort((a, b) => new Date(b.updatedAt || b.postedAt) - new Date(a.updatedAt || a.postedAt))
+      .map(withApplicationCount);
+
+    res.json({ jobs, quota: postingQuota(store, req.employer) });
+  });
+
+  // POST /api/employer/jobs
+  // Job fields, plus publish: true to post it straight away
+  router.post('/employer/jobs', (req, res) => {
+    const input = req.body || {};
+    const fields = validateJobInput(input, { categories: categoryNames(), draft: !input.publish });
+
+    let job = store.insert('jobs', {
+      ...fields,
+      company: req.employer.company,
+      employerId: req.employer.id,
+      icon: categoryIcon(fields.category),
+      featured: false,
+      status: 'draft'
+    });
+
+    if (input.publish) {
+      try {
+        job = changeStatus(req.employer, job, 'open');
+      } catch (error) {
+        // Keep what they wrote as a draft rather than losing it
+        error.details = { ...error.details, draftId: job.id };
+        throw error;
+      }
+    }
+
+    res.status(201).json({ job: withApplicationCount(job), quota: postingQuota(store, req.employer) });
+  });
+
+  // GET /api/employer/jobs/:id
+  router.get('/employer/jobs/:id', (req, res) => {
+    res.json({ job: withApplicationCount(findOwnJob(req)) });
+  });
+
+  // PUT /api/employer/jobs/:id
+  // Drafts autosave through here, so they may be incomplete; live jobs may not
+  router.put('/employer/jobs/:id', (req, res) => {
+    const job = findOwnJob(req);
+
+    if (job.status === 'closed') {
+      throw HttpError.conflict('Closed jobs can\'t be edited. Duplicate it to post again.');
+    }
+
+    const fields = validateJobInput(req.body || {}, {
+      categories: categoryNames(),
+      draft: job.status === 'draft'
+    });
+
+    const updated = store.update('jobs', job.id, { ...fields, icon: categoryIcon(fields.category) });
+    res.json({ job: withApplicationCount(updated) });
+  });
+
+  // POST /api/employer/jobs/:id/status
+  // { status: 'open' | 'paused' | 'closed' }
+  router.post('/employer/jobs/:id/status', (req, res) => {
+    const job = findOwnJob(req);
+    const updated = changeStatus(req.employer, job, String(req.body?.status || ''));
+
+    res.json({ job: withApplicationCount(updated), quota: postingQuota(store, req.employer) });
+  });
+
+  // POST /api/employer/jobs/:id/featured
+  // { featured }; featured jobs lead the home page, up to the plan's limit
+  router.post('/employer/jobs/:id/featured', (req, res) => {
+    const job = findOwnJob(req);
+    const featured = req.body?.featured === true;
+
+    if (featured && !job.featured) {
+      const { featuredJobs } = currentPlan(req.employer);
+      const used = store.list('jobs', item =>
+        item.employerId === req.employer.id && item.featured && item.status !== 'closed'
+      ).length;
+
+      if (job.status === 'closed') {
+        throw HttpError.conflict('Closed jobs can\'t be featured');
+      }
+      if (featuredJobs !== null && used >= featuredJobs) {
+        throw HttpError.forbidden(
+          featuredJobs === 0
+            ? 'Your plan does not include featured jobs. Upgrade to feature jobs.'
+            : `Your plan allows ${featuredJobs} featured jobs. Unfeature one or upgrade to feature more.`,
+          { entitlement: 'featuredJobs', limit: featuredJobs, used }
+        );
+      }
+    }
+
+    res.json({ job: withApplicationCount(store.update('jobs', job.id, { featured })) });
+  });
+
+  // GET /api/employer/analytics
+  // Views aren't tracked, so this is about applications
+  router.get('/employer/analytics', requireEntitlement('analytics'), (req, res) => {
+    const jobs = store.list('jobs', job => job.employerId === req.employer.id);
+    const jobIds = new Set(jobs.map(job => job.id));
+    const applications = store.list('applications', item => jobIds.has(item.jobId));
+
+    const countBy = (items, key) => items.reduce((counts, item) => {
+      counts[item[key]] = (counts[item[key]] || 0) + 1;
+      return counts;
+    }, {});
+
+    // Oldest week first, ending with the one in progress
+    const now = Date.now();
+    const weekly = Array.from({ length: ANALYTICS_WEEKS }, (value, index) => {
+      const end = now - (ANALYTICS_WEEKS - 1 - index) * WEEK_MS;
+      return {
+        weekStart: new Date(end - WEEK_MS).toISOString(),
+        applications: applications.filter(item => {
+          const at = new Date(item.createdAt).getTime();
+          return at > end - WEEK_MS && at <= end;
+        }).length
+      };
+    });
+
+    res.json({
+      totals: {
+        jobs: jobs.length,
+        liveJobs: jobs.filter(job => job.status === 'open').length,
+        applications: applications.length
+      },
+      jobsByStatus: countBy(jobs, 'status'),
+      applicationsByStatus: countBy(applications, 'status'),
+      weekly,
+      jobs: jobs
+        .map(job => {
+          const own = applications.filter(item => item.jobId === job.id);
+          return { id: job.id, title: job.title, status: job.status, applications: own.length, byStatus: countBy(own, 'status') };
+        })
+        .sort((a, b) => b.applications - a.applications)
+    });
+  });
+
+  // POST /api/employer/jobs/:id/duplicate
+  // Copies the job into a new draft
+  router.post('/employer/jobs/:id/duplicate', (req, res) => {
+    const job = findOwnJob(req);
+    const { deadline, ...fields } = editableFields(job);
+    const fresh = deadline && new Date(deadline) > Date.now();
+
+    const copy = store.insert('jobs', {
+      ...fields,
+      ...(fresh && { deadline }),
+      salary: job.salary,
+      experience: job.experience,
+      company: job.company,
+      employerId: job.employerId,
+      icon: job.icon,
+      featured: false,
+      status: 'draft'
+    });
+
+    res.status(201).json({ job: withApplicationCount(copy) });
+  });
+
+  return router;
+}
+
+module.exports = createEmployerRouter;
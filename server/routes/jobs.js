@@ -0,0 +1,101 @@
+// ============================================
+// JOBS API
+// Job listings, job details, categories and trending searches
+// ============================================
+
+'use strict';
+
+const express = require('express');
+const { HttpError } = require('../errors');
+const { toJobPosting, siteUrl } = require('../job-posting');
+const { companySlug, findCompany } = require('../companies');
+const { REGIONS } = require('../locations');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+function parseLimit(value, fallback = DEFAULT_LIMIT) {
+  const limit = parseInt(value, 10);
+  if (isNaN(limit) || limit < 1) return fallback;
+  return Math.min(limit, MAX_LIMIT);
+}
+
+function byNewest(a, b) {
+  return new Date(b.postedAt) - new Date(a.postedAt);
+}
+
+// Drafts are private to the employer writing them
+function findJob(store, id) {
+  const job = store.get('jobs', id);
+
+  if (!job || job.status === 'draft') {
+    throw HttpError.notFound('Job not found');
+  }
+
+  return job;
+}
+
+function createJobsRouter(store, jobSearch) {
+  const router = express.Router();
+
+  // GET /api/jobs?featured=true&category=Technology&limit=20&offset=0
+  router.get('/jobs', (req, res) => {
+    const { featured, category } = req.query;
+    const limit = parseLimit(req.query.limit);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const jobs = store.list('jobs', job => {
+      if (job.status !== 'open') return false;
+      if (featured === 'true' && !job.featured) return false;
+      if (category && job.category.toLowerCase() !== String(category).toLowerCase()) return false;
+      return true;
+    }).sort(byNewest);
+
+    res.json({
+      jobs: jobs.slice(offset, offset + limit),
+      total: jobs.length,
+      limit,
+      offset
+    });
+  });
+
+  // GET /api/jobs/:id
+  router.get('/jobs/:id', (req, res) => {
+    const job = findJob(store, req.params.id);
+    const openJobs = store.list('jobs', other => other.status === 'open' && other.company === job.company).length;
+    const company = findCompany(store, companySlug(job.company));
+    const logo = company?.logoUrl || (job.employerId && store.get('employers', job.employerId)?.logoUrl);
+
+    res.json({
+      job,
+      employer: { name: job.company, openJobs, ...(company && { slug: company.slug }), ...(logo && { logo }) },
+      structuredData: toJobPosting(job, { baseUrl: siteUrl(req) })
+    });
+  });
+
+  // GET /api/jobs/:id/similar?limit=4
+  router.get('/jobs/:id/similar', (req, res) => {
+    const job = findJob(store, req.params.id);
+    res.json({ jobs: jobSearch.similar(job, { limit: Math.min(parseLimit(req.query.limit, 4), 12) }) });
+  });
+
+  // GET /api/categories
+  router.get('/categories', (req, res) => {
+    res.json({ categories: store.list('categories') });
+  });
+
+  // GET /api/locations
+  // The regions and their cities that jobs can be based in
+  router.get('/locations', (req, res) => {
+    res.json({ regions: REGIONS });
+  });
+
+  // GET /api/trending
+  router.get('/trending', (req, res) => {
+    res.json({ trending: store.list('trending') });
+  });
+
+  return router;
+}
+
+module.exports = createJobsRouter;
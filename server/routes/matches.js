@@ -0,0 +1,63 @@
+// ============================================
+// MATCHES API
+// Candidate matching both ways: the job seekers who suit an employer's
+// job, and the open jobs that suit a job seeker
+// ============================================
+
+'use strict';
+
+const express = require('express');
+const { requireUser } = require('../sessions');
+const { requireEmployer, requireEntitlement, findEmployerJob } = require('../employer-auth');
+const { findProfile, toCandidateCard } = require('../profiles');
+const { matchCandidates, matchJobs } = require('../matching');
+
+function createMatchesRouter(store) {
+  const router = express.Router();
+
+  // Depend on who is asking; the service worker must not cache them
+  router.use(['/profile/matches', '/employer/jobs/:id/matches'], (req, res, next) => {
+    res.set('Cache-Control', 'no-store');
+    next();
+  });
+
+  // GET /api/profile/matches?page=
+  // "Jobs for you". Matching goes by the resume's skills, so without them
+  // there is nothing to match and `needsResume` is set.
+  router.get('/profile/matches', requireUser, (req, res) => {
+    const resume = store.findOne('resumes', item => item.userId === req.user.id);
+    const profile = findProfile(store, req.user.id);
+
+    res.json({
+      ...matchJobs(store, { profile, resume }, { page: req.query.page, perPage: req.query.perPage }),
+      needsResume: !resume || resume.skills.length === 0
+    });
+  });
+
+  // GET /api/employer/jobs/:id/matches?page=
+  // Job seekers whose profiles the employer may see, best match first.
+  // `applied` marks those who have already applied to the job.
+  router.get('/employer/jobs/:id/matches', requireEmployer(store), requireEntitlement('candidateMatching'), (req, res) => {
+    const job = findEmployerJob(store, req.employer, req.params.id);
+    const applicants = new Set(store.list('applications', item => item.jobId === job.id).map(item => item.applicant.email));
+
+    const { matches, ...page } = matchCandidates(store, job, req.employer, { page: req.query.page, perPage: req.query.perPage });
+    res.json({
+      ...page,
+      job: { id: job.id, title: job.title, status: job.status },
+      candidates: matches.map(({ profile, resume, score, reasons }) => {
+        const user = store.get('users', profile.userId) || {};
+        return {
+          ...toCandidateCard(profile, resume, user),
+          score,
+          reasons,
+          applied: applicants.has(user.email)
+        };
+      })
+    });
+  });
+
+  return router;
+}
+
+module.exports = createMatchesRouter;
@@ -0,0 +1,87 @@
+// ============================================
+// PAGES
+// App shell for client-side routes, with job and company pages prerendered
+// for crawlers
+// ============================================
+
+'use strict';
+
+const fs = require('fs');
+const express = require('express');
+const { toJobPosting, serializeJsonLd, siteUrl, escapeHtml } = require('../job-posting');
+const { findCompany, isUnverifiedPage, toOrganization } = require('../companies');
+
+// Put the job's title, description and JobPosting JSON-LD into the shell's
+// <head> so aggregators that don't run JavaScript still see the listing
+function renderJobShell(html, job, baseUrl) {
+  const title = `${job.title} at ${job.company} | ZewedJobs`;
+  const summary = `${job.title} at ${job.company} in ${job.location}. ${job.description || ''}`.trim();
+  const jsonLd = `<script type="application/ld+json" id="structuredData">${serializeJsonLd(toJobPosting(job, { baseUrl }))}</script>`;
+
+  return html
+    .replace(/<title>[^<]*<\/title>/, () => `<title>${escapeHtml(title)}</title>`)
+    .replace(/(<meta name="description" content=")[^"]*(")/, (_, start, end) => `${start}${escapeHtml(summary)}${end}`)
+    .replace('</head>', () => `    ${jsonLd}\n</head>`);
+}
+
+// The same for a company page, with Organization JSON-LD
+function renderCompanyShell(html, company, baseUrl) {
+  const title = `${company.name} jobs and company profile | ZewedJobs`;
+  const summary = company.description || `${company.name} on ZewedJobs: open jobs, locations and benefits.`;
+  const jsonLd = `<script type="application/ld+json" id="structuredData">${serializeJsonLd(toOrganization(company, { baseUrl }))}</script>`;
+
+  return html
+    .replace(/<title>[^<]*<\/title>/, () => `<title>${escapeHtml(title)}</title>`)
+    .replace(/(<meta name="description" content=")[^"]*(")/, (_, start, end) => `${start}${escapeHtml(summary)}${end}`)
+    .replace('</head>', () => `    ${jsonLd}\n</head>`);
+}
+
+/**
+ * @param {Store} store
+ * @param {Object} options
+ * @param {string} options.shellFile - the single-page app HTML
+ * @param {string[]} options.shellRoutes - paths served as the plain shell
+ */
+function createPagesRouter(store, { shellFile, shellRoutes }) {
+  const router = express.Router();
+
+  router.get(shellRoutes, (req, res) => {
+    res.sendFile(shellFile);
+  });
+
+  // GET /job/:id
+  router.get('/job/:id', (req, res, next) => {
+    fs.readFile(shellFile, 'utf8', (error, html) => {
+      if (error) return next(error);
+
+      const job = store.get('jobs', req.params.id);
+      if (!job || job.status === 'draft') {
+        // The shell still renders its own "job not found" view
+        return res.status(404).type('html').send(html);
+      }
+
+      res.type('html').send(renderJobShell(html, job, siteUrl(req)));
+    });
+  });
+
+  // GET /company/:slug
+  router.get('/company/:slug', (req, res, next) => {
+    fs.readFile(shellFile, 'utf8', (error, html) => {
+      if (error) return next(error);
+
+      const company = findCompany(store, req.params.slug);
+      if (!company) {
+        return res.status(404).type('html').send(html);
+      }
+      if (isUnverifiedPage(company)) {
+        return res.type('html').send(html);
+      }
+
+      res.type('html').send(renderCompanyShell(html, company, siteUrl(req)));
+    });
+  });
+
+  return router;
+}
+
+module.exports = createPagesRouter;
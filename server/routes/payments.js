@@ -0,0 +1,135 @@
+// ============================================
+// PAYMENTS API
+// Invoices, checkout with a payment provider, and the providers' webhooks
+// ============================================
+
+'use strict';
+
+const express = require('express');
+const { HttpError } = require('../errors');
+const { identifyEmployer } = require('../employer-auth');
+const { findInvoice, toPublicInvoice } = require('../payments/invoices');
+const { toPublicReceipt } = require('../payments/receipts');
+const { renderInvoicePdf } = require('../payments/invoice-pdf');
+
+function toPublicPayment({ returnPath, ...payment }) {
+  return payment;
+}
+
+// Providers send the customer back here; anywhere else would be an open redirect
+function checkReturnPath(value) {
+  const path = String(value || '');
+  return path.startsWith('/') && !path.startsWith('//') && !path.includes('\\') ? path : '/';
+}
+
+/**
+ * @param {Store} store
+ * @param {Object} options
+ * @param {Object} options.providers - from createProviders()
+ * @param {Object} options.checkout - from createCheckout()
+ * @param {Object} options.seller - { name, address, email, tin } for invoice PDFs
+ */
+function createPaymentsRouter(store, { providers, checkout, seller }) {
+  const router = express.Router();
+
+  // The invoice's token, or the employer or account it belongs to
+  const invoiceFor = req => findInvoice(store, req.params.id, req.query.token || req.body?.token, req.employer, req.user);
+
+  router.use('/invoices', identifyEmployer(store), (req, res, next) => {
+    res.set('Cache-Control', 'no-store');
+    next();
+  });
+
+  // GET /api/payments/providers
+  // The payment methods that can be used right now
+  router.get('/payments/providers', (req, res) => {
+    res.json({
+      providers: Object.values(providers).map(({ id, name, requiresPhone }) => ({ id, name, requiresPhone }))
+    });
+  });
+
+  // GET /api/invoices/:id?token=...
+  // With its payment attempts and receipts, newest first
+  router.get('/invoices/:id', (req, res) => {
+    const invoice = invoiceFor(req);
+    const newestFirst = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+    const payments = store.list('payments', item => item.invoiceId === invoice.id)
+      .sort(newestFirst)
+      .map(toPublicPayment);
+    const receipts = store.list('receipts', item => item.invoiceId === invoice.id)
+      .sort(newestFirst)
+      .map(toPublicReceipt);
+
+    res.json({ invoice: toPublicInvoice(invoice), payments, receipts });
+  });
+
+  // GET /api/invoices/:id/pdf?token=...
+  router.get('/invoices/:id/pdf', (req, res) => {
+    const invoice = invoiceFor(req);
+    const payment = invoice.paymentId && store.get('payments', invoice.paymentId);
+
+    res.type('application/pdf');
+    res.set('Content-Disposition', `attachment; filename="${invoice.number}.pdf"`);
+    res.send(renderInvoicePdf(invoice, { seller, payment }));
+  });
+
+  // POST /api/invoices/:id/checkout
+  // { token, provider, phone?, returnPath }
+  router.post('/invoices/:id/checkout', async (req, res, next) => {
+    try {
+      const { provider, phone, returnPath } = req.body || {};
+      const payment = await checkout.start(invoiceFor(req), {
+        provider,
+        phone,
+        returnPath: checkReturnPath(returnPath)
+      });
+      res.status(201).json({ payment: toPublicPayment(payment) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // POST /api/payments/webhooks/:provider
+  // Signed by the provider over the raw body (see server/payments/gateway.js)
+  router.post('/payments/webhooks/:provider', (req, res) => {
+    if (!req.rawBody) {
+      throw HttpError.badRequest('Expected a JSON body');
+    }
+
+    const payment = checkout.handleWebhook(req.params.provider, { headers: req.headers, rawBody: req.rawBody });
+    res.json({ received: true, status: payment.status });
+  });
+
+  // The sandbox's checkout page; only there when the sandbox is on
+  function findSandboxPayment(req) {
+    const payment = providers.sandbox &&
+      store.findOne('payments', item => item.provider === 'sandbox' && item.reference === req.params.reference);
+
+    if (!payment) throw HttpError.notFound('Sandbox payment not found');
+    return payment;
+  }
+
+  // GET /api/payments/sandbox/:reference
+  router.get('/payments/sandbox/:reference', (req, res) => {
+    const payment = findSandboxPayment(req);
+    const invoice = store.get('invoices', payment.invoiceId);
+
+    res.json({
+      payment: toPublicPayment(payment),
+      invoice: { number: invoice.number, description: invoice.description }
+    });
+  });
+
+  // POST /api/payments/sandbox/:reference
+  // { outcome: "success" | "failure" }; delivered as a signed webhook, like a real provider
+  router.post('/payments/sandbox/:reference', (req, res) => {
+    const payment = findSandboxPayment(req);
+    const updated = checkout.handleWebhook('sandbox', providers.sandbox.simulate(payment, req.body?.outcome));
+
+    res.json({ payment: toPublicPayment(updated), returnPath: payment.returnPath });
+  });
+
+  return router;
+}
+
+module.exports = createPaymentsRouter;
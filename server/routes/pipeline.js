@@ -0,0 +1,148 @@
+// ============================================
+// PIPELINE API
+// Employers reviewing, rating and moving the candidates for their jobs
+// ============================================
+
+'use strict';
+
+const path = require('path');
+const express = require('express');
+const { HttpError } = require('../errors');
+const { requireEmployer, findEmployerJob, findEmployerApplication } = require('../employer-auth');
+const {
+  getStages,
+  stageOf,
+  validateStages,
+  moveToStage,
+  markViewed,
+  addNote,
+  setRating
+} = require('../pipeline');
+
+const MAX_BULK = 100;
+
+/**
+ * @param {Store} store
+ * @param {Object} options
+ * @param {string} options.uploadDir - where CV files are stored
+ */
+function createPipelineRouter(store, { uploadDir }) {
+  const router = express.Router();
+
+  // What the employer sees of an application; the applicant's access token stays private
+  function toCandidate(application, stages) {
+    const { tokenHash, ...candidate } = application;
+
+    return {
+      ...candidate,
+      stage: stageOf(application, stages),
+      rating: application.rating || 0,
+      notes: application.notes || []
+    };
+  }
+
+  // Candidates' details and CVs; the service worker must not cache them
+  router.use('/employer', requireEmployer(store), (req, res, next) => {
+    res.set('Cache-Control', 'no-store');
+    next();
+  });
+
+  // GET /api/employer/jobs/:id/applications
+  router.get('/employer/jobs/:id/applications', (req, res) => {
+    const job = findEmployerJob(store, req.employer, req.params.id);
+    const stages = getStages(job);
+    const applications = store.list('applications', item => item.jobId === job.id)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(application => toCandidate(application, stages));
+
+    res.json({
+      job: { id: job.id, title: job.title, status: job.status, screeningQuestions: job.screeningQuestions || [] },
+      stages,
+      applications
+    });
+  });
+
+  // PUT /api/employer/jobs/:id/stages
+  // { stages: [{ id?, name, status }] }
+  router.put('/employer/jobs/:id/stages', (req, res) => {
+    const job = findEmployerJob(store, req.employer, req.params.id);
+    const applications = store.list('applications', item => item.jobId === job.id);
+    const stages = validateStages(req.body?.stages, applications, getStages(job));
+
+    // Pin every candidate to their current stage before the list changes
+    applications.forEach(application => {
+      store.update('applications', application.id, { stage: stageOf(application, getStages(job)) });
+    });
+    store.update('jobs', job.id, { pipelineStages: stages });
+
+    res.json({ stages, applications: applications.map(application => toCandidate(application, stages)) });
+  });
+
+  // POST /api/employer/jobs/:id/applications/move
+  // { ids: [applicationId, ...], stage }
+  router.post('/employer/jobs/:id/applications/move', (req, res) => {
+    const job = findEmployerJob(store, req.employer, req.params.id);
+    const ids = Array.isArray(req.body?.ids) ? req.body.ids.map(Number) : [];
+
+    if (ids.length === 0 || ids.length > MAX_BULK) {
+      throw HttpError.badRequest(`Choose between 1 and ${MAX_BULK} candidates`);
+    }
+
+    const applications = ids.map(id => {
+      const application = store.get('applications', id);
+      if (!application || application.jobId !== job.id) {
+        throw HttpError.notFound('Application not found');
+      }
+      return application;
+    });
+
+    const moved = applications.map(application => moveToStage(store, application, job, req.body.stage));
+    res.json({ applications: moved.map(application => toCandidate(application, getStages(job))) });
+  });
+
+  // GET /api/employer/applications/:id
+  // Opening an application marks it as viewed for the applicant
+  router.get('/employer/applications/:id', (req, res) => {
+    const { application, job } = findEmployerApplication(store, req.employer, req.params.id);
+    res.json({ application: toCandidate(markViewed(store, application, job), getStages(job)) });
+  });
+
+  // PATCH /api/employer/applications/:id
+  // { stage?, rating? }
+  router.patch('/employer/applications/:id', (req, res) => {
+    const { application, job } = findEmployerApplication(store, req.employer, req.params.id);
+    const { stage, rating } = req.body || {};
+
+    if (rating !== undefined) setRating(store, application, rating);
+    if (stage !== undefined) moveToStage(store, application, job, stage);
+
+    res.json({ application: toCandidate(application, getStages(job)) });
+  });
+
+  // POST /api/employer/applications/:id/notes
+  // { text }
+  router.post('/employer/applications/:id/notes', (req, res) => {
+    const { application, job } = findEmployerApplication(store, req.employer, req.params.id);
+    const updated = addNote(store, application, req.employer.name, req.body?.text);
+
+    res.status(201).json({ application: toCandidate(updated, getStages(job)) });
+  });
+
+  // GET /api/employer/applications/:id/cv
+  router.get('/employer/applications/:id/cv', (req, res, next) => {
+    const { application } = findEmployerApplication(store, req.employer, req.params.id);
+    const cv = application.cv && store.get('cvs', application.cv.id);
+
+    if (!cv) {
+      throw HttpError.notFound('CV not found');
+    }
+
+    res.download(path.join(uploadDir, 'cvs', cv.file), cv.name, error => {
+      if (error && !res.headersSent) next(HttpError.notFound('CV not found'));
+    });
+  });
+
+  return router;
+}
+
+module.exports = createPipelineRouter;
@@ -0,0 +1,118 @@
+// ============================================
+// PROFILES API
+// Job seekers' profiles: their own settings and completeness, the profile
+// page others see, and the candidate search for employers on paid plans
+// ============================================
+
+'use strict';
+
+const express = require('express');
+const { HttpError } = require('../errors');
+const { requireUser } = require('../sessions');
+const { REGIONS, isKnownLocation } = require('../locations');
+const { JOB_TYPES } = require('../employer-jobs');
+const { requireEmployer, identifyEmployer, requireEntitlement } = require('../employer-auth');
+const {
+  DEFAULT_PROFILE,
+  findProfile,
+  saveProfile,
+  profileCompleteness,
+  placesOverlap,
+  profileAccess,
+  toProfileView,
+  toCandidateCard,
+  toOwnProfile
+} = require('../profiles');
+
+/**
+ * @param {Store} store
+ * @param {Object} candidateSearch - from createCandidateSearch()
+ */
+function createProfilesRouter(store, candidateSearch) {
+  const router = express.Router();
+
+  const resumeOf = userId => store.findOne('resumes', item => item.userId === userId) || null;
+
+  // The profile with everything the owner's page shows: how complete it
+  // is, and what others see of it
+  function ownProfileResponse(user, profile) {
+    const resume = resumeOf(user.id);
+    const current = { id: null, userId: user.id, ...DEFAULT_PROFILE, ...profile };
+
+    return {
+      profile: toOwnProfile(current),
+      completeness: profileCompleteness(current, resume),
+      view: toProfileView(current, resume, user, { full: true }),
+      regions: REGIONS
+    };
+  }
+
+  // Depend on who is asking; the service worker must not cache them
+  router.use(['/profile', '/profiles', '/employer/candidates'], (req, res, next) => {
+    res.set('Cache-Control', 'no-store');
+    next();
+  });
+
+  // GET /api/profile
+  // Until it is first saved, the defaults: hidden and not open to work
+  router.get('/profile', requireUser, (req, res) => {
+    res.json(ownProfileResponse(req.user, findProfile(store, req.user.id)));
+  });
+
+  // PUT /api/profile
+  // { openToWork, visibility, desiredSalary, locations, jobTypes, editedAt };
+  // fields left out are kept. An older edit than the stored one is ignored.
+  router.put('/profile', requireUser, (req, res) => {
+    const { profile, applied } = saveProfile(store, req.user.id, req.body || {});
+    res.json({ ...ownProfileResponse(req.user, profile), applied });
+  });
+
+  // GET /api/profiles/:id
+  // Profiles the visitor may not see are reported as missing
+  router.get('/profiles/:id', identifyEmployer(store), (req, res) => {
+    const profile = store.get('profiles', req.params.id);
+    const access = profile ? profileAccess(profile, { user: req.user, employer: req.employer }) : null;
+    const user = profile && store.get('users', profile.userId);
+
+    if (!access?.visible || !user) {
+      throw HttpError.notFound('Profile not found');
+    }
+
+    res.json({ profile: toProfileView(profile, resumeOf(profile.userId), user, { full: access.full }) });
+  });
+
+  // GET /api/employer/candidates?q=&location=&jobType=&openToWork=1&page=
+  // Profiles that are public or shown to employers. A location or job type
+  // also finds candidates who haven't narrowed theirs down.
+  router.get('/employer/candidates', requireEmployer(store), requireEntitlement('candidateSearch'), (req, res) => {
+    const location = String(req.query.location || '');
+    const jobType = String(req.query.jobType || '');
+    const errors = {};
+    if (location && !isKnownLocation(location)) errors.location = 'Choose a place from the list';
+    if (jobType && !JOB_TYPES.includes(jobType)) errors.jobType = 'Choose a job type from the list';
+    if (Object.keys(errors).length > 0) {
+      throw HttpError.badRequest('Please check the filters', errors);
+    }
+
+    const openToWork = ['1', 'true'].includes(String(req.query.openToWork));
+    const result = candidateSearch.search(req.query.q, {
+      page: req.query.page,
+      perPage: req.query.perPage,
+      filter: profile =>
+        (!openToWork || profile.openToWork) &&
+        (!location || profile.locations.length === 0 || profile.locations.some(wanted => placesOverlap(wanted, location))) &&
+        (!jobType || profile.jobTypes.length === 0 || profile.jobTypes.includes(jobType))
+    });
+
+    const { profiles, ...page } = result;
+    res.json({
+      ...page,
+      candidates: profiles.map(profile => toCandidateCard(profile, resumeOf(profile.userId), store.get('users', profile.userId) || {})),
+      regions: REGIONS
+    });
+  });
+
+  return router;
+}
+
+module.exports = createProfilesRouter;
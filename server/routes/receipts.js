@@ -0,0 +1,190 @@
+// ============================================
+// PAYMENT RECEIPTS API
+// Customers send proof of a manual transfer; admins check it in a queue
+// ============================================
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { HttpError } = require('../errors');
+const { createToken } = require('../tokens');
+const { requireAdmin } = require('../sessions');
+const { identifyEmployer } = require('../employer-auth');
+const { findInvoice, toPublicInvoice } = require('../payments/invoices');
+const {
+  MAX_RECEIPT_BYTES,
+  MANUAL_METHODS,
+  RECEIPT_TYPES,
+  validateReceipt,
+  checkReceiptFile,
+  submitReceipt,
+  approveReceipt,
+  rejectReceipt,
+  toPublicReceipt
+} = require('../payments/receipts');
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+/**
+ * @param {Store} store
+ * @param {Object} options
+ * @param {string} options.uploadDir - receipts go in its receipts/ folder
+ * @param {string[]} options.adminEmails - see requireAdmin()
+ * @param {Object} options.mailer - tells customers how the review went
+ * @param {Object} [options.logger] - defaults to console
+ */
+function createReceiptsRouter(store, { uploadDir, adminEmails, mailer, logger = console }) {
+  const router = express.Router();
+  const receiptDir = path.join(uploadDir, 'receipts');
+  const admin = requireAdmin(adminEmails);
+
+  router.use(['/invoices', '/admin'], (req, res, next) => {
+    res.set('Cache-Control', 'no-store');
+    next();
+  });
+  router.use('/invoices', identifyEmployer(store));
+
+  function findReceipt(id) {
+    const receipt = store.get('receipts', id);
+    if (!receipt) throw HttpError.notFound('Receipt not found');
+    return receipt;
+  }
+
+  // The queue shows what the admin needs to compare the receipt against
+  function toAdminReceipt(receipt) {
+    const invoice = store.get('invoices', receipt.invoiceId);
+
+    return {
+      ...receipt,
+      methodName: MANUAL_METHODS[receipt.method],
+      invoice: invoice && {
+        id: invoice.id,
+        number: invoice.number,
+        description: invoice.description,
+        amount: invoice.amount,
+        status: invoice.status,
+        customer: invoice.customer
+      }
+    };
+  }
+
+  // The review is already saved, so a mail failure is only logged
+  async function notifyCustomer(receipt, invoice) {
+    if (!invoice.customer.email) return;
+
+    const approved = receipt.status === 'approved';
+    const activated = invoice.kind === 'plan'
+      ? 'Your plan is now active.'
+      : invoice.item.extension
+        ? 'Your campaign now runs for longer.'
+        : 'Your campaign starts once our team has approved it.';
+    try {
+      await mailer.send({
+        to: invoice.customer.email,
+        subject: approved
+          ? `Payment confirmed for invoice ${invoice.number}`
+          : `We couldn't confirm your payment for invoice ${invoice.number}`,
+        text: approved
+          ? `Hi ${invoice.customer.name},\n\nWe received your ${MANUAL_METHODS[receipt.method].toLowerCase()} of ETB ${receipt.amount} (transaction ${receipt.reference}). ${activated}\n\nThank you for choosing ZewedJobs.`
+          : `Hi ${invoice.customer.name},\n\nWe couldn't confirm the receipt you sent for invoice ${invoice.number} (transaction ${receipt.reference}):\n\n${receipt.rejectionReason}\n\nYou can send another receipt from the invoice page, or reply to this email.`
+      });
+    } catch (error) {
+      logger.error(`[Receipts] Could not email the review of receipt ${receipt.id}:`, error.message);
+    }
+  }
+
+  // POST /api/invoices/:id/receipts?token=...&method=...&reference=...
+  // Body: the raw screenshot or PDF. Content-Type: its MIME type. X-File-Name: URI-encoded name.
+  router.post('/invoices/:id/receipts', express.raw({ type: Object.keys(RECEIPT_TYPES), limit: MAX_RECEIPT_BYTES }), (req, res, next) => {
+    const invoice = findInvoice(store, req.params.id, req.query.token, req.employer, req.user);
+    const details = validateReceipt(req.query);
+    const type = req.get('content-type')?.split(';')[0].trim();
+    const format = checkReceiptFile(type, req.body);
+
+    let name;
+    try {
+      name = decodeURIComponent(req.get('x-file-name') || '');
+    } catch (error) {
+      name = '';
+    }
+    name = path.basename(name).slice(0, 200) || `receipt.${format.extension}`;
+
+    const file = `${createToken(16)}.${format.extension}`;
+
+    fs.mkdirSync(receiptDir, { recursive: true });
+    fs.writeFile(path.join(receiptDir, file), req.body, error => {
+      if (error) return next(error);
+
+      try {
+        const receipt = submitReceipt(store, invoice, details, { file, name, type, size: req.body.length });
+        res.status(201).json({ receipt: toPublicReceipt(receipt) });
+      } catch (submitError) {
+        fs.unlink(path.join(receiptDir, file), () => {});
+        next(submitError);
+      }
+    });
+  });
+
+  // GET /api/admin/receipts?status=pending
+  // Pending receipts oldest first, so the queue is worked in order
+  router.get('/admin/receipts', admin, (req, res) => {
+    const status = REVIEW_STATUSES.includes(req.query.status) ? req.query.status : 'pending';
+    const order = status === 'pending' ? 1 : -1;
+    const receipts = store.list('receipts', item => item.status === status)
+      .sort((a, b) => order * (new Date(a.createdAt) - new Date(b.createdAt)))
+      .map(toAdminReceipt);
+
+    res.json({
+      receipts,
+      counts: Object.fromEntries(REVIEW_STATUSES.map(value => [
+        value,
+        store.list('receipts', item => item.status === value).length
+      ]))
+    });
+  });
+
+  // GET /api/admin/receipts/:id
+  router.get('/admin/receipts/:id', admin, (req, res) => {
+    res.json({ receipt: toAdminReceipt(findReceipt(req.params.id)) });
+  });
+
+  // GET /api/admin/receipts/:id/file
+  router.get('/admin/receipts/:id/file', admin, (req, res, next) => {
+    const { file } = findReceipt(req.params.id);
+
+    res.type(file.type);
+    res.set('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(file.name)}`);
+    res.sendFile(path.join(receiptDir, file.file), error => {
+      if (error && !res.headersSent) next(HttpError.notFound('Receipt file not found'));
+    });
+  });
+
+  // POST /api/admin/receipts/:id/approve
+  router.post('/admin/receipts/:id/approve', admin, async (req, res, next) => {
+    try {
+      const { receipt, invoice } = approveReceipt(store, findReceipt(req.params.id), req.user);
+      await notifyCustomer(receipt, invoice);
+      res.json({ receipt: toAdminReceipt(receipt), invoice: toPublicInvoice(invoice) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // POST /api/admin/receipts/:id/reject
+  // { reason }, which the customer is shown
+  router.post('/admin/receipts/:id/reject', admin, async (req, res, next) => {
+    try {
+      const receipt = rejectReceipt(store, findReceipt(req.params.id), req.user, req.body?.reason);
+      await notifyCustomer(receipt, store.get('invoices', receipt.invoiceId));
+      res.json({ receipt: toAdminReceipt(receipt) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createReceiptsRouter;
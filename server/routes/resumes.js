@@ -0,0 +1,95 @@
+// ============================================
+// RESUMES API
+// The resume builder's copy kept with the account, its PDF and Word
+// exports, and reading an existing CV into it
+// ============================================
+
+'use strict';
+
+const express = require('express');
+const { HttpError } = require('../errors');
+const { requireUser } = require('../sessions');
+const { slugify } = require('../locations');
+const { validateResume, saveResume, toPublicResume } = require('../resumes');
+const { renderResumePdf } = require('../resume-pdf');
+const { renderResumeDocx } = require('../resume-docx');
+const { CV_FORMATS, readCv } = require('../cv-parser');
+
+const MAX_CV_BYTES = 5 * 1024 * 1024;
+const WORD_97 = 'application/msword';
+
+const FORMATS = {
+  pdf: { type: 'application/pdf', render: (resume, font) => renderResumePdf(resume, { font }) },
+  docx: {
+    type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    render: resume => renderResumeDocx(resume)
+  }
+};
+
+/**
+ * @param {Store} store
+ * @param {Object} options
+ * @param {Object} options.font - from loadFont(), for Ge'ez script in PDFs
+ */
+function createResumesRouter(store, { font }) {
+  const router = express.Router();
+
+  // Private to the user; the service worker must not cache them
+  router.use('/resume', (req, res, next) => {
+    res.set('Cache-Control', 'no-store');
+    next();
+  });
+
+  // GET /api/resume
+  // null until the user saves one
+  router.get('/resume', requireUser, (req, res) => {
+    const resume = store.findOne('resumes', item => item.userId === req.user.id);
+    res.json({ resume: resume ? toPublicResume(resume) : null });
+  });
+
+  // PUT /api/resume
+  // Responds with the copy that won: an older edit than the stored one is ignored
+  router.put('/resume', requireUser, (req, res) => {
+    const { resume, applied } = saveResume(store, req.user.id, validateResume(req.body || {}));
+    res.json({ resume: toPublicResume(resume), applied });
+  });
+
+  // POST /api/resume/export?format=pdf|docx
+  // The resume in the body, so drafts that were never saved online export too
+  router.post('/resume/export', (req, res) => {
+    const format = FORMATS[req.query.format];
+    if (!format) {
+      throw HttpError.badRequest('Choose PDF or Word', { format: 'Choose pdf or docx' });
+    }
+
+    const resume = validateResume(req.body || {}, { complete: true });
+
+    const name = `${slugify(resume.personal.fullName) || 'resume'}-resume.${req.query.format}`;
+    res.set('Content-Type', format.type);
+    res.set('Content-Disposition', `attachment; filename="${name}"`);
+    res.send(format.render(resume, font));
+  });
+
+  // POST /api/resume/import
+  // Body: the raw file. Content-Type: its MIME type. Nothing is stored: the
+  // reply is for the builder to show for review, with the fields that are
+  // guesses listed in `review`
+  router.post('/resume/import', express.raw({ type: [...Object.keys(CV_FORMATS), WORD_97], limit: MAX_CV_BYTES }), (req, res) => {
+    const type = req.get('content-type')?.split(';')[0].trim();
+    if (type === WORD_97) {
+      throw HttpError.badRequest('Older Word files (.doc) can\'t be read. Open it in Word, save it as .docx or PDF, and upload that.');
+    }
+    if (!CV_FORMATS[type] || !Buffer.isBuffer(req.body)) {
+      throw HttpError.badRequest('Upload your CV as a PDF or Word (.docx) document');
+    }
+    if (req.body.length === 0) {
+      throw HttpError.badRequest('The uploaded file is empty');
+    }
+
+    res.json(readCv(req.body, type));
+  });
+
+  return router;
+}
+
+module.exports = createResumesRouter;
@@ -0,0 +1,60 @@
+// ============================================
+// SAVED JOBS API
+// A signed-in user's saved jobs, shared between their devices
+// ============================================
+
+'use strict';
+
+const express = require('express');
+const { HttpError } = require('../errors');
+const { requireUser } = require('../sessions');
+const { validateSavedJob, upsertSavedJob, toPublicSavedJob } = require('../saved-jobs');
+
+function createSavedJobsRouter(store) {
+  const router = express.Router();
+
+  // Private to the user; the service worker must not cache them
+  router.use('/saved-jobs', requireUser, (req, res, next) => {
+    res.set('Cache-Control', 'no-store');
+    next();
+  });
+
+  // GET /api/saved-jobs
+  router.get('/saved-jobs', (req, res) => {
+    const savedJobs = store.list('savedJobs', item => item.userId === req.user.id)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(item => toPublicSavedJob(item, store.get('jobs', item.jobId)));
+
+    res.json({ savedJobs });
+  });
+
+  // PUT /api/saved-jobs/:jobId
+  // { note, deadline, reminderAt, remindedAt, editedAt }
+  // Responds with the copy that won: an older edit than the stored one is ignored
+  router.put('/saved-jobs/:jobId', (req, res) => {
+    const job = store.get('jobs', req.params.jobId);
+
+    if (!job || job.status === 'draft') {
+      throw HttpError.notFound('Job not found');
+    }
+
+    const fields = validateSavedJob(req.body || {});
+    const { savedJob, created, applied } = upsertSavedJob(store, req.user.id, job.id, fields);
+
+    res.status(created ? 201 : 200).json({ savedJob: toPublicSavedJob(savedJob, job), applied });
+  });
+
+  // DELETE /api/saved-jobs/:jobId
+  // Removing a job that isn't saved is not an error, so retries are safe
+  router.delete('/saved-jobs/:jobId', (req, res) => {
+    const jobId = Number(req.params.jobId);
+    const savedJob = store.findOne('savedJobs', item => item.userId === req.user.id && item.jobId === jobId);
+
+    if (savedJob) store.remove('savedJobs', savedJob.id);
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = createSavedJobsRouter;
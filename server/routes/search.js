@@ -0,0 +1,41 @@
+// ============================================
+// SEARCH API
+// Full-text job search with filters and facets, plus search-as-you-type suggestions
+// ============================================
+
+'use strict';
+
+const express = require('express');
+const { parseJobFilters, matchesFilters, countFacets } = require('../search/job-filters');
+
+function createSearchRouter(jobSearch, suggester) {
+  const router = express.Router();
+
+  // GET /api/search?q=software+developer&category=Technology&location=oromia
+  //   &experience=entry,mid&workplace=remote&salary=25000-50000&posted=7&page=1&perPage=10
+  router.get('/search', (req, res) => {
+    const { q = '', page, perPage } = req.query;
+    const filters = parseJobFilters(req.query);
+
+    res.json({
+      ...jobSearch.search(q, {
+        page,
+        perPage,
+        filter: job => matchesFilters(job, filters),
+        facets: jobs => countFacets(jobs, filters)
+      }),
+      category: filters.category ? filters.category[0] : null,
+      filters
+    });
+  });
+
+  // GET /api/suggest?q=softw&limit=4
+  router.get('/suggest', (req, res) => {
+    const { q = '', limit } = req.query;
+    res.json(suggester.suggest(q, { limit }));
+  });
+
+  return router;
+}
+
+module.exports = createSearchRouter;
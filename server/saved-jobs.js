@@ -0,0 +1,85 @@
+// ============================================
+// SAVED JOBS
+// Jobs a signed-in user bookmarked, with their notes, deadlines and reminders
+// ============================================
+
+'use strict';
+
+const { HttpError } = require('./errors');
+
+const MAX_NOTE_LENGTH = 2000;
+
+// Dates are optional; null clears them
+function optionalDate(value, field, errors) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    errors[field] = 'Enter a valid date';
+    return null;
+  }
+  return date.toISOString();
+}
+
+/**
+ * Check the fields of a saved job sent by a device.
+ *
+ * @param {Object} input - { note, deadline, reminderAt, remindedAt, editedAt }
+ * @returns {Object}
+ * @throws {HttpError} 400 with per-field details
+ */
+function validateSavedJob(input) {
+  const errors = {};
+  const note = String(input.note || '').trim();
+
+  if (note.length > MAX_NOTE_LENGTH) {
+    errors.note = `Keep notes under ${MAX_NOTE_LENGTH} characters`;
+  }
+
+  const savedJob = {
+    note,
+    deadline: optionalDate(input.deadline, 'deadline', errors),
+    reminderAt: optionalDate(input.reminderAt, 'reminderAt', errors),
+    remindedAt: optionalDate(input.remindedAt, 'remindedAt', errors),
+    // A device whose clock runs ahead can't make its edits win forever
+    editedAt: optionalDate(input.editedAt, 'editedAt', errors) || new Date().toISOString()
+  };
+
+  if (new Date(savedJob.editedAt) > Date.now()) {
+    savedJob.editedAt = new Date().toISOString();
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw HttpError.badRequest('Please check your saved job', errors);
+  }
+
+  return savedJob;
+}
+
+/**
+ * Save a job for a user, or update their copy. Devices sync offline edits
+ * late, so the most recent edit wins, whichever order they arrive in.
+ *
+ * @returns {{ savedJob: Object, created: boolean, applied: boolean }}
+ */
+function upsertSavedJob(store, userId, jobId, fields) {
+  const existing = store.findOne('savedJobs', item => item.userId === userId && item.jobId === jobId);
+
+  if (!existing) {
+    return { savedJob: store.insert('savedJobs', { userId, jobId, ...fields }), created: true, applied: true };
+  }
+
+  if (new Date(existing.editedAt) > new Date(fields.editedAt)) {
+    return { savedJob: existing, created: false, applied: false };
+  }
+
+  return { savedJob: store.update('savedJobs', existing.id, fields), created: false, applied: true };
+}
+
+// What devices get: the saved job with the job itself, so they can read it offline
+function toPublicSavedJob(savedJob, job) {
+  const { id, userId, ...fields } = savedJob;
+  return { ...fields, savedAt: savedJob.createdAt, job: job && job.status !== 'draft' ? job : null };
+}
+
+module.exports = { validateSavedJob, upsertSavedJob, toPublicSavedJob };
@@ -0,0 +1,98 @@
+// ============================================
+// CANDIDATE SEARCH
+// Keeps a search index of the job seeker profiles employers may find in
+// sync with the store. A profile's text comes from its owner's resume.
+// ============================================
+
+'use strict';
+
+const { SearchIndex } = require('./search-index');
+const { analyzeQuery } = require('./tokenizer');
+
+const DEFAULT_PER_PAGE = 20;
+const MAX_PER_PAGE = 50;
+
+// Searchable parts of a candidate, { profile, resume }, and how much a match in each counts
+const CANDIDATE_FIELDS = {
+  headline: { weight: 3, value: ({ resume }) => resume?.personal.headline },
+  skills: { weight: 2.5, value: ({ resume }) => (resume?.skills || []).join(' ') },
+  experience: { weight: 2, value: ({ resume }) => (resume?.experience || []).map(item => `${item.title} ${item.company}`).join(' ') },
+  education: { weight: 1, value: ({ resume }) => (resume?.education || []).map(item => `${item.qualification} ${item.field} ${item.school}`).join(' ') },
+  summary: { weight: 1, value: ({ resume }) => [resume?.personal.summary, ...(resume?.experience || []).map(item => item.description)].join(' ') }
+};
+
+// Hidden profiles never come up, whoever is searching
+function isSearchable(profile) {
+  return Boolean(profile) && profile.visibility !== 'hidden';
+}
+
+// Open to work first, then the most recently updated
+function byAvailability(a, b) {
+  return Number(b.openToWork) - Number(a.openToWork) || new Date(b.editedAt) - new Date(a.editedAt);
+}
+
+function createCandidateSearch(store) {
+  const index = new SearchIndex({ fields: CANDIDATE_FIELDS, queryAnalyzer: analyzeQuery });
+
+  const resumeOf = profile => store.findOne('resumes', item => item.userId === profile.userId);
+
+  function sync(profile) {
+    if (isSearchable(profile)) {
+      index.add(profile.id, { profile, resume: resumeOf(profile) });
+    } else {
+      index.remove(profile.id);
+    }
+  }
+
+  store.list('profiles', isSearchable).forEach(sync);
+
+  store.on('change', ({ collection, action, item }) => {
+    if (collection === 'profiles') {
+      if (action === 'remove') index.remove(item.id);
+      else sync(item);
+    }
+    // Editing the resume changes what the profile is found by
+    if (collection === 'resumes') {
+      const profile = store.findOne('profiles', candidate => candidate.userId === item.userId);
+      if (profile) sync(profile);
+    }
+  });
+
+  /**
+   * Ranked, paginated profile search. An empty query lists every
+   * searchable profile accepted by the filter, open to work first.
+   *
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {number} [options.page=1]
+   * @param {number} [options.perPage=20]
+   * @param {function(Object): boolean} [options.filter] - extra profile predicate
+   * @returns {{ query: string, profiles: Array<Object>, total: number, page: number, perPage: number, totalPages: number }}
+   */
+  function search(query, { page = 1, perPage = DEFAULT_PER_PAGE, filter } = {}) {
+    const text = String(query || '').trim();
+    const size = Math.min(Math.max(parseInt(perPage, 10) || DEFAULT_PER_PAGE, 1), MAX_PER_PAGE);
+    const accepts = profile => isSearchable(profile) && (!filter || filter(profile));
+
+    const profiles = text
+      ? index.search(text, { filter: id => accepts(store.get('profiles', id)) }).hits.map(hit => store.get('profiles', hit.id))
+      : store.list('profiles', accepts).sort(byAvailability);
+
+    const total = profiles.length;
+    const totalPages = Math.max(Math.ceil(total / size), 1);
+    const current = Math.min(Math.max(parseInt(page, 10) || 1, 1), totalPages);
+
+    return {
+      query: text,
+      profiles: profiles.slice((current - 1) * size, current * size),
+      total,
+      page: current,
+      perPage: size,
+      totalPages
+    };
+  }
+
+  return { index, search };
+}
+
+module.exports = { createCandidateSearch, CANDIDATE_FIELDS };
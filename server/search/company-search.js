@@ -0,0 +1,104 @@
+// ============================================
+// COMPANY SEARCH
+// The employer directory: keeps a company record for every company that
+// posts jobs or advertises, and a search index of them, in sync with the
+// store. Employers' unverified pages stay out of it.
+// ============================================
+
+'use strict';
+
+const { SearchIndex } = require('./search-index');
+const { analyzeQuery } = require('./tokenizer');
+const { locationMatches } = require('../locations');
+const { ensureCompany, isUnverifiedPage, companyJobs, companyLocations } = require('../companies');
+
+const DEFAULT_PER_PAGE = 24;
+const MAX_PER_PAGE = 60;
+
+// Searchable company fields and how much a match in each counts
+const COMPANY_FIELDS = {
+  name: { weight: 3, value: company => company.name },
+  industry: { weight: 2, value: company => company.industry },
+  benefits: { weight: 0.5, value: company => company.benefits.join(' ') },
+  description: { weight: 1, value: company => company.description }
+};
+
+// Hiring companies first, then by name
+function byOpenJobs(a, b) {
+  return b.openJobs - a.openJobs || a.company.name.localeCompare(b.company.name);
+}
+
+function createCompanySearch(store) {
+  const index = new SearchIndex({ fields: COMPANY_FIELDS, queryAnalyzer: analyzeQuery });
+
+  // Made from whatever names a company in public, with what that tells
+  // about it. Ads only count once an admin has approved them.
+  const fromJob = job => ensureCompany(store, job.company, { industry: job.category || '' });
+  const fromCampaign = campaign => ensureCompany(store, campaign.companyName, { website: campaign.companyWebsite || '' });
+  const listed = company => !isUnverifiedPage(company);
+
+  store.list('jobs', job => job.status !== 'draft').forEach(fromJob);
+  store.list('campaigns', campaign => campaign.approvedAt).forEach(fromCampaign);
+  store.list('companies', listed).forEach(company => index.add(company.id, company));
+
+  store.on('change', ({ collection, action, item }) => {
+    if (action === 'remove') {
+      if (collection === 'companies') index.remove(item.id);
+      return;
+    }
+
+    if (collection === 'companies') {
+      if (listed(item)) index.add(item.id, item);
+      else index.remove(item.id);
+    }
+    // Drafts aren't public yet
+    if (collection === 'jobs' && item.status !== 'draft') fromJob(item);
+    if (collection === 'campaigns' && item.approvedAt) fromCampaign(item);
+  });
+
+  /**
+   * Ranked, paginated directory search. An empty query lists every
+   * company, those with open jobs first.
+   *
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {string} [options.industry]
+   * @param {string} [options.location] - a city or region value
+   * @param {number} [options.page=1]
+   * @param {number} [options.perPage=24]
+   * @returns {{ query: string, companies: Array<{ company: Object, jobs: Array<Object> }>, total: number, page: number, perPage: number, totalPages: number }}
+   */
+  function search(query, { industry, location, page = 1, perPage = DEFAULT_PER_PAGE } = {}) {
+    const text = String(query || '').trim();
+    const size = Math.min(Math.max(parseInt(perPage, 10) || DEFAULT_PER_PAGE, 1), MAX_PER_PAGE);
+
+    const entry = company => {
+      const jobs = companyJobs(store, company);
+      return { company, jobs, openJobs: jobs.length };
+    };
+    const accepts = ({ company, jobs }) =>
+      (!industry || company.industry === industry) &&
+      (!location || companyLocations(company, jobs).some(place => place.value === location || locationMatches(place.label, location)));
+
+    const companies = text
+      ? index.search(text).hits.map(hit => entry(store.get('companies', hit.id))).filter(accepts)
+      : store.list('companies', listed).map(entry).filter(accepts).sort(byOpenJobs);
+
+    const total = companies.length;
+    const totalPages = Math.max(Math.ceil(total / size), 1);
+    const current = Math.min(Math.max(parseInt(page, 10) || 1, 1), totalPages);
+
+    return {
+      query: text,
+      companies: companies.slice((current - 1) * size, current * size).map(({ company, jobs }) => ({ company, jobs })),
+      total,
+      page: current,
+      perPage: size,
+      totalPages
+    };
+  }
+
+  return { index, search };
+}
+
+module.exports = { createCompanySearch, COMPANY_FIELDS };
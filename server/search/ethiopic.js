@@ -0,0 +1,89 @@
+// ============================================
+// ETHIOPIC (GE'EZ) SCRIPT
+// Homophone normalization and Latin transliteration for Amharic text
+// ============================================
+
+'use strict';
+
+// Every Ethiopic consonant occupies a block of 8 code points: one per vowel
+// order (ä, u, i, a, e, ə, o, and a labialized "wa" form)
+const ETHIOPIC_START = 0x1200;
+const ETHIOPIC_END = 0x137F;
+const ORDER_COUNT = 8;
+
+// Series that sound the same in modern Amharic and are used interchangeably
+// by writers: ሐ/ኀ -> ሀ, ሠ -> ሰ, ዐ -> አ, ፀ -> ጸ
+const HOMOPHONE_SERIES = {
+  0x1210: 0x1200,
+  0x1280: 0x1200,
+  0x1220: 0x1230,
+  0x12D0: 0x12A0,
+  0x1340: 0x1338
+};
+
+// For the laryngeal series the 1st (ä) and 4th (a) orders are also spelled
+// interchangeably (ሀገር / ሃገር)
+const FOLD_FOURTH_ORDER = new Set([0x1200, 0x12A0]);
+
+// Latin consonant for each series, following common informal romanization
+const SERIES_CONSONANTS = {
+  0x1200: 'h', 0x1208: 'l', 0x1210: 'h', 0x1218: 'm', 0x1220: 's',
+  0x1228: 'r', 0x1230: 's', 0x1238: 'sh', 0x1240: 'q', 0x1260: 'b',
+  0x1268: 'v', 0x1270: 't', 0x1278: 'ch', 0x1280: 'h', 0x1290: 'n',
+  0x1298: 'ny', 0x12A0: '', 0x12A8: 'k', 0x12B8: 'h', 0x12C8: 'w',
+  0x12D0: '', 0x12D8: 'z', 0x12E0: 'zh', 0x12E8: 'y', 0x12F0: 'd',
+  0x12F8: 'd', 0x1300: 'j', 0x1308: 'g', 0x1318: 'g', 0x1320: 't',
+  0x1328: 'ch', 0x1330: 'p', 0x1338: 'ts', 0x1340: 'ts', 0x1348: 'f',
+  0x1350: 'p'
+};
+
+// Vowel for each order. The 6th order (ə) is usually written as a bare
+// consonant: ን -> "n", so ኢንጂነር reads "injiner"
+const ORDER_VOWELS = ['e', 'u', 'i', 'a', 'e', '', 'o', 'wa'];
+
+// Gemination and other combining marks carry no meaning for search
+const COMBINING_MARKS = /[\u135D-\u135F]/g;
+
+function splitCodePoint(codePoint) {
+  const offset = codePoint - ETHIOPIC_START;
+  return {
+    series: ETHIOPIC_START + offset - (offset % ORDER_COUNT),
+    order: offset % ORDER_COUNT
+  };
+}
+
+// Collapse homophone spellings so ሥራ and ስራ, or ሐኪም and ሀኪም, index alike
+function normalizeEthiopic(text) {
+  return Array.from(String(text ?? '').replace(COMBINING_MARKS, ''), char => {
+    const codePoint = char.codePointAt(0);
+    if (codePoint < ETHIOPIC_START || codePoint > ETHIOPIC_END) return char;
+
+    let { series, order } = splitCodePoint(codePoint);
+    if (HOMOPHONE_SERIES[series] === undefined && !FOLD_FOURTH_ORDER.has(series)) return char;
+
+    series = HOMOPHONE_SERIES[series] ?? series;
+    if (FOLD_FOURTH_ORDER.has(series) && order === 3) {
+      order = 0;
+    }
+
+    return String.fromCodePoint(series + order);
+  }).join('');
+}
+
+// Romanize Ge'ez syllables; anything else passes through unchanged
+function transliterate(text) {
+  return Array.from(String(text ?? ''), char => {
+    const codePoint = char.codePointAt(0);
+    if (codePoint < ETHIOPIC_START || codePoint > ETHIOPIC_END) return char;
+
+    const { series, order } = splitCodePoint(codePoint);
+    const consonant = SERIES_CONSONANTS[series];
+    if (consonant === undefined) return '';
+
+    // Vowel-carrier series (አ, ዐ) have no consonant, so the 6th order is "i"
+    const vowel = consonant === '' && order === 5 ? 'i' : ORDER_VOWELS[order];
+    return consonant + vowel;
+  }).join('');
+}
+
+module.exports = { normalizeEthiopic, transliterate };
@@ -0,0 +1,55 @@
+// ============================================
+// FUZZY MATCHING
+// Bounded edit distance for typo-tolerant search
+// ============================================
+
+'use strict';
+
+// Damerau-Levenshtein (optimal string alignment) distance. Gives up and
+// returns maxDistance + 1 as soon as the distance is known to exceed it.
+function editDistance(a, b, maxDistance = Infinity) {
+  if (a === b) return 0;
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+
+      // Transposition of two adjacent characters ("sofwtare")
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousPrevious[j - 2] + 1);
+      }
+
+      current[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > maxDistance) return maxDistance + 1;
+
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// How many typos a term of this length may contain
+function allowedTypos(term) {
+  const length = [...term].length;
+  if (length < 4) return 0;
+  if (length < 8) return 1;
+  return 2;
+}
+
+module.exports = { editDistance, allowedTypos };
@@ -0,0 +1,178 @@
+// ============================================
+// JOB FILTERS
+// Structured filters for job search and per-value result counts (facets)
+// ============================================
+
+'use strict';
+
+const { HttpError } = require('../errors');
+const { REGIONS, locationMatches, isKnownLocation } = require('../locations');
+const { DAY_MS } = require('../time');
+
+const EXPERIENCE_LEVELS = [
+  { value: 'entry', label: 'Entry Level', min: 0, max: 1 },
+  { value: 'mid', label: '1-3 years', min: 1, max: 3 },
+  { value: 'senior', label: '4+ years', min: 4, max: Infinity }
+];
+
+const WORKPLACES = [
+  { value: 'onsite', label: 'On-site' },
+  { value: 'remote', label: 'Remote' },
+  { value: 'hybrid', label: 'Hybrid' }
+];
+
+const SALARY_RANGES = [
+  { value: '0-10000', label: 'Under 10,000 ETB' },
+  { value: '10000-25000', label: '10,000 - 25,000 ETB' },
+  { value: '25000-50000', label: '25,000 - 50,000 ETB' },
+  { value: '50000+', label: '50,000+ ETB' }
+];
+
+const POSTED_WITHIN = [
+  { value: '1', label: 'Last 24 hours' },
+  { value: '3', label: 'Last 3 days' },
+  { value: '7', label: 'Last week' },
+  { value: '30', label: 'Last month' }
+];
+
+// "25000-50000" -> { min: 25000, max: 50000 }, "50000+" -> { min: 50000, max: Infinity }
+function parseSalaryRange(value) {
+  const match = /^(\d+)(?:-(\d+)|\+)$/.exec(value);
+  if (!match) return null;
+
+  const min = Number(match[1]);
+  const max = match[2] === undefined ? Infinity : Number(match[2]);
+  return min <= max ? { min, max } : null;
+}
+
+// ============================================
+// MATCHERS
+// ============================================
+
+// Each filter keeps a job when it matches ANY of the selected values
+const MATCHERS = {
+  category: (job, value) => String(job.category || '').toLowerCase() === value.toLowerCase(),
+
+  location: (job, value) => locationMatches(job.location, value),
+
+  experience: (job, value) => {
+    const level = EXPERIENCE_LEVELS.find(item => item.value === value);
+    const min = job.experienceMin ?? 0;
+    const max = job.experienceMax ?? min;
+    return min <= level.max && max >= level.min;
+  },
+
+  workplace: (job, value) => job.workplace === value,
+
+  salary: (job, value) => {
+    const range = parseSalaryRange(value);
+    if (job.salaryMin === undefined && job.salaryMax === undefined) return false;
+    const min = job.salaryMin ?? job.salaryMax;
+    const max = job.salaryMax ?? job.salaryMin;
+    return min <= range.max && max >= range.min;
+  },
+
+  posted: (job, value, now) => now - new Date(job.postedAt).getTime() <= Number(value) * DAY_MS
+};
+
+const VALIDATORS = {
+  category: () => true,
+  location: isKnownLocation,
+  experience: value => EXPERIENCE_LEVELS.some(item => item.value === value),
+  workplace: value => WORKPLACES.some(item => item.value === value),
+  salary: value => parseSalaryRange(value) !== null,
+  posted: value => /^\d+$/.test(value) && Number(value) > 0
+};
+
+const FILTER_NAMES = Object.keys(MATCHERS);
+
+/**
+ * Read filters from a query string object. Values may be repeated
+ * (?location=adama&location=jimma) or comma-separated (?location=adama,jimma).
+ *
+ * @param {Object} query - req.query
+ * @returns {Object<string, string[]>} selected values per filter, empty filters omitted
+ * @throws {HttpError} 400 when a value is not recognised
+ */
+function parseJobFilters(query) {
+  const filters = {};
+  const invalid = {};
+
+  FILTER_NAMES.forEach(name => {
+    const raw = [].concat(query[name] ?? []);
+    const values = raw
+      .flatMap(value => String(value).split(','))
+      .map(value => value.trim())
+      .filter(Boolean);
+
+    if (values.length === 0) return;
+
+    const unknown = values.filter(value => !VALIDATORS[name](value));
+    if (unknown.length > 0) {
+      invalid[name] = `Unknown value: ${unknown.join(', ')}`;
+    }
+
+    filters[name] = [...new Set(values)];
+  });
+
+  if (Object.keys(invalid).length > 0) {
+    throw HttpError.badRequest('Invalid search filters', invalid);
+  }
+
+  return filters;
+}
+
+// Does a job pass every filter (optionally ignoring one of them)?
+function matchesFilters(job, filters, { except, now = Date.now() } = {}) {
+  return Object.entries(filters).every(([name, values]) =>
+    name === except || values.some(value => MATCHERS[name](job, value, now))
+  );
+}
+
+// ============================================
+// FACETS
+// ============================================
+
+function countValues(jobs, name, options, now) {
+  return options.map(option => ({
+    ...option,
+    count: jobs.filter(job => MATCHERS[name](job, option.value, now)).length
+  }));
+}
+
+/**
+ * Result counts for every value of every filter. Each filter is counted
+ * against the jobs matching all the *other* filters, so the numbers show
+ * what choosing that value would return.
+ *
+ * @param {Array<Object>} jobs - jobs matching the text query
+ * @param {Object<string, string[]>} filters - from parseJobFilters()
+ */
+function countFacets(jobs, filters) {
+  const now = Date.now();
+  const candidates = name => jobs.filter(job => matchesFilters(job, filters, { except: name, now }));
+
+  const categoryJobs = candidates('category');
+  const categories = [...new Set(categoryJobs.map(job => job.category).filter(Boolean))]
+    .sort()
+    .map(category => ({ value: category, label: category }));
+
+  const locationJobs = candidates('location');
+  const location = REGIONS.map(region => ({
+    value: region.value,
+    label: region.label,
+    count: locationJobs.filter(job => locationMatches(job.location, region.value)).length,
+    cities: countValues(locationJobs, 'location', region.cities, now)
+  }));
+
+  return {
+    category: countValues(categoryJobs, 'category', categories, now),
+    location,
+    experience: countValues(candidates('experience'), 'experience', EXPERIENCE_LEVELS.map(({ value, label }) => ({ value, label })), now),
+    workplace: countValues(candidates('workplace'), 'workplace', WORKPLACES, now),
+    salary: countValues(candidates('salary'), 'salary', SALARY_RANGES, now),
+    posted: countValues(candidates('posted'), 'posted', POSTED_WITHIN, now)
+  };
+}
+
+module.exports = { parseJobFilters, matchesFilters, countFacets, FILTER_NAMES, WORKPLACES };
@@ -0,0 +1,125 @@
+// ============================================
+// JOB SEARCH
+// Keeps a search index of open jobs in sync with the store
+// ============================================
+
+'use strict';
+
+const { SearchIndex } = require('./search-index');
+const { analyzeQuery } = require('./tokenizer');
+
+const DEFAULT_PER_PAGE = 10;
+const MAX_PER_PAGE = 50;
+
+// Searchable job fields and how much a match in each counts
+const JOB_FIELDS = {
+  title: { weight: 3, value: job => job.title },
+  skills: { weight: 2, value: job => (job.skills || []).join(' ') },
+  company: { weight: 1.5, value: job => job.company },
+  category: { weight: 1.5, value: job => job.category },
+  location: { weight: 1, value: job => job.location },
+  description: { weight: 1, value: job => [job.description, ...(job.requirements || [])].join(' ') }
+};
+
+function isSearchable(job) {
+  return job.status === 'open';
+}
+
+function byNewest(a, b) {
+  return new Date(b.postedAt) - new Date(a.postedAt);
+}
+
+// Rewrite the query with each misspelled word replaced by its correction
+function buildDidYouMean(query, corrections) {
+  if (corrections.length === 0) return null;
+
+  return corrections.reduce((text, { from, to }) => {
+    const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])${from.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?=$|[^\\p{L}\\p{N}])`, 'iu');
+    return text.replace(pattern, `$1${to}`);
+  }, query);
+}
+
+function createJobSearch(store) {
+  const index = new SearchIndex({ fields: JOB_FIELDS, queryAnalyzer: analyzeQuery });
+
+  store.list('jobs', isSearchable).forEach(job => index.add(job.id, job));
+
+  store.on('change', ({ collection, action, item }) => {
+    if (collection !== 'jobs') return;
+
+    if (action === 'remove' || !isSearchable(item)) {
+      index.remove(item.id);
+    } else {
+      index.add(item.id, item);
+    }
+  });
+
+  /**
+   * Ranked, paginated job search. An empty query lists every open job
+   * accepted by the filter, newest first.
+   *
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {number} [options.page=1]
+   * @param {number} [options.perPage=10]
+   * @param {function(Object): boolean} [options.filter] - extra job predicate
+   * @param {boolean} [options.prefix] - match the last word as a prefix
+   * @param {function(Array<Object>): Object} [options.facets] - called with every
+   *   job matching the text query (before filter); its result is returned as `facets`
+   */
+  function search(query, { page = 1, perPage = DEFAULT_PER_PAGE, filter, prefix = false, facets } = {}) {
+    const text = String(query || '').trim();
+    const size = Math.min(Math.max(parseInt(perPage, 10) || DEFAULT_PER_PAGE, 1), MAX_PER_PAGE);
+    const accepts = job => Boolean(job) && isSearchable(job);
+
+    let matched;
+    let didYouMean = null;
+
+    if (text) {
+      const { hits, corrections } = index.search(text, {
+        prefix,
+        filter: id => accepts(store.get('jobs', id))
+      });
+      matched = hits.map(hit => store.get('jobs', hit.id));
+      didYouMean = buildDidYouMean(text, corrections);
+    } else {
+      matched = store.list('jobs', accepts).sort(byNewest);
+    }
+
+    const jobs = filter ? matched.filter(filter) : matched;
+
+    const total = jobs.length;
+    const totalPages = Math.max(Math.ceil(total / size), 1);
+    const current = Math.min(Math.max(parseInt(page, 10) || 1, 1), totalPages);
+
+    return {
+      query: text,
+      jobs: jobs.slice((current - 1) * size, current * size),
+      total,
+      page: current,
+      perPage: size,
+      totalPages,
+      didYouMean,
+      ...(facets && { facets: facets(matched) })
+    };
+  }
+
+  // Open jobs most like the given one: shared title words and skills rank
+  // first, topped up with the newest jobs in the same category
+  function similar(job, { limit = 4 } = {}) {
+    const isOther = candidate => candidate.id !== job.id;
+    const text = [job.title, ...(job.skills || [])].join(' ');
+    const { jobs } = search(text, { perPage: MAX_PER_PAGE, filter: isOther });
+
+    const sameCategory = store.list('jobs', candidate =>
+      isSearchable(candidate) && isOther(candidate) &&
+      candidate.category === job.category && !jobs.includes(candidate)
+    ).sort(byNewest);
+
+    return [...jobs, ...sameCategory].slice(0, limit);
+  }
+
+  return { index, search, similar };
+}
+
+module.exports = { createJobSearch, JOB_FIELDS };
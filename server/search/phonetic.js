@@ -0,0 +1,30 @@
+// ============================================
+// PHONETIC KEYS
+// Script- and spelling-independent keys for Ethiopian words
+// ============================================
+
+'use strict';
+
+const { transliterate } = require('./ethiopic');
+
+// Marks phonetic keys in the index so they never collide with real words
+const KEY_PREFIX = '~';
+
+// Reduce a word to how it sounds, so the many ways Ethiopians spell the same
+// word in Latin letters (and the Ge'ez original) meet on one key:
+//   ኢንጂነር, "injiner", "injineer"     -> ~injinar
+//   "Hawassa", "Hawaasaa" (Oromo)      -> ~hawasa
+function phoneticKey(token) {
+  const key = transliterate(token)
+    .toLowerCase()
+    .replace(/['’`]/g, '')          // Afaan Oromo glottal stop (hudhaa): ba'aa
+    .replace(/ph/g, 'p')
+    .replace(/dh/g, 'd')            // Afaan Oromo implosive: Dhawaa
+    .replace(/q/g, 'k')
+    .replace(/e/g, 'a')             // ä, e and a are used interchangeably
+    .replace(/(.)\1+/g, '$1');      // gemination and long vowels: barsiisaa
+
+  return key.length >= 3 ? KEY_PREFIX + key : null;
+}
+
+module.exports = { phoneticKey, KEY_PREFIX };
@@ -0,0 +1,250 @@
+// ============================================
+// SEARCH INDEX
+// In-memory inverted index with BM25F ranking and typo tolerance
+// ============================================
+
+'use strict';
+
+const { analyze } = require('./tokenizer');
+const { editDistance, allowedTypos } = require('./fuzzy');
+const { KEY_PREFIX } = require('./phonetic');
+
+// BM25 tuning: K1 controls term-frequency saturation, B length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+// How much a non-exact match is worth compared to an exact one
+const PREFIX_WEIGHT = 0.7;
+const VARIANT_WEIGHT = 0.9;
+const TYPO_PENALTY = 0.25;
+
+class SearchIndex {
+  /**
+   * @param {Object} options
+   * @param {Object<string, {weight: number, value: function(Object): string}>} options.fields
+   * @param {function(string): Array<{term: string, surface: string, variants?: string[]}>} [options.analyzer]
+   * @param {function(string): Array<{term: string, surface: string, variants?: string[]}>} [options.queryAnalyzer]
+   *   analyzer for search queries, e.g. one that adds synonyms (defaults to analyzer)
+   */
+  constructor({ fields, analyzer = analyze, queryAnalyzer = analyzer }) {
+    this.fields = fields;
+    this.analyzer = analyzer;
+    this.queryAnalyzer = queryAnalyzer;
+    this.postings = new Map();   // term -> Map(docId -> { field: termFrequency })
+    this.surfaces = new Map();   // term -> Map(surface form -> count)
+    this.documents = new Map();  // docId -> { lengths: { field: tokenCount }, terms: Set }
+    this.totalLengths = {};      // field -> total tokens across all documents
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  // ============================================
+  // INDEXING
+  // ============================================
+
+  add(id, doc) {
+    this.remove(id);
+
+    const lengths = {};
+    const terms = new Set();
+
+    Object.entries(this.fields).forEach(([field, { value }]) => {
+      const tokens = this.analyzer(value(doc) || '');
+      lengths[field] = tokens.length;
+      this.totalLengths[field] = (this.totalLengths[field] || 0) + tokens.length;
+
+      tokens.forEach(({ term, surface, variants = [] }) => {
+        // Variants (phonetic keys) are indexed like terms but have no
+        // surface form of their own
+        [term, ...variants].forEach(indexTerm => {
+          terms.add(indexTerm);
+
+          if (!this.postings.has(indexTerm)) {
+            this.postings.set(indexTerm, new Map());
+            this.surfaces.set(indexTerm, new Map());
+          }
+
+          const docs = this.postings.get(indexTerm);
+          const frequencies = docs.get(id) || {};
+          frequencies[field] = (frequencies[field] || 0) + 1;
+          docs.set(id, frequencies);
+        });
+
+        const surfaces = this.surfaces.get(term);
+        surfaces.set(surface, (surfaces.get(surface) || 0) + 1);
+      });
+    });
+
+    this.documents.set(id, { lengths, terms });
+  }
+
+  remove(id) {
+    const entry = this.documents.get(id);
+    if (!entry) return;
+
+    entry.terms.forEach(term => {
+      const docs = this.postings.get(term);
+      docs.delete(id);
+      if (docs.size === 0) {
+        this.postings.delete(term);
+        this.surfaces.delete(term);
+      }
+    });
+
+    Object.entries(entry.lengths).forEach(([field, length]) => {
+      this.totalLengths[field] -= length;
+    });
+
+    this.documents.delete(id);
+  }
+
+  // ============================================
+  // TERM EXPANSION
+  // ============================================
+
+  // Most common way a term was written in the source documents
+  surfaceOf(term) {
+    const surfaces = this.surfaces.get(term);
+    if (!surfaces) return term;
+    return [...surfaces.entries()].sort((a, b) => b[1] - a[1])[0][0];
+  }
+
+  // Index terms a query token should match, each with a match weight.
+  // Exact matches win; variants (phonetic keys, synonyms) only match
+  // exactly, and typos are only tried when nothing else matches.
+  expand({ term, surface, variants = [] }, { prefix = false } = {}) {
+    const expansions = [];
+
+    if (this.postings.has(term)) {
+      expansions.push({ term, weight: 1, kind: 'exact' });
+    }
+
+    variants.forEach(variant => {
+      if (variant !== term && this.postings.has(variant)) {
+        expansions.push({ term: variant, weight: VARIANT_WEIGHT, kind: 'variant' });
+      }
+    });
+
+    if (prefix && surface.length >= 2) {
+      const keys = variants.filter(variant => variant.startsWith(KEY_PREFIX));
+
+      this.postings.forEach((_, candidate) => {
+        if (candidate === term) return;
+
+        // A half-typed word can match the start of a phonetic key too, so
+        // "injin" suggests ኢንጂነር
+        if (candidate.startsWith(KEY_PREFIX)) {
+          if (keys.some(key => key !== candidate && candidate.startsWith(key))) {
+            expansions.push({ term: candidate, weight: PREFIX_WEIGHT * VARIANT_WEIGHT, kind: 'prefix' });
+          }
+          return;
+        }
+
+        const surfaces = this.surfaces.get(candidate);
+        if (candidate.startsWith(term) || [...surfaces.keys()].some(s => s.startsWith(surface))) {
+          expansions.push({ term: candidate, weight: PREFIX_WEIGHT, kind: 'prefix' });
+        }
+      });
+    }
+
+    if (expansions.length === 0) {
+      const maxTypos = allowedTypos(term);
+      if (maxTypos > 0) {
+        this.postings.forEach((_, candidate) => {
+          if (candidate.startsWith(KEY_PREFIX)) return;
+          const distance = editDistance(term, candidate, maxTypos);
+          if (distance <= maxTypos) {
+            expansions.push({ term: candidate, weight: 1 - TYPO_PENALTY * distance, kind: 'typo' });
+          }
+        });
+      }
+    }
+
+    return expansions;
+  }
+
+  // ============================================
+  // SEARCH
+  // ============================================
+
+  /**
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {function(*): boolean} [options.filter] - only score documents it accepts
+   * @param {boolean} [options.prefix] - treat the last query word as a prefix (search-as-you-type)
+   * @param {boolean} [options.matchAll] - only return documents matching every query word
+   * @returns {{hits: Array<{id: *, score: number}>, corrections: Array<{from: string, to: string}>}}
+   */
+  search(query, { filter, prefix = false, matchAll = false } = {}) {
+    const seen = new Set();
+    const tokens = this.queryAnalyzer(query).filter(({ term }) => !seen.has(term) && seen.add(term));
+
+    if (tokens.length === 0 || this.documents.size === 0) {
+      return { hits: [], corrections: [] };
+    }
+
+    const totalDocs = this.documents.size;
+    const accepted = new Map();
+    const isAccepted = id => {
+      if (!filter) return true;
+      if (!accepted.has(id)) accepted.set(id, Boolean(filter(id)));
+      return accepted.get(id);
+    };
+
+    const results = new Map(); // docId -> per-token best score
+    const corrections = [];
+
+    tokens.forEach((token, tokenIndex) => {
+      const isLast = tokenIndex === tokens.length - 1;
+      const expansions = this.expand(token, { prefix: prefix && isLast });
+
+      const typos = expansions.filter(expansion => expansion.kind === 'typo');
+      if (typos.length > 0 && typos.length === expansions.length) {
+        const best = typos.sort((a, b) => b.weight - a.weight ||
+          this.postings.get(b.term).size - this.postings.get(a.term).size)[0];
+        corrections.push({ from: token.surface, to: this.surfaceOf(best.term) });
+      }
+
+      expansions.forEach(({ term, weight }) => {
+        const docs = this.postings.get(term);
+        const idf = Math.log(1 + (totalDocs - docs.size + 0.5) / (docs.size + 0.5));
+
+        docs.forEach((frequencies, id) => {
+          if (!isAccepted(id)) return;
+
+          const { lengths } = this.documents.get(id);
+          let termScore = 0;
+
+          Object.entries(frequencies).forEach(([field, tf]) => {
+            const averageLength = this.totalLengths[field] / totalDocs || 1;
+            const normalizedTf = (tf * (K1 + 1)) /
+              (tf + K1 * (1 - B + B * lengths[field] / averageLength));
+            termScore += (this.fields[field].weight || 1) * normalizedTf;
+          });
+
+          const tokenScores = results.get(id) || new Array(tokens.length).fill(0);
+          tokenScores[tokenIndex] = Math.max(tokenScores[tokenIndex], weight * idf * termScore);
+          results.set(id, tokenScores);
+        });
+      });
+    });
+
+    // Documents matching more of the query words rank above those that
+    // match one word many times
+    const hits = [...results.entries()].map(([id, tokenScores]) => {
+      const matched = tokenScores.filter(score => score > 0).length;
+      const coverage = matched / tokens.length;
+      const score = tokenScores.reduce((sum, value) => sum + value, 0) * coverage * coverage;
+      return { id, score, coverage };
+    })
+      .filter(hit => !matchAll || hit.coverage === 1)
+      .map(({ id, score }) => ({ id, score }))
+      .sort((a, b) => b.score - a.score);
+
+    return { hits, corrections };
+  }
+}
+
+module.exports = { SearchIndex };
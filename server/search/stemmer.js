@@ -0,0 +1,123 @@
+// ============================================
+// PORTER STEMMER
+// Reduces English words to a common root ("developers" -> "develop")
+// ============================================
+
+'use strict';
+
+const STEP2_SUFFIXES = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize',
+  bli: 'ble', alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous',
+  ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al', iveness: 'ive',
+  fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble',
+  logi: 'log'
+};
+
+const STEP3_SUFFIXES = {
+  icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+};
+
+// Consonant / vowel sequences used to measure a stem ("m" in Porter's paper)
+const c = '[^aeiou]';
+const v = '[aeiouy]';
+const C = `${c}[^aeiouy]*`;
+const V = `${v}[aeiou]*`;
+
+const MEASURE_GT_0 = new RegExp(`^(${C})?${V}${C}`);
+const MEASURE_EQ_1 = new RegExp(`^(${C})?${V}${C}(${V})?$`);
+const MEASURE_GT_1 = new RegExp(`^(${C})?${V}${C}${V}${C}`);
+const HAS_VOWEL = new RegExp(`^(${C})?${v}`);
+const ENDS_CVC = new RegExp(`^${C}${v}[^aeiouwxy]$`);
+
+// Only plain lowercase Latin words are stemmed; skills like "c++" or
+// non-Latin scripts pass through untouched
+const STEMMABLE = /^[a-z]+$/;
+
+function stem(word) {
+  if (word.length < 3 || !STEMMABLE.test(word)) {
+    return word;
+  }
+
+  let w = word;
+  let match;
+
+  const startsWithY = w[0] === 'y';
+  if (startsWithY) {
+    w = 'Y' + w.slice(1);
+  }
+
+  // Step 1a: plurals
+  if ((match = /^(.+?)(ss|i)es$/.exec(w))) {
+    w = match[1] + match[2];
+  } else if ((match = /^(.+?)([^s])s$/.exec(w))) {
+    w = match[1] + match[2];
+  }
+
+  // Step 1b: -eed, -ed, -ing
+  if ((match = /^(.+?)eed$/.exec(w))) {
+    if (MEASURE_GT_0.test(match[1])) {
+      w = w.slice(0, -1);
+    }
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(w))) {
+    const base = match[1];
+    if (HAS_VOWEL.test(base)) {
+      w = base;
+      if (/(at|bl|iz)$/.test(w)) {
+        w += 'e';
+      } else if (/([^aeiouylsz])\1$/.test(w)) {
+        w = w.slice(0, -1);
+      } else if (ENDS_CVC.test(w)) {
+        w += 'e';
+      }
+    }
+  }
+
+  // Step 1c: terminal y
+  if ((match = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = match[1] + 'i';
+  }
+
+  // Step 2: double suffixes
+  match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w);
+  if (match && MEASURE_GT_0.test(match[1])) {
+    w = match[1] + STEP2_SUFFIXES[match[2]];
+  }
+
+  // Step 3: -ic-, -full, -ness
+  match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w);
+  if (match && MEASURE_GT_0.test(match[1])) {
+    w = match[1] + STEP3_SUFFIXES[match[2]];
+  }
+
+  // Step 4: -ant, -ence, ...
+  if ((match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w))) {
+    if (MEASURE_GT_1.test(match[1])) {
+      w = match[1];
+    }
+  } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w))) {
+    const base = match[1] + match[2];
+    if (MEASURE_GT_1.test(base)) {
+      w = base;
+    }
+  }
+
+  // Step 5: tidy up -e and -ll
+  if ((match = /^(.+?)e$/.exec(w))) {
+    const base = match[1];
+    if (MEASURE_GT_1.test(base) || (MEASURE_EQ_1.test(base) && !ENDS_CVC.test(base))) {
+      w = base;
+    }
+  }
+
+  if (/ll$/.test(w) && MEASURE_GT_1.test(w)) {
+    w = w.slice(0, -1);
+  }
+
+  if (startsWithY) {
+    w = 'y' + w.slice(1);
+  }
+
+  return w;
+}
+
+module.exports = { stem };
@@ -0,0 +1,121 @@
+// ============================================
+// SEARCH SUGGESTIONS
+// Search-as-you-type suggestions grouped by type, built from live job data
+// ============================================
+
+'use strict';
+
+const { SearchIndex } = require('./search-index');
+const { normalize, analyzeQuery } = require('./tokenizer');
+
+const SUGGESTION_TYPES = ['job', 'course', 'company', 'skill'];
+const DEFAULT_LIMIT = 4;
+const MAX_LIMIT = 10;
+const MIN_QUERY_LENGTH = 2;
+
+const SUGGESTION_FIELDS = {
+  text: { weight: 1, value: suggestion => suggestion.text }
+};
+
+function createSuggester(store) {
+  let indexes = null;
+
+  // Rebuilt lazily on the next request after jobs or courses change
+  store.on('change', ({ collection }) => {
+    if (collection === 'jobs' || collection === 'courses') {
+      indexes = null;
+    }
+  });
+
+  // Collapse repeated values ("Software Developer" posted by three
+  // companies) into one suggestion with a count
+  function collect() {
+    const entries = Object.fromEntries(SUGGESTION_TYPES.map(type => [type, new Map()]));
+
+    const tally = (type, text, id) => {
+      const value = String(text || '').trim();
+      if (!value) return;
+
+      const key = normalize(value);
+      const entry = entries[type].get(key) || { type, text: value, count: 0, ids: [] };
+      entry.count += 1;
+      if (id !== undefined) entry.ids.push(id);
+      entries[type].set(key, entry);
+    };
+
+    store.list('jobs', job => job.status === 'open').forEach(job => {
+      tally('job', job.title, job.id);
+      tally('company', job.company);
+      (job.skills || []).forEach(skill => tally('skill', skill));
+    });
+
+    store.list('courses').forEach(course => {
+      entries.course.set(`course-${course.id}`, {
+        type: 'course',
+        text: course.title,
+        count: course.learners || 0,
+        ids: [course.id]
+      });
+    });
+
+    return entries;
+  }
+
+  function build() {
+    const entries = collect();
+
+    indexes = Object.fromEntries(SUGGESTION_TYPES.map(type => {
+      const suggestions = [...entries[type].values()].map(({ ids, ...suggestion }) => (
+        // A title posted once links straight to that job or course
+        ids.length === 1 ? { ...suggestion, id: ids[0] } : suggestion
+      ));
+
+      const index = new SearchIndex({ fields: SUGGESTION_FIELDS, queryAnalyzer: analyzeQuery });
+      suggestions.forEach((suggestion, position) => index.add(position, suggestion));
+
+      return [type, { index, suggestions }];
+    }));
+
+    return indexes;
+  }
+
+  /**
+   * Suggestions for a partially typed query. Every word must match and the
+   * last one is matched as a prefix; groups with no matches are left out.
+   *
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {number} [options.limit=4] - suggestions per group
+   * @returns {{query: string, groups: Array<{type: string, suggestions: Array<Object>}>}}
+   */
+  function suggest(query, { limit = DEFAULT_LIMIT } = {}) {
+    const text = String(query || '').trim();
+    const size = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    if (text.length < MIN_QUERY_LENGTH) {
+      return { query: text, groups: [] };
+    }
+
+    const built = indexes || build();
+
+    const groups = SUGGESTION_TYPES.map(type => {
+      const { index, suggestions } = built[type];
+      const { hits } = index.search(text, { prefix: true, matchAll: true });
+
+      return {
+        type,
+        suggestions: hits
+          .map(hit => ({ ...suggestions[hit.id], score: hit.score }))
+          .sort((a, b) => b.score - a.score || b.count - a.count)
+          .slice(0, size)
+          .map(({ score, ...suggestion }) => suggestion)
+      };
+    }).filter(group => group.suggestions.length > 0);
+
+    return { query: text, groups };
+  }
+
+  return { suggest };
+}
+
+module.exports = { createSuggester, SUGGESTION_TYPES };
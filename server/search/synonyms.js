@@ -0,0 +1,40 @@
+// ============================================
+// SEARCH SYNONYMS
+// English, Amharic and Afaan Oromo words for the same job concepts
+// ============================================
+
+'use strict';
+
+// Each group lists single words that should find each other. Amharic
+// spelling variants (ሥራ/ስራ, ሐኪም/ሀኪም) are already unified by the
+// Ge'ez normalizer, so only one spelling is needed here.
+const SYNONYM_GROUPS = [
+  ['engineer', 'engineering', 'ኢንጂነር', 'መሐንዲስ'],
+  ['software', 'ሶፍትዌር'],
+  ['developer', 'programmer', 'ገንቢ', 'ፕሮግራመር'],
+  ['nurse', 'nursing', 'ነርስ', 'narsii'],
+  ['doctor', 'physician', 'ሐኪም', 'ዶክተር', 'doktora'],
+  ['teacher', 'lecturer', 'መምህር', 'አስተማሪ', 'barsiisaa'],
+  ['accountant', 'accounting', 'አካውንታንት', 'ሂሳብ', 'herregaa'],
+  ['driver', 'ሹፌር', 'አሽከርካሪ', 'konkolaachisaa'],
+  ['sales', 'ሽያጭ', 'gurgurtaa'],
+  ['marketing', 'ማርኬቲንግ', 'ግብይት'],
+  ['manager', 'ማናጀር', 'አስኪያጅ'],
+  ['secretary', 'ጸሐፊ'],
+  ['job', 'jobs', 'work', 'ሥራ', 'hojii'],
+  ['health', 'healthcare', 'medical', 'ጤና', 'fayyaa'],
+  ['education', 'ትምህርት', 'barnoota'],
+  ['finance', 'financial', 'ፋይናንስ', 'maallaqaa'],
+  ['technology', 'ቴክኖሎጂ', 'teeknooloojii'],
+  ['bank', 'banking', 'ባንክ', 'baankii'],
+  ['hospital', 'ሆስፒታል', 'hospitaala'],
+  ['data', 'ዳታ', 'መረጃ'],
+  ['analyst', 'ተንታኝ'],
+  ['electrical', 'electric', 'ኤሌክትሪክ'],
+  ['pharmacist', 'pharmacy', 'ፋርማሲስት'],
+  ['intern', 'internship', 'ልምምድ'],
+  ['security', 'guard', 'ጥበቃ', 'eegduu'],
+  ['addis', 'አዲስ', 'finfinnee', 'ፊንፊኔ']
+];
+
+module.exports = { SYNONYM_GROUPS };
@@ -0,0 +1,90 @@
+// ============================================
+// TOKENIZER
+// Turns free text into normalized, stemmed search terms
+// ============================================
+
+'use strict';
+
+const { stem } = require('./stemmer');
+const { normalizeEthiopic } = require('./ethiopic');
+const { phoneticKey } = require('./phonetic');
+const { SYNONYM_GROUPS } = require('./synonyms');
+
+const STOP_WORDS = new Set([
+  // English
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in',
+  'is', 'it', 'of', 'on', 'or', 'the', 'to', 'with', 'our', 'we', 'you',
+  'your', 'will', 'this', 'that',
+  // Afaan Oromo
+  'fi', 'kan', 'keessatti', 'irratti', 'waliin', 'akka',
+  // Amharic
+  'እና', 'ወይም', 'ላይ', 'ውስጥ'
+]);
+
+// Lowercase, strip Latin accents ("Café" -> "cafe") and unify Ge'ez
+// homophones ("ሥራ" -> "ስራ")
+function normalize(text) {
+  return normalizeEthiopic(String(text ?? ''))
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+// Split on anything that is not a letter or digit, keeping "+" and "#" so
+// skills such as "C++" and "C#" survive as their own tokens. Apostrophes
+// inside a word are dropped (Afaan Oromo "ba'aa" -> "baaa").
+function tokenize(text) {
+  return normalize(text)
+    .replace(/(\p{L})['’](?=\p{L})/gu, '$1')
+    .split(/[^\p{L}\p{N}+#]+/u)
+    .map(token => token.replace(/^[+#]+/, ''))
+    .filter(Boolean);
+}
+
+// Returns [{ term, surface, variants }] where term is the indexed form,
+// surface is the word as written (used for "did you mean" suggestions) and
+// variants are extra terms indexed alongside it (the phonetic key)
+function analyze(text) {
+  return tokenize(text)
+    .filter(token => !STOP_WORDS.has(token))
+    .map(token => {
+      const key = phoneticKey(token);
+      return { term: stem(token), surface: token, variants: key ? [key] : [] };
+    });
+}
+
+// ============================================
+// QUERY ANALYSIS
+// ============================================
+
+let synonymIndex = null;
+
+// term -> terms of every other word in its synonym group
+function getSynonymIndex() {
+  if (synonymIndex) return synonymIndex;
+
+  synonymIndex = new Map();
+  SYNONYM_GROUPS.forEach(group => {
+    const terms = group.map(word => analyze(word)[0]?.term).filter(Boolean);
+    terms.forEach(term => {
+      const related = synonymIndex.get(term) || new Set();
+      terms.forEach(other => other !== term && related.add(other));
+      synonymIndex.set(term, related);
+    });
+  });
+
+  return synonymIndex;
+}
+
+// Like analyze(), but each word also carries its synonyms in other
+// languages so "engineer" finds a posting titled "ኢንጂነር"
+function analyzeQuery(text) {
+  const synonyms = getSynonymIndex();
+
+  return analyze(text).map(token => ({
+    ...token,
+    variants: [...token.variants, ...(synonyms.get(token.term) || [])]
+  }));
+}
+
+module.exports = { normalize, tokenize, analyze, analyzeQuery, STOP_WORDS };
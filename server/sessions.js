@@ -0,0 +1,127 @@
+// ============================================
+// SESSIONS
+// Signed-in users, carried in an HTTP-only cookie
+// ============================================
+
+'use strict';
+
+const { HttpError } = require('./errors');
+const { createToken, hashToken } = require('./tokens');
+
+const SESSION_COOKIE = 'zewedjobs_session';
+
+// "Remember me" keeps the cookie across browser restarts for 30 days;
+// otherwise it ends with the browser, and the server forgets it after a day
+const SESSION_TTL = 24 * 60 * 60 * 1000;
+const REMEMBER_TTL = 30 * 24 * 60 * 60 * 1000;
+
+function parseCookies(header) {
+  return String(header || '').split(';').reduce((cookies, part) => {
+    const index = part.indexOf('=');
+    if (index === -1) return cookies;
+
+    const name = part.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (error) {
+      // Ignore cookies we didn't write
+    }
+    return cookies;
+  }, {});
+}
+
+function cookieOptions(req, maxAge) {
+  return [
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    ...(req.secure ? ['Secure'] : []),
+    ...(maxAge !== undefined ? [`Max-Age=${Math.floor(maxAge / 1000)}`] : [])
+  ].join('; ');
+}
+
+/**
+ * Sign a user in on this response.
+ *
+ * @param {Store} store
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Object} user
+ * @param {Object} [options]
+ * @param {boolean} [options.remember] - keep the session for 30 days
+ * @returns {Object} the stored session
+ */
+function startSession(store, req, res, user, { remember = false } = {}) {
+  const token = createToken(32);
+  const ttl = remember ? REMEMBER_TTL : SESSION_TTL;
+
+  const session = store.insert('sessions', {
+    userId: user.id,
+    tokenHash: hashToken(token),
+    remember: Boolean(remember),
+    expiresAt: new Date(Date.now() + ttl).toISOString(),
+    userAgent: String(req.get('user-agent') || '').slice(0, 200)
+  });
+
+  res.append('Set-Cookie', `${SESSION_COOKIE}=${token}; ${cookieOptions(req, remember ? ttl : undefined)}`);
+  return session;
+}
+
+function endSession(store, req, res) {
+  if (req.session) store.remove('sessions', req.session.id);
+  res.append('Set-Cookie', `${SESSION_COOKIE}=; ${cookieOptions(req, 0)}`);
+}
+
+// Sign a user out everywhere, e.g. after their password changed
+function endAllSessions(store, userId) {
+  store.list('sessions', session => session.userId === userId)
+    .forEach(session => store.remove('sessions', session.id));
+}
+
+// Attaches req.user and req.session when the request carries a valid cookie
+function loadSession(store) {
+  return (req, res, next) => {
+    const token = parseCookies(req.get('cookie'))[SESSION_COOKIE];
+    if (!token) return next();
+
+    const tokenHash = hashToken(token);
+    const session = store.findOne('sessions', item => item.tokenHash === tokenHash);
+
+    if (session && new Date(session.expiresAt) <= Date.now()) {
+      store.remove('sessions', session.id);
+    } else if (session) {
+      req.session = session;
+      req.user = store.get('users', session.userId) || null;
+    }
+    next();
+  };
+}
+
+function requireUser(req, res, next) {
+  if (!req.user) return next(HttpError.unauthorized('Sign in to continue'));
+  next();
+}
+
+// Admins are the accounts listed in ADMIN_EMAILS, once they have confirmed
+// that address
+function isAdmin(user, adminEmails) {
+  return Boolean(user?.emailVerifiedAt) && adminEmails.includes(user.email);
+}
+
+function requireAdmin(adminEmails) {
+  return (req, res, next) => {
+    if (!req.user) return next(HttpError.unauthorized('Sign in to continue'));
+    if (!isAdmin(req.user, adminEmails)) return next(HttpError.forbidden('Only ZewedJobs admins can do this'));
+    next();
+  };
+}
+
+module.exports = {
+  startSession,
+  endSession,
+  endAllSessions,
+  loadSession,
+  requireUser,
+  isAdmin,
+  requireAdmin
+};
@@ -0,0 +1,147 @@
+// ============================================
+// FILE-BACKED DATA STORE
+// JSON collections persisted to a single local file
+// ============================================
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { DAY_MS } = require('./time');
+
+// Emits 'change' with { collection, action, item } after every mutation so
+// derived data (search indexes, caches) can stay in sync
+class Store extends EventEmitter {
+  constructor({ file, seedFile }) {
+    super();
+    this.file = file;
+    this.seedFile = seedFile;
+    this.data = { meta: { sequences: {} }, collections: {} };
+  }
+
+  // ============================================
+  // PERSISTENCE
+  // ============================================
+
+  load() {
+    if (this.file && fs.existsSync(this.file)) {
+      this.data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } else {
+      this.data = { meta: { sequences: {} }, collections: loadSeed(this.seedFile) };
+      this.save();
+    }
+
+    return this;
+  }
+
+  save() {
+    if (!this.file) return;
+
+    // Write to a temp file first so a crash never leaves half a database behind
+    const tmpFile = `${this.file}.tmp`;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(tmpFile, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tmpFile, this.file);
+  }
+
+  // ============================================
+  // QUERIES
+  // ============================================
+
+  collection(name) {
+    if (!this.data.collections[name]) {
+      this.data.collections[name] = [];
+    }
+    return this.data.collections[name];
+  }
+
+  list(name, predicate) {
+    const items = this.collection(name);
+    return predicate ? items.filter(predicate) : [...items];
+  }
+
+  get(name, id) {
+    const numericId = Number(id);
+    return this.collection(name).find(item => item.id === numericId) || null;
+  }
+
+  findOne(name, predicate) {
+    return this.collection(name).find(predicate) || null;
+  }
+
+  // ============================================
+  // MUTATIONS
+  // ============================================
+
+  nextId(name) {
+    const sequences = this.data.meta.sequences;
+
+    if (sequences[name] === undefined) {
+      sequences[name] = this.collection(name).reduce((max, item) => Math.max(max, item.id || 0), 0);
+    }
+
+    sequences[name] += 1;
+    return sequences[name];
+  }
+
+  insert(name, doc) {
+    const now = new Date().toISOString();
+    const item = { id: this.nextId(name), createdAt: now, updatedAt: now, ...doc };
+
+    this.collection(name).push(item);
+    this.save();
+    this.emit('change', { collection: name, action: 'insert', item });
+    return item;
+  }
+
+  update(name, id, patch) {
+    const item = this.get(name, id);
+    if (!item) return null;
+
+    Object.assign(item, patch, { updatedAt: new Date().toISOString() });
+    this.save();
+    this.emit('change', { collection: name, action: 'update', item });
+    return item;
+  }
+
+  remove(name, id) {
+    const items = this.collection(name);
+    const index = items.findIndex(item => item.id === Number(id));
+    if (index === -1) return false;
+
+    const [item] = items.splice(index, 1);
+    this.save();
+    this.emit('change', { collection: name, action: 'remove', item });
+    return true;
+  }
+}
+
+// ============================================
+// SEEDING
+// ============================================
+
+// Seed jobs carry relative dates so a fresh store always has recent postings
+function loadSeed(seedFile) {
+  if (!seedFile || !fs.existsSync(seedFile)) {
+    return {};
+  }
+
+  const seed = JSON.parse(fs.readFileSync(seedFile, 'utf8'));
+  const now = Date.now();
+
+  seed.jobs = (seed.jobs || []).map(({ postedDaysAgo = 0, deadlineInDays = 30, ...job }) => ({
+    ...job,
+    status: 'open',
+    postedAt: new Date(now - postedDaysAgo * DAY_MS).toISOString(),
+    deadline: new Date(now + deadlineInDays * DAY_MS).toISOString()
+  }));
+
+  return seed;
+}
+
+function createStore(options) {
+  return new Store(options).load();
+}
+
+module.exports = { Store, createStore };
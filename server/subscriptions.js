@@ -0,0 +1,253 @@
+// ============================================
+// SUBSCRIPTIONS
+// Employers' paid plans: starting, upgrading with proration, renewing,
+// downgrading at renewal, cancelling, and lapsing
+// ============================================
+
+'use strict';
+
+const { HttpError } = require('./errors');
+const { transition } = require('./employer-jobs');
+const {
+  PLANS,
+  BILLING_PERIODS,
+  FREE_PLAN,
+  GRACE_PERIOD_DAYS,
+  getPlan,
+  planPrice,
+  rollOver,
+  subscriptionStatus,
+  postingQuota
+} = require('./plans');
+const { DAY_MS } = require('./time');
+
+const roundBirr = amount => Math.round(amount * 100) / 100;
+
+// Calendar months, kept within the month: Jan 31 + 1 month is Feb 28 (or 29)
+function addMonths(date, months) {
+  const result = new Date(date);
+  const day = result.getUTCDate();
+
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+}
+
+function checkChoice(planId, period) {
+  const errors = {};
+  const plan = Object.hasOwn(PLANS, planId || '') && PLANS[planId];
+
+  if (!plan || plan.priceMonthly === 0) errors.plan = 'Choose a paid plan';
+  if (!Object.hasOwn(BILLING_PERIODS, period || '')) errors.period = 'Choose monthly or annual billing';
+
+  if (Object.keys(errors).length > 0) {
+    throw HttpError.badRequest('Choose a paid plan and how often to pay', errors);
+  }
+  return plan;
+}
+
+/**
+ * What choosing a plan means for an employer right now:
+ * - new: no subscription, or it expired; starts when paid
+ * - renewal: the same plan and period; the next period follows this one
+ * - upgrade: a higher plan, or annual instead of monthly; starts when paid,
+ *   with the unused part of the current period credited
+ * - downgrade: nothing to pay now; the next renewal is for the new choice
+ *
+ * @param {Object} employer
+ * @param {string} planId
+ * @param {string} [period] - monthly or annual
+ * @param {Date} [now]
+ * @returns {{ change: string, plan: string, period: string, price: number, credit: number, amount: number }}
+ * @throws {HttpError} 400 for free or unknown plans, 409 for changes that can't be made now
+ */
+function quotePlanChange(employer, planId, period = 'monthly', now = new Date()) {
+  const plan = checkChoice(planId, period);
+  const price = planPrice(plan, period);
+  const quote = { change: 'new', plan: plan.id, period, price, credit: 0, amount: price };
+
+  const subscription = employer.subscription && rollOver(employer.subscription, now);
+  const status = subscription ? subscriptionStatus(subscription, now) : 'expired';
+  if (status === 'expired') return quote;
+
+  if (subscription.upcoming) {
+    throw HttpError.conflict(`Your next period is already paid. You can change plans once it starts on ${subscription.upcoming.start.slice(0, 10)}.`);
+  }
+
+  const current = getPlan(subscription.plan);
+  const months = BILLING_PERIODS[period].months;
+  const currentMonths = BILLING_PERIODS[subscription.period].months;
+
+  if (plan.id === current.id && months === currentMonths) {
+    return { ...quote, change: 'renewal' };
+  }
+  if (plan.rank < current.rank || (plan.rank === current.rank && months < currentMonths)) {
+    return { ...quote, change: 'downgrade', amount: 0 };
+  }
+  if (months < currentMonths) {
+    throw HttpError.conflict(`Choose annual billing to upgrade now, or switch to ${plan.name} monthly when your year ends`);
+  }
+  // Nothing is left of a period that ended
+  if (status === 'grace') return quote;
+
+  const start = new Date(subscription.currentPeriodStart).getTime();
+  const end = new Date(subscription.currentPeriodEnd).getTime();
+  const unused = Math.min(Math.max((end - now.getTime()) / (end - start), 0), 1);
+  const credit = roundBirr(subscription.price * unused);
+
+  return { ...quote, change: 'upgrade', credit, amount: roundBirr(price - credit) };
+}
+
+/**
+ * Switch to a lower plan or monthly billing at the next renewal. The
+ * current plan stays until then.
+ *
+ * @returns {Object} the employer
+ */
+function scheduleDowngrade(store, employer, { plan, period }) {
+  cancelPendingPlanInvoices(store, employer);
+  return store.update('employers', employer.id, {
+    subscription: { ...employer.subscription, pendingChange: { plan, period }, cancelAtPeriodEnd: false }
+  });
+}
+
+/**
+ * Stop renewing. The plan stays until the period ends, with no grace period.
+ *
+ * @throws {HttpError} 409 without a running subscription, or when the renewal is paid
+ */
+function cancelSubscription(store, employer, now = new Date()) {
+  const subscription = employer.subscription && rollOver(employer.subscription, now);
+
+  if (!subscription || subscriptionStatus(subscription, now) !== 'active') {
+    throw HttpError.conflict('You don\'t have a plan that renews');
+  }
+  if (subscription.upcoming) {
+    throw HttpError.conflict('Your next period is already paid, so it can\'t be cancelled');
+  }
+
+  cancelPendingPlanInvoices(store, employer);
+  return store.update('employers', employer.id, {
+    subscription: { ...subscription, cancelAtPeriodEnd: true, pendingChange: null }
+  });
+}
+
+function cancelPendingPlanInvoices(store, employer) {
+  store.list('invoices', invoice =>
+    invoice.kind === 'plan' && invoice.employerId === employer.id && invoice.status === 'pending'
+  ).forEach(invoice => store.update('invoices', invoice.id, { status: 'cancelled' }));
+}
+
+/**
+ * What a paid plan invoice starts. New plans and upgrades start now;
+ * renewals follow the current period, or start now if it expired.
+ *
+ * @param {Store} store
+ * @param {Object} invoice - a paid plan invoice
+ * @param {Date} [now]
+ * @returns {Object} the employer
+ */
+function activateSubscription(store, invoice, now = new Date()) {
+  const employer = store.get('employers', invoice.employerId);
+  const { plan, period, change } = invoice.item;
+  const price = planPrice(getPlan(plan), period);
+  const months = BILLING_PERIODS[period].months;
+  const current = employer.subscription && rollOver(employer.subscription, now);
+  const continues = change === 'renewal' && current && subscriptionStatus(current, now) !== 'expired';
+
+  let subscription;
+  if (continues) {
+    const start = current.upcoming ? current.upcoming.end : current.currentPeriodEnd;
+    const upcoming = { plan, period, price, start, end: addMonths(new Date(start), months).toISOString() };
+
+    // A renewal for a period that already started (paid during grace) runs straight away
+    subscription = rollOver({
+      ...current,
+      upcoming: current.upcoming ? { ...current.upcoming, end: upcoming.end, price: current.upcoming.price + price } : upcoming,
+      cancelAtPeriodEnd: false,
+      pendingChange: null,
+      invoiceId: invoice.id
+    }, now);
+  } else {
+    subscription = {
+      plan,
+      period,
+      // What the current period cost, for crediting an upgrade
+      price,
+      currentPeriodStart: now.toISOString(),
+      currentPeriodEnd: addMonths(now, months).toISOString(),
+      upcoming: null,
+      cancelAtPeriodEnd: false,
+      pendingChange: null,
+      remindersSent: [],
+      expiredAt: null,
+      invoiceId: invoice.id
+    };
+  }
+
+  const updated = store.update('employers', employer.id, { plan: subscription.plan, subscription: { ...subscription, expiredAt: null } });
+  resumeBillingPausedJobs(store, updated, now);
+  return updated;
+}
+
+/**
+ * A lapsed subscription falls back to the free plan. Live jobs are paused,
+ * as the free plan has no postings, and resumed when a plan is paid again.
+ *
+ * @returns {Object} the employer
+ */
+function expireSubscription(store, employer, now = new Date()) {
+  store.list('jobs', job => job.employerId === employer.id && job.status === 'open')
+    .forEach(job => store.update('jobs', job.id, { ...transition(job, 'paused', now), pausedForBilling: true }));
+
+  return store.update('employers', employer.id, {
+    plan: FREE_PLAN,
+    subscription: { ...employer.subscription, expiredAt: now.toISOString() }
+  });
+}
+
+function resumeBillingPausedJobs(store, employer, now = new Date()) {
+  const { limit, used } = postingQuota(store, employer);
+  const paused = store.list('jobs', job => job.employerId === employer.id && job.pausedForBilling && job.status === 'paused');
+  // Paused jobs are live and already in `used`; these reopen as far as the
+  // other live jobs, open or paused by hand, leave room
+  const room = limit === null ? paused.length : Math.max(limit - (used - paused.length), 0);
+
+  paused.slice(0, room).forEach(job => {
+    store.update('jobs', job.id, { ...transition(job, 'open', now), pausedForBilling: false });
+  });
+}
+
+/**
+ * What the employer sees of their subscription.
+ *
+ * @returns {?Object}
+ */
+function toPublicSubscription(employer, now = new Date()) {
+  if (!employer.subscription) return null;
+
+  const subscription = rollOver(employer.subscription, now);
+  const status = subscriptionStatus(subscription, now);
+  const { remindersSent, invoiceId, ...rest } = subscription;
+
+  return {
+    ...rest,
+    status,
+    graceEndsAt: status === 'grace'
+      ? new Date(new Date(subscription.currentPeriodEnd).getTime() + GRACE_PERIOD_DAYS * DAY_MS).toISOString()
+      : null
+  };
+}
+
+module.exports = {
+  addMonths,
+  quotePlanChange,
+  scheduleDowngrade,
+  cancelSubscription,
+  cancelPendingPlanInvoices,
+  activateSubscription,
+  expireSubscription,
+  toPublicSubscription
+};
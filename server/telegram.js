@@ -0,0 +1,416 @@
+// ============================================
+// TELEGRAM BOT
+// Posts new jobs to the ZewedJobs channel, answers /search, /subscribe and
+// /unsubscribe, and delivers job alerts to the chats that subscribed
+// ============================================
+
+'use strict';
+
+const { validateSavedSearch, searchPath } = require('./alerts');
+const { escapeHtml } = require('./job-posting');
+const { isAcceptingApplications } = require('./applications');
+
+const API_URL = 'https://api.telegram.org';
+
+// Seconds Telegram holds a getUpdates request open waiting for messages
+const POLL_TIMEOUT = 30;
+const RETRY_DELAY = 5000;
+
+const MAX_SEARCH_RESULTS = 5;
+const MAX_CHAT_SUBSCRIPTIONS = 10;
+const MAX_DESCRIPTION = 200;
+
+const HELP = [
+  '<b>ZewedJobs</b> finds jobs in Ethiopia for you.',
+  '',
+  '/search <i>words</i> – open jobs matching the words, e.g. /search accountant addis ababa',
+  '/subscribe <i>words</i> – a message here whenever a new job matches',
+  '/unsubscribe – list or stop your subscriptions',
+  '',
+  'Or just send me what you\'re looking for.'
+].join('\n');
+
+// ============================================
+// API CLIENT
+// ============================================
+
+/**
+ * A thin Bot API client. Anything with the same `call` method can stand in
+ * for it, which is how the bot runs without Telegram (tests, development).
+ *
+ * @param {Object} options
+ * @param {string} options.token - from @BotFather
+ * @param {function} [options.fetch] - defaults to the global fetch
+ * @param {string} [options.apiUrl]
+ * @returns {{ call: function(string, Object=, Object=): Promise<*> }}
+ */
+function createTelegramClient({ token, fetch: fetchImpl = fetch, apiUrl = API_URL }) {
+  return {
+    /**
+     * @param {string} method - e.g. "sendMessage"
+     * @param {Object} [params]
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal]
+     * @returns {Promise<*>} the method's result
+     * @throws {Error} with `statusCode`, and `blocked` when the chat no longer takes messages
+     */
+    async call(method, params = {}, { signal } = {}) {
+      const response = await fetchImpl(`${apiUrl}/bot${token}/${method}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(params),
+        signal
+      });
+      const body = await response.json().catch(() => ({}));
+
+      if (!body.ok) {
+        const error = new Error(`Telegram ${method} failed: ${body.description || response.status}`);
+        error.statusCode = body.error_code || response.status;
+        error.blocked = error.statusCode === 403;
+        throw error;
+      }
+      return body.result;
+    }
+  };
+}
+
+// ============================================
+// MESSAGES
+// ============================================
+
+function link(url, text) {
+  return `<a href="${escapeHtml(url)}">${escapeHtml(text)}</a>`;
+}
+
+function summary(text) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > MAX_DESCRIPTION ? `${clean.slice(0, MAX_DESCRIPTION - 1).trimEnd()}…` : clean;
+}
+
+/**
+ * The channel post for a job.
+ *
+ * @param {Object} job
+ * @param {string} baseUrl - site origin for links
+ * @returns {string} HTML for parse_mode HTML
+ */
+function formatJobCard(job, baseUrl) {
+  const deadline = new Date(job.deadline);
+  const facts = [
+    `🏢 ${escapeHtml(job.company)}`,
+    `📍 ${escapeHtml(job.location)}`,
+    job.type && `💼 ${escapeHtml(job.type)}`,
+    job.salary && `💰 ${escapeHtml(job.salary)}`,
+    job.deadline && !Number.isNaN(deadline.getTime()) && `⏳ Apply by ${deadline.toISOString().slice(0, 10)}`
+  ].filter(Boolean);
+
+  return [
+    `<b>${escapeHtml(job.title)}</b>`,
+    '',
+    ...facts,
+    ...(job.description ? ['', escapeHtml(summary(job.description))] : []),
+    '',
+    `👉 ${link(`${baseUrl}/job/${job.id}`, 'View and apply')}`,
+    '',
+    '#ZewedJobs'
+  ].join('\n');
+}
+
+// One line per job for search results and alerts
+function formatJobLine(job, baseUrl) {
+  return `• ${link(`${baseUrl}/job/${job.id}`, job.title)} – ${escapeHtml(job.company)}, ${escapeHtml(job.location)}`;
+}
+
+// "/search@ZewedJobsBot nurse" -> { command: "search", args: "nurse" }
+function parseCommand(text) {
+  const match = /^\/([a-z_]+)(?:@\w+)?(?:\s+([\s\S]*))?$/i.exec(String(text || '').trim());
+  return match ? { command: match[1].toLowerCase(), args: (match[2] || '').trim() } : null;
+}
+
+// ============================================
+// SUBSCRIPTIONS
+// ============================================
+
+// Telegram subscriptions are saved searches that belong to a chat instead of
+// an account, so the alert runner checks them like any other
+function chatSubscriptions(store, chatId) {
+  return store.list('savedSearches', search => search.telegramChatId === chatId)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+function removeChat(store, chatId) {
+  chatSubscriptions(store, chatId).forEach(search => store.remove('savedSearches', search.id));
+}
+
+/**
+ * Delivers job alerts to Telegram chats that subscribed with /subscribe.
+ *
+ * @param {Store} store
+ * @param {Object} client - from createTelegramClient()
+ * @param {Object} options
+ * @param {string} options.baseUrl - site origin for links
+ * @returns {function(Object): Promise<void>}
+ */
+function createTelegramChannel(store, client, { baseUrl }) {
+  return async ({ search, jobs, total }) => {
+    if (!search.telegramChatId) return;
+
+    const more = total - Math.min(jobs.length, MAX_SEARCH_RESULTS);
+    const text = [
+      `🔔 ${total === 1 ? 'A new job' : `${total} new jobs`} for <b>${escapeHtml(search.q)}</b>`,
+      '',
+      ...jobs.slice(0, MAX_SEARCH_RESULTS).map(job => formatJobLine(job, baseUrl)),
+      ...(more > 0 ? ['', link(`${baseUrl}${searchPath(search)}`, `See ${more} more`)] : [])
+    ].join('\n');
+
+    try {
+      await client.call('sendMessage', {
+        chat_id: search.telegramChatId,
+        text,
+        parse_mode: 'HTML',
+        disable_web_page_preview: true
+      });
+    } catch (error) {
+      // The user blocked the bot or left the group
+      if (error.blocked) {
+        removeChat(store, search.telegramChatId);
+        return;
+      }
+      throw error;
+    }
+
+    store.insert('alertDeliveries', {
+      savedSearchId: search.id,
+      userId: null,
+      channel: 'telegram',
+      jobIds: jobs.map(job => job.id),
+      total,
+      sent: 1
+    });
+  };
+}
+
+// ============================================
+// BOT
+// ============================================
+
+/**
+ * @param {Store} store
+ * @param {Object} jobSearch - from createJobSearch()
+ * @param {Object} options
+ * @param {Object} options.client - from createTelegramClient(), or a stand-in
+ * @param {string} options.baseUrl - site origin for links
+ * @param {string} [options.channel] - where new jobs are posted, e.g. "@zewedjobs"
+ * @param {Object} [options.logger] - defaults to console
+ */
+function createTelegramBot(store, jobSearch, { client, baseUrl, channel = null, logger = console }) {
+  let polling = null;
+  let startedAt = null;
+
+  function reply(chatId, text) {
+    return client.call('sendMessage', {
+      chat_id: chatId,
+      text,
+      parse_mode: 'HTML',
+      disable_web_page_preview: true
+    });
+  }
+
+  const commands = {
+    start: chatId => reply(chatId, HELP),
+    help: chatId => reply(chatId, HELP),
+
+    search(chatId, q) {
+      if (!q) {
+        return reply(chatId, 'What should I look for? For example: /search nurse hawassa');
+      }
+
+      const { jobs, total, didYouMean } = jobSearch.search(q, { perPage: MAX_SEARCH_RESULTS });
+      if (total === 0) {
+        return reply(chatId, [
+          `No open jobs match <b>${escapeHtml(q)}</b>.`,
+          ...(didYouMean ? [`Did you mean /search ${escapeHtml(didYouMean)}?`] : []),
+          `Use /subscribe ${escapeHtml(q)} to hear when one is posted.`
+        ].join('\n'));
+      }
+
+      return reply(chatId, [
+        `<b>${total} ${total === 1 ? 'job' : 'jobs'}</b> for <b>${escapeHtml(q)}</b>`,
+        '',
+        ...jobs.map(job => formatJobLine(job, baseUrl)),
+        '',
+        ...(total > jobs.length ? [link(`${baseUrl}${searchPath({ q })}`, `See all ${total}`)] : []),
+        `Use /subscribe ${escapeHtml(q)} to hear about new ones.`
+      ].join('\n'));
+    },
+
+    subscribe(chatId, q) {
+      if (!q) {
+        return reply(chatId, 'Tell me what to watch for. For example: /subscribe driver adama');
+      }
+
+      const existing = chatSubscriptions(store, chatId);
+      if (existing.some(search => search.q.toLowerCase() === q.toLowerCase())) {
+        return reply(chatId, `You're already subscribed to <b>${escapeHtml(q)}</b>.`);
+      }
+      if (existing.length >= MAX_CHAT_SUBSCRIPTIONS) {
+        return reply(chatId, `You can have up to ${MAX_CHAT_SUBSCRIPTIONS} subscriptions. Use /unsubscribe to remove one.`);
+      }
+
+      // Jobs already posted are what /search shows
+      store.insert('savedSearches', {
+        userId: null,
+        telegramChatId: chatId,
+        ...validateSavedSearch({ q, frequency: 'instant', push: false, email: false }),
+        checkedAt: new Date().toISOString(),
+        lastAlertAt: null
+      });
+      return reply(chatId, `✅ I'll message you when a new job matches <b>${escapeHtml(q)}</b>.`);
+    },
+
+    unsubscribe(chatId, args) {
+      const subscriptions = chatSubscriptions(store, chatId);
+
+      if (subscriptions.length === 0) {
+        return reply(chatId, 'You have no subscriptions. Start one with /subscribe <i>words</i>.');
+      }
+
+      if (args.toLowerCase() === 'all') {
+        removeChat(store, chatId);
+        return reply(chatId, 'Done, you won\'t get any more job alerts here.');
+      }
+
+      // "/unsubscribe 2" or "/unsubscribe nurse"; alone when there is only one
+      const target = args
+        ? subscriptions[parseInt(args, 10) - 1] ||
+          subscriptions.find(search => search.q.toLowerCase() === args.toLowerCase())
+        : subscriptions.length === 1 && subscriptions[0];
+
+      if (target) {
+        store.remove('savedSearches', target.id);
+        return reply(chatId, `Stopped alerts for <b>${escapeHtml(target.q)}</b>.`);
+      }
+
+      return reply(chatId, [
+        'Your subscriptions:',
+        ...subscriptions.map((search, index) => `${index + 1}. ${escapeHtml(search.q)}`),
+        '',
+        'Send /unsubscribe <i>number</i>, or /unsubscribe all.'
+      ].join('\n'));
+    }
+  };
+
+  /**
+   * Answer one update from getUpdates (or a webhook).
+   *
+   * @param {Object} update
+   */
+  async function handleUpdate(update) {
+    const message = update.message;
+    if (!message?.text) return;
+
+    const parsed = parseCommand(message.text);
+    if (!parsed) {
+      // Plain words in a private chat are a search
+      if (message.chat.type === 'private') await commands.search(message.chat.id, message.text.trim());
+      return;
+    }
+
+    const handler = Object.hasOwn(commands, parsed.command) && commands[parsed.command];
+    if (handler) {
+      await handler(message.chat.id, parsed.args);
+    } else if (message.chat.type === 'private') {
+      // Groups have other bots' commands in them; stay quiet there
+      await reply(message.chat.id, HELP);
+    }
+  }
+
+  /**
+   * Post a job to the channel, once.
+   *
+   * @param {Object} job
+   * @returns {Promise<boolean>} whether it was posted now
+   */
+  async function postJob(job) {
+    if (!channel || store.findOne('telegramPosts', post => post.jobId === job.id)) return false;
+
+    const post = store.insert('telegramPosts', { jobId: job.id, chatId: channel, messageId: null });
+    try {
+      const message = await client.call('sendMessage', {
+        chat_id: channel,
+        text: formatJobCard(job, baseUrl),
+        parse_mode: 'HTML',
+        disable_web_page_preview: true
+      });
+      store.update('telegramPosts', post.id, { messageId: message.message_id });
+      return true;
+    } catch (error) {
+      store.remove('telegramPosts', post.id);
+      throw error;
+    }
+  }
+
+  // Jobs go out when they are first published, while the bot runs: live and
+  // taking applications, posted since it started (the seed data and older
+  // jobs are not new) and not posted before, so edits and a job reopened
+  // after a pause don't post it again
+  function onChange({ collection, item }) {
+    if (collection !== 'jobs' || !isAcceptingApplications(item) || !(new Date(item.postedAt) >= startedAt)) return;
+    if (store.findOne('telegramPosts', post => post.jobId === item.id)) return;
+    postJob(item).catch(error => logger.error(`[Telegram] Could not post job ${item.id}:`, error.message));
+  }
+
+  async function poll(signal) {
+    let offset;
+
+    while (!signal.aborted) {
+      try {
+        const updates = await client.call('getUpdates', {
+          offset,
+          timeout: POLL_TIMEOUT,
+          allowed_updates: ['message']
+        }, { signal });
+
+        for (const update of updates) {
+          offset = update.update_id + 1;
+          await handleUpdate(update).catch(error =>
+            logger.error(`[Telegram] Could not answer update ${update.update_id}:`, error.message)
+          );
+        }
+      } catch (error) {
+        if (signal.aborted) return;
+        logger.error('[Telegram] Polling failed:', error.message);
+        await new Promise(resolve => setTimeout(resolve, RETRY_DELAY).unref());
+      }
+    }
+  }
+
+  return {
+    handleUpdate,
+    postJob,
+
+    // Long polling, so the bot needs no public webhook URL
+    start() {
+      if (polling) return;
+      startedAt = new Date();
+      polling = new AbortController();
+      store.on('change', onChange);
+      poll(polling.signal);
+    },
+
+    stop() {
+      if (!polling) return;
+      polling.abort();
+      polling = null;
+      store.off('change', onChange);
+    }
+  };
+}
+
+module.exports = {
+  createTelegramClient,
+  createTelegramBot,
+  createTelegramChannel,
+  formatJobCard,
+  parseCommand
+};
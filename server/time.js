@@ -0,0 +1,11 @@
+// ============================================
+// TIME
+// Lengths of time in milliseconds
+// ============================================
+
+'use strict';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+module.exports = { DAY_MS, WEEK_MS };
@@ -0,0 +1,77 @@
+// ============================================
+// TOKENS
+// Random secrets and constant-time comparison
+// ============================================
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// URL-safe random token, e.g. for access links that stand in for a login
+function createToken(bytes = 24) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+// Tokens that grant access (sessions, email links) are stored as a hash, so
+// a leaked database can't be used to sign in
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('base64url');
+}
+
+// Compare secrets without leaking how many leading characters matched
+function tokensMatch(expected, actual) {
+  if (typeof expected !== 'string' || typeof actual !== 'string') return false;
+
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Read the server's signing secret, creating it on first start. Changing it
+ * invalidates every signed token already sent out (e.g. unsubscribe links).
+ *
+ * @param {string} file
+ * @returns {string}
+ */
+function loadSecret(file) {
+  try {
+    return fs.readFileSync(file, 'utf8').trim();
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const secret = createToken(32);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, secret, { mode: 0o600 });
+  return secret;
+}
+
+function hmac(value, secret) {
+  return crypto.createHmac('sha256', secret).update(value).digest('base64url');
+}
+
+// Tokens the server can check without storing them, for links in emails:
+// the payload and its HMAC. The payload is readable, so keep it to ids.
+function signToken(payload, secret) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${hmac(body, secret)}`;
+}
+
+// The payload of a token from signToken(), or null when it was altered
+function verifySignedToken(token, secret) {
+  const [body, signature, extra] = String(token || '').split('.');
+  if (!body || !signature || extra !== undefined || !tokensMatch(hmac(body, secret), signature)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = { createToken, hashToken, tokensMatch, loadSecret, signToken, verifySignedToken };
@@ -0,0 +1,218 @@
+// ============================================
+// WEB PUSH
+// Sends encrypted push messages (RFC 8291) signed with our VAPID keys (RFC 8292)
+// ============================================
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Push services accept 4096-byte bodies; the aes128gcm header with our key
+// takes 86 bytes, and the padding delimiter and auth tag 17 more
+const RECORD_SIZE = 4096;
+const MAX_PAYLOAD = RECORD_SIZE - 86 - 17;
+
+// How long a signed VAPID token is valid; push services refuse more than 24 hours
+const VAPID_TOKEN_TTL = 12 * 60 * 60;
+
+// ============================================
+// VAPID KEYS
+// ============================================
+
+// A P-256 key pair as push services and PushManager.subscribe() want them:
+// the uncompressed public point and the private scalar, both base64url
+function createVapidKeys() {
+  const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const jwk = privateKey.export({ format: 'jwk' });
+
+  return {
+    publicKey: Buffer.concat([
+      Buffer.from([0x04]),
+      Buffer.from(jwk.x, 'base64url'),
+      Buffer.from(jwk.y, 'base64url')
+    ]).toString('base64url'),
+    privateKey: jwk.d
+  };
+}
+
+/**
+ * Read the server's VAPID keys, creating them on first start. Browsers tie
+ * their subscriptions to the public key, so losing the file means every
+ * device has to subscribe again.
+ *
+ * @param {string} file
+ * @param {Object} [options]
+ * @param {Object} [options.logger] - defaults to console
+ * @returns {{ publicKey: string, privateKey: string }}
+ */
+function loadVapidKeys(file, { logger = console } = {}) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const keys = createVapidKeys();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(keys, null, 2), { mode: 0o600 });
+  logger.log(`[Push] Created VAPID keys in ${file}`);
+  return keys;
+}
+
+function signingKey({ publicKey, privateKey }) {
+  const point = Buffer.from(publicKey, 'base64url');
+
+  return crypto.createPrivateKey({
+    format: 'jwk',
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      x: point.subarray(1, 33).toString('base64url'),
+      y: point.subarray(33, 65).toString('base64url'),
+      d: privateKey
+    }
+  });
+}
+
+// "vapid t=<ES256 JWT>, k=<public key>" for the push service's origin
+function vapidAuthorization(endpoint, keys, key, subject) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ typ: 'JWT', alg: 'ES256' })}.${encode({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(Date.now() / 1000) + VAPID_TOKEN_TTL,
+    sub: subject
+  })}`;
+  const signature = crypto.sign('sha256', Buffer.from(unsigned), { key, dsaEncoding: 'ieee-p1363' });
+
+  return `vapid t=${unsigned}.${signature.toString('base64url')}, k=${keys.publicKey}`;
+}
+
+// ============================================
+// SUBSCRIPTIONS
+// ============================================
+
+/**
+ * Check a PushSubscription as the browser serialises it (subscription.toJSON()).
+ *
+ * @param {Object} input - { endpoint, keys: { p256dh, auth } }
+ * @returns {{ endpoint: string, keys: { p256dh: string, auth: string } }|null} null when invalid
+ */
+function parseSubscription(input) {
+  const endpoint = String(input?.endpoint || '');
+  const p256dh = Buffer.from(String(input?.keys?.p256dh || ''), 'base64url');
+  const auth = Buffer.from(String(input?.keys?.auth || ''), 'base64url');
+
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch (error) {
+    return null;
+  }
+
+  if (url.protocol !== 'https:' || p256dh.length !== 65 || p256dh[0] !== 0x04 || auth.length !== 16) {
+    return null;
+  }
+
+  return { endpoint, keys: { p256dh: p256dh.toString('base64url'), auth: auth.toString('base64url') } };
+}
+
+// ============================================
+// ENCRYPTION
+// ============================================
+
+function hkdf(salt, ikm, info, length) {
+  return Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, length));
+}
+
+// One aes128gcm record (RFC 8188) readable only by the subscribed browser
+function encrypt(subscription, payload) {
+  const userAgentKey = Buffer.from(subscription.keys.p256dh, 'base64url');
+  const authSecret = Buffer.from(subscription.keys.auth, 'base64url');
+
+  const ecdh = crypto.createECDH('prime256v1');
+  const serverKey = ecdh.generateKeys();
+  const sharedSecret = ecdh.computeSecret(userAgentKey);
+  const salt = crypto.randomBytes(16);
+
+  const ikm = hkdf(authSecret, sharedSecret,
+    Buffer.concat([Buffer.from('WebPush: info\0'), userAgentKey, serverKey]), 32);
+  const contentKey = hkdf(salt, ikm, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+  const nonce = hkdf(salt, ikm, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+  const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+  const ciphertext = Buffer.concat([
+    cipher.update(Buffer.concat([payload, Buffer.from([0x02])])),
+    cipher.final(),
+    cipher.getAuthTag()
+  ]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header[20] = serverKey.length;
+
+  return Buffer.concat([header, serverKey, ciphertext]);
+}
+
+// ============================================
+// CLIENT
+// ============================================
+
+/**
+ * @param {Object} options
+ * @param {{ publicKey: string, privateKey: string }} options.vapidKeys
+ * @param {string} options.subject - contact for push services, a mailto: or https: URL
+ * @param {function} [options.fetch] - defaults to the global fetch
+ * @returns {{ publicKey: string, send: function(Object, Object, Object=): Promise<{ statusCode: number }> }}
+ */
+function createPushClient({ vapidKeys, subject, fetch: fetchImpl = fetch }) {
+  const key = signingKey(vapidKeys);
+
+  return {
+    publicKey: vapidKeys.publicKey,
+
+    /**
+     * Send a JSON message to one subscription.
+     *
+     * @param {Object} subscription - { endpoint, keys: { p256dh, auth } }
+     * @param {Object} message - what the service worker's push handler reads
+     * @param {Object} [options]
+     * @param {number} [options.ttl] - seconds the push service keeps it for an offline device
+     * @param {string} [options.urgency] - very-low, low, normal or high
+     * @param {string} [options.topic] - a newer message with the same topic replaces an undelivered one
+     * @throws {Error} with `statusCode`, and `gone` when the subscription no longer exists
+     */
+    async send(subscription, message, { ttl = 24 * 60 * 60, urgency = 'normal', topic } = {}) {
+      const payload = Buffer.from(JSON.stringify(message));
+      if (payload.length > MAX_PAYLOAD) {
+        throw new Error(`Push messages are limited to ${MAX_PAYLOAD} bytes`);
+      }
+
+      const response = await fetchImpl(subscription.endpoint, {
+        method: 'POST',
+        headers: {
+          'Authorization': vapidAuthorization(subscription.endpoint, vapidKeys, key, subject),
+          'Content-Encoding': 'aes128gcm',
+          'Content-Type': 'application/octet-stream',
+          'TTL': String(ttl),
+          'Urgency': urgency,
+          ...(topic && { 'Topic': topic })
+        },
+        body: encrypt(subscription, payload)
+      });
+
+      if (!response.ok) {
+        const error = new Error(`Push service responded with ${response.status}`);
+        error.statusCode = response.status;
+        error.gone = response.status === 404 || response.status === 410;
+        throw error;
+      }
+
+      return { statusCode: response.status };
+    }
+  };
+}
+
+module.exports = { createVapidKeys, loadVapidKeys, parseSubscription, createPushClient };
@@ -0,0 +1,153 @@
+// ============================================
+// ZIP FILES
+// Just enough of the ZIP format for Office documents (DOCX): writing
+// generated ones, and reading the files inside uploaded ones. Stored and
+// deflated files only; no encryption or ZIP64
+// ============================================
+
+'use strict';
+
+const zlib = require('zlib');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+  let value = index;
+  for (let bit = 0; bit < 8; bit++) {
+    value = value & 1 ? 0xEDB88320 ^ (value >>> 1) : value >>> 1;
+  }
+  return value >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS date and time, as ZIP stores them
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * @param {Array<{ name: string, data: Buffer|string }>} files - in the order they are written
+ * @param {Object} [options]
+ * @param {Date} [options.date] - modification time of every file
+ * @returns {Buffer}
+ */
+function createZip(files, { date = new Date() } = {}) {
+  const { time, date: day } = dosDateTime(date);
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+
+  files.forEach(({ name, data }) => {
+    const content = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+    const compressed = zlib.deflateRawSync(content);
+    const fileName = Buffer.from(name, 'utf8');
+    const crc = crc32(content);
+
+    // Version 2.0, UTF-8 names (bit 11), deflate
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034B50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(0x0800, 6);
+    header.writeUInt16LE(8, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(day, 12);
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(compressed.length, 18);
+    header.writeUInt32LE(content.length, 22);
+    header.writeUInt16LE(fileName.length, 26);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014B50, 0);
+    entry.writeUInt16LE(20, 4);
+    entry.writeUInt16LE(20, 6);
+    header.copy(entry, 8, 6, 30);
+    entry.writeUInt32LE(offset, 42);
+
+    parts.push(header, fileName, compressed);
+    directory.push(entry, fileName);
+    offset += header.length + fileName.length + compressed.length;
+  });
+
+  const size = directory.reduce((sum, part) => sum + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054B50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(size, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...parts, ...directory, end]);
+}
+
+/**
+ * Open a ZIP archive. Files are only inflated when read, so an uploaded
+ * document's images cost nothing unless they are asked for.
+ *
+ * @param {Buffer} buffer
+ * @param {Object} [options]
+ * @param {number} [options.maxFileBytes] - largest file read() inflates
+ * @returns {{ names: string[], read: function(string): Buffer|null }}
+ * @throws {Error} when the archive is damaged or uses a feature that isn't supported
+ */
+function readZip(buffer, { maxFileBytes = 20 * 1024 * 1024 } = {}) {
+  // The end record is last, after a comment of up to 64 KB
+  let end = -1;
+  for (let index = buffer.length - 22; index >= Math.max(0, buffer.length - 22 - 0xFFFF); index--) {
+    if (buffer.readUInt32LE(index) === 0x06054B50) {
+      end = index;
+      break;
+    }
+  }
+  if (end < 0) throw new Error('Not a ZIP archive');
+
+  const count = buffer.readUInt16LE(end + 10);
+  const entries = new Map();
+  let offset = buffer.readUInt32LE(end + 16);
+
+  for (let index = 0; index < count; index++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014B50) {
+      throw new Error('Damaged ZIP directory');
+    }
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    entries.set(name, {
+      flags: buffer.readUInt16LE(offset + 8),
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      headerOffset: buffer.readUInt32LE(offset + 42)
+    });
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+
+  function read(name) {
+    const entry = entries.get(name);
+    if (!entry) return null;
+    if (entry.flags & 1) throw new Error('Encrypted ZIP files are not supported');
+    if (entry.size > maxFileBytes) throw new Error(`${name} is too large`);
+
+    const header = entry.headerOffset;
+    if (header + 30 > buffer.length || buffer.readUInt32LE(header) !== 0x04034B50) {
+      throw new Error(`Damaged ZIP entry ${name}`);
+    }
+    const start = header + 30 + buffer.readUInt16LE(header + 26) + buffer.readUInt16LE(header + 28);
+    const data = buffer.subarray(start, start + entry.compressedSize);
+
+    if (entry.method === 0) return data;
+    if (entry.method === 8) return zlib.inflateRawSync(data, { maxOutputLength: maxFileBytes });
+    throw new Error(`Unsupported compression in ${name}`);
+  }
+
+  return { names: [...entries.keys()], read };
+}
+
+module.exports = { createZip, readZip };
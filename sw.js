@@ -1,47 +1,47 @@
 // ============================================
 // PWA Service Worker
-// Version: 2.0
+// Version: 2.2
 // Cache Strategy: Stale-While-Revalidate
 // ============================================
 
 'use strict';
 
+// IndexedDB storage shared with the page (OfflineStore), and the queue of
+// writes made offline that lives in it (Outbox)
+importScripts('/assets/js/offline-store.js', '/assets/js/outbox.js');
+
 // ============================================
 // CONFIGURATION
 // ============================================
 
-const APP_VERSION = '2.0.0';
+const APP_VERSION = '2.8.0';
 const CACHE_NAME = `pwa-cache-v${APP_VERSION.replace(/\./g, '-')}`;
 const OFFLINE_CACHE = 'offline-cache-v1';
 
+// Saved jobs and their employers' logos, written by the page. They stay
+// until the job is unsaved, so updates must not clear this cache.
+const SAVED_JOBS_CACHE = 'zewedjobs-saved-jobs';
+
 // Assets to cache immediately on install
+// (cache.addAll fails as a whole if any of these is missing)
 const PRECACHE_ASSETS = [
-  '/',  // Important: Cache the root
-  '/index.html',
+  '/',  // Important: Cache the root - it is also the app shell for every route
   '/manifest.json',
-  '/favicon.ico',
-  
-  // Core CSS
-  '/assets/css/styles.css',
-  '/assets/css/fonts.css',
   
   // Core JavaScript
-  '/assets/js/app.js',
-  '/assets/js/vendor.js',
-  
-  // Critical images
-  '/assets/images/icon-192.png',
-  '/assets/images/icon-512.png',
-  '/assets/images/logo.svg',
-  '/assets/images/fallback.jpg',
-  
-  // Fonts
-  '/assets/fonts/roboto.woff2',
+  '/assets/js/utils.js',
+  '/assets/js/components.js',
+  '/assets/js/offline-store.js',
+  '/assets/js/outbox.js',
   
   // Offline page
   '/offline.html'
 ];
 
+// Served for client-side routes (/jobs, /job/42, ...) that were never loaded
+// directly; the page then renders from cached API responses
+const APP_SHELL = '/';
+
 // Assets to cache on demand (runtime caching)
 const RUNTIME_CACHE_PATHS = [
   '/api/',
@@ -100,7 +100,7 @@ self.addEventListener('activate', event => {
         return Promise.all(
           cacheNames.map(cacheName => {
             // Delete caches that don't match current name
-            if (cacheName !== CACHE_NAME && cacheName !== OFFLINE_CACHE) {
+            if (![CACHE_NAME, OFFLINE_CACHE, SAVED_JOBS_CACHE].includes(cacheName)) {
               console.log(`[Service Worker] Deleting old cache: ${cacheName}`);
               return caches.delete(cacheName);
             }
@@ -180,8 +180,8 @@ async function handleApiRequest(request) {
     
     const response = await Promise.race([networkPromise, timeoutPromise]);
     
-    // Cache the fresh response
-    if (response.ok) {
+    // Cache the fresh response, unless it is private to the signed-in user
+    if (response.ok && !/no-store/.test(response.headers.get('Cache-Control') || '')) {
       await cache.put(request, response.clone());
     }
     
@@ -189,8 +189,9 @@ async function handleApiRequest(request) {
   } catch (error) {
     console.log('[Service Worker] API network failed, trying cache:', error);
     
-    // Try cache
-    const cachedResponse = await cache.match(request);
+    // Try cache, then the saved jobs
+    const cachedResponse = await cache.match(request) ||
+      await caches.open(SAVED_JOBS_CACHE).then(saved => saved.match(request));
     if (cachedResponse) {
       return cachedResponse;
     }
@@ -218,17 +219,15 @@ async function handleImageRequest(request) {
   // Return cached image immediately
   if (cachedResponse) {
     // Update cache in background
-    event.waitUntil(
-      fetch(request)
-        .then(networkResponse => {
-          if (networkResponse.ok) {
-            cache.put(request, networkResponse);
-          }
-        })
-        .catch(() => {
-          // Ignore network errors for background updates
-        })
-    );
+    fetch(request)
+      .then(networkResponse => {
+        if (networkResponse.ok) {
+          cache.put(request, networkResponse);
+        }
+      })
+      .catch(() => {
+        // Ignore network errors for background updates
+      });
     return cachedResponse;
   }
   
@@ -240,8 +239,8 @@ async function handleImageRequest(request) {
     }
     return networkResponse;
   } catch (error) {
-    // Return fallback image
-    return caches.match('/assets/images/fallback.jpg');
+    // A saved job's logo, or the fallback image
+    return (await caches.match(request)) || caches.match('/assets/images/fallback.jpg');
   }
 }
 
@@ -296,6 +295,13 @@ async function handleHtmlRequest(request) {
       return cachedResponse;
     }
     
+    // Not loaded directly before: the app shell can still render it from
+    // cached API data (e.g. a job opened from the results list)
+    const shellResponse = await cache.match(APP_SHELL);
+    if (shellResponse) {
+      return shellResponse;
+    }
+    
     // No cache, return offline page
     return caches.match('/offline.html');
   }
@@ -314,9 +320,9 @@ async function networkFirstWithCache(request) {
     
     return networkResponse;
   } catch (error) {
-    // Network failed, try cache
-    const cache = await caches.open(CACHE_NAME);
-    const cachedResponse = await cache.match(request);
+    // Network failed, try any cache (employer logos of saved jobs are
+    // usually on other sites and end up here)
+    const cachedResponse = await caches.match(request);
     
     if (cachedResponse) {
       return cachedResponse;
@@ -337,8 +343,8 @@ async function networkFirstWithCache(request) {
 self.addEventListener('sync', event => {
   console.log('[Service Worker] Background sync:', event.tag);
   
-  if (event.tag === 'sync-posts') {
-    event.waitUntil(syncPendingPosts());
+  if (event.tag === Outbox.SYNC_TAG || Outbox.LEGACY_SYNC_TAGS.includes(event.tag)) {
+    event.waitUntil(syncOutbox());
   }
   
   if (event.tag === 'sync-settings') {
@@ -346,30 +352,21 @@ self.addEventListener('sync', event => {
   }
 });
 
-async function syncPendingPosts() {
-  const db = await openDatabase();
-  const pendingPosts = await db.getAll('pending_posts');
+// Send what is due in the outbox (assets/js/outbox.js) and let open pages
+// pick up the results
+async function syncOutbox() {
+  const summary = await Outbox.flush();
+  sendMessageToClients({ type: 'OUTBOX_UPDATED', summary });
   
-  for (const post of pendingPosts) {
-    try {
-      const response = await fetch('/api/posts', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(post.data)
-      });
-      
-      if (response.ok) {
-        await db.delete('pending_posts', post.id);
-        console.log(`[Service Worker] Synced post ${post.id}`);
-      }
-    } catch (error) {
-      console.error(`[Service Worker] Failed to sync post ${post.id}:`, error);
-    }
+  // A rejected sync is retried later by the browser; items waiting out their
+  // backoff are also sent by the page whenever it is open
+  if (summary.pending > 0) {
+    throw new Error(`${summary.pending} queued changes could not be sent yet`);
   }
 }
 
 async function syncSettings() {
-  const settings = await getSettingsFromIndexedDB();
+  const settings = await OfflineStore.getAllSettings();
   
   try {
     await fetch('/api/settings', {
@@ -408,40 +405,138 @@ self.addEventListener('push', event => {
   };
   
   event.waitUntil(
-    self.registration.showNotification(data.title || 'My PWA', options)
+    self.registration.showNotification(data.title || 'ZewedJobs', options)
   );
 });
 
 self.addEventListener('notificationclick', event => {
-  console.log('[Service Worker] Notification clicked');
+  console.log('[Service Worker] Notification clicked:', event.action || 'default');
   
   event.notification.close();
   
-  const urlToOpen = event.notification.data?.url || '/';
+  const data = event.notification.data || {};
   
-  event.waitUntil(
-    clients.matchAll({ type: 'window', includeUncontrolled: true })
-      .then(clientList => {
-        // Check if there's already a window/tab open with the target URL
-        for (const client of clientList) {
-          if (client.url === urlToOpen && 'focus' in client) {
-            return client.focus();
-          }
-        }
-        
-        // If not, open a new window/tab
-        if (clients.openWindow) {
-          return clients.openWindow(urlToOpen);
-        }
-      })
-  );
+  event.waitUntil((async () => {
+    if (data.type === 'job-alert') {
+      await reportAlertEvent(data, 'click', event.action);
+    }
+    
+    // "Save" from a job alert keeps the job offline without opening a window
+    if (event.action === 'save' && data.jobId) {
+      await saveJobFromNotification(data.jobId);
+      return;
+    }
+    
+    if (event.action === 'apply' && data.jobId) {
+      await openWindow(`/job/${data.jobId}?apply=1`);
+      return;
+    }
+    
+    await openWindow(data.url || '/');
+  })());
 });
 
 self.addEventListener('notificationclose', event => {
   console.log('[Service Worker] Notification closed');
-  // You can track notification dismissal here
+  
+  const data = event.notification.data || {};
+  if (data.type === 'job-alert') {
+    event.waitUntil(reportAlertEvent(data, 'dismiss'));
+  }
 });
 
+async function openWindow(url) {
+  const clientList = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+  const target = new URL(url, self.location.origin).href;
+  
+  // Check if there's already a window/tab open with the target URL
+  for (const client of clientList) {
+    if (client.url === target && 'focus' in client) {
+      return client.focus();
+    }
+  }
+  
+  // If not, open a new window/tab
+  if (clients.openWindow) {
+    return clients.openWindow(url);
+  }
+}
+
+// Tell the server what happened to a job alert; the push message carries
+// the token, since there may be no session. Losing one report is fine.
+async function reportAlertEvent(data, type, action) {
+  try {
+    await fetch(`/api/alerts/deliveries/${data.deliveryId}/events`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token: data.token, type, action: action || null })
+    });
+  } catch (error) {
+    console.log('[Service Worker] Could not report alert event:', error);
+  }
+}
+
+// The same as saving on the page (ZewedJobs.saveJob): the job goes in the
+// offline store, its API response and logo in the saved jobs cache, and the
+// account copy through the outbox
+async function saveJobFromNotification(jobId) {
+  const id = Number(jobId);
+  
+  try {
+    const detail = await Outbox.request(`/api/jobs/${id}`);
+    const { job, employer } = detail;
+    
+    if (!(await OfflineStore.savedJobs.get(id))) {
+      const record = await OfflineStore.savedJobs.put({
+        id,
+        job,
+        employer,
+        note: '',
+        deadline: job.deadline || null,
+        reminderAt: null,
+        remindedAt: null,
+        editedAt: new Date().toISOString()
+      });
+      
+      await Outbox.enqueue({
+        kind: 'saved-job',
+        label: `Saved job: ${job.title}`,
+        url: `/api/saved-jobs/${id}`,
+        method: 'PUT',
+        body: {
+          note: record.note,
+          deadline: record.deadline,
+          reminderAt: null,
+          remindedAt: null,
+          editedAt: record.editedAt
+        }
+      });
+    }
+    
+    const cache = await caches.open(SAVED_JOBS_CACHE);
+    await cache.put(`/api/jobs/${id}`, new Response(JSON.stringify(detail), {
+      headers: { 'Content-Type': 'application/json' }
+    }));
+    if (employer?.logo) {
+      await fetch(employer.logo, { mode: 'no-cors' })
+        .then(response => cache.put(employer.logo, response))
+        .catch(() => {});
+    }
+    
+    sendMessageToClients({ type: 'SAVED_JOBS_UPDATED' });
+    await self.registration.showNotification('Job saved', {
+      body: `${job.title} at ${job.company} is in your saved jobs, available offline.`,
+      icon: '/assets/images/icon-192.png',
+      badge: '/assets/images/badge-72.png',
+      tag: `saved-job-${id}`,
+      data: { url: '/saved-jobs' }
+    });
+  } catch (error) {
+    console.error('[Service Worker] Could not save job from notification:', error);
+    await openWindow(`/job/${id}`);
+  }
+}
+
 // ============================================
 // PERIODIC BACKGROUND SYNC
 // ============================================
@@ -521,10 +616,10 @@ function sendMessageToClients(message) {
   });
 }
 
-// Clear all caches
+// Clear all caches except the saved jobs, which the page still lists as offline
 async function clearCache() {
   const cacheNames = await caches.keys();
-  await Promise.all(cacheNames.map(name => caches.delete(name)));
+  await Promise.all(cacheNames.filter(name => name !== SAVED_JOBS_CACHE).map(name => caches.delete(name)));
   console.log('[Service Worker] All caches cleared');
 }
 
@@ -550,48 +645,6 @@ async function updateAssets(urls) {
   return results;
 }
 
-// IndexedDB helper
-function openDatabase() {
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open('pwa-db', 2);
-    
-    request.onerror = () => reject(request.error);
-    request.onsuccess = () => resolve(request.result);
-    
-    request.onupgradeneeded = event => {
-      const db = event.target.result;
-      
-      if (!db.objectStoreNames.contains('pending_posts')) {
-        const store = db.createObjectStore('pending_posts', { keyPath: 'id' });
-        store.createIndex('timestamp', 'timestamp');
-      }
-      
-      if (!db.objectStoreNames.contains('settings')) {
-        db.createObjectStore('settings', { keyPath: 'key' });
-      }
-    };
-  });
-}
-
-async function getSettingsFromIndexedDB() {
-  const db = await openDatabase();
-  return new Promise((resolve, reject) => {
-    const transaction = db.transaction('settings', 'readonly');
-    const store = transaction.objectStore('settings');
-    const request = store.getAll();
-    
-    request.onsuccess = () => {
-      const settings = {};
-      request.result.forEach(item => {
-        settings[item.key] = item.value;
-      });
-      resolve(settings);
-    };
-    
-    request.onerror = () => reject(request.error);
-  });
-}
-
 // ============================================
 // ERROR HANDLING
 // ============================================
@@ -0,0 +1,126 @@
+'use strict';
+
+const { createTestStore, startApp } = require('./helpers');
+const { createJobSearch } = require('../server/search/job-search');
+const { createAlertRunner, createPushChannel, alertUrl } = require('../server/alerts');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('job alerts', () => {
+  let store;
+  let user;
+  let delivered;
+  let runner;
+
+  beforeEach(() => {
+    store = createTestStore();
+    user = store.insert('users', { name: 'Tigist Alemu', email: 'tigist@example.com' });
+    delivered = [];
+    runner = createAlertRunner(store, createJobSearch(store), {
+      channels: [async alert => { delivered.push(alert); }]
+    });
+  });
+
+  const savedSearch = fields => store.insert('savedSearches', {
+    userId: user.id,
+    name: 'Nursing',
+    q: 'nurse',
+    filters: {},
+    frequency: 'instant',
+    push: true,
+    active: true,
+    checkedAt: new Date(Date.now() - HOUR).toISOString(),
+    ...fields
+  });
+
+  const postJob = fields => store.insert('jobs', {
+    title: 'Head Nurse',
+    company: 'Adama Hospital',
+    category: 'Healthcare',
+    location: 'Adama',
+    status: 'open',
+    postedAt: new Date().toISOString(),
+    ...fields
+  });
+
+  test('report jobs posted since the last check, once', async () => {
+    savedSearch();
+    const job = postJob();
+
+    expect(await runner.run()).toEqual({ checked: 1, alerts: 1 });
+    expect(delivered[0].jobs.map(item => item.id)).toEqual([job.id]);
+
+    await runner.run();
+    expect(delivered).toHaveLength(1);
+  });
+
+  test('only match their filters', async () => {
+    savedSearch({ filters: { location: ['jimma'] } });
+    postJob();
+
+    await runner.run();
+    expect(delivered).toHaveLength(0);
+  });
+
+  test('wait for their frequency and skip paused alerts', async () => {
+    savedSearch({ frequency: 'daily' });
+    savedSearch({ active: false });
+    postJob();
+
+    expect(await runner.run()).toEqual({ checked: 0, alerts: 0 });
+  });
+
+  test('link to the job when there is one, or to the search', () => {
+    const search = { q: 'nurse', filters: { location: ['adama', 'jimma'] } };
+
+    expect(alertUrl(search, [{ id: 7 }], 1)).toBe('/job/7');
+    expect(alertUrl(search, [{ id: 7 }, { id: 8 }], 2)).toBe('/jobs?q=nurse&location=adama%2Cjimma');
+  });
+});
+
+describe('push alerts', () => {
+  let store;
+  let sent;
+  let channel;
+
+  beforeEach(() => {
+    store = createTestStore();
+    sent = [];
+    channel = createPushChannel(store, {
+      send: async (subscription, message) => {
+        if (subscription.endpoint.includes('gone')) throw Object.assign(new Error('Gone'), { gone: true });
+        sent.push(message);
+      }
+    });
+  });
+
+  test('go to every device, and forget ones the push service dropped', async () => {
+    store.insert('pushSubscriptions', { userId: 1, endpoint: 'https://push.example/phone' });
+    const gone = store.insert('pushSubscriptions', { userId: 1, endpoint: 'https://push.example/gone' });
+    const search = { id: 5, userId: 1, name: 'Nursing', push: true };
+
+    await channel({ search, jobs: [store.get('jobs', 2)], total: 1 });
+
+    expect(sent).toHaveLength(1);
+    expect(sent[0]).toMatchObject({ title: 'New job: Nurse', data: { url: '/job/2', jobId: 2 } });
+    expect(store.get('pushSubscriptions', gone.id)).toBeNull();
+    expect(store.list('alertDeliveries')[0]).toMatchObject({ jobIds: [2], sent: 1 });
+  });
+
+  test('clicks are recorded with the token from the message', async () => {
+    store.insert('pushSubscriptions', { userId: 1, endpoint: 'https://push.example/phone' });
+    await channel({ search: { id: 5, userId: 1, name: 'Nursing', push: true }, jobs: [store.get('jobs', 2)], total: 1 });
+    const { deliveryId, token } = sent[0].data;
+
+    const app = await startApp({ store });
+    try {
+      const click = body => app.request(`/api/alerts/deliveries/${deliveryId}/events`, { method: 'POST', body });
+
+      expect((await click({ token: 'guess', type: 'click' })).status).toBe(404);
+      expect((await click({ token, type: 'click', action: 'apply' })).status).toBe(204);
+      expect(store.get('alertDeliveries', deliveryId)).toMatchObject({ action: 'apply', clickedAt: expect.any(String) });
+    } finally {
+      await app.close();
+    }
+  });
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+const { startApp } = require('./helpers');
+const { hashToken } = require('../server/tokens');
+
+const PDF = Buffer.from('%PDF-1.4\n%%EOF\n');
+
+describe('applications', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = await startApp();
+  });
+
+  afterEach(() => app.close());
+
+  async function uploadCv() {
+    const response = await fetch(`${app.url}/api/cvs`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/pdf', 'X-File-Name': 'cv.pdf' },
+      body: PDF
+    });
+    return (await response.json()).cv;
+  }
+
+  async function apply() {
+    const cv = await uploadCv();
+    return app.request('/api/applications', {
+      method: 'POST',
+      body: { jobId: 3, applicant: { name: 'Hanna Tesfaye', email: 'hanna@example.com' }, cvId: cv.id, cvToken: cv.token }
+    });
+  }
+
+  test('the applicant follows theirs with the token in a header, never cached', async () => {
+    const { status, body } = await apply();
+    const { id, token } = body.application;
+
+    const mine = await app.request(`/api/applications/${id}`, { headers: { 'X-Application-Token': token } });
+
+    expect(status).toBe(201);
+    expect(mine.status).toBe(200);
+    expect(mine.headers.get('cache-control')).toBe('no-store');
+    expect(mine.body.application).toMatchObject({ id, status: 'submitted' });
+    expect(mine.body.application).not.toHaveProperty('token');
+  });
+
+  test('a token in the URL isn\'t accepted', async () => {
+    const { body } = await apply();
+    const { id, token } = body.application;
+
+    const { status } = await app.request(`/api/applications/${id}?token=${token}`);
+
+    expect(status).toBe(404);
+  });
+
+  test('only hashes of the CV and application tokens are stored', async () => {
+    const { body } = await apply();
+    const { id, token } = body.application;
+    const { cv } = app.store.get('applications', id);
+
+    expect(app.store.get('applications', id)).toMatchObject({ tokenHash: hashToken(token) });
+    expect(app.store.get('applications', id)).not.toHaveProperty('token');
+    expect(app.store.get('cvs', cv.id)).not.toHaveProperty('token');
+    expect(body.application).not.toHaveProperty('tokenHash');
+  });
+
+  test('the stored hash doesn\'t stand in for a token', async () => {
+    const cv = await uploadCv();
+    const { tokenHash } = app.store.get('cvs', cv.id);
+
+    const applied = await app.request('/api/applications', {
+      method: 'POST',
+      body: { jobId: 3, applicant: { name: 'Hanna Tesfaye', email: 'hanna@example.com' }, cvId: cv.id, cvToken: tokenHash }
+    });
+    const { body } = await apply();
+    const { id } = body.application;
+    const lookup = await app.request(`/api/applications/${id}`, { headers: { 'X-Application-Token': app.store.get('applications', id).tokenHash } });
+
+    expect(applied.status).toBe(400);
+    expect(applied.body.details).toEqual({ cv: 'Upload your CV again' });
+    expect(lookup.status).toBe(404);
+  });
+});
@@ -0,0 +1,172 @@
+'use strict';
+
+const { startApp } = require('./helpers');
+const { hashPassword, verifyPassword } = require('../server/passwords');
+const { hashToken } = require('../server/tokens');
+
+const PUBLIC_URL = 'https://zewedjobs.example';
+
+const account = { name: 'Tigist Alemu', email: 'tigist@example.com', password: 'correct horse battery', userType: 'job' };
+
+describe('account emails', () => {
+  let app;
+
+  afterEach(() => app.close());
+
+  test('links point at the configured address, not the request host', async () => {
+    app = await startApp({ publicUrl: PUBLIC_URL });
+
+    await app.request('/api/auth/signup', { method: 'POST', body: account, headers: { 'X-Forwarded-Host': 'attacker.example' } });
+    await app.request('/api/auth/forgot-password', { method: 'POST', body: { email: account.email } });
+
+    expect(app.sent).toHaveLength(2);
+    expect(app.sent[0].text).toContain(`${PUBLIC_URL}/verify-email?token=`);
+    expect(app.sent[1].text).toContain(`${PUBLIC_URL}/reset-password?token=`);
+  });
+
+  test('are not sent without PUBLIC_URL', async () => {
+    app = await startApp({ publicUrl: null });
+    // The server logs each refusal for its operator
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const signup = await app.request('/api/auth/signup', { method: 'POST', body: account });
+    expect(signup.status).toBe(201);
+
+    const cookie = signup.headers.get('set-cookie').split(';')[0];
+    const resend = await app.request('/api/auth/verify-email/resend', { method: 'POST', headers: { Cookie: cookie } });
+    expect(resend.status).toBe(503);
+
+    const forgot = await app.request('/api/auth/forgot-password', { method: 'POST', body: { email: account.email } });
+    expect(forgot.status).toBe(503);
+
+    expect(app.sent).toHaveLength(0);
+    expect(app.store.list('authTokens')).toHaveLength(0);
+    jest.restoreAllMocks();
+  });
+});
+
+describe('signup', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = await startApp({ publicUrl: PUBLIC_URL });
+  });
+
+  afterEach(() => app.close());
+
+  test('makes one account when the same email signs up twice at once', async () => {
+    const responses = await Promise.all([
+      app.request('/api/auth/signup', { method: 'POST', body: account }),
+      app.request('/api/auth/signup', { method: 'POST', body: account })
+    ]);
+
+    expect(responses.map(response => response.status).sort()).toEqual([201, 409]);
+    expect(app.store.list('users', user => user.email === account.email)).toHaveLength(1);
+  });
+});
+
+describe('passwords', () => {
+  test('are stored as salted scrypt hashes', async () => {
+    const first = await hashPassword('correct horse battery');
+    const second = await hashPassword('correct horse battery');
+
+    expect(first).toMatch(/^scrypt\$[\w-]+\$[\w-]+$/);
+    expect(first).not.toBe(second);
+    expect(await verifyPassword('correct horse battery', first)).toBe(true);
+    expect(await verifyPassword('correct horse batterY', first)).toBe(false);
+  });
+
+  test.each([undefined, '', 'plain-text', 'md5$abc$def', 'scrypt$salt$'])('a stored value of %p matches nothing', async stored => {
+    expect(await verifyPassword('plain-text', stored)).toBe(false);
+  });
+});
+
+describe('sign-in flows', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = await startApp({ publicUrl: PUBLIC_URL });
+  });
+
+  afterEach(() => app.close());
+
+  const cookieOf = response => response.headers.get('set-cookie').split(';')[0];
+  const linkToken = (index = app.sent.length - 1) => new URL(app.sent[index].text.match(/https:\/\/\S+/)[0]).searchParams.get('token');
+  const post = (url, body, cookie) => app.request(url, { method: 'POST', body, headers: cookie ? { Cookie: cookie } : {} });
+  const me = cookie => app.request('/api/me', { headers: { Cookie: cookie } });
+
+  test('signing up signs in with a session the store only knows by its hash', async () => {
+    const signup = await post('/api/auth/signup', account);
+    const cookie = cookieOf(signup);
+    const token = cookie.split('=')[1];
+    const user = app.store.findOne('users', item => item.email === account.email);
+
+    expect(signup.headers.get('set-cookie')).toMatch(/HttpOnly; SameSite=Lax/);
+    expect(user.passwordHash).not.toContain(account.password);
+    expect(JSON.stringify(app.store.list('sessions'))).not.toContain(token);
+    expect(app.store.findOne('sessions', item => item.tokenHash === hashToken(token)).userId).toBe(user.id);
+    expect((await me(cookie)).body.user.email).toBe(account.email);
+  });
+
+  test('signing in, and signing out ends the session', async () => {
+    await post('/api/auth/signup', account);
+
+    const login = await post('/api/auth/login', { email: 'TIGIST@example.com ', password: account.password });
+    expect(login.status).toBe(200);
+
+    const cookie = cookieOf(login);
+    expect((await post('/api/auth/logout', undefined, cookie)).status).toBe(204);
+    expect((await me(cookie)).status).toBe(401);
+  });
+
+  test('locks an address after five wrong passwords', async () => {
+    await post('/api/auth/signup', account);
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      expect((await post('/api/auth/login', { email: account.email, password: 'wrong password' })).status).toBe(401);
+    }
+    expect((await post('/api/auth/login', { email: account.email, password: account.password })).status).toBe(429);
+  });
+
+  test('the emailed link confirms the address, once', async () => {
+    const cookie = cookieOf(await post('/api/auth/signup', account));
+    const token = linkToken();
+
+    const verified = await post('/api/auth/verify-email', { token });
+    expect(verified.status).toBe(200);
+    expect((await me(cookie)).body.user.emailVerified).toBe(true);
+    expect((await post('/api/auth/verify-email', { token })).status).toBe(400);
+  });
+
+  test('a password reset works once and signs out every other session', async () => {
+    const oldCookie = cookieOf(await post('/api/auth/signup', account));
+    await post('/api/auth/forgot-password', { email: account.email });
+    const token = linkToken();
+
+    const reset = await post('/api/auth/reset-password', { token, password: 'a brand new password' });
+    expect(reset.status).toBe(200);
+    expect((await me(oldCookie)).status).toBe(401);
+    expect((await me(cookieOf(reset))).status).toBe(200);
+
+    expect((await post('/api/auth/reset-password', { token, password: 'yet another password' })).status).toBe(400);
+    expect((await post('/api/auth/login', { email: account.email, password: account.password })).status).toBe(401);
+    expect((await post('/api/auth/login', { email: account.email, password: 'a brand new password' })).status).toBe(200);
+  });
+
+  test('only the newest reset link works', async () => {
+    await post('/api/auth/signup', account);
+    await post('/api/auth/forgot-password', { email: account.email });
+    await post('/api/auth/forgot-password', { email: account.email });
+
+    expect((await post('/api/auth/reset-password', { token: linkToken(1), password: 'a brand new password' })).status).toBe(400);
+    expect((await post('/api/auth/reset-password', { token: linkToken(2), password: 'a brand new password' })).status).toBe(200);
+  });
+
+  test('forgot-password answers the same for unknown addresses', async () => {
+    const response = await post('/api/auth/forgot-password', { email: 'nobody@example.com' });
+
+    expect(response).toMatchObject({ status: 202, body: { sent: true } });
+    expect(app.sent).toHaveLength(0);
+  });
+});
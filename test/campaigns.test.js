@@ -0,0 +1,148 @@
+'use strict';
+
+const { startApp } = require('./helpers');
+const { createImpressionToken, recordImpressions } = require('../server/campaigns');
+const { hashToken } = require('../server/tokens');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('ad impressions', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = await startApp();
+  });
+
+  afterEach(() => app.close());
+
+  function campaign(changes = {}) {
+    return app.store.insert('campaigns', {
+      companyName: 'Dashen Bank',
+      adPackage: 'sidebar-banner',
+      adTitle: 'Open an account',
+      adDestinationUrl: 'https://dashen.example',
+      status: 'scheduled',
+      startsAt: new Date(Date.now() - DAY).toISOString(),
+      endsAt: new Date(Date.now() + 7 * DAY).toISOString(),
+      pausedAt: null,
+      impressions: 0,
+      clicks: 0,
+      history: [],
+      ...changes
+    });
+  }
+
+  const impressions = id => app.store.get('campaigns', id).impressions;
+
+  test('serving an ad doesn\'t count it', async () => {
+    const running = campaign();
+
+    const { status, body } = await app.request('/api/campaigns/serve?placement=sidebar');
+    await app.request('/api/campaigns/serve?placement=sidebar');
+
+    expect(status).toBe(200);
+    expect(body.ads.map(ad => ad.id)).toEqual([running.id]);
+    expect(body.impressionToken).toEqual(expect.any(String));
+    expect(impressions(running.id)).toBe(0);
+  });
+
+  const serve = (limit = 1) => app.request(`/api/campaigns/serve?placement=sidebar&limit=${limit}`);
+  const report = body => app.request('/api/campaigns/impressions', { method: 'POST', body });
+
+  test('the ads a page showed are counted once each', async () => {
+    const first = campaign();
+    const second = campaign();
+    const served = await serve(2);
+
+    const { status, body } = await report({ ids: [first.id, second.id, first.id], token: served.body.impressionToken });
+
+    expect(status).toBe(200);
+    expect(body.recorded).toBe(2);
+    expect(impressions(first.id)).toBe(1);
+    expect(impressions(second.id)).toBe(1);
+  });
+
+  test('only ads served with the token are counted', async () => {
+    const shown = campaign();
+    const other = campaign({ impressions: 5 });
+    const served = await serve();
+
+    const { body } = await report({ ids: [shown.id, other.id], token: served.body.impressionToken });
+    const untokened = await report({ ids: [shown.id] });
+    const tampered = await report({ ids: [shown.id], token: `${served.body.impressionToken}x` });
+
+    expect(served.body.ads.map(ad => ad.id)).toEqual([shown.id]);
+    expect(body.recorded).toBe(1);
+    expect(impressions(other.id)).toBe(5);
+    expect(untokened.body.recorded).toBe(0);
+    expect(tampered.body.recorded).toBe(0);
+    expect(impressions(shown.id)).toBe(1);
+  });
+
+  test('tokens expire', () => {
+    const running = campaign();
+    const secret = 'test-secret';
+    const token = createImpressionToken([running], secret, new Date(Date.now() - 11 * 60 * 1000));
+
+    expect(recordImpressions(app.store, [running.id], { token, secret })).toBe(0);
+    expect(recordImpressions(app.store, [running.id], { token: createImpressionToken([running], secret), secret })).toBe(1);
+  });
+
+  test('campaigns that aren\'t running aren\'t counted', async () => {
+    const paused = campaign();
+    const ended = campaign();
+    const served = await serve(2);
+    app.store.update('campaigns', paused.id, { pausedAt: new Date().toISOString() });
+    app.store.update('campaigns', ended.id, { endsAt: new Date(Date.now() - 1000).toISOString() });
+
+    const { body } = await report({ ids: [paused.id, ended.id, 9999], token: served.body.impressionToken });
+
+    expect(body.recorded).toBe(0);
+    expect(impressions(paused.id)).toBe(0);
+    expect(impressions(ended.id)).toBe(0);
+  });
+});
+
+describe('campaign tokens', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = await startApp();
+  });
+
+  afterEach(() => app.close());
+
+  test('only hashes of the campaign and invoice tokens are stored', async () => {
+    const { status, body } = await app.request('/api/campaigns', {
+      method: 'POST',
+      body: {
+        companyName: 'Dashen Bank',
+        companyEmail: 'marketing@dashen.example',
+        companyPhone: '011 551 2345',
+        adPackage: 'sidebar-banner',
+        adDuration: 2,
+        adTitle: 'Open an account',
+        adDescription: 'Save with Dashen Bank',
+        adDestinationUrl: 'https://dashen.example',
+        adCallToAction: 'Learn more',
+        paymentMethod: 'telebirr',
+        submit: true
+      }
+    });
+    const campaign = app.store.get('campaigns', body.campaign.id);
+    const invoice = app.store.get('invoices', body.invoice.id);
+
+    expect(status).toBe(201);
+    expect(campaign).toMatchObject({ tokenHash: hashToken(body.token) });
+    expect(campaign).not.toHaveProperty('token');
+    expect(invoice).toMatchObject({ tokenHash: hashToken(body.invoiceToken) });
+    expect(invoice).not.toHaveProperty('token');
+    expect(body.campaign).not.toHaveProperty('tokenHash');
+    expect(body.invoice).not.toHaveProperty('tokenHash');
+
+    const opened = await app.request(`/api/campaigns/${campaign.id}?token=${body.token}`);
+    const byHash = await app.request(`/api/campaigns/${campaign.id}?token=${campaign.tokenHash}`);
+    expect(opened.status).toBe(200);
+    expect(byHash.status).toBe(404);
+  });
+});
@@ -0,0 +1,88 @@
+'use strict';
+
+const { startApp } = require('./helpers');
+
+const BANK = 'commercial-bank-of-ethiopia';
+
+describe('company pages', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = await startApp({ adminEmails: ['admin@zewedjobs.com'] });
+  });
+
+  afterEach(() => app.close());
+
+  async function employer(email) {
+    const { body } = await app.request('/api/employers', {
+      method: 'POST',
+      body: { name: 'Abebe Kebede', email, company: 'Commercial Bank of Ethiopia', plan: 'job-seeker' }
+    });
+    return { authorization: `Bearer ${body.token}` };
+  }
+
+  async function admin() {
+    const signup = await app.request('/api/auth/signup', {
+      method: 'POST',
+      body: { name: 'Admin', email: 'admin@zewedjobs.com', password: 'Sup3r-secret-pass!', userType: 'job' }
+    });
+    const user = app.store.findOne('users', item => item.email === 'admin@zewedjobs.com');
+    app.store.update('users', user.id, { emailVerifiedAt: new Date().toISOString() });
+    return { cookie: signup.headers.get('set-cookie').split(';')[0] };
+  }
+
+  test('signing up with a company\'s name doesn\'t give its page', async () => {
+    const headers = await employer('impostor@example.com');
+
+    const own = await app.request('/api/employer/company', {
+      method: 'PUT',
+      headers,
+      body: { description: 'Applicants pay a 500 ETB fee', website: 'https://evil.example' }
+    });
+    expect(own.status).toBe(200);
+    expect(own.headers.get('cache-control')).toBe('no-store');
+    expect(own.body.company.slug).not.toBe(BANK);
+    expect(own.body.company.unverified).toBe(true);
+
+    const { body: page } = await app.request(`/api/companies/${BANK}`);
+    expect(page.company.description).toBe('');
+    expect(page.company.website).toBe('');
+
+    const { body: unverified } = await app.request(`/api/companies/${own.body.company.slug}`);
+    expect(unverified.company.unverified).toBe(true);
+    expect(unverified.structuredData).toBeNull();
+
+    const { body: directory } = await app.request('/api/companies?q=commercial+bank');
+    expect(directory.companies.filter(company => company.name === 'Commercial Bank of Ethiopia').map(company => company.slug)).toEqual([BANK]);
+  });
+
+  test('an admin verifies an employer\'s page into the company\'s page', async () => {
+    const headers = await employer('hr@cbe.example');
+    const { body: own } = await app.request('/api/employer/company', {
+      method: 'PUT',
+      headers,
+      body: { description: 'Ethiopia\'s largest bank', size: '1000+' }
+    });
+
+    const cookie = await admin();
+    expect((await app.request('/api/admin/companies', { headers: await employer('other@example.com') })).status).toBe(401);
+
+    const { body: queue } = await app.request('/api/admin/companies', { headers: cookie });
+    expect(queue.companies.map(company => company.slug)).toContain(own.company.slug);
+
+    const verified = await app.request(`/api/admin/companies/${own.company.slug}/verify`, { method: 'POST', headers: cookie });
+    expect(verified.status).toBe(200);
+    expect(verified.body.company).toMatchObject({ slug: BANK, description: 'Ethiopia\'s largest bank', size: '1000+', unverified: false });
+    expect((await app.request(`/api/companies/${own.company.slug}`)).status).toBe(404);
+
+    const { body: mine } = await app.request('/api/employer/company', { headers });
+    expect(mine.company.slug).toBe(BANK);
+
+    // A later account with the same name gets a page of its own, which can't replace it
+    const impostor = await employer('impostor@example.com');
+    const { body: other } = await app.request('/api/employer/company', { headers: impostor });
+    expect(other.company.slug).not.toBe(BANK);
+    const conflict = await app.request(`/api/admin/companies/${other.company.slug}/verify`, { method: 'POST', headers: cookie });
+    expect(conflict.status).toBe(409);
+  });
+});
@@ -0,0 +1,110 @@
+'use strict';
+
+const { startApp } = require('./helpers');
+const { readCv, parseCv } = require('../server/cv-parser');
+const { validateResume } = require('../server/resumes');
+const { renderResumePdf } = require('../server/resume-pdf');
+const { renderResumeDocx } = require('../server/resume-docx');
+
+const PDF = 'application/pdf';
+const DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// A sample CV, as the resume builder exports it
+const resume = validateResume({
+  template: 'classic',
+  personal: {
+    fullName: 'Hanna Tesfaye',
+    headline: 'Accountant',
+    email: 'hanna@example.com',
+    phone: '0911 234 567',
+    location: 'Adama',
+    summary: 'Accountant with five years in banking.'
+  },
+  experience: [
+    { title: 'Senior Accountant', company: 'Awash Bank', location: 'Adama', startDate: '2021-03', current: true, description: 'Prepared branch financial statements.' },
+    { title: 'Junior Accountant', company: 'Dashen Bank', startDate: '2018-09', endDate: '2021-02' }
+  ],
+  education: [{ school: 'Addis Ababa University', qualification: 'BA', field: 'Accounting and Finance', startDate: '2014-09', endDate: '2018-07' }],
+  skills: ['IFRS', 'Peachtree'],
+  languages: [{ name: 'Amharic', level: 'native' }, { name: 'English', level: 'fluent' }]
+}, { complete: true });
+
+describe('CV import', () => {
+  test.each([
+    ['PDF', PDF, () => renderResumePdf(resume)],
+    ['Word', DOCX, () => renderResumeDocx(resume)]
+  ])('reads back a %s CV', (name, type, render) => {
+    const { resume: read, review } = readCv(render(), type);
+
+    expect(read.personal).toMatchObject({ fullName: 'Hanna Tesfaye', headline: 'Accountant', email: 'hanna@example.com', phone: '+251911234567', location: 'Adama' });
+    expect(read.experience).toEqual(resume.experience);
+    expect(read.education).toEqual(resume.education);
+    expect(read.skills).toEqual(expect.arrayContaining(['IFRS', 'Peachtree']));
+    expect(read.languages).toEqual(resume.languages);
+    expect(review).toEqual([]);
+  });
+
+  test('reads CVs as people write them, and flags the guesses', () => {
+    const { resume: read, review } = parseCv([
+      'ABEBE KEBEDE',
+      'Software Developer',
+      'abebe@example.com | +251 911 234 567 | Addis Ababa',
+      'WORK EXPERIENCE',
+      'Backend Developer, Gebeya PLC',
+      'Jan 2020 - Present',
+      '• Built payment APIs',
+      'EDUCATION',
+      'BSc in Computer Science, Addis Ababa University, 2015 - 2019',
+      'SKILLS',
+      'Python, JavaScript, SQL'
+    ]);
+
+    expect(read.personal).toMatchObject({ fullName: 'Abebe Kebede', location: 'Addis Ababa' });
+    expect(read.experience).toEqual([{
+      title: 'Backend Developer',
+      company: 'Gebeya PLC',
+      location: '',
+      startDate: '2020-01',
+      endDate: '',
+      current: true,
+      description: 'Built payment APIs'
+    }]);
+    expect(read.education[0]).toMatchObject({ school: 'Addis Ababa University', qualification: 'BSc', field: 'Computer Science' });
+    expect(read.skills).toEqual(['Python', 'JavaScript', 'SQL']);
+    // Only years were given
+    expect(review).toEqual(['education.0.startDate', 'education.0.endDate']);
+  });
+
+  test('refuses files that aren\'t what they claim', () => {
+    expect(() => readCv(Buffer.from('not a pdf'), PDF)).toThrow('The file is not a valid PDF document');
+    expect(() => readCv(Buffer.from('%PDF-1.4 broken'), PDF)).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
+
+describe('CV import API', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = await startApp();
+  });
+
+  afterEach(() => app.close());
+
+  const upload = (type, body) => fetch(`${app.url}/api/resume/import`, { method: 'POST', headers: { 'Content-Type': type }, body })
+    .then(async response => ({ status: response.status, body: await response.json() }));
+
+  test('returns the resume for review without storing it', async () => {
+    const { status, body } = await upload(PDF, renderResumePdf(resume));
+
+    expect(status).toBe(200);
+    expect(body.resume.personal.fullName).toBe('Hanna Tesfaye');
+    expect(app.store.list('resumes')).toEqual([]);
+  });
+
+  test('explains that old Word files can\'t be read', async () => {
+    const { status, body } = await upload('application/msword', Buffer.from([0xD0, 0xCF, 0x11, 0xE0]));
+
+    expect(status).toBe(400);
+    expect(body.error).toMatch(/save it as \.docx or PDF/);
+  });
+});
@@ -0,0 +1,131 @@
+'use strict';
+
+const { createTestStore, startApp } = require('./helpers');
+const { createUnsubscribeToken, findUnsubscribeSearch, renderDigest, createEmailChannel } = require('../server/digest');
+const { signToken } = require('../server/tokens');
+
+const SECRET = 'digest-secret-'.padEnd(32, 'x');
+const BASE_URL = 'https://zewedjobs.example';
+
+const links = {
+  job: id => `${BASE_URL}/job/${id}`,
+  search: `${BASE_URL}/jobs?q=nurse`,
+  manage: `${BASE_URL}/alerts`,
+  unsubscribe: `${BASE_URL}/alerts/unsubscribe?token=abc`
+};
+
+describe('digest emails', () => {
+  const user = { name: 'Tigist Alemu' };
+  const search = { name: 'Nurse <Adama>', frequency: 'weekly' };
+  const jobs = [
+    { id: 2, title: 'Nurse', company: 'St. Paul Hospital', location: 'Addis Ababa', description: 'x'.repeat(400) },
+    { id: 9, title: 'Head Nurse & Midwife', company: 'Adama Hospital', location: 'Adama', salary: 'ETB 20,000' }
+  ];
+
+  test('count the jobs and the ones left out', () => {
+    const { subject, text } = renderDigest({ user, search, jobs, total: 5, links });
+
+    expect(subject).toBe('5 new jobs for "Nurse <Adama>" this week');
+    expect(text).toContain('Hi Tigist,');
+    expect(text).toContain('Head Nurse & Midwife\nAdama Hospital · Adama · ETB 20,000\nhttps://zewedjobs.example/job/9');
+    expect(text).toContain(`See 3 more: ${links.search}`);
+    expect(text).toContain(`Stop these emails: ${links.unsubscribe}`);
+  });
+
+  test('escape job text in HTML and shorten descriptions', () => {
+    const { html } = renderDigest({ user, search, jobs, total: 2, links: { ...links, search: `${BASE_URL}/jobs?q=a&b` } });
+
+    expect(html).toContain('Head Nurse &amp; Midwife');
+    expect(html).toContain('<strong>Nurse &lt;Adama&gt;</strong>');
+    expect(html).toContain(`${'x'.repeat(159)}…`);
+    expect(html).not.toContain('See 0 more');
+  });
+
+  test('one job is a job, daily is today', () => {
+    expect(renderDigest({ user, search: { ...search, frequency: 'daily' }, jobs: jobs.slice(0, 1), total: 1, links }).subject)
+      .toBe('1 new job for "Nurse <Adama>" today');
+  });
+});
+
+describe('unsubscribe links', () => {
+  let store;
+  let search;
+
+  beforeEach(() => {
+    store = createTestStore();
+    search = store.insert('savedSearches', { userId: 4, name: 'Nursing', email: true });
+  });
+
+  test('find the saved search they were made for', () => {
+    expect(findUnsubscribeSearch(store, createUnsubscribeToken(search, SECRET), SECRET)).toEqual(search);
+  });
+
+  test('don\'t work altered, signed with another secret, or for another purpose', () => {
+    const token = createUnsubscribeToken(search, SECRET);
+    const forged = signToken({ purpose: 'alert-email', searchId: search.id, userId: 5 }, SECRET);
+
+    expect(findUnsubscribeSearch(store, `${token}x`, SECRET)).toBeNull();
+    expect(findUnsubscribeSearch(store, token, 'another-secret')).toBeNull();
+    expect(findUnsubscribeSearch(store, signToken({ purpose: 'other', searchId: search.id, userId: 4 }, SECRET), SECRET)).toBeNull();
+    expect(findUnsubscribeSearch(store, forged, SECRET)).toBeNull();
+  });
+});
+
+describe('email alert channel', () => {
+  let store;
+  let sent;
+  let channel;
+
+  beforeEach(() => {
+    store = createTestStore();
+    sent = [];
+    channel = createEmailChannel(store, { send: async message => { sent.push(message); } }, { baseUrl: BASE_URL, secret: SECRET });
+  });
+
+  const alert = (userFields, searchFields) => ({
+    user: { name: 'Tigist Alemu', email: 'tigist@example.com', emailVerifiedAt: new Date().toISOString(), ...userFields },
+    search: { id: 1, userId: 4, name: 'Nursing', q: 'nurse', frequency: 'daily', email: true, ...searchFields },
+    jobs: [store.get('jobs', 2)],
+    total: 1
+  });
+
+  test('mails a digest with one-click unsubscribe', async () => {
+    await channel(alert());
+
+    expect(sent).toHaveLength(1);
+    expect(sent[0].to).toBe('tigist@example.com');
+    expect(sent[0].headers['List-Unsubscribe']).toMatch(/^<https:\/\/zewedjobs\.example\/api\/alerts\/unsubscribe\?token=[\w-]+\.[\w-]+>$/);
+    expect(store.list('alertDeliveries')).toMatchObject([{ channel: 'email', jobIds: [2] }]);
+  });
+
+  test('skips unconfirmed addresses, instant alerts and alerts without email', async () => {
+    await channel(alert({ emailVerifiedAt: null }));
+    await channel(alert({}, { frequency: 'instant' }));
+    await channel(alert({}, { email: false }));
+
+    expect(sent).toHaveLength(0);
+  });
+});
+
+describe('unsubscribe API', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = await startApp({ secret: SECRET });
+  });
+
+  afterEach(() => app.close());
+
+  test('turns off the alert\'s email, and doing it twice is fine', async () => {
+    const search = app.store.insert('savedSearches', { userId: 4, name: 'Nursing', email: true, push: true });
+    const url = `/api/alerts/unsubscribe?token=${createUnsubscribeToken(search, SECRET)}`;
+
+    expect((await app.request(url, { method: 'POST' })).body).toEqual({ savedSearch: { name: 'Nursing' } });
+    expect((await app.request(url, { method: 'POST' })).status).toBe(200);
+    expect(app.store.get('savedSearches', search.id)).toMatchObject({ email: false, push: true });
+  });
+
+  test('rejects a bad link', async () => {
+    expect((await app.request('/api/alerts/unsubscribe?token=nope', { method: 'POST' })).status).toBe(404);
+  });
+});
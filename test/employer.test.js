@@ -0,0 +1,141 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { startApp } = require('./helpers');
+const { hashToken } = require('../server/tokens');
+
+describe('employer accounts', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = await startApp();
+  });
+
+  afterEach(() => app.close());
+
+  const signup = body => app.request('/api/employers', {
+    method: 'POST',
+    body: { name: 'Abebe Kebede', email: 'abebe@example.com', company: 'Abebe Trading', ...body }
+  });
+
+  test.each(['constructor', '__proto__', 'toString', 'hasOwnProperty'])('rejects the plan %j', async plan => {
+    const response = await signup({ plan });
+    expect(response.status).toBe(400);
+    expect(response.body.details).toEqual({ plan: 'Choose a plan' });
+  });
+
+  test('rejects a billing period that isn\'t one', async () => {
+    const response = await signup({ plan: 'job-seeker', period: 'constructor' });
+    expect(response.status).toBe(400);
+    expect(response.body.details).toEqual({ period: 'Choose monthly or annual billing' });
+  });
+
+  test('the free plan has a posting limit', async () => {
+    const { status, body } = await signup({ plan: 'job-seeker' });
+    expect(status).toBe(201);
+    expect(body.quota.remaining).not.toBeNull();
+  });
+
+  test('only a hash of the token is stored, and the token signs in', async () => {
+    const { status, body } = await signup({ plan: 'business' });
+    const employer = app.store.get('employers', body.employer.id);
+
+    expect(status).toBe(201);
+    expect(employer.token).toBeUndefined();
+    expect(employer.tokenHash).toBe(hashToken(body.token));
+    expect(body.employer).not.toHaveProperty('tokenHash');
+
+    const me = await app.request('/api/employer', { headers: { authorization: `Bearer ${body.token}` } });
+    expect(me.status).toBe(200);
+    expect(me.body.employer.id).toBe(employer.id);
+  });
+
+  test('the hash itself doesn\'t sign in', async () => {
+    const { body } = await signup({ plan: 'business' });
+    const { tokenHash } = app.store.get('employers', body.employer.id);
+
+    const me = await app.request('/api/employer', { headers: { authorization: `Bearer ${tokenHash}` } });
+    expect(me.status).toBe(401);
+  });
+});
+
+describe('employer dashboard responses', () => {
+  let app;
+  let headers;
+  let job;
+  let application;
+
+  beforeEach(async () => {
+    app = await startApp();
+    const { body } = await app.request('/api/employers', {
+      method: 'POST',
+      body: { name: 'Abebe Kebede', email: 'abebe@example.com', company: 'Abebe Trading', plan: 'job-seeker' }
+    });
+    headers = { authorization: `Bearer ${body.token}` };
+
+    const cvDir = path.join(process.env.ZEWEDJOBS_UPLOADS, 'cvs');
+    fs.mkdirSync(cvDir, { recursive: true });
+    fs.writeFileSync(path.join(cvDir, 'test-cv.pdf'), '%PDF-1.4');
+    const cv = app.store.insert('cvs', { file: 'test-cv.pdf', name: 'cv.pdf' });
+
+    job = app.store.insert('jobs', { title: 'Accountant', employerId: body.employer.id, status: 'active' });
+    application = app.store.insert('applications', {
+      jobId: job.id,
+      applicant: { name: 'Sara', email: 'sara@example.com' },
+      cv: { id: cv.id, name: 'cv.pdf' }
+    });
+  });
+
+  afterEach(() => app.close());
+
+  // The analytics are on paid plans only; even the refusal isn't cached
+  test.each([
+    ['/api/employer', 200],
+    ['/api/employer/jobs', 200],
+    ['/api/employer/jobs/:job', 200],
+    ['/api/employer/analytics', 403],
+    ['/api/employer/jobs/:job/applications', 200],
+    ['/api/employer/applications/:application', 200],
+    ['/api/employer/applications/:application/cv', 200]
+  ])('%s is never cached', async (url, status) => {
+    const response = await app.request(url.replace(':job', job.id).replace(':application', application.id), { headers });
+    expect(response.status).toBe(status);
+    expect(response.headers.get('cache-control')).toBe('no-store');
+  });
+});
+
+describe('job locations', () => {
+  let app;
+  let headers;
+
+  beforeEach(async () => {
+    app = await startApp();
+    const { body } = await app.request('/api/employers', {
+      method: 'POST',
+      body: { name: 'Abebe Kebede', email: 'abebe@example.com', company: 'Abebe Trading', plan: 'job-seeker' }
+    });
+    headers = { authorization: `Bearer ${body.token}` };
+  });
+
+  afterEach(() => app.close());
+
+  const draft = location => app.request('/api/employer/jobs', { method: 'POST', headers, body: { title: 'Driver', location } });
+
+  test.each(['Atlantis', 'Addis Ababa, near Bole', '<b>Adama</b>'])('rejects %j', async location => {
+    const response = await draft(location);
+    expect(response.status).toBe(400);
+    expect(response.body.details).toEqual({ location: 'Choose a place from the list' });
+  });
+
+  test('keeps a place from the list as it is shown', async () => {
+    const response = await draft('bahir dar');
+    expect(response.status).toBe(201);
+    expect(response.body.job.location).toBe('Bahir Dar');
+  });
+
+  test('the list is public', async () => {
+    const { body } = await app.request('/api/locations');
+    expect(body.regions.find(region => region.label === 'Amhara').cities.map(city => city.label)).toContain('Bahir Dar');
+  });
+});
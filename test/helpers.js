@@ -0,0 +1,68 @@
+// ============================================
+// TEST HELPERS
+// An app on an in-memory store, listening on a free port
+// ============================================
+
+'use strict';
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+
+// Uploads (CVs, receipts) go to a scratch directory, not data/
+process.env.ZEWEDJOBS_UPLOADS = process.env.ZEWEDJOBS_UPLOADS || path.join(os.tmpdir(), 'zewedjobs-test-uploads');
+
+const { createApp } = require('../server');
+const { createStore } = require('../server/store');
+
+const SEED_FILE = path.join(__dirname, '..', 'data', 'seed.json');
+
+function createTestStore() {
+  return createStore({ file: null, seedFile: SEED_FILE });
+}
+
+/**
+ * @param {Object} [options] - passed on to createApp; mail is collected in `sent`
+ * @returns {Promise<{ store: Store, sent: Array<Object>, url: string, request: Function, close: Function }>}
+ */
+async function startApp({ store = createTestStore(), ...options } = {}) {
+  const sent = [];
+  const app = createApp(store, {
+    mailer: { send: async message => { sent.push(message); } },
+    push: { send: async () => ({}) },
+    secret: 'test-secret-'.padEnd(32, 'x'),
+    ...options
+  });
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // Resolves to { status, headers, body } with the body parsed when it is JSON
+  async function request(url, { body, headers = {}, ...init } = {}) {
+    const response = await fetch(base + url, {
+      redirect: 'manual',
+      ...init,
+      headers: { ...(body !== undefined && { 'Content-Type': 'application/json' }), ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      // Not JSON
+    }
+    return { status: response.status, headers: response.headers, body: parsed };
+  }
+
+  return { app, store, sent, url: base, request, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+// A scratch directory, removed by the returned function
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zewedjobs-test-'));
+  return { dir, remove: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+module.exports = { createTestStore, startApp, tempDir };
@@ -0,0 +1,68 @@
+'use strict';
+
+const { startApp } = require('./helpers');
+
+const campaign = {
+  companyName: 'Dashen Bank',
+  companyEmail: 'marketing@dashen.example',
+  companyPhone: '011 551 2345',
+  adPackage: 'sidebar-banner',
+  adDuration: 2,
+  adTitle: 'Open an account',
+  adDescription: 'Save with Dashen Bank',
+  adDestinationUrl: 'https://dashen.example',
+  adCallToAction: 'Learn more',
+  paymentMethod: 'telebirr',
+  submit: true
+};
+
+describe('idempotency keys', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = await startApp();
+  });
+
+  afterEach(() => app.close());
+
+  const send = (key, body = campaign) => app.request('/api/campaigns', {
+    method: 'POST',
+    body,
+    headers: key ? { 'Idempotency-Key': key } : {}
+  });
+
+  test('a retry gets the first response back and changes nothing', async () => {
+    const first = await send('ad-1');
+    const retry = await send('ad-1');
+
+    expect(first.status).toBe(201);
+    expect(retry.status).toBe(201);
+    expect(retry.headers.get('idempotent-replayed')).toBe('true');
+    expect(retry.body).toEqual(first.body);
+    expect(app.store.list('campaigns')).toHaveLength(1);
+  });
+
+  test('requests without a key all run', async () => {
+    await send();
+    await send();
+
+    expect(app.store.list('campaigns')).toHaveLength(2);
+  });
+
+  test('a key reused for a different request is refused', async () => {
+    await send('ad-1');
+    const { status, body } = await send('ad-1', { ...campaign, adTitle: 'Something else' });
+
+    expect(status).toBe(400);
+    expect(body.error).toBe('This Idempotency-Key was already used for a different request');
+  });
+
+  test('rejected requests are replayed too', async () => {
+    const first = await send('ad-1', { ...campaign, companyPhone: '123' });
+    const retry = await send('ad-1', { ...campaign, companyPhone: '123' });
+
+    expect(first.status).toBe(400);
+    expect(first.body.details.companyPhone).toBe('Enter an Ethiopian phone number, e.g. 0911 234 567 or 011 551 2345');
+    expect(retry.headers.get('idempotent-replayed')).toBe('true');
+  });
+});
@@ -0,0 +1,85 @@
+'use strict';
+
+const { createTestStore, startApp } = require('./helpers');
+const { parseJobFilters, matchesFilters, countFacets } = require('../server/search/job-filters');
+const { findCity, locationMatches } = require('../server/locations');
+
+describe('job filters', () => {
+  let jobs;
+
+  beforeEach(() => {
+    jobs = createTestStore().list('jobs', job => job.status === 'open');
+  });
+
+  const ids = filters => jobs.filter(job => matchesFilters(job, filters)).map(job => job.id);
+
+  test('reads repeated and comma-separated values', () => {
+    expect(parseJobFilters({ location: ['adama', 'jimma'], workplace: 'remote, onsite,remote', posted: '' }))
+      .toEqual({ location: ['adama', 'jimma'], workplace: ['remote', 'onsite'] });
+  });
+
+  test('rejects values it doesn\'t know', () => {
+    expect(() => parseJobFilters({ location: 'mars', salary: '5-1' })).toThrow(expect.objectContaining({
+      status: 400,
+      details: { location: 'Unknown value: mars', salary: 'Unknown value: 5-1' }
+    }));
+  });
+
+  test('a job matches any value of a filter and every filter', () => {
+    expect(ids({ location: ['oromia'], workplace: ['remote', 'onsite'] })).toEqual([10, 17, 22]);
+    expect(ids({ location: ['oromia'], workplace: ['remote'] })).toEqual([]);
+  });
+
+  test('a salary range matches jobs whose pay overlaps it', () => {
+    expect(ids({ salary: ['50000+'] })).toEqual([3, 4, 8, 12, 23]);
+  });
+
+  test('each facet is counted without its own filter', () => {
+    const facets = countFacets(jobs, { location: ['oromia'] });
+    const oromia = facets.location.find(region => region.value === 'oromia');
+
+    expect(oromia.count).toBe(3);
+    expect(oromia.cities.find(city => city.value === 'adama').count).toBe(2);
+    expect(facets.location.find(region => region.value === 'addis-ababa').count).toBeGreaterThan(0);
+    expect(facets.workplace).toEqual([
+      { value: 'onsite', label: 'On-site', count: 3 },
+      { value: 'remote', label: 'Remote', count: 0 },
+      { value: 'hybrid', label: 'Hybrid', count: 0 }
+    ]);
+  });
+});
+
+describe('locations', () => {
+  test('a city belongs to its region, and chartered cities are both', () => {
+    expect(findCity('Hawassa')).toMatchObject({ value: 'hawassa', region: 'sidama' });
+    expect(locationMatches('Adama', 'oromia')).toBe(true);
+    expect(locationMatches('Addis Ababa', 'addis-ababa')).toBe(true);
+    expect(locationMatches('Remote', 'oromia')).toBe(false);
+  });
+});
+
+describe('search API filters', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = await startApp();
+  });
+
+  afterEach(() => app.close());
+
+  test('returns filtered jobs with facets', async () => {
+    const { status, body } = await app.request('/api/search?location=adama');
+
+    expect(status).toBe(200);
+    expect(body.filters).toEqual({ location: ['adama'] });
+    expect(body.jobs.map(job => job.location)).toEqual(['Adama', 'Adama']);
+    expect(body.facets.location.find(region => region.value === 'oromia').count).toBe(3);
+  });
+
+  test('an unknown value is a bad request', async () => {
+    const { status, body } = await app.request('/api/search?experience=expert');
+
+    expect(status).toBe(400);
+    expect(body.error).toBe('Invalid search filters');
+  });
+});
@@ -0,0 +1,86 @@
+'use strict';
+
+const { createTestStore, startApp } = require('./helpers');
+const { toJobPosting, serializeJsonLd, escapeHtml } = require('../server/job-posting');
+
+const BASE_URL = 'https://zewedjobs.com';
+
+describe('JobPosting structured data', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createTestStore();
+  });
+
+  test('describes an on-site job with its place, pay and experience', () => {
+    const posting = toJobPosting(store.get('jobs', 10), { baseUrl: BASE_URL });
+
+    expect(posting).toMatchObject({
+      '@type': 'JobPosting',
+      title: 'Accountant',
+      url: 'https://zewedjobs.com/job/10',
+      employmentType: 'FULL_TIME',
+      hiringOrganization: { name: 'Awash Bank' },
+      jobLocation: { address: { addressLocality: 'Adama', addressRegion: 'Oromia', addressCountry: 'ET' } },
+      baseSalary: { currency: 'ETB', value: { minValue: 22000, maxValue: 30000, unitText: 'MONTH' } },
+      experienceRequirements: { monthsOfExperience: 24 }
+    });
+    expect(posting.description).toContain('<li>Knowledge of IFRS</li>');
+  });
+
+  test('a remote job is open to applicants across Ethiopia', () => {
+    const posting = toJobPosting(store.get('jobs', 6), { baseUrl: BASE_URL });
+
+    expect(posting.jobLocationType).toBe('TELECOMMUTE');
+    expect(posting.applicantLocationRequirements).toEqual({ '@type': 'Country', name: 'Ethiopia' });
+    expect(posting).not.toHaveProperty('jobLocation');
+  });
+
+  test('leaves out what the job doesn\'t say', () => {
+    const job = store.insert('jobs', { title: 'Driver', company: 'Ride', location: 'Remote', description: 'Drive' });
+    const posting = toJobPosting(job, { baseUrl: BASE_URL });
+
+    expect(posting).not.toHaveProperty('baseSalary');
+    expect(posting).not.toHaveProperty('employmentType');
+    expect(posting.jobLocation.address).toEqual({ '@type': 'PostalAddress', addressCountry: 'ET' });
+  });
+
+  test('escapes text for HTML and script elements', () => {
+    expect(escapeHtml('<b>"Tom & Jerry\'s"</b>')).toBe('&lt;b&gt;&quot;Tom &amp; Jerry&#39;s&quot;&lt;/b&gt;');
+    expect(serializeJsonLd({ title: '</script><script>' })).toBe('{"title":"\\u003c/script>\\u003cscript>"}');
+  });
+});
+
+describe('job pages', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = await startApp();
+  });
+
+  afterEach(() => app.close());
+
+  test('a job page carries its title and JSON-LD', async () => {
+    const { status, body } = await app.request('/job/10');
+
+    expect(status).toBe(200);
+    expect(body).toContain('<title>Accountant at Awash Bank | ZewedJobs</title>');
+    expect(body).toContain(`"url":"${app.url}/job/10"`);
+  });
+
+  test('an unknown job still gets the shell, with a 404', async () => {
+    const { status, body } = await app.request('/job/999');
+
+    expect(status).toBe(404);
+    expect(body).not.toContain('<script type="application/ld+json" id="jobPostingData">');
+  });
+
+  test('the job API returns the employer and similar jobs', async () => {
+    const { body } = await app.request('/api/jobs/6');
+    const similar = await app.request('/api/jobs/6/similar?limit=3');
+
+    expect(body.employer.openJobs).toBeGreaterThan(0);
+    expect(body.structuredData.title).toBe('Software Developer');
+    expect(similar.body.jobs.map(job => job.title)).toEqual(['Mobile App Developer', 'Frontend Developer', 'Senior Software Engineer']);
+  });
+});
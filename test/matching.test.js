@@ -0,0 +1,180 @@
+'use strict';
+
+const { createTestStore, startApp } = require('./helpers');
+const { DEFAULT_PROFILE } = require('../server/profiles');
+const { scoreMatch, matchCandidates, matchJobs, requiredSkills, yearsOfExperience } = require('../server/matching');
+const { createToken, hashToken } = require('../server/tokens');
+
+const now = new Date('2026-06-01');
+
+const job = fields => ({
+  title: 'Accountant',
+  skills: ['IFRS', 'Excel', 'Peachtree'],
+  experienceMin: 2,
+  experienceMax: 5,
+  location: 'Adama',
+  workplace: 'onsite',
+  salaryMin: 20000,
+  salaryMax: 30000,
+  type: 'Full-time',
+  requirements: ['Fluent Amharic and English'],
+  description: '',
+  ...fields
+});
+
+const resume = fields => ({
+  personal: { fullName: 'Hanna Tesfaye', headline: 'Accountant', summary: '' },
+  skills: ['IFRS', 'Microsoft Excel'],
+  experience: [{ title: 'Accountant', company: 'Awash Bank', description: '', startDate: '2020-01', endDate: '2023-12' }],
+  education: [],
+  languages: [{ name: 'Amharic' }],
+  ...fields
+});
+
+describe('match scoring', () => {
+  test('weighs every criterion and gives a reason for each', () => {
+    const profile = { locations: ['oromia'], desiredSalary: 35000, jobTypes: ['Full-time'] };
+    const { score, reasons } = scoreMatch(job(), { profile, resume: resume() }, { now });
+
+    expect(score).toBe(78);
+    expect(reasons.map(({ key, status, text }) => [key, status, text])).toEqual([
+      ['skills', 'partial', '2 of 3 required skills'],
+      ['experience', 'met', '4 years of experience, 2-5 years wanted'],
+      ['location', 'met', 'Adama is a preferred place'],
+      ['salary', 'partial', 'Salary expectation 17% above the range'],
+      ['languages', 'partial', '1 of 2 languages asked for'],
+      ['jobType', 'met', 'Full-time, a preferred job type']
+    ]);
+    expect(reasons[0]).toMatchObject({ matched: ['IFRS', 'Microsoft Excel'], missing: ['Peachtree'] });
+  });
+
+  test('leaves out criteria that don\'t apply', () => {
+    const { score, reasons } = scoreMatch(job({ skills: ['IFRS'], requirements: [], salaryMin: undefined, salaryMax: undefined }), { resume: resume() }, { now });
+
+    expect(reasons.map(reason => reason.key)).toEqual(['skills', 'experience']);
+    expect(score).toBe(100);
+  });
+
+  test('isn\'t a match without a shared skill', () => {
+    expect(scoreMatch(job({ skills: ['Python'] }), { resume: resume() }, { now })).toBeNull();
+  });
+
+  test('isn\'t a match below the minimum score', () => {
+    const profile = { locations: ['hawassa'], workplaces: ['remote'], jobTypes: ['Part-time'] };
+    const candidate = { profile, resume: resume({ experience: [], languages: [] }) };
+
+    expect(scoreMatch(job({ skills: ['IFRS', 'SPSS', 'Peachtree', 'Python'] }), candidate, { now })).toBeNull();
+  });
+
+  test('finds software in the requirements of a job without a skills list', () => {
+    expect(requiredSkills({ title: 'Data clerk', requirements: ['Good with Excel and SPSS'], description: '' })).toEqual(['Microsoft Excel', 'SPSS']);
+  });
+
+  test('counts overlapping jobs once', () => {
+    const experience = [
+      { startDate: '2020-01', endDate: '2021-12' },
+      { startDate: '2021-01', endDate: '2022-12' },
+      { startDate: '2025-06', current: true }
+    ];
+
+    expect(yearsOfExperience({ experience }, now)).toBe(4);
+    expect(yearsOfExperience(null, now)).toBe(0);
+  });
+});
+
+describe('matching', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createTestStore();
+  });
+
+  const candidate = (userId, visibility, profileFields, resumeFields) => {
+    store.insert('resumes', { userId, ...resume(resumeFields) });
+    return store.insert('profiles', { userId, ...DEFAULT_PROFILE, visibility, editedAt: new Date().toISOString(), ...profileFields });
+  };
+
+  test('candidates for a job are those the employer may see, best first', () => {
+    candidate(1, 'public', { locations: ['hawassa'] });
+    const best = candidate(2, 'employers', { locations: ['adama'] });
+    candidate(3, 'hidden', { locations: ['adama'] });
+    candidate(4, 'public', {}, { skills: ['Python'], personal: { headline: 'Developer', summary: '' }, experience: [] });
+
+    const { matches, total } = matchCandidates(store, job(), { plan: 'business' });
+
+    expect(total).toBe(2);
+    expect(matches.map(match => match.profile.userId)).toEqual([best.userId, 1]);
+    expect(matches[0].score).toBeGreaterThan(matches[1].score);
+  });
+
+  test('jobs for a job seeker are only those still taking applications', () => {
+    const open = store.insert('jobs', { ...job({ title: 'Cost Accountant', skills: ['Peachtree'] }), status: 'open', postedAt: new Date().toISOString() });
+    store.insert('jobs', { ...job({ title: 'Cost Accountant', skills: ['Peachtree'] }), status: 'closed', postedAt: new Date().toISOString() });
+    store.insert('jobs', { ...job({ title: 'Cost Accountant', skills: ['Peachtree'] }), status: 'open', deadline: '2020-01-01T00:00:00.000Z' });
+
+    const { matches } = matchJobs(store, { resume: resume({ skills: ['Peachtree'] }) }, { perPage: 50 });
+    const costAccountants = matches.filter(match => match.job.title === 'Cost Accountant');
+
+    expect(costAccountants.map(match => match.job.id)).toEqual([open.id]);
+  });
+});
+
+describe('matches API', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = await startApp();
+  });
+
+  afterEach(() => app.close());
+
+  function employer(plan) {
+    const token = createToken();
+    const { id } = app.store.insert('employers', { name: 'Abebe', email: `${plan}@example.com`, company: 'Abebe Trading', plan, tokenHash: hashToken(token) });
+    return { id, headers: { authorization: `Bearer ${token}` } };
+  }
+
+  test('a job seeker without a resume is asked for one', async () => {
+    const signup = await app.request('/api/auth/signup', {
+      method: 'POST',
+      body: { name: 'Tigist Alemu', email: 'tigist@example.com', password: 'correct horse battery', userType: 'job' }
+    });
+    const cookie = signup.headers.get('set-cookie').split(';')[0];
+
+    const { status, headers, body } = await app.request('/api/profile/matches', { headers: { Cookie: cookie } });
+
+    expect(status).toBe(200);
+    expect(headers.get('cache-control')).toBe('no-store');
+    expect(body).toMatchObject({ matches: [], total: 0, needsResume: true });
+  });
+
+  test('candidate matching is part of the paid plans', async () => {
+    const { id, headers } = employer('job-seeker');
+    const posted = app.store.insert('jobs', { ...job(), employerId: id, status: 'open' });
+
+    const { status, body } = await app.request(`/api/employer/jobs/${posted.id}/matches`, { headers });
+
+    expect(status).toBe(403);
+    expect(body.details).toEqual({ entitlement: 'candidateMatching', plan: 'job-seeker' });
+  });
+
+  test('lists matching candidates for the employer\'s own job, marking applicants', async () => {
+    const { id, headers } = employer('business');
+    const posted = app.store.insert('jobs', { ...job(), employerId: id, status: 'open' });
+    const other = app.store.insert('jobs', { ...job(), employerId: id + 1, status: 'open' });
+    const user = app.store.insert('users', { name: 'Hanna Tesfaye', email: 'hanna@example.com' });
+    app.store.insert('resumes', { userId: user.id, ...resume() });
+    app.store.insert('profiles', { userId: user.id, ...DEFAULT_PROFILE, visibility: 'employers', editedAt: new Date().toISOString() });
+    app.store.insert('applications', { jobId: posted.id, applicant: { name: 'Hanna Tesfaye', email: 'hanna@example.com' } });
+
+    const { status, body } = await app.request(`/api/employer/jobs/${posted.id}/matches`, { headers });
+    const notMine = await app.request(`/api/employer/jobs/${other.id}/matches`, { headers });
+
+    expect(status).toBe(200);
+    expect(body.job).toMatchObject({ id: posted.id, title: 'Accountant' });
+    expect(body.total).toBe(1);
+    expect(body.candidates[0]).toMatchObject({ headline: 'Accountant', applied: true });
+    expect(body.candidates[0].reasons[0].key).toBe('skills');
+    expect(notMine.status).toBe(404);
+  });
+});
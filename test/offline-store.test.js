@@ -0,0 +1,69 @@
+'use strict';
+
+const OfflineStore = require('../assets/js/offline-store');
+
+describe('offline store records', () => {
+  test('are checked against their store\'s type', () => {
+    expect(() => OfflineStore.prepare('savedJobs', { id: '12', job: {} })).toThrow('savedJobs: "id" must be a number');
+    expect(() => OfflineStore.prepare('drafts', { key: 'job-12', data: null })).toThrow('drafts: "data" must be a object');
+  });
+
+  test('keep when they were created and get a fresh touched time', () => {
+    const now = Date.now();
+
+    expect(OfflineStore.prepare('savedJobs', { id: 12, job: {}, savedAt: 1000 }).savedAt).toBe(1000);
+    expect(OfflineStore.prepare('savedJobs', { id: 12, job: {} }).savedAt).toBeGreaterThanOrEqual(now);
+    expect(OfflineStore.prepare('drafts', { key: 'job-12', data: {}, updatedAt: 1000 }).updatedAt).toBeGreaterThanOrEqual(now);
+  });
+});
+
+describe('offline store schema', () => {
+  test('every store with a type is created by the migrations', () => {
+    const created = [];
+    const db = {
+      createObjectStore: name => {
+        created.push(name);
+        return { createIndex: () => {} };
+      }
+    };
+
+    OfflineStore.migrations.forEach(migrate => migrate(db, null));
+
+    expect(created.sort()).toEqual(Object.keys(OfflineStore.types).sort());
+  });
+});
+
+describe('offline store writes', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  function mockDatabase(attempts) {
+    jest.spyOn(OfflineStore, 'open').mockResolvedValue({});
+    jest.spyOn(OfflineStore, 'transact').mockImplementation(() => attempts.shift()());
+  }
+
+  test('drop cached responses and try again when storage is full', async () => {
+    const full = Object.assign(new Error('full'), { name: 'QuotaExceededError' });
+    mockDatabase([() => Promise.reject(full), () => Promise.resolve('saved')]);
+    const evict = jest.spyOn(OfflineStore, 'evictResponses').mockResolvedValue(3);
+
+    await expect(OfflineStore.write('savedJobs', () => {})).resolves.toBe('saved');
+    expect(evict).toHaveBeenCalledWith(0.5);
+  });
+
+  test('give up when there is nothing left to drop', async () => {
+    const full = Object.assign(new Error('full'), { name: 'QuotaExceededError' });
+    mockDatabase([() => Promise.reject(full)]);
+    jest.spyOn(OfflineStore, 'evictResponses').mockResolvedValue(0);
+
+    await expect(OfflineStore.write('responses', () => {})).rejects.toBe(full);
+  });
+
+  test('other errors aren\'t retried', async () => {
+    const error = new Error('constraint');
+    mockDatabase([() => Promise.reject(error)]);
+    const evict = jest.spyOn(OfflineStore, 'evictResponses');
+
+    await expect(OfflineStore.write('savedJobs', () => {})).rejects.toBe(error);
+    expect(evict).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,51 @@
+'use strict';
+
+const Outbox = require('../assets/js/outbox');
+
+describe('outbox retries', () => {
+  const item = { attempts: 0 };
+
+  test('a request that got no answer, or a server error, is tried again later', () => {
+    const now = Date.now();
+
+    [new Error('offline'), Object.assign(new Error('down'), { status: 503 })].forEach(error => {
+      const outcome = Outbox.outcome(item, error);
+      expect(outcome).toMatchObject({ status: 'pending', attempts: 1 });
+      expect(outcome.nextAttemptAt).toBeGreaterThanOrEqual(now + Outbox.BASE_DELAY / 2);
+    });
+  });
+
+  test('Retry-After is waited out', () => {
+    const error = Object.assign(new Error('busy'), { status: 429, retryAfter: 10 * 60 * 1000 });
+
+    expect(Outbox.outcome(item, error).nextAttemptAt).toBeGreaterThanOrEqual(Date.now() + 10 * 60 * 1000 - 1000);
+  });
+
+  test('a rejected request is a dead letter, and a changed record a conflict', () => {
+    expect(Outbox.outcome(item, Object.assign(new Error('bad'), { status: 400 })).status).toBe('failed');
+    expect(Outbox.outcome(item, Object.assign(new Error('changed'), { status: 409 })).status).toBe('conflict');
+  });
+
+  test('a conflict with Retry-After is the first attempt still running', () => {
+    expect(Outbox.outcome(item, Object.assign(new Error('running'), { status: 409, retryAfter: 1000 })).status).toBe('pending');
+  });
+
+  test('stops after the last attempt', () => {
+    expect(Outbox.outcome({ attempts: Outbox.MAX_ATTEMPTS - 1 }, new Error('offline')).status).toBe('failed');
+  });
+
+  test('waits longer after each attempt, up to a limit', () => {
+    expect(Outbox.backoff(1)).toBeLessThanOrEqual(Outbox.BASE_DELAY);
+    expect(Outbox.backoff(3)).toBeGreaterThanOrEqual(2 * Outbox.BASE_DELAY);
+    expect(Outbox.backoff(30)).toBeLessThanOrEqual(Outbox.MAX_DELAY);
+  });
+
+  test('the next due time skips finished items and counts claims', () => {
+    expect(Outbox.nextDue([
+      { status: 'sent', nextAttemptAt: 1 },
+      { status: 'pending', nextAttemptAt: 500 },
+      { status: 'sending', lockedUntil: 300, nextAttemptAt: 0 }
+    ])).toBe(300);
+    expect(Outbox.nextDue([{ status: 'failed' }])).toBeNull();
+  });
+});
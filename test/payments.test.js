@@ -0,0 +1,154 @@
+'use strict';
+
+const { startApp } = require('./helpers');
+const { createGatewayProvider, sign } = require('../server/payments/gateway');
+
+describe('payment sandbox', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  function loadConfig() {
+    let config;
+    jest.isolateModules(() => {
+      config = require('../server').CONFIG;
+    });
+    return config;
+  }
+
+  test('is off by default, even outside production', () => {
+    delete process.env.PAYMENTS_SANDBOX;
+    delete process.env.NODE_ENV;
+    expect(loadConfig().PAYMENTS.sandbox).toBe(false);
+
+    process.env.PAYMENTS_SANDBOX = 'false';
+    expect(loadConfig().PAYMENTS.sandbox).toBe(false);
+  });
+
+  test('is on with PAYMENTS_SANDBOX=true', () => {
+    process.env.PAYMENTS_SANDBOX = 'true';
+    expect(loadConfig().PAYMENTS.sandbox).toBe(true);
+  });
+
+  test('can\'t pay an invoice when it is off', async () => {
+    const { request, close } = await startApp();
+    try {
+      const { body: signup } = await request('/api/employers', {
+        method: 'POST',
+        body: { name: 'Abebe Kebede', email: 'abebe@example.com', company: 'Sandbox Test PLC', plan: 'business', period: 'monthly' }
+      });
+      expect(signup.invoice).toBeDefined();
+
+      const { body: providers } = await request('/api/payments/providers');
+      expect(providers.providers.map(provider => provider.id)).not.toContain('sandbox');
+
+      const checkout = await request(`/api/invoices/${signup.invoice.id}/checkout`, {
+        method: 'POST',
+        body: { token: signup.invoiceToken, provider: 'sandbox', returnPath: '/employer' }
+      });
+      expect(checkout.status).toBe(400);
+      expect(checkout.body.details).toEqual({ provider: 'Choose a payment method' });
+
+      const pay = await request('/api/payments/sandbox/anything', { method: 'POST', body: { outcome: 'success' } });
+      expect(pay.status).toBe(404);
+    } finally {
+      await close();
+    }
+  });
+});
+
+describe('payment webhooks', () => {
+  const SECRET = 'merchant-key';
+  let app;
+  let invoice;
+  let payment;
+
+  beforeEach(async () => {
+    const provider = createGatewayProvider({
+      id: 'telebirr',
+      name: 'telebirr',
+      apiUrl: 'https://telebirr.test/api',
+      merchantId: 'M1',
+      secret: SECRET,
+      signatureHeader: 'X-Telebirr-Signature',
+      requiresPhone: true,
+      fetch: async () => ({ ok: true, json: async () => ({}) })
+    });
+    app = await startApp({ paymentProviders: { telebirr: provider } });
+
+    const { body: signup } = await app.request('/api/employers', {
+      method: 'POST',
+      body: { name: 'Abebe Kebede', email: 'abebe@example.com', company: 'Webhook Test PLC', plan: 'business', period: 'monthly' }
+    });
+    const { body } = await app.request(`/api/invoices/${signup.invoice.id}/checkout`, {
+      method: 'POST',
+      body: { token: signup.invoiceToken, provider: 'telebirr', phone: '0911 234 567', returnPath: '/employer' }
+    });
+    invoice = signup.invoice;
+    payment = body.payment;
+  });
+
+  afterEach(() => app.close());
+
+  // Signed over exactly the bytes sent, unless a signature is given
+  function notify(event, signature) {
+    const body = JSON.stringify({ orderId: payment.reference, amount: payment.amount.toFixed(2), transactionId: 'T1', ...event });
+    return fetch(`${app.url}/api/payments/webhooks/telebirr`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Telebirr-Signature': signature ?? sign(body, SECRET) },
+      body
+    });
+  }
+
+  const status = () => ({
+    payment: app.store.get('payments', payment.id).status,
+    invoice: app.store.get('invoices', invoice.id).status
+  });
+
+  test('a signed notification pays the invoice', async () => {
+    const response = await notify({ status: 'SUCCESS' });
+
+    expect(response.status).toBe(200);
+    expect(status()).toEqual({ payment: 'succeeded', invoice: 'paid' });
+  });
+
+  test.each([
+    ['no signature', ''],
+    ['another key\'s signature', sign('{}', 'someone-else')],
+    ['a signature that is not hex', 'not-a-signature']
+  ])('refuses %s', async (name, signature) => {
+    const response = await notify({ status: 'SUCCESS' }, signature);
+
+    expect(response.status).toBe(401);
+    expect(status()).toEqual({ payment: 'pending', invoice: 'pending' });
+  });
+
+  test('refuses a body changed after signing', async () => {
+    const signed = JSON.stringify({ orderId: payment.reference, amount: '1.00', status: 'SUCCESS' });
+    const response = await app.request('/api/payments/webhooks/telebirr', {
+      method: 'POST',
+      headers: { 'X-Telebirr-Signature': sign(signed, SECRET) },
+      body: { orderId: payment.reference, amount: payment.amount.toFixed(2), status: 'SUCCESS' }
+    });
+
+    expect(response.status).toBe(401);
+    expect(status()).toEqual({ payment: 'pending', invoice: 'pending' });
+  });
+
+  test('a signed notification for the wrong amount fails the payment', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await notify({ status: 'SUCCESS', amount: '1.00' });
+    jest.restoreAllMocks();
+
+    expect(status()).toEqual({ payment: 'failed', invoice: 'pending' });
+  });
+
+  test('a repeated notification keeps the first outcome', async () => {
+    await notify({ status: 'SUCCESS' });
+    await notify({ status: 'FAILED' });
+
+    expect(status()).toEqual({ payment: 'succeeded', invoice: 'paid' });
+  });
+});
@@ -0,0 +1,25 @@
+'use strict';
+
+const { normalizePhone } = require('../server/phones');
+
+describe('phone numbers', () => {
+  test.each([
+    ['0911 23 45 67', '251911234567'],
+    ['+251-911-234-567', '251911234567'],
+    ['251 (911) 234567', '251911234567'],
+    ['0712 345 678', '251712345678']
+  ])('%s is the mobile %s', (value, expected) => {
+    expect(normalizePhone(value)).toBe(expected);
+  });
+
+  test.each(['', '123456789', '+1 202 555 0143', '0911 234 56', '0811 234 567', '09112345678'])('%j is not an Ethiopian mobile', value => {
+    expect(normalizePhone(value)).toBeNull();
+  });
+
+  test('landlines only count when asked for', () => {
+    expect(normalizePhone('011 551 2345')).toBeNull();
+    expect(normalizePhone('011 551 2345', { landline: true })).toBe('251115512345');
+    expect(normalizePhone('0911 23 45 67', { landline: true })).toBe('251911234567');
+    expect(normalizePhone('+1 202 555 0143', { landline: true })).toBeNull();
+  });
+});
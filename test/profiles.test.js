@@ -0,0 +1,141 @@
+'use strict';
+
+const { createTestStore, startApp } = require('./helpers');
+const { DEFAULT_PROFILE, validateProfile, profileCompleteness, profileAccess, placesOverlap } = require('../server/profiles');
+const { createCandidateSearch } = require('../server/search/candidate-search');
+const { createToken, hashToken } = require('../server/tokens');
+
+const resume = fields => ({
+  personal: { fullName: 'Hanna Tesfaye', headline: 'Senior Accountant', summary: 'Five years in banking.' },
+  skills: ['IFRS', 'Peachtree', 'Excel'],
+  experience: [{ title: 'Accountant', company: 'Awash Bank', description: '' }],
+  education: [{ qualification: 'BA', field: 'Accounting', school: 'Addis Ababa University' }],
+  languages: [],
+  ...fields
+});
+
+describe('profiles', () => {
+  test('start hidden, and keep the fields an edit leaves out', () => {
+    const saved = validateProfile({ visibility: 'public', locations: ['adama', 'oromia'], jobTypes: ['Full-time'] });
+
+    expect(validateProfile({ openToWork: true }, saved)).toMatchObject({ visibility: 'public', locations: ['adama', 'oromia'], openToWork: true });
+    expect(DEFAULT_PROFILE.visibility).toBe('hidden');
+  });
+
+  test('reject places and job types that aren\'t on the lists', () => {
+    expect(() => validateProfile({ locations: ['mars'], jobTypes: ['Gig'], desiredSalary: -1 })).toThrow(expect.objectContaining({
+      details: {
+        locations: 'Choose places from the list',
+        jobTypes: 'Choose job types from the list',
+        desiredSalary: 'Enter a monthly amount in birr, in whole numbers'
+      }
+    }));
+  });
+
+  test('completeness counts the resume and the profile, and says what is missing', () => {
+    expect(profileCompleteness(DEFAULT_PROFILE, null).percent).toBe(0);
+
+    const { percent, missing } = profileCompleteness({ ...DEFAULT_PROFILE, locations: ['adama'] }, resume({ skills: ['IFRS'] }));
+    expect(percent).toBe(65);
+    expect(missing.map(item => item.key)).toEqual(['skills', 'desiredSalary', 'jobTypes']);
+  });
+
+  test('a city and its region suit each other', () => {
+    expect(placesOverlap('adama', 'oromia')).toBe(true);
+    expect(placesOverlap('oromia', 'adama')).toBe(true);
+    expect(placesOverlap('adama', 'sidama')).toBe(false);
+  });
+
+  test('employers on a paid plan see profiles shown to them, with contact details', () => {
+    const paid = { plan: 'business' };
+    const free = { plan: 'job-seeker' };
+    const profile = visibility => ({ userId: 1, visibility });
+
+    expect(profileAccess(profile('employers'), { employer: paid })).toEqual({ visible: true, full: true });
+    expect(profileAccess(profile('employers'), { employer: free })).toEqual({ visible: false, full: false });
+    expect(profileAccess(profile('public'), {})).toEqual({ visible: true, full: false });
+    expect(profileAccess(profile('hidden'), { employer: paid })).toEqual({ visible: false, full: false });
+    expect(profileAccess(profile('hidden'), { user: { id: 1 } })).toEqual({ visible: true, full: true });
+  });
+});
+
+describe('candidate search', () => {
+  let store;
+  let candidates;
+
+  beforeEach(() => {
+    store = createTestStore();
+    candidates = createCandidateSearch(store);
+  });
+
+  const candidate = (userId, visibility, resumeFields, profileFields) => {
+    store.insert('resumes', { userId, ...resume(resumeFields) });
+    return store.insert('profiles', { userId, ...DEFAULT_PROFILE, visibility, editedAt: new Date().toISOString(), ...profileFields });
+  };
+
+  test('finds candidates by their resume, best match first, and never hidden ones', () => {
+    const accountant = candidate(1, 'public');
+    const nurse = candidate(2, 'employers', { personal: { headline: 'Nurse', summary: 'Ward nurse' }, skills: ['Patient care'], experience: [], education: [] });
+    candidate(3, 'hidden');
+
+    expect(candidates.search('accountant ifrs').profiles.map(profile => profile.id)).toEqual([accountant.id]);
+    expect(candidates.search('').profiles.map(profile => profile.id).sort()).toEqual([accountant.id, nurse.id].sort());
+  });
+
+  test('follows resume edits and visibility changes', () => {
+    const profile = candidate(1, 'public');
+
+    store.update('resumes', store.findOne('resumes', item => item.userId === 1).id, { skills: ['Auditing'] });
+    expect(candidates.search('auditing').total).toBe(1);
+
+    store.update('profiles', profile.id, { visibility: 'hidden' });
+    expect(candidates.search('auditing').total).toBe(0);
+  });
+
+  test('lists people open to work first', () => {
+    const busy = candidate(1, 'public');
+    const open = candidate(2, 'public', {}, { openToWork: true });
+
+    expect(candidates.search('').profiles.map(profile => profile.id)).toEqual([open.id, busy.id]);
+  });
+});
+
+describe('candidate search API', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = await startApp();
+  });
+
+  afterEach(() => app.close());
+
+  function employer(plan) {
+    const token = createToken();
+    app.store.insert('employers', { name: 'Abebe', email: `${plan}@example.com`, company: 'Abebe Trading', plan, tokenHash: hashToken(token) });
+    return { authorization: `Bearer ${token}` };
+  }
+
+  test('is part of the paid plans', async () => {
+    const { status, body } = await app.request('/api/employer/candidates', { headers: employer('job-seeker') });
+
+    expect(status).toBe(403);
+    expect(body.details).toEqual({ entitlement: 'candidateSearch', plan: 'job-seeker' });
+  });
+
+  test('filters by place, counting candidates who haven\'t chosen one', async () => {
+    const user = id => app.store.insert('users', { name: `Seeker ${id}`, email: `seeker${id}@example.com` });
+    [['adama'], ['hawassa'], []].forEach(locations => {
+      const { id } = user(locations.join());
+      app.store.insert('resumes', { userId: id, ...resume() });
+      app.store.insert('profiles', { userId: id, ...DEFAULT_PROFILE, visibility: 'public', locations, editedAt: new Date().toISOString() });
+    });
+
+    const { status, headers, body } = await app.request('/api/employer/candidates?q=accountant&location=oromia', { headers: employer('business') });
+
+    expect(status).toBe(200);
+    expect(headers.get('cache-control')).toBe('no-store');
+    expect(body.total).toBe(2);
+    expect(body.candidates[0]).toMatchObject({ headline: 'Senior Accountant', latestJob: { title: 'Accountant', company: 'Awash Bank' } });
+    expect(body.candidates[0]).not.toHaveProperty('email');
+  });
+});
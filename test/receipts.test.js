@@ -0,0 +1,99 @@
+'use strict';
+
+const { startApp } = require('./helpers');
+
+const ADMIN = { name: 'Admin', email: 'admin@zewedjobs.example', password: 'correct horse battery', userType: 'job' };
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]), Buffer.alloc(32)]);
+
+describe('payment receipts', () => {
+  let app;
+  let invoice;
+  let invoiceToken;
+
+  beforeEach(async () => {
+    app = await startApp({ adminEmails: [ADMIN.email], publicUrl: 'https://zewedjobs.example' });
+
+    const { body } = await app.request('/api/employers', {
+      method: 'POST',
+      body: { name: 'Abebe Kebede', email: 'abebe@example.com', company: 'Abebe Trading', plan: 'business', period: 'monthly' }
+    });
+    ({ invoice, invoiceToken } = body);
+  });
+
+  afterEach(() => app.close());
+
+  function upload({ reference = 'FT23123ABC45', method = 'bank-transfer', type = 'image/png', file = PNG } = {}) {
+    const query = new URLSearchParams({ token: invoiceToken, method, reference });
+    return fetch(`${app.url}/api/invoices/${invoice.id}/receipts?${query}`, {
+      method: 'POST',
+      headers: { 'Content-Type': type, 'X-File-Name': encodeURIComponent('transfer slip.png') },
+      body: file
+    }).then(async response => ({ status: response.status, body: await response.json() }));
+  }
+
+  // A signed-in admin with a confirmed address
+  async function signInAdmin() {
+    const signup = await app.request('/api/auth/signup', { method: 'POST', body: ADMIN });
+    const token = new URL(app.sent[app.sent.length - 1].text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+    await app.request('/api/auth/verify-email', { method: 'POST', body: { token } });
+    return signup.headers.get('set-cookie').split(';')[0];
+  }
+
+  const review = (cookie, receipt, action, body) => app.request(`/api/admin/receipts/${receipt.id}/${action}`, {
+    method: 'POST',
+    body,
+    headers: { Cookie: cookie }
+  });
+
+  test('a receipt waits for review, and its transaction number can\'t be reused', async () => {
+    const { status, body } = await upload({ reference: 'ft 2312 3abc45' });
+
+    expect(status).toBe(201);
+    expect(body.receipt).toMatchObject({ status: 'pending', reference: 'FT23123ABC45', fileName: 'transfer slip.png' });
+    expect(body.receipt).not.toHaveProperty('file');
+    expect((await upload()).status).toBe(409);
+  });
+
+  test('files must be what they say they are', async () => {
+    const { status, body } = await upload({ type: 'application/pdf' });
+
+    expect(status).toBe(400);
+    expect(body.details).toEqual({ file: 'This file looks damaged' });
+  });
+
+  test('only admins see the queue', async () => {
+    const signup = await app.request('/api/auth/signup', { method: 'POST', body: { ...ADMIN, email: 'someone@example.com' } });
+    const cookie = signup.headers.get('set-cookie').split(';')[0];
+
+    expect((await app.request('/api/admin/receipts')).status).toBe(401);
+    expect((await app.request('/api/admin/receipts', { headers: { Cookie: cookie } })).status).toBe(403);
+  });
+
+  test('approving one pays the invoice and tells the customer', async () => {
+    const { body: { receipt } } = await upload();
+    const cookie = await signInAdmin();
+
+    const queue = await app.request('/api/admin/receipts', { headers: { Cookie: cookie } });
+    expect(queue.body.counts).toEqual({ pending: 1, approved: 0, rejected: 0 });
+
+    const { status, body } = await review(cookie, receipt, 'approve');
+    expect(status).toBe(200);
+    expect(body.invoice.status).toBe('paid');
+    expect(app.store.findOne('payments', item => item.receiptId === receipt.id)).toMatchObject({ provider: 'manual', status: 'succeeded' });
+    expect(app.sent[app.sent.length - 1]).toMatchObject({ to: 'abebe@example.com', subject: `Payment confirmed for invoice ${invoice.number}` });
+
+    expect((await review(cookie, receipt, 'reject', { reason: 'Too late' })).status).toBe(409);
+  });
+
+  test('rejecting one needs a reason, and another receipt can follow', async () => {
+    const { body: { receipt } } = await upload();
+    const cookie = await signInAdmin();
+
+    expect((await review(cookie, receipt, 'reject', { reason: ' ' })).status).toBe(400);
+
+    const { body } = await review(cookie, receipt, 'reject', { reason: 'The amount doesn\'t match' });
+    expect(body.receipt).toMatchObject({ status: 'rejected', rejectionReason: 'The amount doesn\'t match' });
+    expect(body.receipt.history.map(entry => entry.action)).toEqual(['submitted', 'rejected']);
+    expect((await upload()).status).toBe(201);
+  });
+});
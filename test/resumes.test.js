@@ -0,0 +1,28 @@
+'use strict';
+
+const { startApp } = require('./helpers');
+
+describe('resume export', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = await startApp();
+  });
+
+  afterEach(() => app.close());
+
+  test('bilingual resumes export as PDFs with the Ge\'ez font embedded', async () => {
+    const response = await app.request('/api/resume/export?format=pdf', {
+      method: 'POST',
+      body: {
+        template: 'bilingual',
+        personal: { fullName: 'Tigist Alemu', fullNameAmharic: 'ትግስት አለሙ', summary: 'የሂሳብ ባለሙያ' }
+      }
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toBe('application/pdf');
+    expect(response.body).toContain('/BaseFont /NotoSansEthiopic-Regular');
+    expect(response.body).toContain('/FontFile2');
+  });
+});
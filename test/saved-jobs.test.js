@@ -0,0 +1,62 @@
+'use strict';
+
+const { startApp } = require('./helpers');
+
+const account = { name: 'Tigist Alemu', email: 'tigist@example.com', password: 'correct horse battery', userType: 'job' };
+
+describe('saved jobs', () => {
+  let app;
+  let cookie;
+
+  beforeEach(async () => {
+    app = await startApp();
+    const signup = await app.request('/api/auth/signup', { method: 'POST', body: account });
+    cookie = signup.headers.get('set-cookie').split(';')[0];
+  });
+
+  afterEach(() => app.close());
+
+  const save = (jobId, body) => app.request(`/api/saved-jobs/${jobId}`, { method: 'PUT', body, headers: { Cookie: cookie } });
+  const list = () => app.request('/api/saved-jobs', { headers: { Cookie: cookie } });
+
+  test('are private to the signed-in user and not cached', async () => {
+    const anonymous = await app.request('/api/saved-jobs');
+    const mine = await list();
+
+    expect(anonymous.status).toBe(401);
+    expect(mine.headers.get('cache-control')).toBe('no-store');
+    expect(mine.body.savedJobs).toEqual([]);
+  });
+
+  test('come back with the job, to read offline', async () => {
+    const created = await save(2, { note: 'Ask about night shifts', deadline: '2026-12-01' });
+    const { body } = await list();
+
+    expect(created.status).toBe(201);
+    expect(body.savedJobs).toHaveLength(1);
+    expect(body.savedJobs[0]).toMatchObject({ jobId: 2, note: 'Ask about night shifts', deadline: '2026-12-01T00:00:00.000Z' });
+    expect(body.savedJobs[0].job.title).toBe('Nurse');
+  });
+
+  test('the most recent edit wins, whichever arrives last', async () => {
+    await save(2, { note: 'newer', editedAt: '2026-10-02T10:00:00Z' });
+    const older = await save(2, { note: 'older', editedAt: '2026-10-01T10:00:00Z' });
+
+    expect(older.status).toBe(200);
+    expect(older.body).toMatchObject({ applied: false, savedJob: { note: 'newer' } });
+  });
+
+  test('rejects bad dates and unknown jobs', async () => {
+    expect((await save(2, { deadline: 'soon' })).body.details).toEqual({ deadline: 'Enter a valid date' });
+    expect((await save(999, {})).status).toBe(404);
+  });
+
+  test('removing one twice is fine', async () => {
+    await save(2, {});
+    const remove = () => app.request('/api/saved-jobs/2', { method: 'DELETE', headers: { Cookie: cookie } });
+
+    expect((await remove()).status).toBe(204);
+    expect((await remove()).status).toBe(204);
+    expect((await list()).body.savedJobs).toEqual([]);
+  });
+});
@@ -0,0 +1,49 @@
+'use strict';
+
+const { createTestStore } = require('./helpers');
+const { createJobSearch } = require('../server/search/job-search');
+const { normalizeEthiopic, transliterate } = require('../server/search/ethiopic');
+const { phoneticKey } = require('../server/search/phonetic');
+
+const titles = result => result.jobs.map(job => job.title);
+
+describe('Ge\'ez script', () => {
+  test('letters that sound the same are written one way', () => {
+    expect(normalizeEthiopic('ሥራ')).toBe('ስራ');
+    expect(normalizeEthiopic('ሐኪም')).toBe(normalizeEthiopic('ሀኪም'));
+  });
+
+  test('is transliterated to Latin letters', () => {
+    expect(transliterate('ኢንጂነር')).toBe('injiner');
+  });
+
+  test('spellings that sound alike share a phonetic key', () => {
+    expect(phoneticKey('ኢንጂነር')).toBe(phoneticKey('injineer'));
+    expect(phoneticKey('Hawaasaa')).toBe(phoneticKey('Hawassa'));
+    expect(phoneticKey('ab')).toBeNull();
+  });
+});
+
+describe('multilingual search', () => {
+  let jobSearch;
+
+  beforeEach(() => {
+    jobSearch = createJobSearch(createTestStore());
+  });
+
+  test('Amharic and Afaan Oromo words find the English job', () => {
+    expect(titles(jobSearch.search('ነርስ'))).toEqual(['Nurse']);
+    expect(titles(jobSearch.search('narsii'))).toEqual(['Nurse']);
+    expect(titles(jobSearch.search('barsiisaa'))).toEqual(expect.arrayContaining(['Mathematics Teacher', 'English Teacher']));
+  });
+
+  test('either spelling of a homophone matches', () => {
+    expect(titles(jobSearch.search('ሐኪም'))).toEqual(titles(jobSearch.search('ሀኪም')));
+    expect(jobSearch.search('ሐኪም').total).toBe(1);
+  });
+
+  test('a Latin spelling finds a job posted in Ge\'ez', () => {
+    expect(titles(jobSearch.search('injiner'))).toEqual(['ሲቪል ኢንጂነር']);
+    expect(titles(jobSearch.search('Hawaasaa'))).toContain('ሲቪል ኢንጂነር');
+  });
+});
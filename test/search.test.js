@@ -0,0 +1,79 @@
+'use strict';
+
+const { createTestStore, startApp } = require('./helpers');
+const { createJobSearch } = require('../server/search/job-search');
+const { editDistance, allowedTypos } = require('../server/search/fuzzy');
+
+const titles = result => result.jobs.map(job => job.title);
+
+describe('job search', () => {
+  let store;
+  let jobSearch;
+
+  beforeEach(() => {
+    store = createTestStore();
+    jobSearch = createJobSearch(store);
+  });
+
+  test('corrects misspelled words and suggests the corrected query', () => {
+    const result = jobSearch.search('sofware developer');
+
+    expect(titles(result)[0]).toBe('Software Developer');
+    expect(result.didYouMean).toBe('software developer');
+  });
+
+  test('matches word forms and ranks title matches first', () => {
+    const result = jobSearch.search('developers');
+
+    expect(titles(result).slice(0, 3).sort()).toEqual(['Frontend Developer', 'Mobile App Developer', 'Software Developer']);
+    expect(result.didYouMean).toBeNull();
+  });
+
+  test('an empty query lists every open job, newest first, a page at a time', () => {
+    const result = jobSearch.search('', { perPage: 5, page: 2 });
+    const open = store.list('jobs', job => job.status === 'open');
+
+    expect(result).toMatchObject({ total: open.length, page: 2, perPage: 5, totalPages: Math.ceil(open.length / 5) });
+    const dates = jobSearch.search('', { perPage: 50 }).jobs.map(job => new Date(job.postedAt).getTime());
+    expect(dates).toEqual([...dates].sort((a, b) => b - a));
+  });
+
+  test('follows jobs as they open and close', () => {
+    store.update('jobs', 2, { status: 'closed' });
+    expect(jobSearch.search('nurse').total).toBe(0);
+
+    store.insert('jobs', { title: 'Head Nurse', company: 'Adama Hospital', category: 'Healthcare', status: 'open', postedAt: new Date().toISOString() });
+    expect(titles(jobSearch.search('nurse'))).toEqual(['Head Nurse']);
+  });
+});
+
+describe('typo tolerance', () => {
+  test('a swap of two letters is one typo', () => {
+    expect(editDistance('sofwtare', 'software')).toBe(1);
+    expect(editDistance('nurse', 'purse')).toBe(1);
+  });
+
+  test('longer words may have more typos', () => {
+    expect(allowedTypos('cbe')).toBe(0);
+    expect(allowedTypos('nurse')).toBe(1);
+    expect(allowedTypos('developer')).toBe(2);
+  });
+});
+
+describe('search API', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = await startApp();
+  });
+
+  afterEach(() => app.close());
+
+  test('returns ranked jobs with paging', async () => {
+    const { status, body } = await app.request('/api/search?q=nurse');
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ query: 'nurse', total: 1, page: 1, totalPages: 1 });
+    expect(body.jobs[0].title).toBe('Nurse');
+  });
+});
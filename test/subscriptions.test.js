@@ -0,0 +1,147 @@
+'use strict';
+
+const { createTestStore } = require('./helpers');
+const { GRACE_PERIOD_DAYS, subscriptionStatus, postingQuota } = require('../server/plans');
+const {
+  quotePlanChange,
+  activateSubscription,
+  expireSubscription,
+  toPublicSubscription
+} = require('../server/subscriptions');
+
+const START = '2026-03-01T00:00:00.000Z';
+const END = '2026-04-01T00:00:00.000Z';
+// 15.5 of the period's 31 days are left
+const HALFWAY = new Date('2026-03-16T12:00:00.000Z');
+const afterEnd = days => new Date(new Date(END).getTime() + days * 24 * 60 * 60 * 1000);
+
+function subscribed(plan = 'business', period = 'monthly', price = 2499, changes = {}) {
+  return {
+    plan,
+    subscription: {
+      plan,
+      period,
+      price,
+      currentPeriodStart: START,
+      currentPeriodEnd: END,
+      upcoming: null,
+      cancelAtPeriodEnd: false,
+      pendingChange: null,
+      remindersSent: [],
+      expiredAt: null,
+      ...changes
+    }
+  };
+}
+
+describe('plan change quotes', () => {
+  test('a first plan costs its full price', () => {
+    expect(quotePlanChange({ plan: 'job-seeker' }, 'business', 'monthly', HALFWAY))
+      .toEqual({ change: 'new', plan: 'business', period: 'monthly', price: 2499, credit: 0, amount: 2499 });
+  });
+
+  test('an upgrade credits the unused part of the period', () => {
+    expect(quotePlanChange(subscribed(), 'enterprise', 'monthly', HALFWAY))
+      .toMatchObject({ change: 'upgrade', price: 7999, credit: 1249.5, amount: 6749.5 });
+  });
+
+  test('switching to annual billing is an upgrade too', () => {
+    expect(quotePlanChange(subscribed(), 'business', 'annual', HALFWAY))
+      .toMatchObject({ change: 'upgrade', price: 24990, credit: 1249.5, amount: 23740.5 });
+  });
+
+  test('right at the start, the whole price is credited', () => {
+    expect(quotePlanChange(subscribed(), 'enterprise', 'monthly', new Date(START)))
+      .toMatchObject({ change: 'upgrade', credit: 2499, amount: 5500 });
+  });
+
+  test('the same plan and period is a renewal at full price', () => {
+    expect(quotePlanChange(subscribed(), 'business', 'monthly', HALFWAY))
+      .toMatchObject({ change: 'renewal', credit: 0, amount: 2499 });
+  });
+
+  test('a lower plan or shorter period is a downgrade with nothing to pay', () => {
+    expect(quotePlanChange(subscribed('enterprise', 'monthly', 7999), 'business', 'monthly', HALFWAY))
+      .toMatchObject({ change: 'downgrade', amount: 0 });
+    expect(quotePlanChange(subscribed('business', 'annual', 24990), 'business', 'monthly', HALFWAY))
+      .toMatchObject({ change: 'downgrade', amount: 0 });
+  });
+
+  test('a higher plan on a shorter period has to wait for the year to end', () => {
+    expect(() => quotePlanChange(subscribed('business', 'annual', 24990), 'enterprise', 'monthly', HALFWAY))
+      .toThrow(expect.objectContaining({ status: 409 }));
+  });
+
+  test('an upgrade during the grace period gets no credit', () => {
+    expect(quotePlanChange(subscribed(), 'enterprise', 'monthly', afterEnd(2)))
+      .toMatchObject({ change: 'new', credit: 0, amount: 7999 });
+  });
+
+  test.each(['job-seeker', 'constructor', undefined])('refuses the plan %p', planId => {
+    expect(() => quotePlanChange(subscribed(), planId, 'monthly', HALFWAY)).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
+
+describe('grace period', () => {
+  test(`lasts ${GRACE_PERIOD_DAYS} days after the period ends`, () => {
+    const { subscription } = subscribed();
+
+    expect(subscriptionStatus(subscription, afterEnd(-1))).toBe('active');
+    expect(subscriptionStatus(subscription, afterEnd(0))).toBe('grace');
+    expect(subscriptionStatus(subscription, afterEnd(GRACE_PERIOD_DAYS - 0.01))).toBe('grace');
+    expect(subscriptionStatus(subscription, afterEnd(GRACE_PERIOD_DAYS))).toBe('expired');
+  });
+
+  test('doesn\'t apply to a cancelled plan', () => {
+    expect(subscriptionStatus(subscribed('business', 'monthly', 2499, { cancelAtPeriodEnd: true }).subscription, afterEnd(0))).toBe('expired');
+  });
+
+  test('shows when it ends', () => {
+    expect(toPublicSubscription(subscribed(), afterEnd(1)))
+      .toMatchObject({ status: 'grace', graceEndsAt: afterEnd(GRACE_PERIOD_DAYS).toISOString() });
+    expect(toPublicSubscription(subscribed(), HALFWAY)).toMatchObject({ status: 'active', graceEndsAt: null });
+  });
+
+  test('a renewal paid during it runs on from the old period, with no gap', () => {
+    const store = createTestStore();
+    const employer = store.insert('employers', subscribed());
+    const invoice = { employerId: employer.id, id: 'inv', item: { plan: 'business', period: 'monthly', change: 'renewal' } };
+
+    const { subscription } = activateSubscription(store, invoice, afterEnd(3));
+
+    expect(subscription).toMatchObject({ currentPeriodStart: END, currentPeriodEnd: '2026-05-01T00:00:00.000Z', upcoming: null });
+    expect(subscriptionStatus(subscription, afterEnd(3))).toBe('active');
+  });
+
+  test('after it, jobs are paused until a plan is paid again', () => {
+    const store = createTestStore();
+    const employer = store.insert('employers', subscribed());
+    const job = store.insert('jobs', { employerId: employer.id, title: 'Driver', status: 'open' });
+
+    const expired = expireSubscription(store, employer, afterEnd(GRACE_PERIOD_DAYS));
+    expect(expired.plan).toBe('job-seeker');
+    expect(store.get('jobs', job.id)).toMatchObject({ status: 'paused', pausedForBilling: true });
+
+    const invoice = { employerId: employer.id, id: 'inv', item: { plan: 'business', period: 'monthly', change: 'new' } };
+    // Quotas are checked against the clock, so this is paid today
+    const renewed = activateSubscription(store, invoice);
+    expect(postingQuota(store, renewed).plan).toBe('business');
+    expect(store.get('jobs', job.id)).toMatchObject({ status: 'open', pausedForBilling: false });
+  });
+
+  test('jobs paused by hand count toward the plan when the rest reopen', () => {
+    const store = createTestStore();
+    const employer = store.insert('employers', subscribed('enterprise'));
+    const live = Array.from({ length: 20 }, (_, i) => store.insert('jobs', { employerId: employer.id, title: `Job ${i}`, status: 'open' }));
+    Array.from({ length: 3 }, (_, i) => store.insert('jobs', { employerId: employer.id, title: `Paused ${i}`, status: 'paused' }));
+
+    expireSubscription(store, employer, afterEnd(GRACE_PERIOD_DAYS));
+    const invoice = { employerId: employer.id, id: 'inv', item: { plan: 'business', period: 'monthly', change: 'new' } };
+    const renewed = activateSubscription(store, invoice);
+
+    const jobs = live.map(job => store.get('jobs', job.id));
+    expect(jobs.filter(job => job.status === 'open')).toHaveLength(17);
+    expect(jobs.filter(job => job.pausedForBilling)).toHaveLength(3);
+    expect(postingQuota(store, renewed)).toMatchObject({ limit: 20, used: 23, remaining: 0 });
+  });
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const { createTestStore, startApp } = require('./helpers');
+const { createSuggester } = require('../server/search/suggest');
+
+const group = (result, type) => result.groups.find(entry => entry.type === type);
+const texts = (result, type) => (group(result, type) || { suggestions: [] }).suggestions.map(suggestion => suggestion.text);
+
+describe('search suggestions', () => {
+  let store;
+  let suggester;
+
+  beforeEach(() => {
+    store = createTestStore();
+    suggester = createSuggester(store);
+  });
+
+  test('matches a half-typed word and groups the results by type', () => {
+    const result = suggester.suggest('python');
+
+    expect(result.groups.map(entry => entry.type)).toEqual(['course', 'skill']);
+    expect(texts(result, 'course')).toEqual(['Python for Data Analysis']);
+    expect(group(result, 'skill').suggestions[0]).toEqual({ type: 'skill', text: 'Python', count: 3 });
+  });
+
+  test('a job posted once links straight to it', () => {
+    expect(group(suggester.suggest('softw'), 'job').suggestions).toContainEqual({ type: 'job', text: 'Software Developer', count: 1, id: 6 });
+  });
+
+  test('caps each group at the limit', () => {
+    expect(texts(suggester.suggest('mark', { limit: 2 }), 'job')).toHaveLength(2);
+  });
+
+  test('waits for two characters', () => {
+    expect(suggester.suggest('a')).toEqual({ query: 'a', groups: [] });
+  });
+
+  test('a Latin prefix suggests a job posted in Ge\'ez', () => {
+    expect(texts(suggester.suggest('injin'), 'job')).toEqual(['ሲቪል ኢንጂነር']);
+  });
+
+  test('collapses repeated titles and follows job changes', () => {
+    store.insert('jobs', { title: 'Software Developer', company: 'Gebeya', category: 'Technology', status: 'open', postedAt: new Date().toISOString() });
+
+    expect(group(suggester.suggest('softw'), 'job').suggestions).toContainEqual({ type: 'job', text: 'Software Developer', count: 2 });
+  });
+});
+
+describe('suggest API', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = await startApp();
+  });
+
+  afterEach(() => app.close());
+
+  test('returns grouped suggestions', async () => {
+    const { status, body } = await app.request('/api/suggest?q=develop&limit=1');
+
+    expect(status).toBe(200);
+    expect(body.query).toBe('develop');
+    expect(body.groups.map(entry => entry.suggestions.length)).toEqual([1, 1]);
+  });
+});
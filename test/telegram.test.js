@@ -0,0 +1,173 @@
+'use strict';
+
+const { createTestStore } = require('./helpers');
+const { createJobSearch } = require('../server/search/job-search');
+const { createTelegramClient, createTelegramBot, createTelegramChannel } = require('../server/telegram');
+const { transition } = require('../server/employer-jobs');
+
+const BASE_URL = 'https://zewedjobs.example';
+
+// Answers like the Bot API and records what was sent
+function fakeClient({ fail = {} } = {}) {
+  const calls = [];
+  let messageId = 100;
+
+  return {
+    calls,
+    sent: () => calls.filter(call => call.method === 'sendMessage').map(call => call.params),
+    async call(method, params = {}, { signal } = {}) {
+      calls.push({ method, params });
+      if (fail[method]) throw fail[method];
+      // No messages; hold the long poll open until the bot stops
+      if (method === 'getUpdates') {
+        await new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('Aborted'))));
+      }
+      return method === 'sendMessage' ? { message_id: ++messageId, chat: { id: params.chat_id } } : true;
+    }
+  };
+}
+
+const message = (text, { chatId = 42, type = 'private' } = {}) => ({
+  update_id: 1,
+  message: { message_id: 1, text, chat: { id: chatId, type } }
+});
+
+describe('Telegram bot', () => {
+  let store;
+  let client;
+  let bot;
+
+  beforeEach(() => {
+    store = createTestStore();
+    client = fakeClient();
+    bot = createTelegramBot(store, createJobSearch(store), { client, baseUrl: BASE_URL, channel: '@zewedjobs', logger: { error() {} } });
+  });
+
+  afterEach(() => bot.stop());
+
+  test('/search lists matching jobs with links to the site', async () => {
+    await bot.handleUpdate(message('/search nurse'));
+
+    const [reply] = client.sent();
+    expect(reply.chat_id).toBe(42);
+    expect(reply.parse_mode).toBe('HTML');
+    expect(reply.text).toContain('<b>1 job</b> for <b>nurse</b>');
+    expect(reply.text).toContain(`<a href="${BASE_URL}/job/2">Nurse</a>`);
+  });
+
+  test('plain words in a private chat are a search, and HTML in them is escaped', async () => {
+    await bot.handleUpdate(message('<i>zzzqqq</i>'));
+
+    expect(client.sent()[0].text).toContain('No open jobs match <b>&lt;i&gt;zzzqqq&lt;/i&gt;</b>');
+  });
+
+  test('stays quiet about unknown commands and plain words in groups', async () => {
+    await bot.handleUpdate(message('/otherbot', { type: 'group' }));
+    await bot.handleUpdate(message('nurse', { type: 'group' }));
+
+    expect(client.calls).toHaveLength(0);
+  });
+
+  test('/subscribe saves a search for the chat, once', async () => {
+    await bot.handleUpdate(message('/subscribe driver adama'));
+    await bot.handleUpdate(message('/subscribe Driver Adama'));
+
+    const searches = store.list('savedSearches', search => search.telegramChatId === 42);
+    expect(searches).toHaveLength(1);
+    expect(searches[0]).toMatchObject({ q: 'driver adama', userId: null, frequency: 'instant' });
+    expect(client.sent()[1].text).toContain('already subscribed');
+  });
+
+  test('/unsubscribe by number, by words, or all', async () => {
+    for (const q of ['nurse', 'driver', 'accountant']) {
+      await bot.handleUpdate(message(`/subscribe ${q}`));
+    }
+
+    await bot.handleUpdate(message('/unsubscribe 2'));
+    await bot.handleUpdate(message('/unsubscribe nurse'));
+    expect(store.list('savedSearches', search => search.telegramChatId === 42).map(search => search.q)).toEqual(['accountant']);
+
+    await bot.handleUpdate(message('/unsubscribe all'));
+    expect(store.list('savedSearches', search => search.telegramChatId === 42)).toHaveLength(0);
+  });
+
+  test('posts a job to the channel once and records the message', async () => {
+    const job = store.list('jobs')[0];
+
+    expect(await bot.postJob(job)).toBe(true);
+    expect(await bot.postJob(job)).toBe(false);
+
+    expect(client.sent()).toHaveLength(1);
+    expect(client.sent()[0].chat_id).toBe('@zewedjobs');
+    expect(store.findOne('telegramPosts', post => post.jobId === job.id).messageId).toBe(101);
+  });
+
+  test('a failed post can be tried again', async () => {
+    const job = store.list('jobs')[0];
+    client = fakeClient({ fail: { sendMessage: new Error('Telegram sendMessage failed: Bad Gateway') } });
+    bot = createTelegramBot(store, createJobSearch(store), { client, baseUrl: BASE_URL, channel: '@zewedjobs' });
+
+    await expect(bot.postJob(job)).rejects.toThrow('Bad Gateway');
+    expect(store.findOne('telegramPosts', post => post.jobId === job.id)).toBeNull();
+  });
+
+  test('posts a job when it is first published, not when it is edited or reopened', async () => {
+    bot.start();
+    const draft = store.insert('jobs', { title: 'Pharmacist', company: 'Kenema Pharmacy', status: 'draft' });
+    const settle = () => new Promise(resolve => setImmediate(resolve));
+
+    let job = store.update('jobs', draft.id, transition(draft, 'open'));
+    await settle();
+    job = store.update('jobs', job.id, { title: 'Senior Pharmacist' });
+    job = store.update('jobs', job.id, transition(job, 'paused'));
+    store.update('jobs', job.id, transition(job, 'open'));
+    await settle();
+
+    expect(client.sent()).toHaveLength(1);
+    expect(client.sent()[0]).toMatchObject({ chat_id: '@zewedjobs' });
+    expect(client.sent()[0].text).toContain('Pharmacist');
+  });
+
+  test('leaves out jobs published before it started and jobs that aren\'t taking applications', async () => {
+    const [older] = store.list('jobs');
+    bot.start();
+
+    store.update('jobs', older.id, { title: `${older.title} (updated)` });
+    store.insert('jobs', { title: 'Driver', status: 'open', postedAt: new Date().toISOString(), deadline: '2020-01-01T00:00:00.000Z' });
+    store.insert('jobs', { title: 'Cashier', status: 'draft', postedAt: new Date().toISOString() });
+    store.insert('jobs', { title: 'Guard', status: 'open' });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(client.sent()).toHaveLength(0);
+  });
+});
+
+describe('Telegram alert channel', () => {
+  test('drops a chat\'s subscriptions when the bot is blocked', async () => {
+    const store = createTestStore();
+    const blocked = Object.assign(new Error('Forbidden: bot was blocked by the user'), { statusCode: 403, blocked: true });
+    const client = fakeClient({ fail: { sendMessage: blocked } });
+    const search = store.insert('savedSearches', { userId: null, telegramChatId: 7, q: 'nurse' });
+
+    await createTelegramChannel(store, client, { baseUrl: BASE_URL })({ search, jobs: store.list('jobs').slice(0, 1), total: 1 });
+
+    expect(store.list('savedSearches')).toHaveLength(0);
+    expect(store.list('alertDeliveries')).toHaveLength(0);
+  });
+});
+
+describe('Telegram client', () => {
+  test('calls the Bot API and marks blocked chats', async () => {
+    const requests = [];
+    const fetch = async (url, init) => {
+      requests.push({ url, body: JSON.parse(init.body) });
+      return { status: 403, json: async () => ({ ok: false, error_code: 403, description: 'Forbidden: bot was blocked by the user' }) };
+    };
+    const client = createTelegramClient({ token: '123:abc', fetch, apiUrl: 'https://telegram.test' });
+
+    const error = await client.call('sendMessage', { chat_id: 1, text: 'hi' }).catch(caught => caught);
+
+    expect(requests).toEqual([{ url: 'https://telegram.test/bot123:abc/sendMessage', body: { chat_id: 1, text: 'hi' } }]);
+    expect(error).toMatchObject({ statusCode: 403, blocked: true });
+  });
+});
@@ -0,0 +1,85 @@
+'use strict';
+
+const crypto = require('crypto');
+const { createVapidKeys, parseSubscription, createPushClient } = require('../server/web-push');
+
+// What the browser holds for a subscription
+function createBrowser() {
+  const ecdh = crypto.createECDH('prime256v1');
+  const publicKey = ecdh.generateKeys();
+  const auth = crypto.randomBytes(16);
+
+  // Undo encrypt(): RFC 8291 keys, one aes128gcm record
+  function decrypt(body) {
+    const salt = body.subarray(0, 16);
+    const keyLength = body[20];
+    const serverKey = body.subarray(21, 21 + keyLength);
+    const record = body.subarray(21 + keyLength);
+
+    const hkdf = (key, ikm, info, length) => Buffer.from(crypto.hkdfSync('sha256', ikm, key, info, length));
+    const ikm = hkdf(auth, ecdh.computeSecret(serverKey), Buffer.concat([Buffer.from('WebPush: info\0'), publicKey, serverKey]), 32);
+    const decipher = crypto.createDecipheriv('aes-128-gcm',
+      hkdf(salt, ikm, Buffer.from('Content-Encoding: aes128gcm\0'), 16),
+      hkdf(salt, ikm, Buffer.from('Content-Encoding: nonce\0'), 12));
+    decipher.setAuthTag(record.subarray(-16));
+    const padded = Buffer.concat([decipher.update(record.subarray(0, -16)), decipher.final()]);
+
+    return JSON.parse(padded.subarray(0, padded.lastIndexOf(0x02)));
+  }
+
+  return {
+    subscription: {
+      endpoint: 'https://push.example/send/abc',
+      keys: { p256dh: publicKey.toString('base64url'), auth: auth.toString('base64url') }
+    },
+    decrypt
+  };
+}
+
+describe('push subscriptions', () => {
+  test('need an https endpoint and the browser\'s keys', () => {
+    const { subscription } = createBrowser();
+
+    expect(parseSubscription(subscription)).toEqual(subscription);
+    expect(parseSubscription({ ...subscription, endpoint: 'http://push.example/send/abc' })).toBeNull();
+    expect(parseSubscription({ ...subscription, keys: { ...subscription.keys, auth: 'short' } })).toBeNull();
+    expect(parseSubscription(null)).toBeNull();
+  });
+});
+
+describe('push client', () => {
+  let requests;
+  let status;
+  let client;
+
+  beforeEach(() => {
+    requests = [];
+    status = 201;
+    client = createPushClient({
+      vapidKeys: createVapidKeys(),
+      subject: 'mailto:alerts@zewedjobs.example',
+      fetch: async (url, init) => {
+        requests.push({ url, ...init });
+        return { ok: status < 400, status };
+      }
+    });
+  });
+
+  test('encrypts messages so only the subscribed browser can read them', async () => {
+    const browser = createBrowser();
+
+    await client.send(browser.subscription, { title: 'New job: Nurse' }, { topic: 'alert-1' });
+
+    const [request] = requests;
+    expect(request.url).toBe(browser.subscription.endpoint);
+    expect(request.headers).toMatchObject({ 'Content-Encoding': 'aes128gcm', 'Topic': 'alert-1' });
+    expect(request.headers.Authorization).toMatch(new RegExp(`^vapid t=[\\w-]+\\.[\\w-]+\\.[\\w-]+, k=${client.publicKey}$`));
+    expect(browser.decrypt(request.body)).toEqual({ title: 'New job: Nurse' });
+  });
+
+  test('a subscription the push service forgot is gone', async () => {
+    status = 410;
+
+    await expect(client.send(createBrowser().subscription, {})).rejects.toMatchObject({ statusCode: 410, gone: true });
+  });
+});